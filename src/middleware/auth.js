@@ -0,0 +1,159 @@
+// src/middleware/auth.js
+import supabase from "../utils/supabaseClient.js";
+import {
+  verifyKey,
+  hasScope,
+  allowsGroup,
+  auditOnFinish,
+  partnerRateLimiter,
+  DEFAULT_RATE_LIMIT_PER_MINUTE,
+} from "../utils/partnerKeys.js";
+import { setRateLimitHeaders } from "../utils/rateLimit.js";
+
+const UNAUTHORIZED = {
+  missing_token: { error: "Unauthorized", code: "missing_token" },
+  invalid_token: { error: "Unauthorized", code: "invalid_token" },
+  token_expired: { error: "Unauthorized", code: "token_expired" },
+  invalid_partner_key: { error: "Unauthorized", code: "invalid_partner_key" },
+  missing_partner_key: { error: "Unauthorized", code: "missing_partner_key" },
+};
+
+function bearerToken(req) {
+  const authHeader = req.headers.authorization || "";
+  return authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
+}
+
+function isExpired(error) {
+  return error?.code === "session_expired" || /expired/i.test(error?.message || "");
+}
+
+/**
+ * Resolve the Bearer token once per request. Never rejects: sets
+ * req.user on success, otherwise req.authError to one of
+ * missing_token / invalid_token / token_expired.
+ */
+export async function authenticate(req, _res, next) {
+  try {
+    await resolveUser(req);
+    next();
+  } catch (e) { next(e); }
+}
+
+async function resolveUser(req) {
+  if (req.user !== undefined) return;
+
+  req.user = null;
+  req.authError = null;
+
+  const token = bearerToken(req);
+  if (!token) {
+    req.authError = "missing_token";
+    return;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error) {
+    req.authError = isExpired(error) ? "token_expired" : "invalid_token";
+  } else if (!data?.user) {
+    req.authError = "invalid_token";
+  } else {
+    req.user = data.user;
+  }
+}
+
+async function loadProfile(req) {
+  const { data, error } = await supabase
+    .from("profiles")
+    .select("id, full_name, email")
+    .eq("id", req.user.id)
+    .maybeSingle();
+  if (error) throw error;
+  req.profile = data || null;
+}
+
+/**
+ * x-partner-key takes precedence over the Bearer token on routes that accept
+ * partners. The partner acts as its key's user_id and is limited by the key's
+ * scopes, groups and per-minute rate limit; every attempt is audited.
+ */
+async function partnerGate(req, res, next, scope) {
+  const partner = await verifyKey(req.headers["x-partner-key"]);
+  if (!partner) return res.status(401).json(UNAUTHORIZED.invalid_partner_key);
+
+  req.partner = partner;
+  req.user = { id: partner.user_id };
+  auditOnFinish(req, res);
+
+  if (!hasScope(partner, scope)) {
+    return res.status(403).json({ error: `Partner key lacks scope ${scope}` });
+  }
+  if (req.params.groupId && !allowsGroup(partner, req.params.groupId)) {
+    return res.status(403).json({ error: "Partner key not allowed for this group" });
+  }
+
+  const limit = partner.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const rate = partnerRateLimiter.hit(partner.id, limit);
+  setRateLimitHeaders(res, rate);
+  if (!rate.allowed) return res.status(429).json({ error: "Rate limit exceeded" });
+
+  next();
+}
+
+function authGate({ optional = false, profile = false, partner = null, queryToken = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      if (partner && req.headers["x-partner-key"]) {
+        return await partnerGate(req, res, next, partner);
+      }
+
+      // EventSource can't set headers, so streams may pass the token as ?access_token=
+      if (queryToken && !bearerToken(req) && req.query?.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+        req.user = undefined;
+      }
+
+      await resolveUser(req);
+      if (!req.user) {
+        if (optional && req.authError === "missing_token") return next();
+        return res.status(401).json(UNAUTHORIZED[req.authError] || UNAUTHORIZED.invalid_token);
+      }
+      if (profile && req.profile === undefined) await loadProfile(req);
+      next();
+    } catch (e) { next(e); }
+  };
+}
+
+/**
+ * Route guard: 401 unless a valid Bearer token was sent.
+ * { profile: true } also loads req.profile; { partner: "<scope>" } accepts an x-partner-key instead;
+ * { queryToken: true } also accepts the token as ?access_token= (for EventSource streams).
+ */
+export const requireAuth = (opts = {}) => authGate({ ...opts, optional: false });
+
+/** Route guard: anonymous requests pass with req.user = null; a bad token is still a 401. */
+export const optionalAuth = (opts = {}) => authGate({ ...opts, optional: true });
+
+/** Route guard for partner-only endpoints: an x-partner-key with `scope` is required, a Bearer token is not enough. */
+export const requirePartner = (scope) => async (req, res, next) => {
+  try {
+    if (!req.headers["x-partner-key"]) return res.status(401).json(UNAUTHORIZED.missing_partner_key);
+    await partnerGate(req, res, next, scope);
+  } catch (e) { next(e); }
+};
+
+function adminIds() {
+  return (process.env.ADMIN_USER_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+export function isAdmin(user) {
+  return !!user && adminIds().includes(user.id);
+}
+
+/** Route guard for admin-only endpoints (ADMIN_USER_IDS, comma separated). */
+export const requireAdmin = () => [
+  requireAuth(),
+  (req, res, next) => {
+    if (!isAdmin(req.user)) return res.status(403).json({ error: "Admin only" });
+    next();
+  },
+];
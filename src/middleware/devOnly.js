@@ -0,0 +1,12 @@
+// src/middleware/devOnly.js
+
+export const isDevelopment = () => ["development", "test"].includes(process.env.NODE_ENV);
+
+/**
+ * Route guard for test endpoints that send real email to any address:
+ * outside NODE_ENV=development (or test) they answer 404 as if they didn't exist.
+ */
+export const devOnly = () => (req, res, next) => {
+  if (!isDevelopment()) return res.status(404).json({ error: "Not found" });
+  next();
+};
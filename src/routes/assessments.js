@@ -1,23 +1,13 @@
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) throw error;
-  return data?.user || null;
-}
 
 // POST /api/assessments
-router.post("/assessments", async (req, res, next) => {
+router.post("/assessments", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { name, scope, test_date } = req.body;
     const { data, error } = await supabase
@@ -32,10 +22,9 @@ router.post("/assessments", async (req, res, next) => {
 });
 
 // GET /api/assessments/upcoming
-router.get("/upcoming", async (req, res, next) => {
+router.get("/upcoming", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { data, error } = await supabase
       .from("tests")
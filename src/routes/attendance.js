@@ -0,0 +1,286 @@
+// src/routes/attendance.js
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/check-in:
+ *   post:
+ *     summary: Check in to a session
+ *     description: >
+ *       Open to the creator and members who accepted, from CHECKIN_EARLY_MINUTES (default 15) before the start
+ *       until CHECKIN_GRACE_MINUTES (default 30) after the session ends (start_at + time_goal_minutes),
+ *       or until the session is closed if that is sooner.
+ *     tags: [Attendance]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Checked in }
+ *       400: { description: Too early or too late to check in }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not attending }
+ *       404: { description: Session not found }
+ *       409: { description: Already checked in, or the session is cancelled/closed, or the group is archived }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/check-out:
+ *   post:
+ *     summary: Check out of a session
+ *     description: >
+ *       The time between check-in and check-out is added to my user_progress hours for that day.
+ *       Time after CHECKIN_GRACE_MINUTES past the session's end is not counted.
+ *     tags: [Attendance]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Checked out; minutes attended returned }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Session not found }
+ *       409: { description: Not checked in, or the session is cancelled/closed }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/close:
+ *   post:
+ *     summary: Close out a session (creator only)
+ *     description: Records whether the content goal was met and checks out anyone still checked in.
+ *     tags: [Attendance]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content_goal_met]
+ *             properties:
+ *               content_goal_met: { type: boolean }
+ *               notes: { type: string }
+ *     responses:
+ *       200: { description: Session closed; attendance returned }
+ *       400: { description: content_goal_met is required }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the creator can close }
+ *       404: { description: Session not found }
+ *       409: { description: Already closed, cancelled, or not started yet }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/attendance:
+ *   get:
+ *     summary: Check-ins for a session
+ *     tags: [Attendance]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Attendance returned }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Session not found }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireGroupMember, isGroupArchived } from "../utils/membership.js";
+import { attendanceWindow, checkOut } from "../utils/attendance.js";
+
+const router = express.Router();
+
+async function loadSession(groupId, sessionId) {
+  const { data, error } = await supabase
+    .from("sessions")
+    .select("id, group_id, creator_id, start_at, time_goal_minutes, content_goal, cancelled_at, closed_at")
+    .eq("id", sessionId)
+    .eq("group_id", groupId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function attendanceRow(sessionId, userId) {
+  const { data, error } = await supabase
+    .from("session_attendance")
+    .select("*")
+    .eq("session_id", sessionId)
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+router.post("/groups/:groupId/sessions/:sessionId/check-in", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    const session = await loadSession(groupId, sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.cancelled_at) return res.status(409).json({ error: "Session has been cancelled" });
+    if (session.closed_at) return res.status(409).json({ error: "Session is closed" });
+
+    if (session.creator_id !== user.id) {
+      const { data: invite, error: iErr } = await supabase
+        .from("session_invites")
+        .select("status")
+        .eq("session_id", sessionId)
+        .eq("user_id", user.id)
+        .maybeSingle();
+      if (iErr) throw iErr;
+      if (invite?.status !== "accepted") {
+        return res.status(403).json({ error: "Only attendees who accepted can check in" });
+      }
+    }
+
+    const { opensAt, closesAt } = attendanceWindow(session);
+    if (Date.now() < opensAt) return res.status(400).json({ error: "Check-in has not opened yet" });
+    if (Date.now() > closesAt) return res.status(400).json({ error: "Check-in has closed" });
+
+    const existing = await attendanceRow(sessionId, user.id);
+    if (existing) return res.status(409).json({ error: "Already checked in" });
+
+    const { data, error } = await supabase
+      .from("session_attendance")
+      .insert([{ session_id: session.id, user_id: user.id, checked_in_at: new Date().toISOString() }])
+      .select("*")
+      .single();
+    if (error) throw error;
+    res.json({ attendance: data });
+  } catch (e) { next(e); }
+});
+
+router.post("/groups/:groupId/sessions/:sessionId/check-out", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const session = await loadSession(groupId, sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.cancelled_at) return res.status(409).json({ error: "Session has been cancelled" });
+    if (session.closed_at) return res.status(409).json({ error: "Session is closed" });
+
+    const row = await attendanceRow(sessionId, user.id);
+    if (!row) return res.status(409).json({ error: "Not checked in" });
+    if (row.checked_out_at) return res.status(409).json({ error: "Already checked out" });
+
+    const attendance = await checkOut(row, session);
+    if (!attendance) return res.status(409).json({ error: "Not checked in" });
+    res.json({ attendance });
+  } catch (e) { next(e); }
+});
+
+router.post("/groups/:groupId/sessions/:sessionId/close", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
+    const { content_goal_met, notes } = req.body || {};
+
+    if (typeof content_goal_met !== "boolean") {
+      return res.status(400).json({ error: "content_goal_met (boolean) is required" });
+    }
+
+    const isMember = await requireGroupMember(groupId, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const session = await loadSession(groupId, sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can close" });
+    if (session.cancelled_at) return res.status(409).json({ error: "Session has been cancelled" });
+    if (session.closed_at) return res.status(409).json({ error: "Session is already closed" });
+    if (new Date(session.start_at) > new Date()) return res.status(409).json({ error: "Session has not started yet" });
+
+    const closedAt = new Date();
+    const { data: closed, error } = await supabase
+      .from("sessions")
+      .update({
+        closed_at: closedAt.toISOString(),
+        closed_by: user.id,
+        content_goal_met,
+        close_notes: notes || null,
+      })
+      .eq("id", sessionId)
+      .select("*")
+      .single();
+    if (error) throw error;
+
+    // Anyone who forgot to check out is checked out at close time
+    const { data: rows, error: aErr } = await supabase
+      .from("session_attendance")
+      .select("*")
+      .eq("session_id", sessionId);
+    if (aErr) throw aErr;
+
+    const attendance = [];
+    for (const row of rows || []) {
+      attendance.push(row.checked_out_at ? row : (await checkOut(row, session, closedAt)) || row);
+    }
+
+    res.json({ session: closed, attendance });
+  } catch (e) { next(e); }
+});
+
+router.get("/groups/:groupId/sessions/:sessionId/attendance", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const session = await loadSession(groupId, sessionId);
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const { data, error } = await supabase
+      .from("session_attendance")
+      .select("user_id, checked_in_at, checked_out_at, minutes")
+      .eq("session_id", sessionId)
+      .order("checked_in_at", { ascending: true });
+    if (error) throw error;
+
+    res.json({ attendance: data || [] });
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -0,0 +1,260 @@
+// src/routes/calendar.js
+/**
+ * @openapi
+ * /api/calendar/token:
+ *   post:
+ *     summary: Create (or rotate) my secret calendar feed token
+ *     description: |
+ *       Returns the feed URLs to paste into Google Calendar or Outlook. The token is
+ *       shown once; calling this again replaces it and stops the old URLs working.
+ *     tags: [Calendar]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: Token and feed URLs returned }
+ *       401: { description: Unauthorized }
+ *   delete:
+ *     summary: Revoke my calendar feed token
+ *     tags: [Calendar]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: Token revoked }
+ *       401: { description: Unauthorized }
+ */
+
+/**
+ * @openapi
+ * /api/calendar/{token}/personal.ics:
+ *   get:
+ *     summary: My calendar feed (accepted and own sessions plus upcoming tests)
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar: { schema: { type: string } }
+ *       404: { description: Feed not found }
+ */
+
+/**
+ * @openapi
+ * /api/calendar/{token}/groups/{groupId}.ics:
+ *   get:
+ *     summary: Calendar feed of a group's sessions
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         schema: { type: string }
+ *         required: true
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar: { schema: { type: string } }
+ *       403: { description: Not a group member }
+ *       404: { description: Feed not found }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/event.ics:
+ *   get:
+ *     summary: Download one session as an .ics file
+ *     tags: [Calendar]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: iCalendar file
+ *         content:
+ *           text/calendar: { schema: { type: string } }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Session not found }
+ */
+
+import crypto from "crypto";
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireGroupMember } from "../utils/membership.js";
+import { buildCalendar, sessionEvent, testEvent } from "../utils/ical.js";
+
+const router = express.Router();
+
+// calendar_feed_tokens: user_id (unique), token_hash, created_at. Only the hash is stored.
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Feeds keep a month of past sessions so recent history doesn't vanish from calendars
+const PAST_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const feedBase = () => `https://${process.env.BACKEND_URL}/api/calendar`;
+
+async function feedUser(token) {
+  const { data, error } = await supabase
+    .from("calendar_feed_tokens")
+    .select("user_id")
+    .eq("token_hash", hashToken(token))
+    .maybeSingle();
+  if (error) throw error;
+  return data?.user_id || null;
+}
+
+async function groupNames(ids) {
+  if (!ids.length) return {};
+  const { data, error } = await supabase.from("groups").select("id, name").in("id", ids);
+  if (error) throw error;
+  return Object.fromEntries((data || []).map(g => [g.id, g.name]));
+}
+
+function sendCalendar(res, body, filename) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+router.post("/calendar/token", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const token = crypto.randomBytes(24).toString("base64url");
+
+    const { error } = await supabase
+      .from("calendar_feed_tokens")
+      .upsert(
+        { user_id: user.id, token_hash: hashToken(token), created_at: new Date().toISOString() },
+        { onConflict: "user_id" }
+      );
+    if (error) throw error;
+
+    res.json({
+      token,
+      personal_url: `${feedBase()}/${token}/personal.ics`,
+      group_url_template: `${feedBase()}/${token}/groups/{groupId}.ics`,
+    });
+  } catch (e) { next(e); }
+});
+
+router.delete("/calendar/token", requireAuth(), async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from("calendar_feed_tokens")
+      .delete()
+      .eq("user_id", req.user.id);
+    if (error) throw error;
+    res.json({ message: "Calendar feed revoked" });
+  } catch (e) { next(e); }
+});
+
+router.get("/calendar/:token/personal.ics", async (req, res, next) => {
+  try {
+    const userId = await feedUser(req.params.token);
+    if (!userId) return res.status(404).json({ error: "Feed not found" });
+
+    const since = new Date(Date.now() - PAST_DAYS * DAY_MS).toISOString();
+
+    const { data: accepted, error: aErr } = await supabase
+      .from("session_invites")
+      .select("session_id")
+      .eq("user_id", userId)
+      .eq("status", "accepted");
+    if (aErr) throw aErr;
+    const ids = (accepted || []).map(a => a.session_id);
+
+    const sessions = [];
+    if (ids.length) {
+      const { data, error } = await supabase
+        .from("sessions").select("*").in("id", ids).gte("start_at", since);
+      if (error) throw error;
+      sessions.push(...(data || []));
+    }
+
+    // Creators have no invite for their own sessions
+    const { data: own, error: oErr } = await supabase
+      .from("sessions").select("*").eq("creator_id", userId).gte("start_at", since);
+    if (oErr) throw oErr;
+    for (const s of own || []) {
+      if (!sessions.some(x => x.id === s.id)) sessions.push(s);
+    }
+
+    const { data: tests, error: tErr } = await supabase
+      .from("tests")
+      .select("*")
+      .eq("user_id", userId)
+      .gte("test_date", new Date().toISOString());
+    if (tErr) throw tErr;
+
+    const names = await groupNames([...new Set(sessions.map(s => s.group_id))]);
+    const events = [
+      ...sessions.map(s => sessionEvent(s, { groupName: names[s.group_id] })),
+      ...(tests || []).map(t => testEvent(t)),
+    ];
+    sendCalendar(res, buildCalendar({ name: "LockedIn", events }));
+  } catch (e) { next(e); }
+});
+
+router.get("/calendar/:token/groups/:groupId.ics", async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    const userId = await feedUser(req.params.token);
+    if (!userId) return res.status(404).json({ error: "Feed not found" });
+
+    const isMember = await requireGroupMember(groupId, userId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const since = new Date(Date.now() - PAST_DAYS * DAY_MS).toISOString();
+    const { data: sessions, error } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("group_id", groupId)
+      .gte("start_at", since)
+      .order("start_at", { ascending: true });
+    if (error) throw error;
+
+    const names = await groupNames([groupId]);
+    const groupName = names[groupId] || "Study group";
+    const events = (sessions || []).map(s => sessionEvent(s, { groupName }));
+    sendCalendar(res, buildCalendar({ name: `LockedIn - ${groupName}`, events }));
+  } catch (e) { next(e); }
+});
+
+router.get("/groups/:groupId/sessions/:sessionId/event.ics", requireAuth(), async (req, res, next) => {
+  try {
+    const { groupId, sessionId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, req.user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const { data: session, error } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("id", sessionId)
+      .eq("group_id", groupId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const names = await groupNames([groupId]);
+    const events = [sessionEvent(session, { groupName: names[groupId] })];
+    sendCalendar(res, buildCalendar({ events }), `session-${session.id}.ics`);
+  } catch (e) { next(e); }
+});
+
+export default router;
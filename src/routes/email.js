@@ -1,6 +1,30 @@
 // src/routes/email.js
 import express from "express";
-import fetch from 'node-fetch';
+import crypto from "crypto";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth, optionalAuth, requireAdmin, requirePartner } from "../middleware/auth.js";
+import { devOnly } from "../middleware/devOnly.js";
+import { emailService } from "../utils/email.js";
+import { OUTBOX_STATUSES } from "../utils/outbox.js";
+import { setRateLimitHeaders } from "../utils/rateLimit.js";
+import {
+  checkPartnerSend,
+  logSend,
+  suppress,
+  unsuppress,
+  parseBounceEvent,
+  normaliseEmail,
+  SUPPRESSION_REASONS,
+} from "../utils/emailProtection.js";
+import {
+  BUILT_IN_TEMPLATES,
+  isBuiltInTemplate,
+  renderBuiltIn,
+  renderTemplate,
+  validateTemplate,
+  checkLinks,
+  TemplateError,
+} from "../utils/emailTemplates.js";
 
 const router = express.Router();
 
@@ -19,6 +43,14 @@ const router = express.Router();
  *           type: string
  *           format: email
  *           example: "user@example.com"
+ *         template:
+ *           type: string
+ *           default: "message"
+ *           description: "Built-in template (see GET /api/email/templates) or one registered by your partner key"
+ *           example: "message"
+ *         variables:
+ *           type: object
+ *           description: "Template variables; top-level fields are used as variables too"
  *         subject:
  *           type: string
  *           example: "Study Session Invitation"
@@ -46,7 +78,15 @@ const router = express.Router();
  *         organizer:
  *           type: string
  *           example: "Math Department"
- *         # Note: action_url and support_url are now fixed to RaceIQ URLs
+ *         action_url:
+ *           type: string
+ *           description: "Adds a button linking here"
+ *         action_label:
+ *           type: string
+ *           example: "Open"
+ *         from_name:
+ *           type: string
+ *           example: "Physics Club"
  *     EmailResponse:
  *       type: object
  *       properties:
@@ -65,22 +105,15 @@ const router = express.Router();
  *         service:
  *           type: string
  *           example: "emailjs"
+ *         template:
+ *           type: string
+ *           example: "message"
  *         template_params:
  *           type: object
- *           description: "The actual template parameters sent to EmailJS"
+ *           description: "The variables the template was rendered with"
  *           example:
- *             name: "John Doe"
- *             topic: "Mathematics Study Group"
- *             session_time: "2024-01-20 14:00"
- *             venue: "Library Room 301"
- *             time_goal: "120 minutes"
- *             content_goal: "Complete calculus chapter 5 exercises"
- *             organizer: "Race IQ Team"
- *             action_url: "https://race-iq.vercel.app"
- *             support_url: "https://race-iq.vercel.app"
- *         note:
- *           type: string
- *           example: "Sent using invitation template layout"
+ *             recipient_name: "John Doe"
+ *             message: "See you at the library"
  *     ErrorResponse:
  *       type: object
  *       properties:
@@ -95,112 +128,28 @@ const router = express.Router();
  *           description: "Template parameters that were attempted"
  */
 
-// Email service setup
-let emailService;
-
-if (process.env.NODE_ENV === "test") {
-  console.log("Test environment: Email functionality disabled");
-  emailService = {
-    sendEmail: async (to, subject, html, text, templateData = {}) => {
-      console.log("[Mock email] sendEmail called to:", to);
-      return Promise.resolve({ 
-        success: true,
-        to: to,
-        subject: subject,
-        service: "emailjs",
-        message: "Email sent successfully (mock)"
-      });
-    }
-  };
-} else {
-  // Production: Use existing invitation template with dynamic content
-  emailService = {
-    sendEmail: async (to, subject, html, text, templateData = {}) => {
-      try {
-        console.log(`📧 Sending email to: ${to}`);
-
-        if (!process.env.EMAILJS_SERVICE_ID || !process.env.EMAILJS_USER_ID || !process.env.EMAILJS_INVITATION_TEMPLATE_ID) {
-          console.error('❌ Missing EmailJS environment variables');
-          return { 
-            error: 'EmailJS configuration incomplete - check environment variables',
-            success: false
-          };
-        }
-
-        // Use the existing invitation template but make everything dynamic
-        const templateParams = {
-          name: templateData.name || to.split('@')[0],
-          topic: templateData.topic || subject || 'Message from LockedIn',
-          session_time: templateData.session_time ||'',
-          venue: templateData.venue || 'LockedIn Team',
-          time_goal: templateData.time_goal || '',
-          content_goal: templateData.content_goal ||'',
-          organizer: 'Race IQ Team',
-          action_url: 'https://race-iq.vercel.app',
-          support_url: 'https://race-iq.vercel.app',
-          email: to
-        };
-
-        console.log(`📤 Sending email using invitation template`);
-
-        // FIX: Add proper headers to bypass browser-only restriction
-        const emailjsResponse = await fetch('https://api.emailjs.com/api/v1.0/email/send', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Origin': 'https://lockedin-wits.vercel.app',
-          },
-          body: JSON.stringify({
-            service_id: process.env.EMAILJS_SERVICE_ID,
-            template_id: process.env.EMAILJS_INVITATION_TEMPLATE_ID, // Use existing template
-            user_id: process.env.EMAILJS_USER_ID,
-            template_params: templateParams
-          })
-        });
-
-        const responseText = await emailjsResponse.text();
-        
-        let result;
-        try {
-          result = JSON.parse(responseText);
-        } catch (parseError) {
-          if (responseText === 'OK' || responseText.trim() === 'OK') {
-            result = { status: 'success', message: 'Email sent successfully' };
-          } else {
-            throw new Error(`EmailJS returned: ${responseText}`);
-          }
-        }
-
-        if (!emailjsResponse.ok) {
-          throw new Error(`EmailJS API error: ${emailjsResponse.status} - ${JSON.stringify(result)}`);
-        }
-
-        console.log(`✅ Email sent successfully to: ${to}`);
-        return { 
-          success: true, 
-          service: 'emailjs',
-          response: result
-        };
-        
-      } catch (error) {
-        console.error(`❌ Failed to send email to ${to}:`, error.message);
-        return { 
-          success: false,
-          error: `Email service failed: ${error.message}`
-        };
-      }
-    }
-  };
-}
-
-// Safe email function
+// Public API emails arrive already rendered; "message" tells EmailJS (legacy templates) how to map them
 async function sendEmailSafe(to, subject, html, text, templateData = {}) {
-  return await emailService.sendEmail(to, subject, html, text, templateData);
+  return await emailService.sendEmail(to, subject, html, text, "message", templateData);
 }
 
 
 
+/** The calling partner's own template of that name, otherwise the built-in one */
+async function resolveTemplate(name, partner) {
+  if (partner) {
+    const { data, error } = await supabase
+      .from("email_templates")
+      .select("name, subject, html, text, sample")
+      .eq("key_id", partner.id)
+      .eq("name", name)
+      .maybeSingle();
+    if (error) throw error;
+    if (data) return data;
+  }
+  return isBuiltInTemplate(name) ? BUILT_IN_TEMPLATES[name] : null;
+}
+
 // Export for potential reuse
 export { emailService, sendEmailSafe };
 
@@ -240,19 +189,18 @@ router.get("/health", (req, res) => {
  * @openapi
  * /api/email/send:
  *   post:
- *     summary: Send an email using RaceIQ's invitation template
+ *     summary: Send an email rendered from a template
  *     description: |
- *       Public API endpoint for external teams to send emails using the RaceIQ invitation template layout.
- *       All dynamic template parameters are supported and will be mapped to the EmailJS template variables.
- *       
- *       **Fixed URLs**: action_url and support_url are now fixed to RaceIQ URLs for consistency.
- *       
- *       **Template Mapping**:
- *       - `recipient_name` → `name` in template
- *       - `topic` or `subject` → `topic` in template  
- *       - `content_goal` or `message` → `content_goal` in template
- *       - Additional parameters are passed directly to template
+ *       Renders `template` (default `message`) with the request's variables and sends it.
+ *       Values are HTML-escaped. The `message` template needs `subject` and `message`;
+ *       other built-in templates supply their own subject, and the partner's own
+ *       templates can be used too.
+ *
+ *       Needs an `x-partner-key` with scope `email:send`. Sends are limited per key
+ *       per minute, per recipient per hour and per key per UTC day, and recipients
+ *       must pass the allow/deny lists and not be on the suppression list.
  *     tags: [Email]
+ *     security: [{ partnerKey: [] }]
  *     requestBody:
  *       required: true
  *       content:
@@ -273,6 +221,15 @@ router.get("/health", (req, res) => {
  *                 time_goal: "90 minutes"
  *                 content_goal: "Complete quantum mechanics problem set"
  *                 organizer: "Physics Club"
+ *             groupInvite:
+ *               summary: Built-in template
+ *               value:
+ *                 to: "student@example.com"
+ *                 template: "group_invite"
+ *                 variables:
+ *                   recipient_name: "Jane Smith"
+ *                   inviter_name: "Sam"
+ *                   group_name: "Physics Study Group"
  *             minimal:
  *               summary: Minimal Required Fields
  *               value:
@@ -292,6 +249,16 @@ router.get("/health", (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Missing or invalid partner key
+ *       403:
+ *         description: Key lacks the email:send scope, or the recipient is refused by the allow/deny lists
+ *       409:
+ *         description: The recipient is suppressed (bounce or complaint) or has turned these emails off
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -299,29 +266,14 @@ router.get("/health", (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/send", async (req, res) => {
+router.post("/send", requirePartner("email:send"), async (req, res) => {
   try {
-    const { 
-      to, 
-      subject, 
-      message, 
-      recipient_name, 
-      from_name, 
-      action_url, 
-      support_url,
-      // Template-specific parameters that match your EmailJS template
-      topic,
-      session_time, 
-      venue, 
-      time_goal, 
-      content_goal,
-      organizer,
-      // Catch all other dynamic parameters
-      ...otherParams 
-    } = req.body;
+    // Top-level fields (subject, message, recipient_name, …) and `variables` both feed the template
+    const { to, template: templateName = "message", variables = {}, ...fields } = req.body || {};
+    const vars = { ...fields, ...variables };
 
     // Validate required fields
-    if (!to || !subject || !message) {
+    if (!to || (templateName === "message" && (!vars.subject || !vars.message))) {
       return res.status(400).json({
         success: false,
         error: "Missing required fields: to, subject, message"
@@ -337,27 +289,59 @@ router.post("/send", async (req, res) => {
       });
     }
 
-    console.log(`📧 Public API: Sending email to ${to}`);
+    const template = await resolveTemplate(templateName, req.partner);
+    if (!template) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown template "${templateName}"`
+      });
+    }
 
-    // Use the same template parameter structure as emailJS-test
-    const templateParams = {
-      name: recipient_name || to.split('@')[0],
-      topic: topic || subject, // Use topic if provided, otherwise fall back to subject
-      session_time: session_time || '',
-      venue: venue || '',
-      time_goal: time_goal || '',
-      content_goal: content_goal || message, // Use message as content_goal if not provided
-      organizer:  'Race IQ Team',
-      action_url:  'https://race-iq.vercel.app',
-      support_url:  'https://race-iq.vercel.app',
-      email: to,
-      // Include any additional dynamic parameters from other teams
-      ...otherParams
-    };
+    try {
+      checkLinks(vars);
+    } catch (e) {
+      if (e instanceof TemplateError) return res.status(400).json({ success: false, error: e.message });
+      throw e;
+    }
+
+    const rendered = renderTemplate(template, vars);
+    const subject = fields.subject || rendered.subject;
+    if (!subject) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required fields: subject"
+      });
+    }
+
+    const refused = await checkPartnerSend(req.partner, to);
+    if (refused) {
+      if (refused.rate) setRateLimitHeaders(res, refused.rate);
+      return res.status(refused.status).json({
+        success: false,
+        error: refused.error
+      });
+    }
 
-    console.log(`📤 Sending email using invitation template with params:`, templateParams);
+    console.log(`📧 Public API: ${req.partner.name} sending "${templateName}" email to ${to}`);
+
+    const result = await sendEmailSafe(to, subject, rendered.html, rendered.text, vars);
+    await logSend({
+      partner: req.partner,
+      to,
+      subject,
+      template: templateName,
+      status: result.skipped ? "skipped" : result.success ? "sent" : "failed"
+    });
 
-    const result = await sendEmailSafe(to, subject, message, message, templateParams);
+    if (result.skipped) {
+      return res.status(409).json({
+        success: false,
+        error: result.reason === "suppressed"
+          ? "Recipient address is suppressed"
+          : "Recipient has unsubscribed from these emails",
+        to: to
+      });
+    }
 
     if (result.success) {
       res.json({
@@ -366,15 +350,15 @@ router.post("/send", async (req, res) => {
         to: to,
         subject: subject,
         service: result.service,
-        template_params: templateParams, // Return the template params for debugging
-        note: "Sent using invitation template layout"
+        template: templateName,
+        template_params: vars
       });
     } else {
       res.status(500).json({
         success: false,
         error: result.error || "Failed to send email",
         to: to,
-        template_params: templateParams // Include template params in error for debugging
+        template_params: vars
       });
     }
 
@@ -391,15 +375,16 @@ router.post("/send", async (req, res) => {
  * @openapi
  * /api/email/test:
  *   post:
- *     summary: Test email sending functionality
- *     description: Send a test email to verify the service is working
+ *     summary: Test email sending functionality (development only)
+ *     description: Send a test email to verify the service is working. Answers 404 unless NODE_ENV is development.
  *     tags: [Email]
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required: [to]
  *             properties:
  *               to:
  *                 type: string
@@ -412,6 +397,10 @@ router.post("/send", async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/EmailResponse'
+ *       400:
+ *         description: Missing recipient
+ *       404:
+ *         description: Not available outside development
  *       500:
  *         description: Failed to send test email
  *         content:
@@ -419,28 +408,33 @@ router.post("/send", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post("/test", async (req, res) => {
+router.post("/test", devOnly(), async (req, res) => {
   try {
-    const testEmail = req.body.to || 'njam.arshia@gmail.com';
-    
-    const result = await sendEmailSafe(
-      testEmail,
-      'Test Email from LockedIn Public API',
-      'This is a test email sent through the public API endpoint.',
-      'This is a test email sent through the public API endpoint.',
-      {
-        recipient_name: "Test User",
-        from_name: "LockedIn API",
-        message: "This email confirms that the public email API is working correctly. The message content appears in the 'content_goal' section of the invitation template."
-      }
-    );
+    const testEmail = req.body?.to;
+    if (!testEmail) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required field: to"
+      });
+    }
+    const rendered = renderBuiltIn("message", {
+      subject: "Test Email from LockedIn Public API",
+      recipient_name: "Test User",
+      from_name: "LockedIn API",
+      message: "This email confirms that the public email API is working correctly."
+    });
+
+    const result = await sendEmailSafe(testEmail, rendered.subject, rendered.html, rendered.text, {
+      recipient_name: "Test User",
+      from_name: "LockedIn API"
+    });
 
     if (result.success) {
       res.json({
         success: true,
         message: "Test email sent successfully",
         to: testEmail,
-        note: "Uses invitation template layout"
+        template: "message"
       });
     } else {
       res.status(500).json({
@@ -458,23 +452,22 @@ router.post("/test", async (req, res) => {
   }
 });
 
-// In your email.js file, update the /emailJS-test endpoint:
-
 /**
  * @openapi
  * /api/email/emailJS-test:
  *   get:
- *     summary: Test EmailJS integration with invitation template
- *     description: Send a test email using the invitation template with query parameters
+ *     summary: Test EmailJS integration with invitation template (development only)
+ *     description: Send a test email using the invitation template with query parameters. Answers 404 unless NODE_ENV is development.
  *     tags: [Email]
  *     parameters:
  *       - in: query
  *         name: email
+ *         required: true
  *         schema:
  *           type: string
  *           format: email
  *         description: Recipient email address
- *         example: "njam.arshia@gmail.com"
+ *         example: "test@example.com"
  *       - in: query
  *         name: type
  *         schema:
@@ -504,6 +497,10 @@ router.post("/test", async (req, res) => {
  *                 timestamp:
  *                   type: string
  *                   format: date-time
+ *       400:
+ *         description: Missing recipient
+ *       404:
+ *         description: Not available outside development
  *       500:
  *         description: Failed to send test email
  *         content:
@@ -511,9 +508,15 @@ router.post("/test", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get("/emailJS-test", async (req, res) => {
+router.get("/emailJS-test", devOnly(), async (req, res) => {
   try {
-    const testEmail = req.query.email || 'njam.arshia@gmail.com';
+    const testEmail = req.query.email;
+    if (!testEmail) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required query parameter: email"
+      });
+    }
     const testType = req.query.type || 'invitation';
     
     console.log(`🧪 Testing EmailJS ${testType} template to: ${testEmail}`);
@@ -534,77 +537,28 @@ router.get("/emailJS-test", async (req, res) => {
 
     console.log(`📤 Sending ${testType} test email with invitation template`);
 
-    // FIX: Use the emailService in test environment, direct EmailJS call in production
-    if (process.env.NODE_ENV === "test") {
-      console.log("📧 Using mock email service for testing");
-      const result = await sendEmailSafe(
-        testEmail,
-        `${testType.charAt(0).toUpperCase() + testType.slice(1)} Test from LockedIn`,
-        `This is a test ${testType} email to verify EmailJS integration with the invitation template.`,
-        `This is a test ${testType} email to verify EmailJS integration with the invitation template.`,
-        templateParams
-      );
-
-      if (result.success) {
-        res.json({ 
-          success: true, 
-          message: `${testType} test email sent to ${testEmail}`,
-          to: testEmail,
-          type: testType,
-          service: 'emailjs',
-          timestamp: new Date().toISOString()
-        });
-      } else {
-        res.status(500).json({ 
-          success: false, 
-          error: `Test failed: ${result.error}`
-        });
-      }
-    } else {
-      // Production: Direct EmailJS call with proper headers
-      const emailjsResponse = await fetch('https://api.emailjs.com/api/v1.0/email/send', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-          'Origin': 'https://lockedin-wits.vercel.app',
-        },
-        body: JSON.stringify({
-          service_id: process.env.EMAILJS_SERVICE_ID,
-          template_id: process.env.EMAILJS_INVITATION_TEMPLATE_ID, // Always use invitation template
-          user_id: process.env.EMAILJS_USER_ID,
-          template_params: templateParams
-        })
-      });
-
-      // Use the same response handling as your main email service
-      const responseText = await emailjsResponse.text();
-      
-      let result;
-      try {
-        result = JSON.parse(responseText);
-      } catch (parseError) {
-        if (responseText === 'OK' || responseText.trim() === 'OK') {
-          result = { status: 'success', message: 'Email sent successfully' };
-        } else {
-          throw new Error(`EmailJS returned: ${responseText}`);
-        }
-      }
-
-      if (!emailjsResponse.ok) {
-        throw new Error(`EmailJS API error: ${emailjsResponse.status} - ${JSON.stringify(result)}`);
-      }
+    const result = await sendEmailSafe(
+      testEmail,
+      `${testType.charAt(0).toUpperCase() + testType.slice(1)} Test from LockedIn`,
+      `This is a test ${testType} email to verify EmailJS integration with the invitation template.`,
+      `This is a test ${testType} email to verify EmailJS integration with the invitation template.`,
+      templateParams
+    );
 
-      console.log(`✅ ${testType} test email sent successfully to: ${testEmail}`);
-      
+    if (result.success) {
       res.json({ 
         success: true, 
         message: `${testType} test email sent to ${testEmail}`,
         to: testEmail,
         type: testType,
-        service: 'emailjs',
+        service: result.service,
         timestamp: new Date().toISOString()
       });
+    } else {
+      res.status(500).json({ 
+        success: false, 
+        error: `Test failed: ${result.error}`
+      });
     }
     
   } catch (error) {
@@ -616,4 +570,460 @@ router.get("/emailJS-test", async (req, res) => {
   }
 });
 
-export default router;
\ No newline at end of file
+/**
+ * @openapi
+ * components:
+ *   schemas:
+ *     EmailTemplate:
+ *       type: object
+ *       properties:
+ *         name: { type: string, example: "group_invite" }
+ *         source: { type: string, enum: [built-in, partner] }
+ *         description: { type: string }
+ *         subject: { type: string, example: "👥 You're invited to join {{group_name}}" }
+ *         variables: { type: array, items: { type: string } }
+ *         updated_at: { type: string, format: date-time, nullable: true }
+ */
+
+/**
+ * @openapi
+ * /api/email/templates:
+ *   get:
+ *     summary: List email templates
+ *     description: Built-in templates, plus your own when called with an `x-partner-key` (scope `email:templates`).
+ *     tags: [Email]
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 templates:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/EmailTemplate' }
+ */
+
+/**
+ * @openapi
+ * /api/email/templates/{name}:
+ *   put:
+ *     summary: Register or replace a partner template
+ *     description: |
+ *       Templates use `{{variable}}`, `{{#variable}}…{{/variable}}` (shown when set, repeated for lists)
+ *       and `{{^variable}}…{{/variable}}` (shown when empty). Values are HTML-escaped. `html` is the
+ *       body; it is wrapped in the standard LockedIn layout. Built-in names can't be reused.
+ *     tags: [Email]
+ *     security: [{ partnerKey: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string, pattern: "^[a-z0-9][a-z0-9_-]{0,49}$" }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, html]
+ *             properties:
+ *               subject: { type: string }
+ *               html: { type: string }
+ *               text: { type: string, description: "Plain-text part; derived from html when omitted" }
+ *               sample: { type: object, description: "Variables used by the preview endpoint" }
+ *     responses:
+ *       200: { description: Template saved }
+ *       400: { description: Invalid template }
+ *       401: { description: Unauthorized }
+ *       403: { description: Partner key required }
+ *       409: { description: Name belongs to a built-in template }
+ *   delete:
+ *     summary: Delete a partner template
+ *     tags: [Email]
+ *     security: [{ partnerKey: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Template deleted }
+ *       403: { description: Partner key required }
+ *       404: { description: Template not found }
+ */
+
+/**
+ * @openapi
+ * /api/email/templates/{name}/preview:
+ *   get:
+ *     summary: Preview a template with its sample variables
+ *     description: Query parameters override sample variables.
+ *     tags: [Email]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [html, text, json], default: html }
+ *     responses:
+ *       200: { description: Rendered template }
+ *       404: { description: Template not found }
+ *   post:
+ *     summary: Preview a template with your own variables
+ *     tags: [Email]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables: { type: object }
+ *     responses:
+ *       200:
+ *         description: Rendered subject, html and text
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 subject: { type: string }
+ *                 html: { type: string }
+ *                 text: { type: string }
+ *       404: { description: Template not found }
+ */
+
+const templateVariables = (sample) => Object.keys(sample || {});
+
+router.get("/templates", optionalAuth({ partner: "email:templates" }), async (req, res, next) => {
+  try {
+    const templates = Object.entries(BUILT_IN_TEMPLATES).map(([name, t]) => ({
+      name,
+      source: "built-in",
+      description: t.description,
+      subject: t.subject,
+      variables: templateVariables(t.sample),
+    }));
+
+    if (req.partner) {
+      const { data, error } = await supabase
+        .from("email_templates")
+        .select("name, subject, sample, updated_at")
+        .eq("key_id", req.partner.id)
+        .order("name", { ascending: true });
+      if (error) throw error;
+      for (const t of data || []) {
+        templates.push({ name: t.name, source: "partner", subject: t.subject, variables: templateVariables(t.sample), updated_at: t.updated_at });
+      }
+    }
+
+    res.json({ templates });
+  } catch (e) { next(e); }
+});
+
+router.put("/templates/:name", requireAuth({ partner: "email:templates" }), async (req, res, next) => {
+  try {
+    if (!req.partner) return res.status(403).json({ error: "Partner key required" });
+
+    const { name } = req.params;
+    const { subject, html, text, sample } = req.body || {};
+    if (isBuiltInTemplate(name)) return res.status(409).json({ error: `"${name}" is a built-in template` });
+    try {
+      validateTemplate({ name, subject, html, text, sample });
+    } catch (err) {
+      if (err instanceof TemplateError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+    if (sample !== undefined && (typeof sample !== "object" || Array.isArray(sample) || sample === null)) {
+      return res.status(400).json({ error: "sample must be an object" });
+    }
+
+    const { data, error } = await supabase
+      .from("email_templates")
+      .upsert({
+        key_id: req.partner.id,
+        partner_name: req.partner.name,
+        name,
+        subject,
+        html,
+        text: text || null,
+        sample: sample || {},
+        updated_at: new Date().toISOString(),
+      }, { onConflict: "key_id,name" })
+      .select("name, subject, html, text, sample, updated_at")
+      .single();
+    if (error) throw error;
+
+    res.json({ template: data });
+  } catch (e) { next(e); }
+});
+
+router.delete("/templates/:name", requireAuth({ partner: "email:templates" }), async (req, res, next) => {
+  try {
+    if (!req.partner) return res.status(403).json({ error: "Partner key required" });
+
+    const { data, error } = await supabase
+      .from("email_templates")
+      .delete()
+      .eq("key_id", req.partner.id)
+      .eq("name", req.params.name)
+      .select("name")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Template not found" });
+
+    res.json({ message: "Template deleted" });
+  } catch (e) { next(e); }
+});
+
+router.get("/templates/:name/preview", optionalAuth({ partner: "email:templates" }), async (req, res, next) => {
+  try {
+    const template = await resolveTemplate(req.params.name, req.partner);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    const { format = "html", ...overrides } = req.query;
+    const rendered = renderTemplate(template, { ...template.sample, ...overrides });
+
+    if (format === "text") return res.type("text/plain").send(rendered.text);
+    if (format === "json") return res.json(rendered);
+    res.type("html").send(rendered.html);
+  } catch (e) { next(e); }
+});
+
+router.post("/templates/:name/preview", optionalAuth({ partner: "email:templates" }), async (req, res, next) => {
+  try {
+    const template = await resolveTemplate(req.params.name, req.partner);
+    if (!template) return res.status(404).json({ error: "Template not found" });
+
+    const { variables } = req.body || {};
+    res.json(renderTemplate(template, variables || template.sample || {}));
+  } catch (e) { next(e); }
+});
+
+/**
+ * @openapi
+ * /api/email/outbox:
+ *   get:
+ *     summary: Outbound email queue status (admin only)
+ *     description: |
+ *       Counts per status plus the most recent queued emails. Emails that failed
+ *       EMAIL_MAX_ATTEMPTS times are marked failed and kept with their last error.
+ *     tags: [Email]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, skipped, failed]
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50, maximum: 200 }
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 counts:
+ *                   type: object
+ *                   example: { pending: 3, sending: 0, sent: 120, skipped: 2, failed: 1 }
+ *                 emails:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id: { type: integer }
+ *                       to_email: { type: string }
+ *                       subject: { type: string }
+ *                       email_type: { type: string }
+ *                       status: { type: string }
+ *                       attempts: { type: integer }
+ *                       next_attempt_at: { type: string, format: date-time }
+ *                       last_error: { type: string, nullable: true }
+ *                       provider: { type: string, nullable: true }
+ *                       sent_at: { type: string, format: date-time, nullable: true }
+ *                       created_at: { type: string, format: date-time }
+ *       400: { description: Unknown status }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ */
+router.get("/outbox", requireAdmin(), async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    if (status && !OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${OUTBOX_STATUSES.join(", ")}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const counts = {};
+    for (const s of OUTBOX_STATUSES) {
+      const { count, error } = await supabase
+        .from("email_outbox")
+        .select("id", { count: "exact", head: true })
+        .eq("status", s);
+      if (error) throw error;
+      counts[s] = count || 0;
+    }
+
+    let query = supabase
+      .from("email_outbox")
+      .select("id, to_email, subject, email_type, status, attempts, max_attempts, next_attempt_at, last_error, provider, sent_at, created_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (status) query = query.eq("status", status);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ counts, emails: data || [] });
+  } catch (e) { next(e); }
+});
+
+/**
+ * @openapi
+ * /api/email/suppressions:
+ *   get:
+ *     summary: Suppressed addresses (admin only)
+ *     description: Addresses that bounced, complained or were added by hand. No email is sent to them.
+ *     tags: [Email]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string, enum: [bounce, complaint, manual] }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 100, maximum: 500 }
+ *     responses:
+ *       200: { description: Suppressions returned }
+ *       400: { description: Unknown reason }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ *   post:
+ *     summary: Suppress an address (admin only)
+ *     tags: [Email]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email]
+ *             properties:
+ *               email: { type: string, format: email }
+ *               reason: { type: string, enum: [bounce, complaint, manual], default: manual }
+ *               details: { type: string }
+ *     responses:
+ *       200: { description: Address suppressed }
+ *       400: { description: Validation error }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ *
+ * /api/email/suppressions/{email}:
+ *   delete:
+ *     summary: Remove an address from the suppression list (admin only)
+ *     tags: [Email]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: email
+ *         required: true
+ *         schema: { type: string, format: email }
+ *     responses:
+ *       200: { description: Removed }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ *       404: { description: Address not suppressed }
+ */
+router.get("/suppressions", requireAdmin(), async (req, res, next) => {
+  try {
+    const { reason } = req.query;
+    if (reason && !SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${SUPPRESSION_REASONS.join(", ")}` });
+    }
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+
+    let query = supabase
+      .from("email_suppressions")
+      .select("email, reason, source, details, created_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (reason) query = query.eq("reason", reason);
+    const { data, error } = await query;
+    if (error) throw error;
+
+    res.json({ suppressions: data || [] });
+  } catch (e) { next(e); }
+});
+
+router.post("/suppressions", requireAdmin(), async (req, res, next) => {
+  try {
+    const { email, reason = "manual", details = null } = req.body || {};
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      return res.status(400).json({ error: `reason must be one of ${SUPPRESSION_REASONS.join(", ")}` });
+    }
+    res.json({ suppression: await suppress(email, { reason, source: "admin", details }) });
+  } catch (e) { next(e); }
+});
+
+router.delete("/suppressions/:email", requireAdmin(), async (req, res, next) => {
+  try {
+    if (!(await unsuppress(req.params.email))) {
+      return res.status(404).json({ error: "Address not suppressed" });
+    }
+    res.json({ message: "Removed from the suppression list", email: normaliseEmail(req.params.email) });
+  } catch (e) { next(e); }
+});
+
+/**
+ * @openapi
+ * /api/email/webhooks/bounces:
+ *   post:
+ *     summary: Bounce and complaint webhook for email providers
+ *     description: |
+ *       Accepts Resend (`email.bounced`, `email.complained`), MailerSend
+ *       (`activity.hard_bounced`, `activity.spam_complaint`) or `{ type: bounce | complaint, email }`
+ *       events and adds the addresses to the suppression list. Authenticated with
+ *       EMAIL_WEBHOOK_SECRET in the `x-webhook-secret` header or `?secret=`.
+ *       Other event types are acknowledged and ignored.
+ *     tags: [Email]
+ *     responses:
+ *       200: { description: Event processed }
+ *       401: { description: Wrong or missing secret }
+ *       503: { description: EMAIL_WEBHOOK_SECRET is not configured }
+ */
+router.post("/webhooks/bounces", async (req, res, next) => {
+  try {
+    const secret = process.env.EMAIL_WEBHOOK_SECRET;
+    if (!secret) return res.status(503).json({ error: "Webhook not configured" });
+
+    const given = Buffer.from(String(req.headers["x-webhook-secret"] || req.query.secret || ""));
+    const expected = Buffer.from(secret);
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const events = parseBounceEvent(req.body);
+    for (const { email, reason, source } of events) {
+      await suppress(email, { reason, source, details: req.body?.type || null });
+      console.log(`🚫 Suppressed ${email} after ${reason} (${source})`);
+    }
+    res.json({ received: true, suppressed: events.map(e => normaliseEmail(e.email)) });
+  } catch (e) { next(e); }
+});
+
+export default router;
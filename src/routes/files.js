@@ -0,0 +1,301 @@
+// src/routes/files.js
+/**
+ * @openapi
+ * /api/groups/{groupId}/files:
+ *   post:
+ *     summary: Upload a file to the group
+ *     description: |
+ *       Multipart upload with the file in the `file` field. Size and type are limited
+ *       (ATTACHMENT_MAX_MB, ATTACHMENT_MIME_TYPES); the declared type must match the file's
+ *       content, and SVG is never accepted. Attach it to a message by posting
+ *       the returned id as `file_id` to /api/groups/{groupId}/messages.
+ *     tags: [Files]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file: { type: string, format: binary }
+ *     responses:
+ *       200:
+ *         description: Uploaded; the file comes back with a short-lived download url
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 file: { $ref: '#/components/schemas/GroupFile' }
+ *       400: { description: No file, or not a multipart request }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       409: { description: Group is archived }
+ *       413: { description: File too large }
+ *       415: { description: File type not allowed, or the content is not of the declared type }
+ *   get:
+ *     summary: The group's resources library
+ *     description: Every file shared in the group, newest first, with who uploaded it.
+ *     tags: [Files]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200: { description: "{ files, has_more, next_cursor, prev_cursor }" }
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *
+ * /api/groups/{groupId}/files/{fileId}:
+ *   get:
+ *     summary: A file with a short-lived download url
+ *     tags: [Files]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: fileId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: File returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 file: { $ref: '#/components/schemas/GroupFile' }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: File not found }
+ *   delete:
+ *     summary: Delete a file (uploader or group owner/admin)
+ *     tags: [Files]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: fileId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not the uploader, owner or an admin }
+ *       404: { description: File not found }
+ *
+ * /api/files/local/{token}:
+ *   get:
+ *     summary: Download through a signed link (local storage driver)
+ *     description: The url handed out by the file routes when STORAGE_DRIVER=local. No login needed; links expire.
+ *     tags: [Files]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: The file, as an attachment }
+ *       404: { description: Link invalid or expired }
+ */
+
+import express from "express";
+import multer from "multer";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireGroupMember, isGroupModerator, isGroupArchived } from "../utils/membership.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
+import { storage, objectPath, verifyLocalFileToken } from "../utils/storage.js";
+import {
+  FILE_COLUMNS,
+  attachmentSettings,
+  mimeAllowed,
+  contentType,
+  loadFile,
+  publicFile,
+  withDownloadUrl,
+} from "../utils/attachments.js";
+
+const router = express.Router();
+
+/**
+ * Parse the multipart body into req.file, in memory. Resolves the file (or
+ * undefined); rejects with { status, error } when it is too big or not allowed.
+ */
+function receiveFile(req, res) {
+  const settings = attachmentSettings();
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: settings.maxBytes, files: 1 },
+    fileFilter: (_req, file, cb) => {
+      if (mimeAllowed(file.mimetype, settings)) return cb(null, true);
+      cb(Object.assign(new Error(`File type ${file.mimetype} is not allowed`), { status: 415 }));
+    },
+  }).single("file");
+
+  return new Promise((resolve, reject) => {
+    upload(req, res, (err) => {
+      if (!err) return resolve(req.file);
+      if (err.status) return reject({ status: err.status, error: err.message });
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return reject({ status: 413, error: `File is larger than ${settings.maxBytes / (1024 * 1024)} MB` });
+      }
+      if (err instanceof multer.MulterError) return reject({ status: 400, error: err.message });
+      reject(err);
+    });
+  });
+}
+
+router.post("/groups/:groupId/files", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const group_id = req.params.groupId;
+
+    const isMember = await requireGroupMember(group_id, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(group_id)) return res.status(409).json({ error: "Group is archived" });
+
+    let file;
+    try {
+      file = await receiveFile(req, res);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.error });
+      throw err;
+    }
+    if (!file) return res.status(400).json({ error: "Send the file as multipart/form-data in the file field" });
+
+    const mime_type = contentType(file.buffer, file.mimetype);
+    if (!mime_type) return res.status(415).json({ error: `File content is not ${file.mimetype}` });
+
+    const path = objectPath(group_id, file.originalname);
+    await storage().put(path, file.buffer, mime_type);
+
+    const { data, error } = await supabase
+      .from("group_files")
+      .insert([{
+        group_id,
+        uploader_id: user.id,
+        path,
+        filename: file.originalname,
+        mime_type,
+        size_bytes: file.size,
+      }])
+      .select(FILE_COLUMNS)
+      .single();
+    if (error) {
+      // don't leave an object nobody can see
+      await storage().remove(path).catch(e => console.error("[files] could not remove orphan upload:", e.message));
+      throw error;
+    }
+
+    res.json({ file: await withDownloadUrl(data) });
+  } catch (e) { next(e); }
+});
+
+const FILE_PAGE = { column: "created_at", order: "desc" };
+
+router.get("/groups/:groupId/files", requireAuth(), paginate(), async (req, res, next) => {
+  try {
+    const group_id = req.params.groupId;
+
+    const isMember = await requireGroupMember(group_id, req.user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const { page } = req;
+
+    const { data, error } = await applyPage(
+      supabase.from("group_files").select(FILE_COLUMNS).eq("group_id", group_id),
+      page,
+      FILE_PAGE
+    );
+    if (error) throw error;
+    const { rows, ...paging } = pageResult(data, page, FILE_PAGE);
+
+    const uploaderIds = [...new Set(rows.map(f => f.uploader_id))];
+    let nameById = {};
+    if (uploaderIds.length) {
+      const { data: profs, error: pErr } = await supabase
+        .from("profiles").select("id, full_name").in("id", uploaderIds);
+      if (pErr) throw pErr;
+      nameById = Object.fromEntries((profs || []).map(p => [p.id, p.full_name]));
+    }
+
+    res.json({
+      files: rows.map(f => ({ ...publicFile(f), uploader_name: nameById[f.uploader_id] || null })),
+      ...paging,
+    });
+  } catch (e) { next(e); }
+});
+
+router.get("/groups/:groupId/files/:fileId", requireAuth(), async (req, res, next) => {
+  try {
+    const { groupId, fileId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, req.user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const file = await loadFile(groupId, fileId);
+    if (!file) return res.status(404).json({ error: "File not found" });
+
+    res.json({ file: await withDownloadUrl(file) });
+  } catch (e) { next(e); }
+});
+
+router.delete("/groups/:groupId/files/:fileId", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, fileId } = req.params;
+
+    const isMember = await requireGroupMember(groupId, user.id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const file = await loadFile(groupId, fileId);
+    if (!file) return res.status(404).json({ error: "File not found" });
+    if (file.uploader_id !== user.id && !(await isGroupModerator(groupId, user.id))) {
+      return res.status(403).json({ error: "Only the uploader or a group owner/admin can delete" });
+    }
+
+    const { error } = await supabase.from("group_files").delete().eq("id", file.id);
+    if (error) throw error;
+    await storage().remove(file.path).catch(e => console.error("[files] could not remove object:", e.message));
+
+    res.json({ message: "File deleted" });
+  } catch (e) { next(e); }
+});
+
+// Signed links from the local storage driver; the token is the authorisation
+router.get("/files/local/:token", async (req, res, next) => {
+  try {
+    const target = verifyLocalFileToken(req.params.token);
+    if (!target) return res.status(404).json({ error: "Link invalid or expired" });
+
+    res.set("X-Content-Type-Options", "nosniff");
+    res.download(target.file, target.filename, (err) => {
+      if (!err) return;
+      if (!res.headersSent) return res.status(404).json({ error: "File not found" });
+      next(err);
+    });
+  } catch (e) { next(e); }
+});
+
+export default router;
@@ -14,10 +14,14 @@
  *             type: object
  *             required: [name]
  *             properties:
- *               name: { type: string }
- *               module: { type: string }
+ *               name: { type: string, maxLength: 100 }
+ *               module: { type: string, maxLength: 100 }
+ *               description: { type: string, maxLength: 1000 }
+ *               avatar_url: { type: string, description: http(s) URL }
+ *               visibility: { type: string, enum: [private, discoverable, open], default: private }
  *     responses:
  *       200: { description: Group created }
+ *       400: { description: Missing name or invalid field }
  *       401: { description: Unauthorized }
  */
 
@@ -28,16 +32,280 @@
  *     summary: List groups I own or belong to
  *     tags: [Groups]
  *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: archived
+ *         schema: { type: boolean }
+ *         description: true lists my archived groups instead
  *     responses:
  *       200: { description: Groups returned }
  *       401: { description: Unauthorized }
  */
 
+/**
+ * @openapi
+ * /api/groups/discover:
+ *   get:
+ *     summary: Find discoverable and open groups
+ *     description: |
+ *       Newest first. All filters are case-insensitive substring matches; degree
+ *       matches groups with a member studying it. Each group has member_count and
+ *       my_status (member, requested or null).
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema: { type: string }
+ *         description: Group name
+ *       - in: query
+ *         name: module
+ *         schema: { type: string }
+ *       - in: query
+ *         name: degree
+ *         schema: { type: string }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200: { description: "{ groups, has_more, next_cursor, prev_cursor }" }
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/join:
+ *   post:
+ *     summary: Join an open group, or ask to join a discoverable one
+ *     description: |
+ *       Open groups add you straight away (`status: joined`). Discoverable groups
+ *       get a join request (`status: requested`) for the owner or an admin to answer.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               message: { type: string, maxLength: 500 }
+ *     responses:
+ *       200: { description: Joined or requested }
+ *       400: { description: Invalid message }
+ *       401: { description: Unauthorized }
+ *       404: { description: Group not found, private or archived }
+ *       409: { description: Already a member, or a request is already pending }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/join-requests:
+ *   get:
+ *     summary: Join requests for my group (owner or admins)
+ *     description: Oldest first, with the requester's name, degree and modules.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, approved, rejected, cancelled], default: pending }
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200:
+ *         description: "{ requests, has_more, next_cursor, prev_cursor }"
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requests: { type: array, items: { $ref: '#/components/schemas/GroupJoinRequest' } }
+ *       400: { description: Invalid status or cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not the owner or an admin }
+ *       404: { description: Group not found }
+ */
+
+/**
+ * @openapi
+ * /api/group-join-requests/{id}:
+ *   put:
+ *     summary: Approve/reject a join request (owner or admins)
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status: { type: string, enum: [approved, rejected] }
+ *     responses:
+ *       200: { description: Updated }
+ *       400: { description: Invalid status or already handled }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not authorized }
+ *       404: { description: Join request not found }
+ *       409: { description: Group is archived (approving only) }
+ *   delete:
+ *     summary: Withdraw my pending join request
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Withdrawn }
+ *       400: { description: Already handled }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not your request }
+ *       404: { description: Join request not found }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}:
+ *   get:
+ *     summary: Group detail
+ *     description: |
+ *       The group with member_count, my_role, the next scheduled session and
+ *       recent_activity (latest messages, shared files, past sessions and new
+ *       members, newest first). Non-members of a discoverable or open group get
+ *       the group with member_count and their pending join request (my_request).
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Group returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Group'
+ *                     - type: object
+ *                       properties:
+ *                         member_count: { type: integer }
+ *                         my_role: { type: string, enum: [owner, admin, member] }
+ *                         next_session: { type: object, nullable: true }
+ *                         recent_activity:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               type: { type: string, enum: [message, file, session, member_joined] }
+ *                               at: { type: string, format: date-time }
+ *                               user_id: { type: string }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a member of a private group }
+ *       404: { description: Group not found }
+ *   put:
+ *     summary: Update the group (owner only)
+ *     description: Send any of the fields; empty module, description or avatar_url clears it.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name: { type: string, maxLength: 100 }
+ *               module: { type: string, maxLength: 100 }
+ *               description: { type: string, maxLength: 1000 }
+ *               avatar_url: { type: string, description: http(s) URL }
+ *               visibility: { type: string, enum: [private, discoverable, open], default: private }
+ *     responses:
+ *       200: { description: Group updated }
+ *       400: { description: Nothing to update or invalid field }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the owner can edit }
+ *       404: { description: Group not found }
+ *       409: { description: Group is archived }
+ *   delete:
+ *     summary: Archive or delete the group (owner only)
+ *     description: |
+ *       By default the group is archived: it leaves everyone's group list but its
+ *       members, sessions, messages and files are kept and it can be restored.
+ *       `permanent=true` deletes the group and everything in it.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: query
+ *         name: permanent
+ *         schema: { type: boolean }
+ *     responses:
+ *       200: { description: Archived or deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the owner can delete }
+ *       404: { description: Group not found }
+ *       409: { description: Already archived }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/restore:
+ *   post:
+ *     summary: Restore an archived group (owner only)
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Restored }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the owner can restore }
+ *       404: { description: Group not found }
+ *       409: { description: Group is not archived }
+ */
+
 /**
  * @openapi
  * /api/group-invitations:
  *   post:
- *     summary: Send group invites (owner only)
+ *     summary: Send group invites (owner or admins)
  *     tags: [Groups]
  *     security: [{ bearerAuth: [] }]
  *     requestBody:
@@ -53,7 +321,8 @@
  *     responses:
  *       200: { description: Invitations sent }
  *       401: { description: Unauthorized }
- *       403: { description: Only owner can invite }
+ *       403: { description: Only owners and admins can invite }
+ *       409: { description: Group is archived }
  */
 
 /**
@@ -95,35 +364,138 @@
  *       401: { description: Unauthorized }
  *       403: { description: Not authorized }
  *       404: { description: Invite not found }
+ *       409: { description: Group is archived (accepting only) }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/members:
+ *   get:
+ *     summary: List group members with their profiles and roles
+ *     description: Owner first, then admins, then members, each in the order they joined.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200:
+ *         description: Members returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 members: { type: array, items: { $ref: '#/components/schemas/GroupMember' } }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Group not found }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{id}/members/{userId}:
+ *   patch:
+ *     summary: Change a member's role (owner only)
+ *     description: |
+ *       `admin` and `member` promote or demote. `owner` hands the group over; the
+ *       previous owner stays on as an admin.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema: { type: string }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role: { type: string, enum: [owner, admin, member] }
+ *     responses:
+ *       200: { description: Role updated }
+ *       400: { description: Invalid role, or changing your own role }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the owner can change roles }
+ *       404: { description: Group or member not found }
+ *   delete:
+ *     summary: Leave the group, or remove a member
+ *     description: |
+ *       Your own id leaves the group. When the owner leaves, the longest-standing
+ *       admin (or else member) becomes owner; the last member can't leave.
+ *       Removing someone else takes the owner, or an admin for plain members.
+ *     tags: [Groups]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: userId
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "Left or removed; { message, new_owner_id } when ownership moved" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not allowed to remove this member }
+ *       404: { description: Group or member not found }
+ *       409: { description: Last member of the group }
  */
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { notify } from "../utils/notifications.js";
+import { publishToGroup } from "../utils/realtime.js";
+import { storage } from "../utils/storage.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
+import {
+  GROUP_COLUMNS,
+  JOIN_REQUEST_COLUMNS,
+  loadGroup,
+  groupChanges,
+  isListed,
+  containsPattern,
+  memberCount,
+  memberCounts,
+  nextSession,
+  recentActivity,
+} from "../utils/groups.js";
+import {
+  GROUP_ROLES,
+  requireGroupMember,
+  isGroupArchived,
+  getGroupRole,
+  canModerate,
+  groupModeratorIds,
+  nextOwner,
+} from "../utils/membership.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) throw error;
-  return data?.user || null;
-}
 
 /** Create a group (+ add owner to members) */
-router.post("/groups", async (req, res, next) => {
+router.post("/groups", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-    const { name, module } = req.body || {};
-    if (!name) return res.status(400).json({ error: "Group name required" });
+    const { user } = req;
+    const { changes, error: invalid } = groupChanges(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (!changes.name) return res.status(400).json({ error: "Group name required" });
 
     const { data: g, error: gErr } = await supabase
       .from("groups")
-      .insert([{ owner_id: user.id, name, module }])
-      .select("id, owner_id, name, module, created_at")
+      .insert([{ owner_id: user.id, ...changes }])
+      .select(GROUP_COLUMNS)
       .single();
     if (gErr) throw gErr;
 
@@ -132,16 +504,16 @@ router.post("/groups", async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-/** List my groups (owned or member) */
-router.get("/groups", async (req, res, next) => {
+/** List my groups (owned or member); archived ones only with ?archived=true */
+router.get("/groups", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
+    const archived = req.query.archived === "true";
 
     // groups I own
     const { data: own, error: oErr } = await supabase
       .from("groups")
-      .select("id, owner_id, name, module, created_at")
+      .select("id")
       .eq("owner_id", user.id);
     if (oErr) throw oErr;
 
@@ -157,30 +529,32 @@ router.get("/groups", async (req, res, next) => {
 
     const { data: groups, error: gErr } = await supabase
       .from("groups")
-      .select("id, owner_id, name, module, created_at")
+      .select(GROUP_COLUMNS)
       .in("id", ids);
     if (gErr) throw gErr;
 
-    res.json({ groups });
+    res.json({ groups: (groups || []).filter(g => !g.archived_at === !archived) });
   } catch (e) { next(e); }
 });
 
 /** Send group invites to many friends */
-router.post("/group-invitations", async (req, res, next) => {
+router.post("/group-invitations", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { group_id, recipient_ids } = req.body || {};
     if (!group_id || !Array.isArray(recipient_ids) || recipient_ids.length === 0) {
       return res.status(400).json({ error: "group_id and recipient_ids[] required" });
     }
 
-    // Owner or member can invite; up to you. Here: only owner can invite.
+    // Owners and admins invite
     const { data: ownerRow, error: ownErr } = await supabase
-      .from("groups").select("owner_id").eq("id", group_id).single();
+      .from("groups").select("owner_id, name, archived_at").eq("id", group_id).single();
     if (ownErr) throw ownErr;
-    if (!ownerRow || ownerRow.owner_id !== user.id) return res.status(403).json({ error: "Only owner can invite" });
+    if (!ownerRow || !canModerate(await getGroupRole(group_id, user.id))) {
+      return res.status(403).json({ error: "Only owners and admins can invite" });
+    }
+    if (ownerRow.archived_at) return res.status(409).json({ error: "Group is archived" });
 
     const rows = recipient_ids.map(rid => ({
       group_id,
@@ -191,15 +565,21 @@ router.post("/group-invitations", async (req, res, next) => {
     const { error } = await supabase.from("group_invitations").insert(rows);
     if (error) throw error;
 
+    await notify(recipient_ids, {
+      type: "group_invite",
+      actorId: user.id,
+      title: ownerRow.name ? `You're invited to join ${ownerRow.name}` : "You're invited to join a group",
+      data: { group_id },
+    });
+
     res.json({ message: "Invitations sent" });
   } catch (e) { next(e); }
 });
 
 /** View received group invites */
-router.get("/group-invitations/received", async (req, res, next) => {
+router.get("/group-invitations/received", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { data: invites, error } = await supabase
       .from("group_invitations")
@@ -229,10 +609,9 @@ router.get("/group-invitations/received", async (req, res, next) => {
 });
 
 /** Accept/Decline group invite */
-router.put("/group-invitations/:id", async (req, res, next) => {
+router.put("/group-invitations/:id", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { id } = req.params;
     const { status } = req.body || {};
@@ -242,12 +621,15 @@ router.put("/group-invitations/:id", async (req, res, next) => {
 
     const { data: inv, error: fErr } = await supabase
       .from("group_invitations")
-      .select("group_id, recipient_id, status")
+      .select("group_id, sender_id, recipient_id, status")
       .eq("id", id).single();
     if (fErr) throw fErr;
     if (!inv) return res.status(404).json({ error: "Invite not found" });
     if (inv.recipient_id !== user.id) return res.status(403).json({ error: "Not authorized" });
     if (inv.status !== "pending") return res.status(400).json({ error: "Already handled" });
+    if (status === "accepted" && await isGroupArchived(inv.group_id)) {
+      return res.status(409).json({ error: "Group is archived" });
+    }
 
     const { error: uErr } = await supabase
       .from("group_invitations")
@@ -261,8 +643,527 @@ router.put("/group-invitations/:id", async (req, res, next) => {
         .upsert([{ group_id: inv.group_id, user_id: user.id, role: "member" }],
                 { onConflict: "group_id,user_id" });
     }
+
+    await notify(inv.sender_id, {
+      type: "group_invite_answered",
+      actorId: user.id,
+      title: status === "accepted" ? "Group invite accepted" : "Group invite declined",
+      data: { group_id: inv.group_id, invitation_id: id, status },
+    });
     res.json({ message: `Group invite ${status}` });
   } catch (e) { next(e); }
 });
 
+/* ---------- discovery and join requests ---------- */
+
+const DISCOVER_PAGE = { column: "created_at", order: "desc" };
+const JOIN_REQUEST_PAGE = { column: "created_at", order: "asc" };
+const JOIN_REQUEST_STATUSES = ["pending", "approved", "rejected", "cancelled"];
+const MAX_DEGREE_MATCHES = 500;
+
+/** Discoverable and open groups by name, module or the degree their members study */
+router.get("/groups/discover", requireAuth(), paginate({ defaultLimit: 20, maxLimit: 50 }), async (req, res, next) => {
+  try {
+    const { user, page } = req;
+    const q = String(req.query.q || "").trim();
+    const module = String(req.query.module || "").trim();
+    const degree = String(req.query.degree || "").trim();
+
+    let query = supabase
+      .from("groups")
+      .select(GROUP_COLUMNS)
+      .in("visibility", ["discoverable", "open"])
+      .is("archived_at", null);
+    if (q) query = query.ilike("name", containsPattern(q));
+    if (module) query = query.ilike("module", containsPattern(module));
+
+    if (degree) {
+      const { data: profs, error: pErr } = await supabase
+        .from("profiles").select("id").ilike("degree", containsPattern(degree)).limit(MAX_DEGREE_MATCHES);
+      if (pErr) throw pErr;
+      const userIds = (profs || []).map(p => p.id);
+
+      let groupIds = [];
+      if (userIds.length) {
+        const { data: mem, error: mErr } = await supabase
+          .from("group_members").select("group_id").in("user_id", userIds);
+        if (mErr) throw mErr;
+        groupIds = [...new Set((mem || []).map(m => m.group_id))];
+      }
+      if (!groupIds.length) {
+        const { rows: groups, ...paging } = pageResult([], page, DISCOVER_PAGE);
+        return res.json({ groups, ...paging });
+      }
+      query = query.in("id", groupIds);
+    }
+
+    const { data, error } = await applyPage(query, page, DISCOVER_PAGE);
+    if (error) throw error;
+    const { rows, ...paging } = pageResult(data, page, DISCOVER_PAGE);
+
+    const ids = rows.map(g => g.id);
+    let counts = {};
+    let mine = new Set();
+    let requested = new Set();
+    if (ids.length) {
+      counts = await memberCounts(ids);
+      const [{ data: mem, error: mErr }, { data: reqs, error: rErr }] = await Promise.all([
+        supabase.from("group_members").select("group_id").eq("user_id", user.id).in("group_id", ids),
+        supabase.from("group_join_requests").select("group_id")
+          .eq("user_id", user.id).eq("status", "pending").in("group_id", ids),
+      ]);
+      if (mErr) throw mErr;
+      if (rErr) throw rErr;
+      mine = new Set((mem || []).map(m => String(m.group_id)));
+      requested = new Set((reqs || []).map(r => String(r.group_id)));
+    }
+
+    res.json({
+      groups: rows.map(g => ({
+        ...g,
+        member_count: counts[g.id] || 0,
+        my_status: mine.has(String(g.id)) ? "member" : requested.has(String(g.id)) ? "requested" : null,
+      })),
+      ...paging,
+    });
+  } catch (e) { next(e); }
+});
+
+async function addMember(group_id, user_id) {
+  const { error } = await supabase.from("group_members")
+    .upsert([{ group_id, user_id, role: "member" }], { onConflict: "group_id,user_id" });
+  if (error) throw error;
+  publishToGroup(group_id, "member.joined", { group_id, user_id });
+}
+
+/** Join an open group, or ask to join a discoverable one */
+router.post("/groups/:id/join", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const { message } = req.body || {};
+    if (message !== undefined && message !== null && (typeof message !== "string" || message.length > 500)) {
+      return res.status(400).json({ error: "message must be a string of at most 500 characters" });
+    }
+
+    const group = await loadGroup(id);
+    if (!isListed(group)) return res.status(404).json({ error: "Group not found" });
+    if (await requireGroupMember(id, user.id)) return res.status(409).json({ error: "Already a group member" });
+
+    if (group.visibility === "open") {
+      await addMember(id, user.id);
+      return res.json({ message: "Joined group", status: "joined" });
+    }
+
+    const { data: pending, error: pErr } = await supabase
+      .from("group_join_requests")
+      .select("id")
+      .eq("group_id", id)
+      .eq("user_id", user.id)
+      .eq("status", "pending")
+      .maybeSingle();
+    if (pErr) throw pErr;
+    if (pending) return res.status(409).json({ error: "Join request already pending" });
+
+    const { data: request, error } = await supabase
+      .from("group_join_requests")
+      .insert([{ group_id: id, user_id: user.id, message: message?.trim() || null, status: "pending" }])
+      .select(JOIN_REQUEST_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    await notify([group.owner_id, ...(await groupModeratorIds(id))], {
+      type: "group_join_request",
+      actorId: user.id,
+      title: group.name ? `New request to join ${group.name}` : "New request to join your group",
+      body: request.message,
+      data: { group_id: request.group_id, join_request_id: request.id },
+    });
+
+    res.json({ message: "Join request sent", status: "requested", request });
+  } catch (e) { next(e); }
+});
+
+/** Join requests for a group (owner and admins), oldest first */
+router.get("/groups/:id/join-requests", requireAuth(), paginate(), async (req, res, next) => {
+  try {
+    const { user, page } = req;
+    const { id } = req.params;
+    const status = req.query.status || "pending";
+    if (!JOIN_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${JOIN_REQUEST_STATUSES.join(", ")}` });
+    }
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (group.owner_id !== user.id && !canModerate(await getGroupRole(id, user.id))) {
+      return res.status(403).json({ error: "Only owners and admins can see join requests" });
+    }
+
+    const { data, error } = await applyPage(
+      supabase.from("group_join_requests").select(JOIN_REQUEST_COLUMNS).eq("group_id", id).eq("status", status),
+      page,
+      JOIN_REQUEST_PAGE
+    );
+    if (error) throw error;
+    const { rows, ...paging } = pageResult(data, page, JOIN_REQUEST_PAGE);
+
+    const userIds = [...new Set(rows.map(r => r.user_id))];
+    let profileById = {};
+    if (userIds.length) {
+      const { data: profs, error: pErr } = await supabase
+        .from("profiles").select("id, full_name, degree, modules").in("id", userIds);
+      if (pErr) throw pErr;
+      profileById = Object.fromEntries((profs || []).map(p => [p.id, p]));
+    }
+
+    res.json({
+      requests: rows.map(r => ({
+        ...r,
+        full_name: profileById[r.user_id]?.full_name || null,
+        degree: profileById[r.user_id]?.degree || null,
+        modules: profileById[r.user_id]?.modules || [],
+      })),
+      ...paging,
+    });
+  } catch (e) { next(e); }
+});
+
+/** Approve/Reject a join request (owner or admin) */
+router.put("/group-join-requests/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!["approved", "rejected"].includes(status)) {
+      return res.status(400).json({ error: "Invalid status" });
+    }
+
+    const { data: request, error: fErr } = await supabase
+      .from("group_join_requests").select(JOIN_REQUEST_COLUMNS).eq("id", id).maybeSingle();
+    if (fErr) throw fErr;
+    if (!request) return res.status(404).json({ error: "Join request not found" });
+
+    const group = await loadGroup(request.group_id);
+    if (!group) return res.status(404).json({ error: "Join request not found" });
+    if (group.owner_id !== user.id && !canModerate(await getGroupRole(request.group_id, user.id))) {
+      return res.status(403).json({ error: "Not authorized" });
+    }
+    if (request.status !== "pending") return res.status(400).json({ error: "Already handled" });
+    if (status === "approved" && group.archived_at) return res.status(409).json({ error: "Group is archived" });
+
+    const { error: uErr } = await supabase
+      .from("group_join_requests")
+      .update({ status, decided_by: user.id, decided_at: new Date().toISOString() })
+      .eq("id", id);
+    if (uErr) throw uErr;
+
+    if (status === "approved") await addMember(request.group_id, request.user_id);
+
+    await notify(request.user_id, {
+      type: "group_join_answered",
+      actorId: user.id,
+      title: status === "approved"
+        ? `You've joined ${group.name || "the group"}`
+        : `Your request to join ${group.name || "the group"} was declined`,
+      data: { group_id: request.group_id, join_request_id: request.id, status },
+    });
+    res.json({ message: `Join request ${status}` });
+  } catch (e) { next(e); }
+});
+
+/** Withdraw my pending join request */
+router.delete("/group-join-requests/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+
+    const { data: request, error: fErr } = await supabase
+      .from("group_join_requests").select("user_id, status").eq("id", id).maybeSingle();
+    if (fErr) throw fErr;
+    if (!request) return res.status(404).json({ error: "Join request not found" });
+    if (request.user_id !== user.id) return res.status(403).json({ error: "Not authorized" });
+    if (request.status !== "pending") return res.status(400).json({ error: "Already handled" });
+
+    const { error } = await supabase
+      .from("group_join_requests").update({ status: "cancelled" }).eq("id", id);
+    if (error) throw error;
+
+    res.json({ message: "Join request withdrawn" });
+  } catch (e) { next(e); }
+});
+
+/* ---------- detail, update, archive ---------- */
+
+router.get("/groups/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    const my_role = group.owner_id === user.id ? "owner" : await getGroupRole(id, user.id);
+    if (!my_role) {
+      // what a visitor sees of a listed group before joining
+      if (!isListed(group)) return res.status(403).json({ error: "Not a group member" });
+      const { data: my_request, error: rErr } = await supabase
+        .from("group_join_requests")
+        .select(JOIN_REQUEST_COLUMNS)
+        .eq("group_id", id)
+        .eq("user_id", user.id)
+        .eq("status", "pending")
+        .maybeSingle();
+      if (rErr) throw rErr;
+      return res.json({ group: { ...group, member_count: await memberCount(id), my_role: null, my_request: my_request || null } });
+    }
+
+    const [member_count, next_session, recent_activity] = await Promise.all([
+      memberCount(id),
+      nextSession(id),
+      recentActivity(id),
+    ]);
+
+    res.json({ group: { ...group, member_count, my_role, next_session, recent_activity } });
+  } catch (e) { next(e); }
+});
+
+router.put("/groups/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (group.owner_id !== user.id) return res.status(403).json({ error: "Only the owner can edit the group" });
+    if (group.archived_at) return res.status(409).json({ error: "Group is archived; restore it first" });
+
+    const { changes, error: invalid } = groupChanges(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (Object.keys(changes).length === 0) return res.status(400).json({ error: "Nothing to update" });
+
+    const { data, error } = await supabase
+      .from("groups").update(changes).eq("id", id).select(GROUP_COLUMNS).single();
+    if (error) throw error;
+
+    publishToGroup(id, "group.updated", { group_id: id, group: data });
+    res.json({ group: data });
+  } catch (e) { next(e); }
+});
+
+router.delete("/groups/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+    const permanent = req.query.permanent === "true";
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (group.owner_id !== user.id) return res.status(403).json({ error: "Only the owner can delete the group" });
+
+    if (!permanent) {
+      if (group.archived_at) return res.status(409).json({ error: "Group is already archived" });
+      const { data, error } = await supabase
+        .from("groups").update({ archived_at: new Date().toISOString() }).eq("id", id).select(GROUP_COLUMNS).single();
+      if (error) throw error;
+      publishToGroup(id, "group.archived", { group_id: id });
+      return res.json({ message: "Group archived", group: data });
+    }
+
+    // the rows cascade; stored objects have to be removed by hand
+    const { data: files, error: fErr } = await supabase.from("group_files").select("path").eq("group_id", id);
+    if (fErr) throw fErr;
+
+    const { error } = await supabase.from("groups").delete().eq("id", id);
+    if (error) throw error;
+
+    for (const f of files || []) {
+      await storage().remove(f.path).catch(e => console.error("[groups] could not remove object:", e.message));
+    }
+    publishToGroup(id, "group.deleted", { group_id: id });
+    res.json({ message: "Group deleted" });
+  } catch (e) { next(e); }
+});
+
+router.post("/groups/:id/restore", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id } = req.params;
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (group.owner_id !== user.id) return res.status(403).json({ error: "Only the owner can restore the group" });
+    if (!group.archived_at) return res.status(409).json({ error: "Group is not archived" });
+
+    const { data, error } = await supabase
+      .from("groups").update({ archived_at: null }).eq("id", id).select(GROUP_COLUMNS).single();
+    if (error) throw error;
+
+    publishToGroup(id, "group.restored", { group_id: id });
+    res.json({ message: "Group restored", group: data });
+  } catch (e) { next(e); }
+});
+
+/* ---------- members ---------- */
+
+const ROLE_ORDER = Object.fromEntries(GROUP_ROLES.map((r, i) => [r, i]));
+
+/** Make `toId` the owner; the previous owner, if still a member, becomes an admin */
+async function transferOwnership(group_id, fromId, toId) {
+  const { error: gErr } = await supabase.from("groups").update({ owner_id: toId }).eq("id", group_id);
+  if (gErr) throw gErr;
+  const { error: toErr } = await supabase
+    .from("group_members").update({ role: "owner" }).eq("group_id", group_id).eq("user_id", toId);
+  if (toErr) throw toErr;
+  const { error: fromErr } = await supabase
+    .from("group_members").update({ role: "admin" }).eq("group_id", group_id).eq("user_id", fromId);
+  if (fromErr) throw fromErr;
+}
+
+router.get("/groups/:id/members", requireAuth(), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (!(await requireGroupMember(id, req.user.id))) return res.status(403).json({ error: "Not a group member" });
+
+    const { data: rows, error } = await supabase
+      .from("group_members")
+      .select("user_id, role, joined_at")
+      .eq("group_id", id);
+    if (error) throw error;
+
+    const ids = (rows || []).map(m => m.user_id);
+    let profileById = {};
+    if (ids.length) {
+      const { data: profs, error: pErr } = await supabase
+        .from("profiles").select("id, full_name, degree, modules").in("id", ids);
+      if (pErr) throw pErr;
+      profileById = Object.fromEntries((profs || []).map(p => [p.id, p]));
+    }
+
+    const members = (rows || [])
+      .map(m => ({
+        user_id: m.user_id,
+        role: m.user_id === group.owner_id ? "owner" : (m.role === "admin" ? "admin" : "member"),
+        joined_at: m.joined_at || null,
+        full_name: profileById[m.user_id]?.full_name || null,
+        degree: profileById[m.user_id]?.degree || null,
+        modules: profileById[m.user_id]?.modules || [],
+      }))
+      .sort((a, b) => ROLE_ORDER[a.role] - ROLE_ORDER[b.role]
+        || String(a.joined_at || "").localeCompare(String(b.joined_at || "")));
+
+    res.json({ members });
+  } catch (e) { next(e); }
+});
+
+router.patch("/groups/:id/members/:userId", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id, userId } = req.params;
+    const { role } = req.body || {};
+    if (!GROUP_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${GROUP_ROLES.join(", ")}` });
+    }
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+    if (group.owner_id !== user.id) return res.status(403).json({ error: "Only the owner can change roles" });
+    if (userId === user.id) return res.status(400).json({ error: "You can't change your own role" });
+
+    const current = await getGroupRole(id, userId);
+    if (!current) return res.status(404).json({ error: "Member not found" });
+
+    if (role === "owner") {
+      await transferOwnership(id, user.id, userId);
+    } else {
+      const { error } = await supabase
+        .from("group_members").update({ role }).eq("group_id", id).eq("user_id", userId);
+      if (error) throw error;
+    }
+
+    publishToGroup(id, "member.role_updated", { group_id: id, user_id: userId, role });
+    if (role === "owner") {
+      publishToGroup(id, "member.role_updated", { group_id: id, user_id: user.id, role: "admin" });
+    }
+    await notify(userId, {
+      type: "group_role_changed",
+      actorId: user.id,
+      title: role === "owner"
+        ? `You're now the owner of ${group.name || "a group"}`
+        : `You're now ${role === "admin" ? "an admin" : "a member"} of ${group.name || "a group"}`,
+      data: { group_id: id, role },
+    });
+
+    res.json({ message: "Role updated", user_id: userId, role });
+  } catch (e) { next(e); }
+});
+
+router.delete("/groups/:id/members/:userId", requireAuth(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { id, userId } = req.params;
+
+    const group = await loadGroup(id);
+    if (!group) return res.status(404).json({ error: "Group not found" });
+
+    const myRole = group.owner_id === user.id ? "owner" : await getGroupRole(id, user.id);
+    if (!myRole) return res.status(403).json({ error: "Not a group member" });
+
+    const leaving = userId === user.id;
+    let new_owner_id = null;
+
+    if (leaving) {
+      if (myRole === "owner") {
+        const { data: members, error: mErr } = await supabase
+          .from("group_members").select("user_id, role, joined_at").eq("group_id", id);
+        if (mErr) throw mErr;
+        const successor = nextOwner(members, user.id);
+        if (!successor) {
+          return res.status(409).json({ error: "You're the last member; delete the group instead" });
+        }
+        new_owner_id = successor.user_id;
+        await transferOwnership(id, user.id, new_owner_id);
+      }
+    } else {
+      const theirRole = group.owner_id === userId ? "owner" : await getGroupRole(id, userId);
+      if (!theirRole) return res.status(404).json({ error: "Member not found" });
+      const allowed = myRole === "owner" || (myRole === "admin" && theirRole === "member");
+      if (!allowed) return res.status(403).json({ error: "Not allowed to remove this member" });
+    }
+
+    const { error } = await supabase
+      .from("group_members").delete().eq("group_id", id).eq("user_id", userId);
+    if (error) throw error;
+
+    publishToGroup(id, "member.removed", {
+      group_id: id,
+      user_id: userId,
+      reason: leaving ? "left" : "removed",
+      new_owner_id,
+    });
+    if (new_owner_id) {
+      await notify(new_owner_id, {
+        type: "group_role_changed",
+        actorId: user.id,
+        title: `You're now the owner of ${group.name || "a group"}`,
+        data: { group_id: id, role: "owner" },
+      });
+    }
+    if (!leaving) {
+      await notify(userId, {
+        type: "group_member_removed",
+        actorId: user.id,
+        title: group.name ? `You were removed from ${group.name}` : "You were removed from a group",
+        data: { group_id: id },
+      });
+    }
+
+    res.json(new_owner_id
+      ? { message: "Left group", new_owner_id }
+      : { message: leaving ? "Left group" : "Member removed" });
+  } catch (e) { next(e); }
+});
+
 export default router;
@@ -5,8 +5,16 @@
  *     summary: View my friend invitations (received)
  *     tags: [Invitations]
  *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
  *     responses:
- *       200: { description: Invitations returned }
+ *       200:
+ *         description: |
+ *           `{ invitations, has_more, next_cursor, prev_cursor }`, newest first
+ *           (default 50 per page). Pass next_cursor as `before` for older ones.
+ *       400: { description: Invalid cursor }
  *       401: { description: Unauthorized }
  */
 
@@ -17,8 +25,16 @@
  *     summary: View my friend invitations (sent)
  *     tags: [Invitations]
  *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
  *     responses:
- *       200: { description: Invitations returned }
+ *       200:
+ *         description: |
+ *           `{ invitations, has_more, next_cursor, prev_cursor }`, newest first
+ *           (default 50 per page). Pass next_cursor as `before` for older ones.
+ *       400: { description: Invalid cursor }
  *       401: { description: Unauthorized }
  */
 
@@ -53,31 +69,33 @@
 
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { notify } from "../utils/notifications.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
+const INVITATION_PAGE = { column: "sent_at", order: "desc" };
+
+/** One page of my invitations where `column` is me */
+async function invitationPage(column, userId, page) {
+  const { data, error } = await applyPage(
+    supabase
+      .from("invitations")
+      .select("id, sender_id, recipient_id, status, sent_at")
+      .eq(column, userId),
+    page,
+    INVITATION_PAGE
+  );
   if (error) throw error;
-  return data?.user || null;
+  return pageResult(data, page, INVITATION_PAGE);
 }
 
-router.get("/invitations/received", async (req, res, next) => {
+router.get("/invitations/received", requireAuth(), paginate(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-
-    const { data: inv, error } = await supabase
-      .from("invitations")
-      .select("id, sender_id, recipient_id, status, sent_at")
-      .eq("recipient_id", user.id)
-      .order("sent_at", { ascending: false });
-    if (error) throw error;
+    const { user, page } = req;
+    const { rows: inv, ...paging } = await invitationPage("recipient_id", user.id, page);
 
     const senderIds = [...new Set(inv.map(i => i.sender_id))];
     let namesById = {};
@@ -91,24 +109,17 @@ router.get("/invitations/received", async (req, res, next) => {
     }
 
     const invitations = inv.map(i => ({ ...i, sender_name: namesById[i.sender_id] || null }));
-    res.json({ invitations });
+    res.json({ invitations, ...paging });
   } catch (e) {
     console.error("[/api/invitations/received] error:", e);
     next(e);
   }
 });
 
-router.get("/invitations/sent", async (req, res, next) => {
+router.get("/invitations/sent", requireAuth(), paginate(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-
-    const { data: inv, error } = await supabase
-      .from("invitations")
-      .select("id, sender_id, recipient_id, status, sent_at")
-      .eq("sender_id", user.id)
-      .order("sent_at", { ascending: false });
-    if (error) throw error;
+    const { user, page } = req;
+    const { rows: inv, ...paging } = await invitationPage("sender_id", user.id, page);
 
     const recipientIds = [...new Set(inv.map(i => i.recipient_id))];
     let namesById = {};
@@ -122,17 +133,16 @@ router.get("/invitations/sent", async (req, res, next) => {
     }
 
     const invitations = inv.map(i => ({ ...i, recipient_name: namesById[i.recipient_id] || null }));
-    res.json({ invitations });
+    res.json({ invitations, ...paging });
   } catch (e) {
     console.error("[/api/invitations/sent] error:", e);
     next(e);
   }
 });
 
-router.put("/invitations/:id", async (req, res, next) => {
+router.put("/invitations/:id", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
     const { id } = req.params;
     const { status } = req.body || {};
     if (!["accepted","declined"].includes(status)) {
@@ -164,6 +174,13 @@ router.put("/invitations/:id", async (req, res, next) => {
       await supabase.from("friendships").upsert([a, b], { onConflict: "user_id,friend_id" });
     }
 
+    await notify(invite.sender_id, {
+      type: "friend_invite_answered",
+      actorId: user.id,
+      title: status === "accepted" ? "Friend request accepted" : "Friend request declined",
+      data: { invitation_id: id, status },
+    });
+
     res.json({ message: `Invitation ${status}` });
   } catch (e) { next(e); }
 });
@@ -0,0 +1,517 @@
+// src/routes/messages.js
+/**
+ * @openapi
+ * /api/groups/{groupId}/messages:
+ *   post:
+ *     summary: Post a group message
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: header
+ *         name: x-partner-key
+ *         required: false
+ *         schema: { type: string }
+ *         description: Partner API key with the messages:write scope (used instead of Bearer auth)
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               session_id: { type: integer }
+ *               content: { type: string }
+ *               attachment_url: { type: string, description: An http(s) link }
+ *               file_id: { type: integer, description: A file uploaded to POST /api/groups/{groupId}/files }
+ *               reply_to: { type: integer, description: Id of the message this answers (starts or continues its thread) }
+ *     responses:
+ *       200: { description: Created }
+ *       400: { description: Missing content or attachment, bad attachment_url, or file_id / reply_to not in this group }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       409: { description: Group is archived }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/messages:
+ *   get:
+ *     summary: Get group messages (optionally by session or thread)
+ *     description: |
+ *       Each message has sender_name, reply_to, reply_count, edited_at,
+ *       reactions `[{ emoji, count, reacted }]` (reacted: by me) and, for uploaded
+ *       files, `attachment` (fetch its download url from /api/groups/{groupId}/files/{id}).
+ *       Deleted messages stay in place with `deleted: true` and no content.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: header
+ *         name: x-partner-key
+ *         required: false
+ *         schema: { type: string }
+ *         description: Partner API key with the messages:read scope (used instead of Bearer auth)
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: query
+ *         name: sessionId
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: reply_to
+ *         schema: { type: integer }
+ *         description: Only the replies in this message's thread
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200:
+ *         description: |
+ *           `{ messages, has_more, next_cursor, prev_cursor }`. A page holds the
+ *           newest messages (default 100) in chronological order. Pass next_cursor
+ *           as `before` to scroll back, prev_cursor as `after` to fetch newer ones.
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/messages/search:
+ *   get:
+ *     summary: Search the group's chat history
+ *     description: |
+ *       Full-text search (web search syntax: words, "exact phrases", -excluded, OR)
+ *       over all of the group's messages, best matches first (newer first on equal rank).
+ *       Each result is a message like in the listing plus `rank` and `snippet`, an
+ *       HTML-escaped excerpt with the matched words in `<mark>`. Deleted messages are
+ *       never returned.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema: { type: string, minLength: 2 }
+ *       - in: query
+ *         name: sender
+ *         schema: { type: string }
+ *         description: Only messages from this user id
+ *       - in: query
+ *         name: from
+ *         schema: { type: string, format: date-time }
+ *       - in: query
+ *         name: to
+ *         schema: { type: string, format: date-time }
+ *         description: Inclusive; a plain date covers the whole day (UTC)
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, maximum: 50 }
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200:
+ *         description: |
+ *           `{ results, has_more, next_cursor, prev_cursor }`. Pass next_cursor as
+ *           `before` for the next (lower ranked) page.
+ *       400: { description: Missing or too short q, bad dates, or an invalid cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *
+ * /api/groups/{groupId}/messages/{messageId}:
+ *   patch:
+ *     summary: Edit my message
+ *     description: Only the sender can edit; edited_at is set.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: messageId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content: { type: string }
+ *     responses:
+ *       200: { description: Message updated }
+ *       400: { description: Missing content }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not the sender }
+ *       404: { description: Message not found }
+ *       409: { description: Message was deleted, or the group is archived }
+ *   delete:
+ *     summary: Delete a message
+ *     description: |
+ *       The sender or a group owner/admin can delete. The message stays in the listing
+ *       as a tombstone (`deleted: true`, no content) so its thread is kept.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: messageId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Message deleted }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not the sender, owner or an admin }
+ *       404: { description: Message not found }
+ *       409: { description: Message already deleted }
+ *
+ * /api/groups/{groupId}/messages/{messageId}/reactions/{emoji}:
+ *   put:
+ *     summary: React to a message
+ *     description: Each member can add each emoji once per message; repeating it changes nothing.
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: messageId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: emoji
+ *         schema: { type: string }
+ *         required: true
+ *         description: A single emoji, URL encoded
+ *     responses:
+ *       200: { description: "{ reactions } for the message" }
+ *       400: { description: Not an emoji }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Message not found }
+ *       409: { description: Message was deleted, or the group is archived }
+ *   delete:
+ *     summary: Remove my reaction
+ *     tags: [Messages]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: messageId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: emoji
+ *         schema: { type: string }
+ *         required: true
+ *     responses:
+ *       200: { description: "{ reactions } for the message" }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Message not found }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { canAccessGroup, isGroupModerator, isGroupArchived } from "../utils/membership.js";
+import { publishToGroup } from "../utils/realtime.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
+import { MESSAGE_COLUMNS, loadMessage, decorateMessages, isEmoji } from "../utils/messages.js";
+import { loadFile, attachmentOf } from "../utils/attachments.js";
+import { parseSearchQuery, highlight } from "../utils/messageSearch.js";
+import { isHttpUrl } from "../utils/html.js";
+
+const router = express.Router();
+
+/** Post a message (text, a link and/or an uploaded file), optionally as a reply */
+router.post("/groups/:groupId/messages", requireAuth({ partner: "messages:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const group_id = req.params.groupId;
+    const { session_id, content, attachment_url, file_id, reply_to } = req.body || {};
+
+    const isMember = await canAccessGroup(req, group_id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(group_id)) return res.status(409).json({ error: "Group is archived" });
+
+    if (!content && !attachment_url && !file_id) {
+      return res.status(400).json({ error: "content, attachment_url or file_id required" });
+    }
+    if (attachment_url && !isHttpUrl(attachment_url)) {
+      return res.status(400).json({ error: "attachment_url must be an http(s) URL" });
+    }
+    let file = null;
+    if (file_id) {
+      file = /^\d+$/.test(String(file_id)) ? await loadFile(group_id, file_id) : null;
+      if (!file) return res.status(400).json({ error: "file_id must be a file uploaded to this group" });
+    }
+    if (reply_to !== undefined && reply_to !== null) {
+      if (!/^\d+$/.test(String(reply_to)) || !(await loadMessage(group_id, reply_to))) {
+        return res.status(400).json({ error: "reply_to must be a message in this group" });
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("group_messages")
+      .insert([{
+        group_id,
+        session_id: session_id || null,
+        sender_id: user.id,
+        content,
+        attachment_url,
+        attachment_file_id: file?.id ?? null,
+        reply_to: reply_to ?? null,
+      }])
+      .select("*")
+      .single();
+    if (error) throw error;
+
+    publishToGroup(group_id, "message.created", {
+      group_id,
+      message: {
+        ...data,
+        sender_name: user.user_metadata?.full_name || null,
+        attachment: file && attachmentOf(file),
+        reactions: [],
+        reply_count: 0,
+      },
+    });
+    res.json({ message: file ? { ...data, attachment: attachmentOf(file) } : data });
+  } catch (e) { next(e); }
+});
+
+const MESSAGE_PAGE = { column: "created_at", order: "desc" };
+
+// GET /groups/:groupId/messages
+router.get("/groups/:groupId/messages", requireAuth({ partner: "messages:read" }), paginate({ defaultLimit: 100 }), async (req, res, next) => {
+  try {
+    const group_id = req.params.groupId;
+    const { sessionId, reply_to } = req.query;
+
+    const isMember = await canAccessGroup(req, group_id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const { page } = req;
+
+    let q = supabase
+      .from("group_messages")
+      .select(MESSAGE_COLUMNS)
+      .eq("group_id", group_id);
+    if (sessionId) q = q.eq("session_id", sessionId);
+    if (reply_to) q = q.eq("reply_to", reply_to);
+
+    const { data, error } = await applyPage(q, page, MESSAGE_PAGE);
+    if (error) throw error;
+    const { rows: msgs, ...paging } = pageResult(data, page, MESSAGE_PAGE);
+
+    // the page is newest first; messages are returned oldest first like a chat
+    const enriched = await decorateMessages(msgs, req.user.id);
+    res.json({ messages: enriched.reverse(), ...paging });
+  } catch (e) { next(e); }
+});
+
+/** A date query param as a Date; a plain date as `to` means the end of that day */
+function dateParam(value, { endOfDay = false } = {}) {
+  if (value === undefined || value === "") return null;
+  const plainDate = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const d = new Date(plainDate && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+// Best match first; search_group_messages() (see utils/messageSearch.js) returns rank
+const SEARCH_PAGE = { column: "rank", order: "desc" };
+
+router.get("/groups/:groupId/messages/search", requireAuth({ partner: "messages:read" }), paginate({ defaultLimit: 20, maxLimit: 50 }), async (req, res, next) => {
+  try {
+    const { page } = req;
+    const group_id = req.params.groupId;
+    const q = String(req.query.q || "").trim();
+
+    const isMember = await canAccessGroup(req, group_id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    if (q.length < 2) return res.status(400).json({ error: "q must be at least 2 characters" });
+    const query = parseSearchQuery(q);
+    if (!query.terms.length && !query.phrases.length) {
+      return res.status(400).json({ error: "q has nothing to search for" });
+    }
+
+    const from = dateParam(req.query.from);
+    const to = dateParam(req.query.to, { endOfDay: true });
+    if (from === undefined) return res.status(400).json({ error: "from must be a date" });
+    if (to === undefined) return res.status(400).json({ error: "to must be a date" });
+
+    let dbq = supabase.rpc("search_group_messages", { p_group_id: group_id, p_query: q });
+    if (req.query.sender) dbq = dbq.eq("sender_id", req.query.sender);
+    if (from) dbq = dbq.gte("created_at", from.toISOString());
+    if (to) dbq = dbq.lte("created_at", to.toISOString());
+
+    const { data, error } = await applyPage(dbq, page, SEARCH_PAGE);
+    if (error) throw error;
+    const { rows, ...paging } = pageResult(data, page, SEARCH_PAGE);
+
+    const decorated = await decorateMessages(rows.map(({ rank, ...m }) => m), req.user.id);
+    res.json({
+      results: decorated.map((m, i) => ({ ...m, rank: rows[i].rank, snippet: highlight(m.content, query) })),
+      ...paging,
+    });
+  } catch (e) { next(e); }
+});
+
+/** Edit my own message */
+router.patch("/groups/:groupId/messages/:messageId", requireAuth({ partner: "messages:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, messageId } = req.params;
+    const { content } = req.body || {};
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    if (typeof content !== "string" || !content.trim()) {
+      return res.status(400).json({ error: "content required" });
+    }
+
+    const message = await loadMessage(groupId, messageId);
+    if (!message) return res.status(404).json({ error: "Message not found" });
+    if (message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+    if (message.sender_id !== user.id) return res.status(403).json({ error: "Only the sender can edit" });
+
+    const { data, error } = await supabase
+      .from("group_messages")
+      .update({ content, edited_at: new Date().toISOString() })
+      .eq("id", messageId)
+      .select(MESSAGE_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    publishToGroup(groupId, "message.updated", { group_id: groupId, message: data });
+    res.json({ message: data });
+  } catch (e) { next(e); }
+});
+
+/** Soft delete: the sender or a group owner/admin */
+router.delete("/groups/:groupId/messages/:messageId", requireAuth({ partner: "messages:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, messageId } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const message = await loadMessage(groupId, messageId);
+    if (!message) return res.status(404).json({ error: "Message not found" });
+    if (message.deleted_at) return res.status(409).json({ error: "Message already deleted" });
+    if (message.sender_id !== user.id && !(await isGroupModerator(groupId, user.id))) {
+      return res.status(403).json({ error: "Only the sender or a group owner/admin can delete" });
+    }
+
+    const { data, error } = await supabase
+      .from("group_messages")
+      .update({ deleted_at: new Date().toISOString(), deleted_by: user.id })
+      .eq("id", messageId)
+      .select(MESSAGE_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    publishToGroup(groupId, "message.deleted", { group_id: groupId, message_id: data.id, reply_to: data.reply_to });
+    res.json({ message: { ...data, content: null, attachment_url: null, deleted: true } });
+  } catch (e) { next(e); }
+});
+
+async function reactionSummary(message, userId) {
+  const [decorated] = await decorateMessages([message], userId);
+  return decorated.reactions;
+}
+
+router.put("/groups/:groupId/messages/:messageId/reactions/:emoji", requireAuth({ partner: "messages:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, messageId, emoji } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+    if (!isEmoji(emoji)) return res.status(400).json({ error: "Reaction must be a single emoji" });
+
+    const message = await loadMessage(groupId, messageId);
+    if (!message) return res.status(404).json({ error: "Message not found" });
+    if (message.deleted_at) return res.status(409).json({ error: "Message was deleted" });
+
+    const { error } = await supabase
+      .from("message_reactions")
+      .upsert(
+        { message_id: message.id, user_id: user.id, emoji },
+        { onConflict: "message_id,user_id,emoji", ignoreDuplicates: true }
+      );
+    if (error) throw error;
+
+    publishToGroup(groupId, "reaction.added", { group_id: groupId, message_id: message.id, user_id: user.id, emoji });
+    res.json({ reactions: await reactionSummary(message, user.id) });
+  } catch (e) { next(e); }
+});
+
+router.delete("/groups/:groupId/messages/:messageId/reactions/:emoji", requireAuth({ partner: "messages:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, messageId, emoji } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const message = await loadMessage(groupId, messageId);
+    if (!message) return res.status(404).json({ error: "Message not found" });
+
+    const { data, error } = await supabase
+      .from("message_reactions")
+      .delete()
+      .eq("message_id", message.id)
+      .eq("user_id", user.id)
+      .eq("emoji", emoji)
+      .select("id");
+    if (error) throw error;
+
+    if ((data || []).length) {
+      publishToGroup(groupId, "reaction.removed", { group_id: groupId, message_id: message.id, user_id: user.id, emoji });
+    }
+    res.json({ reactions: await reactionSummary(message, user.id) });
+  } catch (e) { next(e); }
+});
+
+export default router;
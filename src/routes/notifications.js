@@ -0,0 +1,353 @@
+// src/routes/notifications.js
+/**
+ * @openapi
+ * /api/notifications:
+ *   get:
+ *     summary: My in-app notifications, newest first
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema: { type: boolean }
+ *         description: Only unread notifications
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200:
+ *         description: |
+ *           Notifications returned (default 20 per page). Pass next_cursor as
+ *           `before` for older ones.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications: { type: array, items: { $ref: '#/components/schemas/Notification' } }
+ *                 unread_count: { type: integer }
+ *                 has_more: { type: boolean }
+ *                 next_cursor: { type: string, nullable: true }
+ *                 prev_cursor: { type: string, nullable: true }
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ *
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Number of unread notifications (for badges)
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: "{ unread_count }" }
+ *       401: { description: Unauthorized }
+ *
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all my notifications read
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: "{ updated }" }
+ *       401: { description: Unauthorized }
+ *
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark one notification read
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Notification returned with read_at set }
+ *       401: { description: Unauthorized }
+ *       404: { description: Not one of my notifications }
+ *
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete one of my notifications
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Deleted }
+ *       401: { description: Unauthorized }
+ *       404: { description: Not one of my notifications }
+ */
+
+/**
+ * @openapi
+ * /api/notifications/preferences:
+ *   get:
+ *     summary: My email notification preferences
+ *     description: Every category defaults to on. `email_enabled` false turns off all LockedIn emails.
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Preferences returned (defaults when never set)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationPreferences'
+ *       401: { description: Unauthorized }
+ *   put:
+ *     summary: Update my email notification preferences
+ *     description: Only the given fields change.
+ *     tags: [Notifications]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferences'
+ *     responses:
+ *       200: { description: Preferences saved }
+ *       400: { description: Validation error }
+ *       401: { description: Unauthorized }
+ *
+ * /api/notifications/unsubscribe/{token}:
+ *   get:
+ *     summary: Confirmation page for the unsubscribe link in an email
+ *     description: |
+ *       No login needed; the token is signed. Changes nothing, so link scanners and
+ *       mail prefetchers can't unsubscribe anyone: the page's button POSTs to the same URL.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Confirmation page (HTML) }
+ *       400: { description: Invalid link (HTML) }
+ *   post:
+ *     summary: Unsubscribe
+ *     description: |
+ *       A token for a category turns that category off, an "all" token turns off every email.
+ *       Mail clients call this for the `List-Unsubscribe-Post` header (RFC 8058 one-click) with
+ *       the form body `List-Unsubscribe=One-Click` and get JSON; the confirmation page's button gets an HTML page.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Unsubscribed }
+ *       400: { description: Invalid link }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { renderMessagePage } from "../utils/html.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
+import {
+  NOTIFICATION_CATEGORIES,
+  CATEGORY_LABELS,
+  getPreferences,
+  savePreferences,
+} from "../utils/notificationPreferences.js";
+import { verifyUnsubscribeToken, UnsubscribeTokenError } from "../utils/unsubscribeTokens.js";
+
+const router = express.Router();
+
+const FIELDS = ["email_enabled", ...NOTIFICATION_CATEGORIES];
+
+const NOTIFICATION_COLUMNS = "id, type, actor_id, title, body, data, read_at, created_at";
+const NOTIFICATION_PAGE = { column: "created_at", order: "desc" };
+
+async function unreadCount(userId) {
+  const { count, error } = await supabase
+    .from("notifications")
+    .select("id", { count: "exact", head: true })
+    .eq("user_id", userId)
+    .is("read_at", null);
+  if (error) throw error;
+  return count || 0;
+}
+
+router.get("/notifications", requireAuth(), paginate({ defaultLimit: 20 }), async (req, res, next) => {
+  try {
+    const { user, page } = req;
+
+    let q = supabase
+      .from("notifications")
+      .select(NOTIFICATION_COLUMNS)
+      .eq("user_id", user.id);
+    if (req.query.unread === "true") q = q.is("read_at", null);
+
+    const { data, error } = await applyPage(q, page, NOTIFICATION_PAGE);
+    if (error) throw error;
+    const { rows, ...paging } = pageResult(data, page, NOTIFICATION_PAGE);
+
+    // join actor names
+    const actorIds = [...new Set(rows.map(n => n.actor_id).filter(Boolean))];
+    let nameById = {};
+    if (actorIds.length) {
+      const { data: profs, error: pErr } = await supabase
+        .from("profiles").select("id, full_name").in("id", actorIds);
+      if (pErr) throw pErr;
+      nameById = Object.fromEntries((profs || []).map(p => [p.id, p.full_name]));
+    }
+
+    res.json({
+      notifications: rows.map(n => ({ ...n, actor_name: nameById[n.actor_id] || null })),
+      unread_count: await unreadCount(user.id),
+      ...paging,
+    });
+  } catch (e) { next(e); }
+});
+
+router.get("/notifications/unread-count", requireAuth(), async (req, res, next) => {
+  try {
+    res.json({ unread_count: await unreadCount(req.user.id) });
+  } catch (e) { next(e); }
+});
+
+router.put("/notifications/read-all", requireAuth(), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("user_id", req.user.id)
+      .is("read_at", null)
+      .select("id");
+    if (error) throw error;
+    res.json({ updated: (data || []).length });
+  } catch (e) { next(e); }
+});
+
+router.put("/notifications/:id/read", requireAuth(), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("notifications")
+      .update({ read_at: new Date().toISOString() })
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .select(NOTIFICATION_COLUMNS)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Notification not found" });
+    res.json({ notification: data });
+  } catch (e) { next(e); }
+});
+
+router.get("/notifications/preferences", requireAuth(), async (req, res, next) => {
+  try {
+    res.json(await getPreferences(req.user.id));
+  } catch (e) { next(e); }
+});
+
+router.put("/notifications/preferences", requireAuth(), async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const unknown = Object.keys(body).filter(k => !FIELDS.includes(k));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown preference: ${unknown.join(", ")}` });
+    }
+    const changes = {};
+    for (const field of FIELDS) {
+      if (body[field] === undefined) continue;
+      if (typeof body[field] !== "boolean") {
+        return res.status(400).json({ error: `${field} must be a boolean` });
+      }
+      changes[field] = body[field];
+    }
+    if (!Object.keys(changes).length) {
+      return res.status(400).json({ error: `Provide at least one of ${FIELDS.join(", ")}` });
+    }
+
+    res.json(await savePreferences(req.user.id, changes));
+  } catch (e) { next(e); }
+});
+
+router.delete("/notifications/:id", requireAuth(), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("notifications")
+      .delete()
+      .eq("id", req.params.id)
+      .eq("user_id", req.user.id)
+      .select("id")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Notification not found" });
+    res.json({ message: "Notification deleted" });
+  } catch (e) { next(e); }
+});
+
+const INVALID_LINK = { status: 400, heading: "Link not valid", message: "This unsubscribe link is not valid.", tone: "error" };
+
+/** The token's { uid, cat } when it is valid and names a known category, else null */
+function unsubscribeClaims(token) {
+  let claims;
+  try {
+    claims = verifyUnsubscribeToken(token);
+  } catch (err) {
+    if (!(err instanceof UnsubscribeTokenError)) throw err;
+    return null;
+  }
+  return claims.cat === "all" || NOTIFICATION_CATEGORIES.includes(claims.cat) ? claims : null;
+}
+
+/** Verifies the token and turns the category off; returns { status, heading, message, tone } */
+async function unsubscribe(token) {
+  const claims = unsubscribeClaims(token);
+  if (!claims) return INVALID_LINK;
+
+  await savePreferences(claims.uid, { [claims.cat === "all" ? "email_enabled" : claims.cat]: false });
+  return {
+    status: 200,
+    heading: "You're unsubscribed",
+    message: `You won't receive ${CATEGORY_LABELS[claims.cat]} any more. You can turn them back on in your notification settings.`,
+    tone: "success",
+  };
+}
+
+// Only asks: scanners and prefetchers open every link in an email
+router.get("/notifications/unsubscribe/:token", (req, res) => {
+  const { token } = req.params;
+  const claims = unsubscribeClaims(token);
+  if (!claims) {
+    const { status, ...page } = INVALID_LINK;
+    return res.status(status).type("html").send(renderMessagePage({ title: "Unsubscribe", ...page }));
+  }
+
+  res.type("html").send(renderMessagePage({
+    title: "Unsubscribe",
+    heading: "Unsubscribe?",
+    message: `You will stop receiving ${CATEGORY_LABELS[claims.cat]}. You can turn them back on in your notification settings.`,
+    action: { url: `/api/notifications/unsubscribe/${encodeURIComponent(token)}`, label: "Unsubscribe" },
+  }));
+});
+
+// Mail clients POST "List-Unsubscribe=One-Click" here and only look at the status code;
+// the confirmation page's button posts an empty form and gets a page back
+router.post("/notifications/unsubscribe/:token", express.urlencoded({ extended: false }), async (req, res) => {
+  const oneClick = req.body?.["List-Unsubscribe"] === "One-Click";
+  try {
+    const { status, ...page } = await unsubscribe(req.params.token);
+    if (oneClick) return res.status(status).json(status === 200 ? { success: true } : { error: page.message });
+    res.status(status).type("html").send(renderMessagePage({ title: "Unsubscribe", ...page }));
+  } catch (e) {
+    console.error("Unsubscribe failed:", e);
+    if (oneClick) return res.status(500).json({ error: "Error updating your email preferences" });
+    res.status(500).type("html").send(renderMessagePage({
+      title: "Unsubscribe",
+      heading: "Something went wrong",
+      message: "Error updating your email preferences",
+      tone: "error",
+    }));
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+// src/routes/partners.js
+/**
+ * @openapi
+ * /api/admin/partner-keys:
+ *   post:
+ *     summary: Create a partner API key (admin only)
+ *     description: The plaintext key is returned once; only its hash is stored.
+ *     tags: [Partners]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes, user_id]
+ *             properties:
+ *               name: { type: string }
+ *               scopes:
+ *                 type: array
+ *                 items: { type: string, enum: [sessions:read, sessions:write, messages:read, messages:write, email:send, email:templates] }
+ *               group_ids: { type: array, items: { type: integer }, description: Omit to allow any group }
+ *               user_id: { type: string, description: Existing profile the partner acts as; its writes are attributed to it }
+ *               rate_limit_per_minute: { type: integer }
+ *               daily_email_quota: { type: integer, description: Emails per UTC day through /api/email/send (defaults to EMAIL_DAILY_QUOTA) }
+ *               expires_at: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Key created }
+ *       400: { description: Validation error, or user_id is missing or not a profile }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ */
+
+/**
+ * @openapi
+ * /api/admin/partner-keys:
+ *   get:
+ *     summary: List partner API keys (admin only)
+ *     tags: [Partners]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200: { description: Keys returned (without hashes) }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ */
+
+/**
+ * @openapi
+ * /api/admin/partner-keys/{id}:
+ *   delete:
+ *     summary: Revoke a partner API key (admin only)
+ *     tags: [Partners]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Revoked }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ *       404: { description: Key not found }
+ */
+
+/**
+ * @openapi
+ * /api/admin/partner-keys/{id}/audit:
+ *   get:
+ *     summary: Audit trail for a partner API key (admin only)
+ *     tags: [Partners]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Audit entries returned }
+ *       401: { description: Unauthorized }
+ *       403: { description: Admin only }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAdmin } from "../middleware/auth.js";
+import { generateKey, PARTNER_SCOPES, DEFAULT_RATE_LIMIT_PER_MINUTE } from "../utils/partnerKeys.js";
+
+const router = express.Router();
+
+const KEY_COLUMNS = "id, name, key_prefix, scopes, group_ids, user_id, rate_limit_per_minute, daily_email_quota, created_by, created_at, last_used_at, expires_at, revoked_at";
+
+router.post("/admin/partner-keys", requireAdmin(), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { name, scopes, group_ids, user_id, rate_limit_per_minute, daily_email_quota, expires_at } = req.body || {};
+
+    if (!name) return res.status(400).json({ error: "name is required" });
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "scopes[] required" });
+    }
+    const unknown = scopes.filter(s => !PARTNER_SCOPES.includes(s));
+    if (unknown.length) return res.status(400).json({ error: `Unknown scopes: ${unknown.join(", ")}` });
+    if (group_ids !== undefined && !Array.isArray(group_ids)) {
+      return res.status(400).json({ error: "group_ids must be an array" });
+    }
+    if (daily_email_quota !== undefined && !(Number.isInteger(daily_email_quota) && daily_email_quota > 0)) {
+      return res.status(400).json({ error: "daily_email_quota must be a positive integer" });
+    }
+    // The key acts as this account, never as the admin creating it
+    if (!user_id) return res.status(400).json({ error: "user_id is required" });
+
+    const { data: profile, error: pErr } = await supabase
+      .from("profiles")
+      .select("id")
+      .eq("id", user_id)
+      .maybeSingle();
+    if (pErr) throw pErr;
+    if (!profile) return res.status(400).json({ error: "user_id is not an existing profile" });
+
+    const { key, key_prefix, key_hash } = generateKey();
+    const { data, error } = await supabase
+      .from("partner_api_keys")
+      .insert([{
+        name,
+        key_prefix,
+        key_hash,
+        scopes,
+        group_ids: group_ids?.length ? group_ids : null,
+        user_id,
+        rate_limit_per_minute: rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+        daily_email_quota: daily_email_quota || null,
+        expires_at: expires_at || null,
+        created_by: user.id,
+      }])
+      .select(KEY_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    res.json({ key, partner_key: data });
+  } catch (e) { next(e); }
+});
+
+router.get("/admin/partner-keys", requireAdmin(), async (_req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("partner_api_keys")
+      .select(KEY_COLUMNS)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    res.json({ partner_keys: data || [] });
+  } catch (e) { next(e); }
+});
+
+router.delete("/admin/partner-keys/:id", requireAdmin(), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { data, error } = await supabase
+      .from("partner_api_keys")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", id)
+      .select("id, revoked_at")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: "Key not found" });
+    res.json({ message: "Key revoked", partner_key: data });
+  } catch (e) { next(e); }
+});
+
+router.get("/admin/partner-keys/:id/audit", requireAdmin(), async (req, res, next) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const { data, error } = await supabase
+      .from("partner_audit_log")
+      .select("id, key_id, partner_name, action, path, group_id, status_code, created_at")
+      .eq("key_id", req.params.id)
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    res.json({ entries: data || [] });
+  } catch (e) { next(e); }
+});
+
+export default router;
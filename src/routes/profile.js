@@ -46,24 +46,14 @@
  */
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) throw error;
-  return data?.user || null;
-}
-
-router.get("/profile", async (req, res, next) => {
+
+router.get("/profile", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { data, error } = await supabase
       .from("profiles")
@@ -75,10 +65,9 @@ router.get("/profile", async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-router.put("/profile", async (req, res, next) => {
+router.put("/profile", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     // Allowed fields to update from UI:
     const { degree, modules, interest,year, gpa, university } = req.body || {};
@@ -103,10 +92,9 @@ router.put("/profile", async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-router.get("/friends", async (req, res, next) => {
+router.get("/friends", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     // Return my friends with their names
     const { data: edges, error: fErr } = await supabase
@@ -3,11 +3,19 @@
  * @openapi
  * /api/progress:
  *   get:
- *     summary: Get my recent progress entries (last 14)
+ *     summary: Get my progress entries, most recent first
  *     tags: [Progress]
  *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
  *     responses:
- *       200: { description: Entries returned }
+ *       200:
+ *         description: |
+ *           `{ entries, has_more, next_cursor, prev_cursor }` (default 14 per page).
+ *           Pass next_cursor as `before` for earlier days.
+ *       400: { description: Invalid cursor }
  *       401: { description: Unauthorized }
  */
 
@@ -37,42 +45,38 @@
  */
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
-
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
-
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) throw error;
-  return data?.user || null;
-}
-
-/** Get recent (last 7–14) entries */
-router.get("/progress", async (req, res, next) => {
+
+// One entry per user and day, so the date alone orders them
+const PROGRESS_PAGE = { column: "date", tiebreaker: null, order: "desc" };
+
+/** Get recent entries (14 days per page by default) */
+router.get("/progress", requireAuth(), paginate({ defaultLimit: 14 }), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-    const { data, error } = await supabase
-      .from("user_progress")
-      .select("date, hours, productivity, notes")
-      .eq("user_id", user.id)
-      .order("date", { ascending: false })
-      .limit(14);
+    const { user, page } = req;
+
+    const { data, error } = await applyPage(
+      supabase
+        .from("user_progress")
+        .select("date, hours, productivity, notes")
+        .eq("user_id", user.id),
+      page,
+      PROGRESS_PAGE
+    );
     if (error) throw error;
-    res.json({ entries: data || [] });
+    const { rows, ...paging } = pageResult(data, page, PROGRESS_PAGE);
+    res.json({ entries: rows, ...paging });
   } catch (e) { next(e); }
 });
 
 /** Upsert one day */
-router.post("/progress", async (req, res, next) => {
+router.post("/progress", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
     const { date, hours, productivity, notes } = req.body || {};
     if (!date || hours === undefined) return res.status(400).json({ error: "date and hours required" });
 
@@ -88,10 +92,9 @@ router.post("/progress", async (req, res, next) => {
   } catch (e) { next(e); }
 });
 
-router.get("/study-time", async (req, res, next) => {
+router.get("/study-time", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { data, error } = await supabase.rpc("aggregate_study_time", { p_user_id: user.id });
     if (error) throw error;
@@ -0,0 +1,143 @@
+// src/routes/realtime.js
+/**
+ * @openapi
+ * /api/realtime/stream:
+ *   get:
+ *     summary: Live group and notification events (Server-Sent Events)
+ *     description: |
+ *       Keeps the connection open and pushes events for the caller's groups and
+ *       their own notifications:
+ *
+ *       - `message.created`, `message.updated`, `message.deleted` — group chat
+ *       - `reaction.added`, `reaction.removed` — `{ group_id, message_id, user_id, emoji }`
+ *       - `session.created`, `session.updated`, `session.cancelled`, `session.restored`
+ *       - `rsvp.updated` — `{ group_id, session_id, user_id, status }`
+ *       - `member.joined`, `member.role_updated`, `member.removed`
+ *       - `group.updated`, `group.archived`, `group.restored`, `group.deleted`
+ *       - `notification.created` — a new in-app notification for the caller
+ *
+ *       After `member.removed` for the caller, `group.archived` or `group.deleted` the
+ *       stream stops sending that group's events; the rest of the stream stays open.
+ *
+ *       Each event's `data` is JSON and carries `group_id` where it belongs to a group.
+ *       EventSource can't send headers, so the token may be passed as `?access_token=`.
+ *       On reconnect the browser sends `Last-Event-ID` (or pass `?last_event_id=`) and
+ *       missed events are replayed; when they can't all be replayed a `resync` event
+ *       tells the client to refetch. A comment is sent every 25 seconds to keep proxies
+ *       from closing the connection.
+ *     tags: [Realtime]
+ *     security: [{ bearerAuth: [] }]
+ *     parameters:
+ *       - in: query
+ *         name: groups
+ *         schema: { type: string }
+ *         description: Comma separated group ids; defaults to every group I belong to that isn't archived
+ *       - in: query
+ *         name: access_token
+ *         schema: { type: string }
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *         content:
+ *           text/event-stream:
+ *             schema: { type: string }
+ *       400: { description: Bad group id }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a member of one of the requested groups }
+ *       409: { description: One of the requested groups is archived }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { requireGroupMember, isGroupArchived } from "../utils/membership.js";
+import { subscribe, eventsSince, groupChannel, userChannel } from "../utils/realtime.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+async function myGroupIds(userId) {
+  const { data, error } = await supabase
+    .from("group_members")
+    .select("group_id, groups!inner(archived_at)")
+    .eq("user_id", userId)
+    .is("groups.archived_at", null);
+  if (error) throw error;
+  return [...new Set((data || []).map(m => String(m.group_id)))];
+}
+
+/** Events after which this user no longer hears from the group */
+const losesGroup = (event, userId) =>
+  ["group.archived", "group.deleted"].includes(event.type) ||
+  (event.type === "member.removed" && event.data?.user_id === userId);
+
+const frame = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+
+router.get("/realtime/stream", requireAuth({ queryToken: true }), async (req, res, next) => {
+  try {
+    const { user } = req;
+
+    let groupIds;
+    if (req.query.groups) {
+      groupIds = [...new Set(String(req.query.groups).split(",").map(s => s.trim()).filter(Boolean))];
+      if (groupIds.some(id => !/^\d+$/.test(id))) {
+        return res.status(400).json({ error: "groups must be comma separated group ids" });
+      }
+      for (const id of groupIds) {
+        if (!(await requireGroupMember(id, user.id))) {
+          return res.status(403).json({ error: `Not a member of group ${id}` });
+        }
+        if (await isGroupArchived(id)) {
+          return res.status(409).json({ error: `Group ${id} is archived` });
+        }
+      }
+    } else {
+      groupIds = await myGroupIds(user.id);
+    }
+
+    const channels = [...groupIds.map(groupChannel), userChannel(user.id)];
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders?.();
+    res.write(`retry: ${RETRY_MS}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ groups: groupIds.map(Number) })}\n\n`);
+
+    const lastEventId = req.headers["last-event-id"] || req.query.last_event_id;
+    if (lastEventId) {
+      const { events, complete } = eventsSince(channels, lastEventId);
+      if (!complete) res.write(`event: resync\ndata: ${JSON.stringify({ reason: "missed events are no longer available" })}\n\n`);
+      for (const event of events) res.write(frame(event));
+    }
+
+    // One subscription per channel, so a group can be dropped while the stream stays open
+    const subscriptions = new Map();
+    const listener = (event) => {
+      res.write(frame(event));
+      if (losesGroup(event, user.id)) {
+        subscriptions.get(event.channel)?.();
+        subscriptions.delete(event.channel);
+      }
+    };
+    for (const channel of channels) subscriptions.set(channel, subscribe([channel], listener));
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    heartbeat.unref?.();
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      for (const unsubscribe of subscriptions.values()) unsubscribe();
+    });
+  } catch (e) { next(e); }
+});
+
+export default router;
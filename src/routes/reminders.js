@@ -0,0 +1,105 @@
+// src/routes/reminders.js
+/**
+ * @openapi
+ * /api/reminders/preferences:
+ *   get:
+ *     summary: My session reminder preferences
+ *     tags: [Reminders]
+ *     security: [{ bearerAuth: [] }]
+ *     responses:
+ *       200:
+ *         description: Preferences returned (defaults when never set)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled: { type: boolean }
+ *                 offsets: { type: array, items: { type: integer }, description: Minutes before the session }
+ *                 default_offsets: { type: array, items: { type: integer } }
+ *       401: { description: Unauthorized }
+ *   put:
+ *     summary: Update my session reminder preferences
+ *     tags: [Reminders]
+ *     security: [{ bearerAuth: [] }]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled: { type: boolean }
+ *               offsets:
+ *                 type: array
+ *                 nullable: true
+ *                 description: Minutes or "24h" / "30m" / "2d" strings, at most 7 days; null restores the defaults
+ *                 items: { oneOf: [{ type: integer }, { type: string }] }
+ *     responses:
+ *       200: { description: Preferences saved }
+ *       400: { description: Validation error }
+ *       401: { description: Unauthorized }
+ */
+
+import express from "express";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { parseOffsets, reminderSettings, ReminderOffsetError } from "../utils/reminders.js";
+
+const router = express.Router();
+
+function present(pref) {
+  const defaults = reminderSettings().offsets;
+  return {
+    enabled: pref?.enabled ?? true,
+    offsets: pref?.offsets?.length ? pref.offsets : defaults,
+    default_offsets: defaults,
+  };
+}
+
+router.get("/reminders/preferences", requireAuth(), async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from("reminder_preferences")
+      .select("enabled, offsets")
+      .eq("user_id", req.user.id)
+      .maybeSingle();
+    if (error) throw error;
+    res.json(present(data));
+  } catch (e) { next(e); }
+});
+
+router.put("/reminders/preferences", requireAuth(), async (req, res, next) => {
+  try {
+    const { enabled, offsets } = req.body || {};
+    if (enabled !== undefined && typeof enabled !== "boolean") {
+      return res.status(400).json({ error: "enabled must be a boolean" });
+    }
+
+    const row = { user_id: req.user.id, updated_at: new Date().toISOString() };
+    if (enabled !== undefined) row.enabled = enabled;
+    if (offsets === null) {
+      row.offsets = null;
+    } else if (offsets !== undefined) {
+      if (!Array.isArray(offsets) || offsets.length === 0) {
+        return res.status(400).json({ error: "offsets must be a non-empty array or null" });
+      }
+      try {
+        row.offsets = parseOffsets(offsets);
+      } catch (err) {
+        if (err instanceof ReminderOffsetError) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+    }
+
+    const { data, error } = await supabase
+      .from("reminder_preferences")
+      .upsert(row, { onConflict: "user_id" })
+      .select("enabled, offsets")
+      .single();
+    if (error) throw error;
+    res.json(present(data));
+  } catch (e) { next(e); }
+});
+
+export default router;
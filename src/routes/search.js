@@ -42,19 +42,12 @@
  */
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { notify } from "../utils/notifications.js";
 
 const router = express.Router();
 
-// Create Supabase client - make it configurable for testing
-export const createSupabaseClient = () => createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-// Use a function that can be overridden in tests
-export let supabase = createSupabaseClient();
-
 const SEARCH_MAP = {
   modules: "modules",
   degree: "degree",
@@ -98,26 +91,26 @@ router.post("/search", async (req, res, next) => {
   }
 });
 
-router.post("/invite", async (req, res, next) => {
+router.post("/invite", requireAuth(), async (req, res, next) => {
   try {
+    const { user } = req;
     const { recipient_id } = req.body || {};
     if (!recipient_id) {
       return res.status(400).json({ error: "Missing recipient_id" });
     }
 
-    const authHeader = req.headers.authorization || "";
-    const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-
-    const { data: userResp, error: userErr } = await supabase.auth.getUser(token);
-    if (userErr) throw userErr;
-    const user = userResp?.user;
-    if (!user) return res.status(401).json({ error: "Invalid token" });
-
     const { error } = await supabase
       .from("invitations")
       .insert([{ sender_id: user.id, recipient_id, status: "pending" }]);
     if (error) throw error;
 
+    await notify(recipient_id, {
+      type: "friend_invite",
+      actorId: user.id,
+      title: "New friend request",
+      data: { sender_id: user.id },
+    });
+
     res.json({ message: "Invitation sent" });
   } catch (e) {
     console.error("[/api/invite] error:", e);
@@ -5,15 +5,20 @@
  * /api/groups/{groupId}/sessions:
  *   post:
  *     summary: Create a planned session
+ *     description: |
+ *       Responds as soon as the session (or series) is stored. The other group members are
+ *       invited afterwards: each gets a pending invite, a notification and an RSVP email
+ *       per occurrence, unless they are already booked at that time.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []         # normal mode
+ *       - partnerKey: []         # partner integrations
  *     parameters:
  *       - in: header
  *         name: x-partner-key
  *         required: false
  *         schema: { type: string }
- *         description: Partner API key (bypasses Bearer auth if valid)
+ *         description: Partner API key with the sessions:write scope (used instead of Bearer auth)
  *       - in: path
  *         name: groupId
  *         schema: { type: integer }
@@ -31,11 +36,27 @@
  *               topic: { type: string }
  *               time_goal_minutes: { type: integer }
  *               content_goal: { type: string }
+ *               recurrence:
+ *                 description: >
+ *                   Makes this a recurring series. Either an RRULE string (FREQ=DAILY|WEEKLY|MONTHLY,
+ *                   INTERVAL, BYDAY for weekly, and COUNT or UNTIL) or the same as an object.
+ *                   At most 52 occurrences, none before start_at (with BYDAY the first is the first
+ *                   listed day on or after it); each one gets its own RSVP invites.
+ *                 oneOf:
+ *                   - { type: string, example: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=8" }
+ *                   - type: object
+ *                     properties:
+ *                       freq: { type: string, enum: [DAILY, WEEKLY, MONTHLY] }
+ *                       interval: { type: integer }
+ *                       by_day: { type: array, items: { type: string, enum: [MO, TU, WE, TH, FR, SA, SU] } }
+ *                       count: { type: integer }
+ *                       until: { type: string, format: date-time }
  *     responses:
- *       200: { description: Created }
+ *       200: { description: "Created; recurring requests also return series and occurrences" }
  *       400: { description: Validation error }
  *       401: { description: Unauthorized }
  *       403: { description: Not a group member }
+ *       409: { description: Group is archived }
  */
 
 /**
@@ -46,36 +67,106 @@
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
+ *       - partnerKey: []
  *     parameters:
  *       - in: header
  *         name: x-partner-key
  *         required: false
  *         schema: { type: string }
- *         description: Partner API key (bypasses Bearer auth if valid)
+ *         description: Partner API key with the sessions:read scope (used instead of Bearer auth)
  *       - in: path
  *         name: groupId
  *         schema: { type: integer }
  *         required: true
+ *       - in: query
+ *         name: include
+ *         schema: { type: string, enum: [rsvps] }
+ *         description: Add rsvp_counts ({ accepted, declined, pending }) and my_rsvp to each session
+ *       - $ref: '#/components/parameters/PageLimit'
+ *       - $ref: '#/components/parameters/PageBefore'
+ *       - $ref: '#/components/parameters/PageAfter'
+ *     responses:
+ *       200:
+ *         description: |
+ *           `{ sessions, has_more, next_cursor, prev_cursor }`, earliest first (default
+ *           50 per page). Pass next_cursor as `after` for the next page.
+ *       400: { description: Invalid cursor }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}/attendees:
+ *   get:
+ *     summary: RSVP roster for a session
+ *     description: |
+ *       One entry per group member (plus invitees who have left the group) with their
+ *       RSVP status (accepted, declined, pending, or not_invited), when they answered,
+ *       and their name.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
  *     responses:
- *       200: { description: Sessions returned }
+ *       200:
+ *         description: Roster returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_id: { type: string }
+ *                       full_name: { type: string, nullable: true }
+ *                       status: { type: string, enum: [accepted, declined, pending, not_invited] }
+ *                       responded_at: { type: string, format: date-time, nullable: true }
+ *                       is_creator: { type: boolean }
+ *                 counts:
+ *                   type: object
+ *                   properties:
+ *                     accepted: { type: integer }
+ *                     declined: { type: integer }
+ *                     pending: { type: integer }
+ *                     not_invited: { type: integer }
+ *                     total: { type: integer }
  *       401: { description: Unauthorized }
  *       403: { description: Not a group member }
+ *       404: { description: Session not found }
  */
 
 /**
  * @openapi
  * /api/groups/{groupId}/sessions/{sessionId}:
  *   delete:
- *     summary: Delete a session (creator only)
+ *     summary: Cancel a session (creator only)
+ *     description: |
+ *       Soft delete: the session stays in listings with status "cancelled" and every
+ *       invitee who accepted or has not answered is emailed and notified. The creator can restore it
+ *       within SESSION_RESTORE_HOURS (default 24).
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
+ *       - partnerKey: []
  *     parameters:
  *       - in: header
  *         name: x-partner-key
  *         required: false
  *         schema: { type: string }
- *         description: Partner API key (bypasses Bearer auth if valid)
+ *         description: Partner API key with the sessions:write scope (used instead of Bearer auth)
  *       - in: path
  *         name: groupId
  *         schema: { type: integer }
@@ -84,31 +175,69 @@
  *         name: sessionId
  *         schema: { type: integer }
  *         required: true
+ *       - in: query
+ *         name: reason
+ *         schema: { type: string }
+ *         description: Cancellation reason (may also be sent as { reason } in the body)
  *     responses:
- *       200: { description: Deleted }
+ *       200: { description: Cancelled; restore_until says how long it can be undone }
  *       401: { description: Unauthorized }
- *       403: { description: Only the creator can delete }
+ *       403: { description: Only the creator can cancel }
  *       404: { description: Not found }
+ *       409: { description: Session already cancelled, or the group is archived }
  */
 
 /**
  * @openapi
- * /api/groups/{groupId}/messages:
+ * /api/groups/{groupId}/sessions/{sessionId}/restore:
  *   post:
- *     summary: Post a group message
+ *     summary: Restore a cancelled session (creator only)
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Session restored; invitees are told it is back on }
+ *       401: { description: Unauthorized }
+ *       403: { description: Only the creator can restore }
+ *       404: { description: Session not found }
+ *       409: { description: Session is not cancelled, or the group is archived }
+ *       410: { description: Restore window has passed or the session already started }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/sessions/{sessionId}:
+ *   patch:
+ *     summary: Edit a session (creator or group owner)
+ *     description: |
+ *       Only the fields sent are changed (PUT behaves the same). Invitees who have not
+ *       declined get a "session updated" email listing the changes. When the time
+ *       changes, conflicts are checked again for each invitee; moving the session by
+ *       RSVP_RESET_MINUTES (default 60) or more resets every RSVP to pending and emails
+ *       fresh accept/decline links.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
  *     parameters:
- *       - in: header
- *         name: x-partner-key
- *         required: false
- *         schema: { type: string }
- *         description: Partner API key (bypasses Bearer auth if valid)
  *       - in: path
  *         name: groupId
  *         schema: { type: integer }
  *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
  *     requestBody:
  *       required: true
  *       content:
@@ -116,51 +245,246 @@
  *           schema:
  *             type: object
  *             properties:
- *               session_id: { type: integer }
- *               content: { type: string }
- *               attachment_url: { type: string }
+ *               start_at: { type: string, format: date-time }
+ *               venue: { type: string }
+ *               topic: { type: string }
+ *               time_goal_minutes: { type: integer }
+ *               content_goal: { type: string }
  *     responses:
- *       200: { description: Created }
- *       400: { description: Missing content or attachment }
+ *       200:
+ *         description: Session updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 session: { $ref: '#/components/schemas/Session' }
+ *                 changes: { type: array, items: { type: string } }
+ *                 rsvps_reset: { type: boolean }
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user_id: { type: string }
+ *                       full_name: { type: string }
+ *                       conflicts: { type: array, items: { $ref: '#/components/schemas/ScheduleConflict' } }
+ *       400: { description: Validation error }
  *       401: { description: Unauthorized }
- *       403: { description: Not a group member }
+ *       403: { description: Not a group member, or not the creator/owner }
+ *       404: { description: Session not found }
+ *       409: { description: Group is archived }
+ *   put:
+ *     summary: Edit a session (same as PATCH)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Session updated }
+ *       400: { description: Validation error }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not the creator/owner }
+ *       404: { description: Session not found }
+ *       409: { description: Group is archived }
  */
 
 /**
  * @openapi
- * /api/groups/{groupId}/messages:
- *   get:
- *     summary: Get group messages (optionally by session)
+ * /api/groups/{groupId}/sessions/{sessionId}/respond:
+ *   post:
+ *     summary: Accept or decline a session invite
+ *     description: |
+ *       Accepting is rejected with 409 when the session overlaps (including the
+ *       configured buffer) another accepted session or one of the user's tests.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: header
- *         name: x-partner-key
- *         required: false
- *         schema: { type: string }
- *         description: Partner API key (bypasses Bearer auth if valid)
  *       - in: path
  *         name: groupId
  *         schema: { type: integer }
  *         required: true
- *       - in: query
+ *       - in: path
  *         name: sessionId
  *         schema: { type: integer }
- *       - in: query
- *         name: limit
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status: { type: string, enum: [accepted, declined] }
+ *     responses:
+ *       200: { description: Invite updated }
+ *       400: { description: Invalid status }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member }
+ *       404: { description: Session not found }
+ *       409:
+ *         description: Schedule conflict, or the group is archived
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error: { type: string }
+ *                 conflicts:
+ *                   type: array
+ *                   items: { $ref: '#/components/schemas/ScheduleConflict' }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/series/{seriesId}:
+ *   get:
+ *     summary: Get a recurring series and its occurrences
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: seriesId
  *         schema: { type: integer }
+ *         required: true
  *     responses:
- *       200: { description: Messages returned }
+ *       200: { description: Series and occurrences returned }
  *       401: { description: Unauthorized }
  *       403: { description: Not a group member }
+ *       404: { description: Series not found }
+ *   patch:
+ *     summary: Edit every upcoming occurrence of a series (creator only)
+ *     description: |
+ *       Occurrences that were edited individually keep their own details. Invitees
+ *       who haven't declined get one update email for the whole series.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: seriesId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               venue: { type: string }
+ *               topic: { type: string }
+ *               time_goal_minutes: { type: integer }
+ *               content_goal: { type: string }
+ *     responses:
+ *       200: { description: "{ series, occurrences, changes, notified }" }
+ *       400: { description: Nothing to update }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member or not the creator }
+ *       404: { description: Series not found }
+ *       409: { description: Group is archived }
+ *   delete:
+ *     summary: Cancel a series (creator only)
+ *     description: |
+ *       Cancels every upcoming occurrence the same way as cancelling a single session: invitees
+ *       who accepted or have not answered are emailed and notified. Past occurrences are left
+ *       alone. Cancel a single occurrence with DELETE /api/groups/{groupId}/sessions/{sessionId}.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: seriesId
+ *         schema: { type: integer }
+ *         required: true
+ *     responses:
+ *       200: { description: Series cancelled }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member or not the creator }
+ *       404: { description: Series not found }
+ *       409: { description: Group is archived }
+ */
+
+/**
+ * @openapi
+ * /api/groups/{groupId}/series/{seriesId}/occurrences/{sessionId}:
+ *   patch:
+ *     summary: Edit one occurrence of a series (creator or group owner)
+ *     description: |
+ *       Works like PUT /api/groups/{groupId}/sessions/{sessionId} (conflict recheck,
+ *       RSVP reset, update emails). The occurrence is marked as an exception so later
+ *       series-wide edits leave it alone.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *       - partnerKey: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: seriesId
+ *         schema: { type: integer }
+ *         required: true
+ *       - in: path
+ *         name: sessionId
+ *         schema: { type: integer }
+ *         required: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               start_at: { type: string, format: date-time }
+ *               venue: { type: string }
+ *               topic: { type: string }
+ *               time_goal_minutes: { type: integer }
+ *               content_goal: { type: string }
+ *     responses:
+ *       200: { description: Occurrence updated }
+ *       400: { description: Validation error }
+ *       401: { description: Unauthorized }
+ *       403: { description: Not a group member, or not the creator/owner }
+ *       404: { description: Occurrence not found }
+ *       409: { description: Occurrence has been cancelled, or the group is archived }
  */
 
 /**
  * @openapi
- * /api/sessions/{sessionId}/accept/{userId}:
+ * /api/sessions/{sessionId}/accept/{token}:
  *   get:
- *     summary: RSVP accept a session via email link
+ *     summary: RSVP accept a session via signed email link
+ *     description: Renders an HTML confirmation page. Tokens are HMAC-signed, single-use and expire when the session starts.
  *     tags: [Sessions]
  *     parameters:
  *       - in: path
@@ -168,19 +492,24 @@
  *         schema: { type: integer }
  *         required: true
  *       - in: path
- *         name: userId
+ *         name: token
  *         schema: { type: string }
  *         required: true
  *     responses:
  *       200: { description: Accepted }
+ *       400: { description: Invalid or tampered link }
+ *       404: { description: Session not found }
+ *       409: { description: Link already used, or the group is archived }
+ *       410: { description: Link expired }
  *       500: { description: Error updating RSVP }
  */
 
 /**
  * @openapi
- * /api/sessions/{sessionId}/decline/{userId}:
+ * /api/sessions/{sessionId}/decline/{token}:
  *   get:
- *     summary: RSVP decline a session via email link
+ *     summary: RSVP decline a session via signed email link
+ *     description: Renders an HTML confirmation page. Tokens are HMAC-signed, single-use and expire when the session starts.
  *     tags: [Sessions]
  *     parameters:
  *       - in: path
@@ -188,21 +517,35 @@
  *         schema: { type: integer }
  *         required: true
  *       - in: path
- *         name: userId
+ *         name: token
  *         schema: { type: string }
  *         required: true
  *     responses:
  *       200: { description: Declined }
+ *       400: { description: Invalid or tampered link }
+ *       404: { description: Session not found }
+ *       409: { description: Link already used, or the group is archived }
+ *       410: { description: Link expired }
  *       500: { description: Error updating RSVP }
  */
 
 
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
-import fetch from 'node-fetch';
+import supabase from "../utils/supabaseClient.js";
+import { requireAuth } from "../middleware/auth.js";
+import { devOnly } from "../middleware/devOnly.js";
+import { requireGroupMember, canAccessGroup, isGroupArchived } from "../utils/membership.js";
+import { createRsvpTokens, rsvpExpiry, verifyRsvpToken, RsvpTokenError } from "../utils/rsvpTokens.js";
+import { renderMessagePage } from "../utils/html.js";
+import { findConflicts, describeConflicts } from "../utils/conflicts.js";
+import { parseRecurrence, expandRecurrence, formatRecurrence, RecurrenceError } from "../utils/recurrence.js";
+import { emailService } from "../utils/email.js";
+import { emailOutbox } from "../utils/outbox.js";
+import { notify } from "../utils/notifications.js";
+import { publishToGroup } from "../utils/realtime.js";
+import { paginate, applyPage, pageResult } from "../utils/pagination.js";
 
 const router = express.Router();
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
 
 // Health check first to ensure service is running
 router.get("/health", (req, res) => {
@@ -213,159 +556,24 @@ router.get("/health", (req, res) => {
   });
 });
 
-// Keep your existing helper functions
-async function getUser(req) {
-  const authHeader = req.headers.authorization || "";
-  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : null;
-  if (!token) return null;
-  const { data, error } = await supabase.auth.getUser(token);
-  if (error) throw error;
-  return data?.user || null;
-}
-
-async function requireGroupMember(group_id, user_id) {
-  const { data, error } = await supabase
-    .from("group_members")
-    .select("user_id")
-    .eq("group_id", group_id)
-    .eq("user_id", user_id)
-    .maybeSingle();
-  if (error) throw error;
-  return !!data;
-}
-
-// Email service setup with test preservation
-let emailService;
-
-if (process.env.NODE_ENV === "test") {
-  console.log("Test environment: Email functionality disabled");
-  emailService = {
-    sendEmail: async (to, subject, html, text, emailType = 'invitation', templateData = {}) => {
-      console.log("[Mock email] sendEmail called to:", to, "Type:", emailType);
-      return Promise.resolve({ 
-        success: true,
-        to: to,
-        subject: subject,
-        emailType: emailType
-      });
-    }
-  };
-} else {
-  // Production: Use EmailJS with proper Node.js fetch
-  emailService = {
-    sendEmail: async (to, subject, html, text, emailType = 'invitation', templateData = {}) => {
-      try {
-        console.log(`📧 Sending ${emailType} email to: ${to}`);
-
-        if (!process.env.EMAILJS_SERVICE_ID || !process.env.EMAILJS_USER_ID) {
-          console.error('❌ Missing EmailJS environment variables');
-          return { 
-            error: 'EmailJS configuration incomplete - check environment variables',
-            emailType: emailType
-          };
-        }
-        
-        // Choose template based on email type
-        const templateId = emailType === 'conflict' 
-          ? process.env.EMAILJS_CONFLICT_TEMPLATE_ID 
-          : process.env.EMAILJS_INVITATION_TEMPLATE_ID;
-        
-        // FIX: Use exact parameter names from your template examples
-        let templateParams;
-        
-        if (emailType === 'conflict') {
-          // Conflict template parameters (from your example)
-          templateParams = {
-            name: templateData.recipient_name || to.split('@')[0],
-            conflict_message: templateData.conflict_message || '',
-            session_time: templateData.session_time || '',
-            student_name: templateData.student_name || '',
-            email: to // This is the recipient email
-          };
-        } else {
-          // Invitation template parameters (from your example)
-          templateParams = {
-            name: templateData.recipient_name || to.split('@')[0],
-            topic: templateData.topic || 'Group Study Session',
-            session_time: templateData.session_time || '',
-            venue: templateData.venue || '',
-            time_goal: templateData.time_goal || '',
-            content_goal: templateData.content_goal || '',
-            organizer: templateData.organizer || 'A group member',
-            action_url: templateData.accept_link || '',
-            support_url: templateData.decline_link || '',
-            email: to // This is the recipient email
-          };
-        }
-
-        console.log(`📤 Sending ${emailType} email with params:`, Object.keys(templateParams));
-
-        const emailjsResponse = await fetch('https://api.emailjs.com/api/v1.0/email/send', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-            'Origin': 'https://lockedin-wits.vercel.app',
-          },
-          body: JSON.stringify({
-            service_id: process.env.EMAILJS_SERVICE_ID,
-            template_id: templateId,
-            user_id: process.env.EMAILJS_USER_ID,
-            template_params: templateParams
-          })
-        });
-
-        // FIX: Handle both JSON and "OK" text responses
-        const responseText = await emailjsResponse.text();
-        
-        let result;
-        try {
-          result = JSON.parse(responseText);
-        } catch (parseError) {
-          // If it's not JSON, check if it's "OK" (success response)
-          if (responseText === 'OK' || responseText.trim() === 'OK') {
-            result = { status: 'success', message: 'Email sent successfully' };
-          } else {
-            // It's some other text error
-            throw new Error(`EmailJS returned: ${responseText}`);
-          }
-        }
-
-        if (!emailjsResponse.ok) {
-          throw new Error(`EmailJS API error: ${emailjsResponse.status} - ${JSON.stringify(result)}`);
-        }
-
-        console.log(`✅ ${emailType} email sent successfully to: ${to}`);
-        return { 
-          success: true, 
-          service: 'emailjs',
-          emailType: emailType,
-          response: result
-        };
-        
-      } catch (error) {
-        console.error(`❌ Failed to send ${emailType} email to ${to}:`, error.message);
-        return { 
-          error: `EmailJS failed: ${error.message}`,
-          emailType: emailType
-        };
-      }
-    }
-  };
-}
-
-// Safe email function that works in both test and production
+// Every session email goes through the shared email service (src/utils/email.js)
 async function sendEmailSafe(to, subject, html, text, emailType = 'invitation', templateData = {}) {
   return await emailService.sendEmail(to, subject, html, text, emailType, templateData);
 }
 
+// Notifications are queued and sent by the outbox worker so requests don't wait on delivery
+async function queueEmail(to, subject, html, text, emailType = 'invitation', templateData = {}) {
+  return await emailOutbox.enqueue(to, subject, html, text, emailType, templateData);
+}
+
 // Export for tests
 export { emailService };
 
-// 🆕 SIMPLE TEST ROUTE: EmailJS Test
-router.get("/emailJS-test", async (req, res) => {
+// 🆕 SIMPLE TEST ROUTE: EmailJS Test (development only)
+router.get("/emailJS-test", devOnly(), async (req, res) => {
   try {
-    const testEmail = req.query.email || 'njam.arshia@gmail.com';
+    const testEmail = req.query.email;
+    if (!testEmail) return res.status(400).json({ success: false, error: "email query parameter is required" });
     const testType = req.query.type || 'invitation';
     
     console.log(`🧪 Testing EmailJS ${testType} template to: ${testEmail}`);
@@ -373,76 +581,45 @@ router.get("/emailJS-test", async (req, res) => {
     let templateParams;
     
     if (testType === 'conflict') {
-      // Test conflict template with exact parameters from your example
       templateParams = {
-        name: "Test Creator",
+        recipient_name: "Test Creator",
         conflict_message: "Test Student has a scheduling conflict at this time.",
         session_time: new Date().toLocaleString(),
-        student_name: "Test Student",
-        email: testEmail
+        student_name: "Test Student"
       };
     } else {
-      // Test invitation template with exact parameters from your example
       templateParams = {
-        name: "Test User",
+        recipient_name: "Test User",
         topic: "Computer Science Study Session",
         session_time: new Date().toLocaleString(),
         venue: "Wits Library",
         time_goal: "120",
         content_goal: "Complete Chapter 5 exercises",
         organizer: "Test Organizer",
-        action_url: "https://www.google.com",
-        support_url: "https://www.wits.ac.za",
-        email: testEmail
+        accept_link: "https://www.google.com",
+        decline_link: "https://www.wits.ac.za"
       };
     }
 
     console.log(`📤 Sending ${testType} email with params:`, templateParams);
 
-    const templateId = testType === 'conflict' 
-      ? process.env.EMAILJS_CONFLICT_TEMPLATE_ID 
-      : process.env.EMAILJS_INVITATION_TEMPLATE_ID;
-
-    const emailjsResponse = await fetch('https://api.emailjs.com/api/v1.0/email/send', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        'Origin': 'https://lockedin-wits.vercel.app',
-      },
-      body: JSON.stringify({
-        service_id: process.env.EMAILJS_SERVICE_ID,
-        template_id: templateId,
-        user_id: process.env.EMAILJS_USER_ID,
-        template_params: templateParams
-      })
-    });
-
-    // FIX: Handle both JSON and "OK" text responses
-    const responseText = await emailjsResponse.text();
-    
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (parseError) {
-      if (responseText === 'OK' || responseText.trim() === 'OK') {
-        result = { status: 'success', message: 'Email sent successfully' };
-      } else {
-        throw new Error(`EmailJS returned: ${responseText}`);
-      }
-    }
-
-    if (!emailjsResponse.ok) {
-      throw new Error(`EmailJS API error: ${emailjsResponse.status} - ${JSON.stringify(result)}`);
-    }
+    const result = await sendEmailSafe(
+      testEmail,
+      testType === 'conflict' ? '⚠️ Test Conflict Alert' : '📚 Test Session Invitation',
+      '',
+      `Test ${testType} email`,
+      testType,
+      templateParams
+    );
+    if (!result.success) throw new Error(result.error);
 
     console.log(`✅ ${testType} test successful!`);
     
     res.json({ 
       success: true, 
       message: `${testType} test email sent to ${testEmail}`,
-      status: emailjsResponse.status,
-      response: result,
+      service: result.service,
+      response: result.response,
       timestamp: new Date().toISOString()
     });
     
@@ -455,10 +632,11 @@ router.get("/emailJS-test", async (req, res) => {
   }
 });
 
-// 🆕 Test both templates at once (Updated)
-router.get("/emailJS-test-both", async (req, res) => {
+// 🆕 Test both templates at once (development only)
+router.get("/emailJS-test-both", devOnly(), async (req, res) => {
   try {
-    const testEmail = req.query.email || 'njam.arshia@gmail.com';
+    const testEmail = req.query.email;
+    if (!testEmail) return res.status(400).json({ success: false, error: "email query parameter is required" });
     
     console.log(`🧪 Testing both EmailJS templates to: ${testEmail}`);
     
@@ -523,163 +701,264 @@ router.get("/emailJS-test-both", async (req, res) => {
   }
 });
 
-/** Create a session (planner) - Updated for EmailJS templates */
-router.post("/groups/:groupId/sessions", async (req, res, next) => {
-  try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+/** In-app notification to the session creator when an invitee answers (RSVP link or respond), plus the group's live RSVP event */
+async function notifyRsvp(session, userId, status) {
+  publishToGroup(session.group_id, "rsvp.updated", {
+    group_id: session.group_id,
+    session_id: session.id,
+    user_id: userId,
+    status,
+  });
+  await notify(session.creator_id, {
+    type: "session_invite_answered",
+    actorId: userId,
+    title: status === "accepted" ? "Session invite accepted" : "Session invite declined",
+    body: session.topic || null,
+    data: { group_id: session.group_id, session_id: session.id, status },
+  });
+}
 
-    const group_id = req.params.groupId;
-    const { start_at, venue, topic, time_goal_minutes, content_goal } = req.body || {};
+/**
+ * Tell the creator (in-app and by email) that an invitee can't accept because
+ * they are already booked. Used by the RSVP link and the respond endpoint.
+ */
+async function reportRsvpConflict(session, userId) {
+  const { data: prof } = await supabase.from("profiles").select("full_name, email").eq("id", userId).single();
+  const { data: creator } = await supabase.from("profiles").select("email, full_name").eq("id", session.creator_id).single();
+
+  await notify(session.creator_id, {
+    type: "session_conflict",
+    actorId: userId,
+    title: "Scheduling conflict",
+    body: `${prof?.full_name || "A student"} can't accept your session because of an existing commitment.`,
+    data: { group_id: session.group_id, session_id: session.id },
+  });
 
-    const isMember = await requireGroupMember(group_id, user.id);
-    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+  if (creator?.email) {
+    await queueEmail(
+      creator.email,
+      `⚠️ Scheduling Conflict Alert`,
+      '', // HTML handled by template
+      `Conflict: ${prof?.full_name} cannot accept your session due to scheduling conflict.`,
+      'conflict',
+      {
+        recipient_name: creator.full_name,
+        session_time: session.start_at,
+        conflict_message: `${prof?.full_name} cannot accept your session due to existing commitment.`,
+        student_name: prof?.full_name || 'A student'
+      }
+    );
+  }
+}
 
-    if (!start_at) return res.status(400).json({ error: "start_at is required" });
+/** Fresh signed accept/decline links for one invitee */
+function rsvpLinks(session, userId) {
+  const rsvp = createRsvpTokens({
+    sessionId: session.id,
+    userId,
+    expiresAt: rsvpExpiry(session.start_at),
+  });
+  return {
+    acceptLink: `https://${process.env.BACKEND_URL}/api/sessions/${session.id}/accept/${rsvp.accept}`,
+    declineLink: `https://${process.env.BACKEND_URL}/api/sessions/${session.id}/decline/${rsvp.decline}`,
+  };
+}
 
-    const starts = new Date(start_at);
-    if (isNaN(starts.getTime())) return res.status(400).json({ error: "Invalid start_at" });
-    if (starts < new Date()) return res.status(400).json({ error: "start_at cannot be in the past" });
+/**
+ * Invite every other group member to each of `sessions`. Runs after the create
+ * response has gone out. Members already booked at that time get no invite and
+ * the creator is alerted instead; everyone else gets a pending invite, an
+ * in-app notification and an email with signed RSVP links. Invites and emails
+ * are written in one insert each.
+ */
+async function inviteMembers(groupId, sessions, user) {
+  const { data: members, error } = await supabase
+    .from("group_members")
+    .select("profiles(id, email, full_name)")
+    .eq("group_id", groupId)
+    .neq("user_id", user.id);
+  if (error) throw error;
 
-    // Insert session
-    const { data: sessionData, error } = await supabase
-      .from("sessions")
-      .insert([{ 
-        group_id, 
-        creator_id: user.id, 
-        start_at, 
-        venue, 
-        topic, 
-        time_goal_minutes, 
-        content_goal 
-      }])
-      .select("*")
-      .single();
+  const profiles = (members || []).map(m => m.profiles).filter(p => p?.email);
+  if (!profiles.length) return;
 
-    if (error) throw error;
+  const invites = [];
+  const emails = [];
+  const conflicted = [];
+  const invited = new Map(); // session id -> invited user ids
 
-    // Get group members (excluding creator)
-    const { data: members, error: membersError } = await supabase
-      .from("group_members")
-      .select("profiles(id, email, full_name)")
-      .eq("group_id", group_id)
-      .neq("user_id", user.id);
+  for (const session of sessions) {
+    const { start_at, venue, topic, time_goal_minutes, content_goal } = session;
+    invited.set(session.id, []);
 
-    if (membersError) {
-      console.error("Error fetching members:", membersError);
-      return res.json({ session: sessionData });
+    for (const memberProfile of profiles) {
+      try {
+        const conflicts = await findConflicts(memberProfile.id, session);
+        if (conflicts.length) {
+          conflicted.push({ session, memberProfile, conflicts });
+          continue;
+        }
+      } catch (err) {
+        console.error(`Error checking conflicts for ${memberProfile.email}:`, err);
+        continue;
+      }
+
+      const { acceptLink, declineLink } = rsvpLinks(session, memberProfile.id);
+      invites.push({ session_id: session.id, user_id: memberProfile.id, status: "pending" });
+      invited.get(session.id).push(memberProfile.id);
+      emails.push({
+        to: memberProfile.email,
+        subject: `📚 Study Session: ${topic || 'Group Study'}`,
+        html: '', // HTML handled by template
+        text: `You've been invited to a study session on ${start_at}. Accept: ${acceptLink} or Decline: ${declineLink}`,
+        emailType: 'invitation',
+        templateData: {
+          recipient_name: memberProfile.full_name,
+          session_time: start_at,
+          venue: venue || '',
+          topic: topic || 'Group Study Session',
+          time_goal: time_goal_minutes || '',
+          content_goal: content_goal || '',
+          organizer: user.user_metadata?.full_name || 'A group member',
+          accept_link: acceptLink,
+          decline_link: declineLink
+        },
+      });
     }
+  }
 
-    if (!members || members.length === 0) {
-      console.log("No members to email.");
-      return res.json({ session: sessionData });
+  if (invites.length) {
+    const { error: iErr } = await supabase.from("session_invites").insert(invites);
+    if (iErr) throw iErr;
+  }
+
+  if (conflicted.length) {
+    const { data: creator } = await supabase
+      .from("profiles")
+      .select("email, full_name")
+      .eq("id", user.id)
+      .single();
+
+    for (const { session, memberProfile, conflicts } of conflicted) {
+      const message = `${memberProfile.full_name} is already booked at this time: ${describeConflicts(conflicts)}.`;
+      await notify(user.id, {
+        type: "session_conflict",
+        actorId: memberProfile.id,
+        title: "Scheduling conflict",
+        body: message,
+        data: { group_id: session.group_id, session_id: session.id },
+      });
+      if (!creator?.email) continue;
+      emails.push({
+        to: creator.email,
+        subject: `⚠️ Scheduling Conflict Alert`,
+        html: '',
+        text: `Conflict: ${memberProfile.full_name} is already booked at ${session.start_at} (${describeConflicts(conflicts)}).`,
+        emailType: 'conflict',
+        templateData: {
+          recipient_name: creator.full_name,
+          session_time: session.start_at,
+          conflict_message: message,
+          student_name: memberProfile.full_name
+        },
+      });
     }
+  }
+
+  await emailOutbox.enqueueMany(emails);
+
+  for (const session of sessions) {
+    await notify(invited.get(session.id), {
+      type: "session_invite",
+      actorId: user.id,
+      title: `Study session: ${session.topic || "Group Study"}`,
+      body: [session.start_at, session.venue].filter(Boolean).join(" · ") || null,
+      data: { group_id: session.group_id, session_id: session.id },
+    });
+  }
+}
 
-    console.log("Processing emails for members:", members.map(m => m.profiles.email));
+/** Create a session (planner), or a recurring series when `recurrence` is given */
+router.post("/groups/:groupId/sessions", requireAuth({ partner: "sessions:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
 
-    // Process members with email sending
-    for (let i = 0; i < members.length; i++) {
-      const member = members[i];
-      const memberProfile = member.profiles;
-      
-      if (!memberProfile.email) continue;
+    const group_id = req.params.groupId;
+    const { start_at, venue, topic, time_goal_minutes, content_goal, recurrence } = req.body || {};
 
-      // Add delay between emails
-      if (i > 0) await new Promise(resolve => setTimeout(resolve, 300));
-      
-      try {
-        // Check for conflicts
-        const { data: acceptedSessions } = await supabase
-          .from("session_invites")
-          .select("session_id")
-          .eq("user_id", memberProfile.id)
-          .eq("status", "accepted");
-
-        let hasConflict = false;
-        if (acceptedSessions && acceptedSessions.length > 0) {
-          const sessionIds = acceptedSessions.map(s => s.session_id);
-          const { data: conflicts } = await supabase
-            .from("sessions")
-            .select("id, start_at, topic")
-            .in("id", sessionIds);
-
-          if (conflicts) {
-            hasConflict = conflicts.some(c => new Date(c.start_at).getTime() === starts.getTime());
-          }
-        }
+    const isMember = await canAccessGroup(req, group_id);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(group_id)) return res.status(409).json({ error: "Group is archived" });
 
-        if (hasConflict) {
-          console.log(`🚨 CONFLICT DETECTED:`);
-          console.log(`   - Member with Conflict: ${memberProfile.id} (${memberProfile.full_name})`);
-        
-          
-          const { data: creator } = await supabase
-            .from("profiles")
-            .select("email, full_name")
-            .eq("id", user.id)
-            .single();
-
-          if (creator?.email) {
-            console.log(`📧 Sending conflict alert to creator: ${creator.email}`);
-            
-            await sendEmailSafe(
-              creator.email,  // This goes to session creator
-              `⚠️ Scheduling Conflict Alert`,
-              '', 
-              `Conflict: ${memberProfile.full_name} has already accepted another session at ${start_at}.`,
-              'conflict',
-              {
-                recipient_name: creator.full_name,  // Creator's name
-                session_time: start_at,
-                conflict_message: `${memberProfile.full_name} has already accepted another session at this time.`,
-                student_name: memberProfile.full_name  // Member who has conflict
-              }
-            );
-            
-            console.log(`✅ Conflict email sent to creator: ${creator.email}`);
-          } else {
-            console.log(`❌ Could not find creator email for user: ${user.id}`);
-          }
-        
-        } else {
-          // Send RSVP email using EmailJS invitation template
-          const acceptLink = `https://${process.env.BACKEND_URL}/api/sessions/${sessionData.id}/accept/${memberProfile.id}`;
-          const declineLink = `https://${process.env.BACKEND_URL}/api/sessions/${sessionData.id}/decline/${memberProfile.id}`;
-
-          await sendEmailSafe(
-            memberProfile.email,
-            `📚 Study Session: ${topic || 'Group Study'}`,
-            '', // HTML handled by template
-            `You've been invited to a study session on ${start_at}. Accept: ${acceptLink} or Decline: ${declineLink}`,
-            'invitation',
-            {
-              recipient_name: memberProfile.full_name,
-              session_time: start_at,
-              venue: venue || '',
-              topic: topic || 'Group Study Session',
-              time_goal: time_goal_minutes || '',
-              content_goal: content_goal || '',
-              organizer: user.user_metadata?.full_name || 'A group member',
-              accept_link: acceptLink,
-              decline_link: declineLink
-            }
-          );
-          
-          // Create invite record
-          await supabase.from("session_invites").insert({
-            session_id: sessionData.id,
-            user_id: memberProfile.id,
-            status: "pending",
-          });
-        }
+    if (!start_at) return res.status(400).json({ error: "start_at is required" });
+
+    const starts = new Date(start_at);
+    if (isNaN(starts.getTime())) return res.status(400).json({ error: "Invalid start_at" });
+    if (starts < new Date()) return res.status(400).json({ error: "start_at cannot be in the past" });
+
+    let rule = null;
+    let occurrenceStarts = [starts];
+    if (recurrence) {
+      try {
+        rule = parseRecurrence(recurrence);
+        occurrenceStarts = expandRecurrence(rule, starts);
       } catch (err) {
-        console.error(`Error processing member ${memberProfile.email}:`, err);
+        if (err instanceof RecurrenceError) return res.status(400).json({ error: err.message });
+        throw err;
       }
     }
 
-    console.log("Session creation and email processing completed");
-    res.json({ session: sessionData });
-    
+    const details = { venue, topic, time_goal_minutes, content_goal };
+    let series = null;
+    let sessions;
+
+    if (!rule) {
+      // Insert session
+      const { data: sessionData, error } = await supabase
+        .from("sessions")
+        .insert([{ group_id, creator_id: user.id, start_at, ...details }])
+        .select("*")
+        .single();
+      if (error) throw error;
+      sessions = [sessionData];
+    } else {
+      const { data: seriesRow, error: seriesErr } = await supabase
+        .from("session_series")
+        .insert([{
+          group_id,
+          creator_id: user.id,
+          rrule: formatRecurrence(rule),
+          dtstart: starts.toISOString(),
+          ...details,
+        }])
+        .select("*")
+        .single();
+      if (seriesErr) throw seriesErr;
+      series = seriesRow;
+
+      const { data: rows, error } = await supabase
+        .from("sessions")
+        .insert(occurrenceStarts.map(d => ({
+          group_id,
+          creator_id: user.id,
+          start_at: d.toISOString(),
+          series_id: series.id,
+          is_exception: false,
+          ...details,
+        })))
+        .select("*")
+        .order("start_at", { ascending: true });
+      if (error) throw error;
+      sessions = rows || [];
+    }
+
+    const body = series ? { session: sessions[0], series, occurrences: sessions } : { session: sessions[0] };
+    for (const session of sessions) publishToGroup(group_id, "session.created", { group_id, session });
+    res.json(body);
+
+    // One invite per member per occurrence, sent once the creator has their answer
+    inviteMembers(group_id, sessions, user)
+      .catch(err => console.error("[sessions] could not invite members:", err));
   } catch (e) {
     console.error("Error in session creation:", e);
     next(e);
@@ -687,40 +966,128 @@ router.post("/groups/:groupId/sessions", async (req, res, next) => {
 });
 
 
-/** RSVP via email links */
-router.get("/sessions/:sessionId/accept/:userId", async (req, res) => {
-  const { sessionId, userId } = req.params;
-  const { error } = await supabase
-    .from("session_invites")
-    .upsert({
-      session_id: sessionId,
-      user_id: userId,
-      status: "accepted",
-      responded_at: new Date().toISOString(), 
-    });
-  if (error) return res.status(500).send("Error updating RSVP");
-  res.send("✅ You've accepted the session!");
-});
+const RSVP_FAILURES = {
+  malformed: [400, "This RSVP link is not valid."],
+  bad_signature: [400, "This RSVP link is not valid."],
+  expired: [410, "This RSVP link has expired."],
+};
+
+/** RSVP via signed email links (see utils/rsvpTokens.js) */
+async function handleRsvpLink(req, res, action) {
+  const { sessionId, token } = req.params;
+  const page = (status, opts) => res.status(status).type("html").send(renderMessagePage({ title: "RSVP", ...opts }));
+
+  let claims;
+  try {
+    claims = verifyRsvpToken(token);
+  } catch (err) {
+    if (!(err instanceof RsvpTokenError)) throw err;
+    const [status, message] = RSVP_FAILURES[err.reason];
+    return page(status, { heading: "Link not valid", message, tone: "error" });
+  }
+  if (claims.act !== action || claims.sid !== String(sessionId)) {
+    return page(400, { heading: "Link not valid", message: RSVP_FAILURES.malformed[1], tone: "error" });
+  }
+
+  const { data: session, error: sErr } = await supabase
+    .from("sessions")
+    .select("id, group_id, creator_id, topic, start_at, venue, time_goal_minutes, cancelled_at")
+    .eq("id", sessionId)
+    .maybeSingle();
+  if (sErr) throw sErr;
+  if (!session) {
+    return page(404, { heading: "Session not found", message: "This session no longer exists.", tone: "error" });
+  }
+  if (session.cancelled_at) {
+    return page(410, { heading: "Session cancelled", message: "This session has been cancelled by its organiser.", tone: "info" });
+  }
+  if (await isGroupArchived(session.group_id)) {
+    return page(409, { heading: "Group archived", message: "This study group has been archived, so its sessions can't be answered.", tone: "info" });
+  }
+
+  // Single use: the jti is shared by the accept and decline link of one invite
+  const alreadyUsed = () =>
+    page(409, { heading: "Already answered", message: "This RSVP link has already been used.", tone: "info" });
+  const { data: used, error: usedErr } = await supabase
+    .from("rsvp_token_uses")
+    .select("jti")
+    .eq("jti", claims.jti)
+    .maybeSingle();
+  if (usedErr) throw usedErr;
+  if (used) return alreadyUsed();
+
+  const status = action === "accept" ? "accepted" : "declined";
+  if (status === "accepted") {
+    const conflicts = await findConflicts(claims.uid, session);
+    if (conflicts.length) {
+      await reportRsvpConflict(session, claims.uid);
+      // the link stays usable: free the slot and accept again, or decline
+      return page(409, {
+        heading: "Scheduling conflict",
+        message: `You're already booked at this time: ${describeConflicts(conflicts)}. The organiser has been told.`,
+        details: [
+          ["Topic", session.topic],
+          ["When", session.start_at && new Date(session.start_at).toUTCString()],
+        ],
+        tone: "error",
+      });
+    }
+  }
 
-router.get("/sessions/:sessionId/decline/:userId", async (req, res) => {
-  const { sessionId, userId } = req.params;
   const { error } = await supabase
     .from("session_invites")
     .upsert({
-      session_id: sessionId,
-      user_id: userId,
-      status: "declined",
-      responded_at: new Date().toISOString(),  
+      session_id: session.id,
+      user_id: claims.uid,
+      status,
+      responded_at: new Date().toISOString(),
     });
-  if (error) return res.status(500).send("Error updating RSVP");
-  res.send("❌ You've declined the session.");
-});
+  if (error) throw error;
+
+  // Consume the link only once the answer is saved, so a failed write can be retried
+  const { error: useErr } = await supabase
+    .from("rsvp_token_uses")
+    .insert([{ jti: claims.jti, session_id: session.id, user_id: claims.uid }]);
+  if (useErr?.code === "23505") return alreadyUsed();
+  if (useErr) throw useErr;
+
+  await notifyRsvp(session, claims.uid, status);
+
+  page(200, {
+    heading: status === "accepted" ? "You're in!" : "Invite declined",
+    message: status === "accepted"
+      ? "You've accepted the study session. See you there."
+      : "You've declined the study session. The organiser has been updated.",
+    details: [
+      ["Topic", session.topic],
+      ["When", session.start_at && new Date(session.start_at).toUTCString()],
+      ["Venue", session.venue],
+    ],
+    tone: status === "accepted" ? "success" : "info",
+  });
+}
+
+const rsvpRoute = (action) => async (req, res) => {
+  try {
+    await handleRsvpLink(req, res, action);
+  } catch (e) {
+    console.error(`RSVP ${action} failed:`, e);
+    res.status(500).type("html").send(renderMessagePage({
+      title: "RSVP",
+      heading: "Something went wrong",
+      message: "Error updating RSVP",
+      tone: "error",
+    }));
+  }
+};
+
+router.get("/sessions/:sessionId/accept/:token", rsvpRoute("accept"));
+router.get("/sessions/:sessionId/decline/:token", rsvpRoute("decline"));
 
 // POST /groups/:groupId/sessions/:sessionId/respond
-router.post("/groups/:groupId/sessions/:sessionId/respond", async (req, res, next) => {
+router.post("/groups/:groupId/sessions/:sessionId/respond", requireAuth(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
 
     const { groupId, sessionId } = req.params;
     const { status } = req.body; // "accepted" or "declined"
@@ -732,53 +1099,25 @@ router.post("/groups/:groupId/sessions/:sessionId/respond", async (req, res, nex
     // Must be member
     const isMember = await requireGroupMember(groupId, user.id);
     if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
 
     // Fetch session
     const { data: session, error: sErr } = await supabase
       .from("sessions")
-      .select("id, start_at, creator_id")
+      .select("id, group_id, topic, start_at, creator_id, time_goal_minutes, cancelled_at")
       .eq("id", sessionId)
-      .single();
-    if (sErr || !session) return res.status(404).json({ error: "Session not found" });
+      .eq("group_id", groupId)
+      .maybeSingle();
+    if (sErr) throw sErr;
+    if (!session) return res.status(404).json({ error: "Session not found" });
+    if (session.cancelled_at) return res.status(409).json({ error: "Session has been cancelled" });
 
     // Conflict check: only if accepting
     if (status === "accepted") {
-      const { data: conflicts, error: cErr } = await supabase
-        .from("sessions")
-        .select("id, start_at, topic")
-        .in(
-          "id",
-          supabase
-            .from("session_invites")
-            .select("session_id")
-            .eq("user_id", user.id)
-            .eq("status", "accepted")
-        );
-      if (cErr) throw cErr;
-
-      const conflict = conflicts.find(c => new Date(c.start_at).getTime() === new Date(session.start_at).getTime());
-      if (conflict) {
-        // Notify session creator
-        const { data: prof } = await supabase.from("profiles").select("full_name, email").eq("id", user.id).single();
-        const { data: creator } = await supabase.from("profiles").select("email").eq("id", session.creator_id).single();
-
-        if (creator?.email) {
-          await sendEmailSafe(
-            creator.email,
-            `⚠️ Scheduling Conflict Alert`,
-            '', // HTML handled by template
-            `Conflict: ${prof?.full_name} cannot accept your session due to scheduling conflict.`,
-            'conflict',
-            {
-              recipient_name: creator.full_name,
-              session_time: session.start_at,
-              conflict_message: `${prof?.full_name} cannot accept your session due to existing commitment.`,
-              student_name: prof?.full_name || 'A student'
-            }
-          );
-        }
-
-        return res.status(409).json({ error: "You already accepted a session at this time" });
+      const conflicts = await findConflicts(user.id, session);
+      if (conflicts.length) {
+        await reportRsvpConflict(session, user.id);
+        return res.status(409).json({ error: "You already have a session or test at this time", conflicts });
       }
     }
 
@@ -793,6 +1132,7 @@ router.post("/groups/:groupId/sessions/:sessionId/respond", async (req, res, nex
       });
 
     if (error) throw error;
+    await notifyRsvp(session, user.id, status);
 
     res.json({ message: `Invite ${status}` });
   } catch (e) {
@@ -804,112 +1144,668 @@ router.post("/groups/:groupId/sessions/:sessionId/respond", async (req, res, nex
 
 
 
-/** List upcoming sessions for a group */
-router.get("/groups/:groupId/sessions", async (req, res, next) => {
+const SESSION_PAGE = { column: "start_at", order: "asc" };
+
+/** List a group's sessions, earliest first, a page at a time */
+router.get("/groups/:groupId/sessions", requireAuth({ partner: "sessions:read" }), paginate(), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
     const group_id = req.params.groupId;
 
-    const isMember = await requireGroupMember(group_id, user.id);
+    const isMember = await canAccessGroup(req, group_id);
     if (!isMember) return res.status(403).json({ error: "Not a group member" });
 
-    const { data, error } = await supabase
-      .from("sessions")
-      .select("*")
-      .eq("group_id", group_id)
-      .order("start_at", { ascending: true });
+    const { page } = req;
+
+    const { data, error } = await applyPage(
+      supabase.from("sessions").select("*").eq("group_id", group_id),
+      page,
+      SESSION_PAGE
+    );
     if (error) throw error;
-    res.json({ sessions: data || [] });
+
+    const { rows, ...paging } = pageResult(data, page, SESSION_PAGE);
+    const sessions = rows.map(withStatus);
+    if (req.query.include !== "rsvps" || sessions.length === 0) return res.json({ sessions, ...paging });
+
+    // ?include=rsvps: per-session counts plus the caller's own answer
+    const { data: invites, error: iErr } = await supabase
+      .from("session_invites")
+      .select("session_id, user_id, status")
+      .in("session_id", sessions.map(s => s.id));
+    if (iErr) throw iErr;
+
+    res.json({
+      sessions: sessions.map(s => {
+        const mine = (invites || []).filter(i => String(i.session_id) === String(s.id));
+        return {
+          ...s,
+          rsvp_counts: rsvpCounts(mine),
+          my_rsvp: mine.find(i => i.user_id === user.id)?.status || null,
+        };
+      }),
+      ...paging,
+    });
   } catch (e) { next(e); }
 });
 
-router.delete("/groups/:groupId/sessions/:sessionId", async (req, res, next) => {
+const RSVP_STATUSES = ["accepted", "declined", "pending"];
+
+function rsvpCounts(invites) {
+  const counts = Object.fromEntries(RSVP_STATUSES.map(st => [st, 0]));
+  for (const i of invites) if (i.status in counts) counts[i.status] += 1;
+  return counts;
+}
+
+/** Who accepted, declined or hasn't answered; members never invited are listed as not_invited */
+router.get("/groups/:groupId/sessions/:sessionId/attendees", requireAuth({ partner: "sessions:read" }), async (req, res, next) => {
+  try {
+    const { groupId, sessionId } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const { data: session, error: sErr } = await supabase
+      .from("sessions")
+      .select("id, creator_id")
+      .eq("id", sessionId)
+      .eq("group_id", groupId)
+      .maybeSingle();
+    if (sErr) throw sErr;
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    const { data: invites, error: iErr } = await supabase
+      .from("session_invites")
+      .select("user_id, status, responded_at")
+      .eq("session_id", sessionId);
+    if (iErr) throw iErr;
+
+    const { data: members, error: mErr } = await supabase
+      .from("group_members")
+      .select("user_id")
+      .eq("group_id", groupId);
+    if (mErr) throw mErr;
+
+    // Invitees who have since left the group are still part of the roster
+    const ids = [...new Set([...(members || []).map(m => m.user_id), ...(invites || []).map(i => i.user_id)])];
+    let names = {};
+    if (ids.length) {
+      const { data: profiles, error: pErr } = await supabase
+        .from("profiles")
+        .select("id, full_name")
+        .in("id", ids);
+      if (pErr) throw pErr;
+      names = Object.fromEntries((profiles || []).map(p => [p.id, p.full_name]));
+    }
+
+    const byUser = Object.fromEntries((invites || []).map(i => [i.user_id, i]));
+    const attendees = ids.map(id => ({
+      user_id: id,
+      full_name: names[id] || null,
+      status: byUser[id]?.status || "not_invited",
+      responded_at: byUser[id]?.responded_at || null,
+      is_creator: id === session.creator_id,
+    }));
+
+    const counts = rsvpCounts(invites || []);
+    counts.not_invited = attendees.filter(a => a.status === "not_invited").length;
+    counts.total = attendees.length;
+
+    res.json({ attendees, counts });
+  } catch (e) { next(e); }
+});
+
+/* ---------------------------- Cancellation ---------------------------- */
+
+// sessions.cancelled_at / cancelled_by / cancellation_reason: cancelled sessions stay listed
+const withStatus = (s) => ({ ...s, status: s.cancelled_at ? "cancelled" : "scheduled" });
+
+/** How long after cancelling the creator can still restore a session */
+const restoreWindowHours = () => {
+  const n = Number(process.env.SESSION_RESTORE_HOURS);
+  return Number.isFinite(n) && n >= 0 ? n : 24;
+};
+
+/** Profiles of invitees whose RSVP is one of `statuses` */
+async function inviteeProfiles(sessionId, statuses) {
+  const { data: invites, error } = await supabase
+    .from("session_invites")
+    .select("user_id, status")
+    .eq("session_id", sessionId)
+    .in("status", statuses);
+  if (error) throw error;
+  if (!invites?.length) return [];
+
+  const { data: profiles, error: pErr } = await supabase
+    .from("profiles")
+    .select("id, email, full_name")
+    .in("id", invites.map(i => i.user_id));
+  if (pErr) throw pErr;
+  return profiles || [];
+}
+
+/**
+ * Mark `s` cancelled, bump its sequence so calendar feeds drop the event, then
+ * email and notify everyone who accepted or hasn't answered yet. Used for a
+ * single session and for each upcoming occurrence of a cancelled series.
+ * Returns the number of invitees told.
+ */
+async function cancelSession(s, { user, groupId, reason, seriesId = null }) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from("sessions")
+    .update({
+      cancelled_at: now,
+      cancelled_by: user.id,
+      cancellation_reason: reason,
+      sequence: (Number(s.sequence) || 0) + 1,
+      updated_at: now,
+    })
+    .eq("id", s.id);
+  if (error) throw error;
+
+  const invitees = await inviteeProfiles(s.id, ["accepted", "pending"]);
+  for (const p of invitees) {
+    if (!p.email) continue;
+    try {
+      await queueEmail(
+        p.email,
+        `❌ Session cancelled: ${s.topic || 'Group Study'}`,
+        '',
+        `The study session on ${s.start_at} has been cancelled.${reason ? ` Reason: ${reason}` : ''}`,
+        'cancellation',
+        {
+          recipient_name: p.full_name,
+          topic: s.topic || 'Group Study Session',
+          session_time: s.start_at,
+          venue: s.venue || '',
+          reason: reason || '',
+          organizer: user.user_metadata?.full_name || 'A group member',
+        }
+      );
+    } catch (err) {
+      console.error(`Error notifying ${p.email} about cancellation:`, err);
+    }
+  }
+  await notify(invitees.map(p => p.id), {
+    type: "session_cancelled",
+    actorId: user.id,
+    title: "Session cancelled",
+    body: s.topic || null,
+    data: { group_id: groupId, session_id: s.id, series_id: seriesId, reason },
+  });
+
+  publishToGroup(groupId, "session.cancelled", {
+    group_id: groupId,
+    session_id: s.id,
+    ...(seriesId ? { series_id: seriesId } : {}),
+    reason,
+  });
+  return invitees.length;
+}
+
+/** Cancel (soft delete) a session and tell everyone who accepted or hasn't answered yet */
+router.delete("/groups/:groupId/sessions/:sessionId", requireAuth({ partner: "sessions:write" }), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
+    const { user } = req;
     const { groupId, sessionId } = req.params;
+    const reason = req.body?.reason || req.query.reason || null;
 
     // Must be member
-    const isMember = await requireGroupMember(groupId, user.id);
+    const isMember = await canAccessGroup(req, groupId);
     if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
 
     // Must be creator
     const { data: s, error: sErr } = await supabase
-      .from("sessions").select("id, creator_id").eq("id", sessionId).single();
+      .from("sessions")
+      .select("id, creator_id, start_at, topic, venue, sequence, cancelled_at")
+      .eq("id", sessionId)
+      .eq("group_id", groupId)
+      .maybeSingle();
     if (sErr) throw sErr;
     if (!s) return res.status(404).json({ error: "Session not found" });
-    if (s.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can delete" });
+    if (s.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can cancel" });
+    if (s.cancelled_at) return res.status(409).json({ error: "Session already cancelled" });
 
-    const { error } = await supabase.from("sessions").delete().eq("id", sessionId);
-    if (error) throw error;
-    res.json({ message: "Session deleted" });
+    const notified = await cancelSession(s, { user, groupId, reason });
+
+    const restoreUntil = new Date(Date.now() + restoreWindowHours() * 3600 * 1000);
+    res.json({ message: "Session cancelled", restore_until: restoreUntil.toISOString(), notified });
   } catch (e) { next(e); }
 });
 
-
-/** Post a message (text and/or attachment_url) */
-router.post("/groups/:groupId/messages", async (req, res, next) => {
+/** Undo a cancellation (creator only, within SESSION_RESTORE_HOURS and before the session starts) */
+router.post("/groups/:groupId/sessions/:sessionId/restore", requireAuth({ partner: "sessions:write" }), async (req, res, next) => {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-    const group_id = req.params.groupId;
-    const { session_id, content, attachment_url } = req.body || {};
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
 
-    const isMember = await requireGroupMember(group_id, user.id);
+    const isMember = await canAccessGroup(req, groupId);
     if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    const { data: s, error: sErr } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("id", sessionId)
+      .eq("group_id", groupId)
+      .maybeSingle();
+    if (sErr) throw sErr;
+    if (!s) return res.status(404).json({ error: "Session not found" });
+    if (s.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can restore" });
+    if (!s.cancelled_at) return res.status(409).json({ error: "Session is not cancelled" });
 
-    if (!content && !attachment_url) {
-      return res.status(400).json({ error: "content or attachment_url required" });
+    const deadline = new Date(s.cancelled_at).getTime() + restoreWindowHours() * 3600 * 1000;
+    if (Date.now() > deadline || new Date(s.start_at) < new Date()) {
+      return res.status(410).json({ error: "Session can no longer be restored" });
     }
 
-    const { data, error } = await supabase
-      .from("group_messages")
-      .insert([{ group_id, session_id: session_id || null, sender_id: user.id, content, attachment_url }])
+    const { data: session, error } = await supabase
+      .from("sessions")
+      .update({
+        cancelled_at: null,
+        cancelled_by: null,
+        cancellation_reason: null,
+        sequence: (Number(s.sequence) || 0) + 1,
+        updated_at: new Date().toISOString(),
+      })
+      .eq("id", sessionId)
       .select("*")
       .single();
     if (error) throw error;
 
-    res.json({ message: data });
+    // RSVPs were kept, so the same people hear it is back on
+    const invitees = await inviteeProfiles(sessionId, ["accepted", "pending"]);
+    for (const p of invitees) {
+      if (!p.email) continue;
+      try {
+        await queueEmail(
+          p.email,
+          `✅ Session back on: ${session.topic || 'Group Study'}`,
+          '',
+          `The study session on ${session.start_at} is going ahead after all.`,
+          'update',
+          {
+            recipient_name: p.full_name,
+            topic: session.topic || 'Group Study Session',
+            session_time: session.start_at,
+            venue: session.venue || '',
+            changes: 'The session is no longer cancelled.',
+            organizer: user.user_metadata?.full_name || 'A group member',
+          }
+        );
+      } catch (err) {
+        console.error(`Error notifying ${p.email} about restore:`, err);
+      }
+    }
+
+    publishToGroup(groupId, "session.restored", { group_id: groupId, session: withStatus(session) });
+    res.json({ session: withStatus(session) });
   } catch (e) { next(e); }
 });
 
-// GET /groups/:groupId/messages
-router.get("/groups/:groupId/messages", async (req, res, next) => {
+
+/* ------------------------------- Editing ------------------------------- */
+
+const SESSION_FIELDS = ["start_at", "venue", "topic", "time_goal_minutes", "content_goal"];
+
+// sessions.sequence / sessions.updated_at let calendar feeds replace the old event
+const FIELD_LABELS = {
+  start_at: "Time",
+  venue: "Venue",
+  topic: "Topic",
+  time_goal_minutes: "Time goal (minutes)",
+  content_goal: "Content goal",
+};
+
+function pickFields(body, fields) {
+  const out = {};
+  for (const f of fields) if (body?.[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+/** Moving a session by at least this much sends everyone's RSVP back to pending */
+const rsvpResetMinutes = () => {
+  const n = Number(process.env.RSVP_RESET_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : 60;
+};
+
+function sameValue(field, a, b) {
+  if (field === "start_at") return new Date(a).getTime() === new Date(b).getTime();
+  return String(a ?? "") === String(b ?? "");
+}
+
+/** ["Venue: Library → Room 4", ...] */
+function describeChanges(before, changes) {
+  return Object.keys(changes).map(f =>
+    `${FIELD_LABELS[f]}: ${before[f] ?? "none"} → ${changes[f] ?? "none"}`
+  );
+}
+
+async function updateSession(req, res, next) {
   try {
-    const user = await getUser(req);
-    if (!user) return res.status(401).json({ error: "Unauthorized" });
-    const group_id = req.params.groupId;
-    const { sessionId, limit = 100 } = req.query;
+    const { user } = req;
+    const { groupId, sessionId } = req.params;
 
-    const isMember = await requireGroupMember(group_id, user.id);
+    const isMember = await canAccessGroup(req, groupId);
     if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    const { data: s, error: sErr } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("id", sessionId)
+      .eq("group_id", groupId)
+      .maybeSingle();
+    if (sErr) throw sErr;
+    // Reached through /series/:seriesId/occurrences/:sessionId the session must belong to that series
+    const inSeries = !req.params.seriesId || String(s?.series_id) === String(req.params.seriesId);
+    if (!s || !inSeries) return res.status(404).json({ error: req.params.seriesId ? "Occurrence not found" : "Session not found" });
+    if (s.cancelled_at) return res.status(409).json({ error: "Session has been cancelled" });
+
+    if (s.creator_id !== user.id) {
+      const { data: group, error: gErr } = await supabase
+        .from("groups").select("owner_id").eq("id", groupId).maybeSingle();
+      if (gErr) throw gErr;
+      if (group?.owner_id !== user.id) {
+        return res.status(403).json({ error: "Only the creator or group owner can edit" });
+      }
+    }
 
-    let q = supabase
-      .from("group_messages")
-      .select("id, group_id, session_id, sender_id, content, attachment_url, created_at")
-      .eq("group_id", group_id)
-      .order("created_at", { ascending: false })
-      .limit(Number(limit));
-    if (sessionId) q = q.eq("session_id", sessionId);
+    const requested = pickFields(req.body, SESSION_FIELDS);
+    if (Object.keys(requested).length === 0) return res.status(400).json({ error: "Nothing to update" });
+    if (requested.start_at !== undefined) {
+      const starts = new Date(requested.start_at);
+      if (isNaN(starts.getTime())) return res.status(400).json({ error: "Invalid start_at" });
+      if (starts < new Date()) return res.status(400).json({ error: "start_at cannot be in the past" });
+    }
+
+    const changes = Object.fromEntries(
+      Object.entries(requested).filter(([f, v]) => !sameValue(f, s[f], v))
+    );
+    if (Object.keys(changes).length === 0) return res.json({ session: s, changes: [] });
 
-    const { data: msgs, error } = await q;
+    const { data: session, error } = await supabase
+      .from("sessions")
+      .update({
+        ...changes,
+        sequence: (Number(s.sequence) || 0) + 1,
+        updated_at: new Date().toISOString(),
+        // An occurrence edited on its own no longer follows series-wide edits
+        ...(s.series_id ? { is_exception: true } : {}),
+      })
+      .eq("id", sessionId)
+      .select("*")
+      .single();
     if (error) throw error;
 
-    const senderIds = [...new Set((msgs||[]).map(m => m.sender_id))];
-    let nameById = {};
-    if (senderIds.length) {
-      const { data: profs, error: pErr } = await supabase
-        .from("profiles").select("id, full_name").in("id", senderIds);
+    const timeChanged = "start_at" in changes || "time_goal_minutes" in changes;
+    const movedMinutes = "start_at" in changes
+      ? Math.abs(new Date(changes.start_at) - new Date(s.start_at)) / 60000
+      : 0;
+    const rsvpsReset = movedMinutes > 0 && movedMinutes >= rsvpResetMinutes();
+
+    const { data: invites, error: iErr } = await supabase
+      .from("session_invites")
+      .select("user_id, status")
+      .eq("session_id", sessionId);
+    if (iErr) throw iErr;
+
+    if (rsvpsReset && invites?.length) {
+      const { error: rErr } = await supabase
+        .from("session_invites")
+        .update({ status: "pending", responded_at: null })
+        .eq("session_id", sessionId);
+      if (rErr) throw rErr;
+    }
+
+    // Everyone hears about a reset; otherwise only those who haven't declined
+    const toNotify = (invites || []).filter(i => rsvpsReset || i.status !== "declined");
+    const summary = describeChanges(s, changes);
+    const conflicts = [];
+
+    if (toNotify.length) {
+      const { data: profiles, error: pErr } = await supabase
+        .from("profiles")
+        .select("id, email, full_name")
+        .in("id", toNotify.map(i => i.user_id));
       if (pErr) throw pErr;
-      nameById = Object.fromEntries((profs||[]).map(p => [p.id, p.full_name]));
+
+      for (const p of profiles || []) {
+        try {
+          const clashes = timeChanged ? await findConflicts(p.id, session) : [];
+          if (clashes.length) conflicts.push({ user_id: p.id, full_name: p.full_name, conflicts: clashes });
+
+          const lines = [...summary];
+          if (clashes.length) lines.push(`This now clashes with ${describeConflicts(clashes)}.`);
+          if (rsvpsReset) lines.push("The time moved, so please RSVP again.");
+          const links = rsvpsReset ? rsvpLinks(session, p.id) : {};
+
+          if (!p.email) continue;
+          await queueEmail(
+            p.email,
+            `✏️ Session updated: ${session.topic || 'Group Study'}`,
+            '',
+            `A study session you were invited to has changed.\n${lines.join("\n")}` +
+              (rsvpsReset ? `\nAccept: ${links.acceptLink} or Decline: ${links.declineLink}` : ""),
+            'update',
+            {
+              recipient_name: p.full_name,
+              topic: session.topic || 'Group Study Session',
+              session_time: session.start_at,
+              venue: session.venue || '',
+              changes: lines.join("\n"),
+              organizer: user.user_metadata?.full_name || 'A group member',
+              accept_link: links.acceptLink || '',
+              decline_link: links.declineLink || '',
+            }
+          );
+        } catch (err) {
+          console.error(`Error notifying ${p.email} about session update:`, err);
+        }
+      }
     }
 
-    const enriched = (msgs||[]).map(m => ({ ...m, sender_name: nameById[m.sender_id] || null }));
-    res.json({ messages: enriched.reverse() });
+    publishToGroup(groupId, "session.updated", { group_id: groupId, session, changes: summary, rsvps_reset: rsvpsReset });
+    res.json({ session, changes: summary, rsvps_reset: rsvpsReset, conflicts });
+  } catch (e) { next(e); }
+}
+
+router.put("/groups/:groupId/sessions/:sessionId", requireAuth({ partner: "sessions:write" }), updateSession);
+router.patch("/groups/:groupId/sessions/:sessionId", requireAuth({ partner: "sessions:write" }), updateSession);
+
+/* ----------------------------- Recurring series ----------------------------- */
+
+const SERIES_FIELDS = ["venue", "topic", "time_goal_minutes", "content_goal"];
+
+async function loadSeries(groupId, seriesId) {
+  const { data, error } = await supabase
+    .from("session_series")
+    .select("*")
+    .eq("id", seriesId)
+    .eq("group_id", groupId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/** A series with its occurrences */
+router.get("/groups/:groupId/series/:seriesId", requireAuth({ partner: "sessions:read" }), async (req, res, next) => {
+  try {
+    const { groupId, seriesId } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+
+    const series = await loadSeries(groupId, seriesId);
+    if (!series) return res.status(404).json({ error: "Series not found" });
+
+    const { data, error } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("series_id", seriesId)
+      .order("start_at", { ascending: true });
+    if (error) throw error;
+    res.json({ series, occurrences: (data || []).map(withStatus) });
   } catch (e) { next(e); }
 });
 
+/**
+ * One update email per invitee of any of `occurrences` who hasn't declined, rather
+ * than one per occurrence. Returns how many people were emailed.
+ */
+async function emailSeriesUpdate(series, occurrences, summary, user) {
+  const { data: invites, error } = await supabase
+    .from("session_invites")
+    .select("user_id, status")
+    .in("session_id", occurrences.map(o => o.id));
+  if (error) throw error;
+
+  const userIds = [...new Set((invites || []).filter(i => i.status !== "declined").map(i => i.user_id))];
+  if (!userIds.length) return 0;
+
+  const { data: profiles, error: pErr } = await supabase
+    .from("profiles")
+    .select("id, email, full_name")
+    .in("id", userIds);
+  if (pErr) throw pErr;
+
+  const first = occurrences.reduce((a, b) => (new Date(a.start_at) <= new Date(b.start_at) ? a : b));
+  const lines = [...summary, `This applies to ${occurrences.length} upcoming session${occurrences.length === 1 ? "" : "s"} in the series.`];
+  let sent = 0;
+  for (const p of profiles || []) {
+    if (!p.email) continue;
+    try {
+      await queueEmail(
+        p.email,
+        `✏️ Sessions updated: ${series.topic || 'Group Study'}`,
+        '',
+        `A recurring study session you were invited to has changed.\n${lines.join("\n")}`,
+        'update',
+        {
+          recipient_name: p.full_name,
+          topic: series.topic || 'Group Study Session',
+          session_time: first.start_at,
+          venue: series.venue || '',
+          changes: lines.join("\n"),
+          organizer: user.user_metadata?.full_name || 'A group member',
+          accept_link: '',
+          decline_link: '',
+        }
+      );
+      sent += 1;
+    } catch (err) {
+      console.error(`Error notifying ${p.email} about series update:`, err);
+    }
+  }
+  return sent;
+}
+
+/** Edit the whole series: upcoming occurrences that were not edited individually follow along */
+router.patch("/groups/:groupId/series/:seriesId", requireAuth({ partner: "sessions:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, seriesId } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    const series = await loadSeries(groupId, seriesId);
+    if (!series) return res.status(404).json({ error: "Series not found" });
+    if (series.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can edit" });
+
+    const requested = pickFields(req.body, SERIES_FIELDS);
+    if (Object.keys(requested).length === 0) return res.status(400).json({ error: "Nothing to update" });
+    const changes = Object.fromEntries(
+      Object.entries(requested).filter(([f, v]) => !sameValue(f, series[f], v))
+    );
+    if (Object.keys(changes).length === 0) return res.json({ series, occurrences: [], changes: [], notified: 0 });
+
+    const { data: updated, error: sErr } = await supabase
+      .from("session_series")
+      .update(changes)
+      .eq("id", seriesId)
+      .select("*")
+      .single();
+    if (sErr) throw sErr;
+
+    const { data: following, error: fErr } = await supabase
+      .from("sessions")
+      .select("*")
+      .eq("series_id", seriesId)
+      .eq("is_exception", false)
+      .is("cancelled_at", null)
+      .gte("start_at", new Date().toISOString());
+    if (fErr) throw fErr;
+
+    const summary = describeChanges(series, changes);
+    let occurrences = [];
+    let notified = 0;
+    if (following?.length) {
+      // One sequence above every affected event, so calendar feeds replace each of them
+      const sequence = Math.max(...following.map(o => Number(o.sequence) || 0)) + 1;
+      const { data, error } = await supabase
+        .from("sessions")
+        .update({ ...changes, sequence, updated_at: new Date().toISOString() })
+        .in("id", following.map(o => o.id))
+        .select("*");
+      if (error) throw error;
+      occurrences = data || [];
+
+      notified = await emailSeriesUpdate(updated, occurrences, summary, user);
+      for (const session of occurrences) {
+        publishToGroup(groupId, "session.updated", { group_id: groupId, session, changes: summary, rsvps_reset: false });
+      }
+    }
+
+    res.json({ series: updated, occurrences, changes: summary, notified });
+  } catch (e) { next(e); }
+});
+
+/**
+ * Edit a single occurrence; it is detached from later series-wide edits. Same
+ * rules, conflict recheck, RSVP reset and emails as editing any other session.
+ */
+router.patch("/groups/:groupId/series/:seriesId/occurrences/:sessionId", requireAuth({ partner: "sessions:write" }), updateSession);
+
+/** Cancel the whole series: upcoming occurrences are marked cancelled, past ones are left alone */
+router.delete("/groups/:groupId/series/:seriesId", requireAuth({ partner: "sessions:write" }), async (req, res, next) => {
+  try {
+    const { user } = req;
+    const { groupId, seriesId } = req.params;
+
+    const isMember = await canAccessGroup(req, groupId);
+    if (!isMember) return res.status(403).json({ error: "Not a group member" });
+    if (await isGroupArchived(groupId)) return res.status(409).json({ error: "Group is archived" });
+
+    const series = await loadSeries(groupId, seriesId);
+    if (!series) return res.status(404).json({ error: "Series not found" });
+    if (series.creator_id !== user.id) return res.status(403).json({ error: "Only the creator can delete" });
+
+    const reason = req.body?.reason || null;
+    const { data: upcoming, error: dErr } = await supabase
+      .from("sessions")
+      .select("id, creator_id, start_at, topic, venue, sequence")
+      .eq("series_id", seriesId)
+      .is("cancelled_at", null)
+      .gte("start_at", new Date().toISOString());
+    if (dErr) throw dErr;
+
+    const { error } = await supabase
+      .from("session_series")
+      .update({ cancelled_at: new Date().toISOString() })
+      .eq("id", seriesId);
+    if (error) throw error;
+
+    let notified = 0;
+    for (const s of upcoming || []) {
+      notified += await cancelSession(s, { user, groupId, reason, seriesId });
+    }
+    res.json({ message: "Series cancelled", cancelled: (upcoming || []).length, notified });
+  } catch (e) { next(e); }
+});
 
 export default router;
 
@@ -12,9 +12,20 @@ import invitationRoutes from "./routes/invitations.js";
 import profileRoutes from "./routes/profile.js";
 import groupRoutes from "./routes/groups.js";
 import sessionsRoutes from "./routes/sessions.js";
+import messageRoutes from "./routes/messages.js";
+import fileRoutes from "./routes/files.js";
 import progressRoutes from "./routes/progress.js";
 import assessmentsRoutes from "./routes/assessments.js";
 import emailRoutes from "./routes/email.js";
+import partnerRoutes from "./routes/partners.js";
+import calendarRoutes from "./routes/calendar.js";
+import reminderRoutes from "./routes/reminders.js";
+import attendanceRoutes from "./routes/attendance.js";
+import notificationRoutes from "./routes/notifications.js";
+import realtimeRoutes from "./routes/realtime.js";
+import { authenticate } from "./middleware/auth.js";
+import { startReminderScheduler } from "./utils/reminders.js";
+import { emailOutbox, startOutboxWorker } from "./utils/outbox.js";
 
 
 const app = express();
@@ -23,8 +34,8 @@ const app = express();
 app.use(
   cors({
     origin: "*",
-    methods: "GET,POST,PUT,DELETE,OPTIONS",
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: "GET,POST,PUT,PATCH,DELETE,OPTIONS",
+    allowedHeaders: ["Content-Type", "Authorization", "x-partner-key", "Last-Event-ID"],
   })
 );
 app.use(express.json());
@@ -48,13 +59,22 @@ app.use("/docs", swaggerUi.serve, swaggerUi.setup(openapiSpec, { explorer: true
 // Mount routes
 console.log("Loading routes...");
 app.use("/api/auth", authRoutes);     // -> /api/auth/login, /api/auth/signup
+app.use("/api", authenticate);        // -> req.user (Bearer token resolved once per request)
 app.use("/api", searchRoutes);        // -> /api/search, /api/invite
 app.use("/api", invitationRoutes);    // -> /api/invitations/received, /api/invitations/sent, /api/invitations/:id
 app.use("/api", profileRoutes);       // -> /api/profile, /api/friends
-app.use("/api", groupRoutes);         // -> /api/groups/*, /api/group-invitations/*
-app.use("/api", sessionsRoutes);      // -> /api/groups/:groupId/sessions*, /api/groups/:groupId/messages*
+app.use("/api", groupRoutes);         // -> /api/groups/*, /api/group-invitations/*, /api/group-join-requests/*
+app.use("/api", sessionsRoutes);      // -> /api/groups/:groupId/sessions*, /api/groups/:groupId/series/*
+app.use("/api", messageRoutes);       // -> /api/groups/:groupId/messages*
+app.use("/api", fileRoutes);          // -> /api/groups/:groupId/files*, /api/files/local/:token
 app.use("/api", progressRoutes);      // -> /api/progress
 app.use("/api", assessmentsRoutes);
+app.use("/api", partnerRoutes);       // -> /api/admin/partner-keys*
+app.use("/api", calendarRoutes);      // -> /api/calendar/*, /api/groups/:groupId/sessions/:sessionId/event.ics
+app.use("/api", reminderRoutes);      // -> /api/reminders/preferences
+app.use("/api", attendanceRoutes);    // -> /api/groups/:groupId/sessions/:sessionId/(check-in|check-out|close|attendance)
+app.use("/api", notificationRoutes);  // -> /api/notifications*, /api/notifications/preferences, /api/notifications/unsubscribe/:token
+app.use("/api", realtimeRoutes);      // -> /api/realtime/stream
 app.use("/api/email", emailRoutes);      
      
 
@@ -75,6 +95,16 @@ if (process.env.NODE_ENV === "test") {
 if (process.env.NODE_ENV !== "test") {
   const PORT = process.env.PORT || 4000;
   app.listen(PORT, () => console.log(`Backend on :${PORT}`));
+
+  // Queued emails (set EMAIL_OUTBOX_ENABLED=false to run the worker elsewhere)
+  if (process.env.EMAIL_OUTBOX_ENABLED !== "false") {
+    startOutboxWorker();
+  }
+
+  // Session reminder emails (set REMINDERS_ENABLED=false to run them elsewhere)
+  if (process.env.REMINDERS_ENABLED !== "false") {
+    startReminderScheduler({ sendEmail: emailOutbox.enqueue });
+  }
 }
 
 export default app;
@@ -15,6 +15,28 @@ const swaggerDefinition = {
   components: {
     securitySchemes: {
       bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      partnerKey: { type: "apiKey", in: "header", name: "x-partner-key" },
+    },
+    parameters: {
+      // Cursor pagination shared by list routes (see src/utils/pagination.js)
+      PageLimit: {
+        in: "query",
+        name: "limit",
+        schema: { type: "integer", minimum: 1, maximum: 100 },
+        description: "Page size (capped at 100)",
+      },
+      PageBefore: {
+        in: "query",
+        name: "before",
+        schema: { type: "string" },
+        description: "Cursor: rows that sort before it (older / earlier). Pass next_cursor from a newest-first page.",
+      },
+      PageAfter: {
+        in: "query",
+        name: "after",
+        schema: { type: "string" },
+        description: "Cursor: rows that sort after it (newer / later). Pass next_cursor from an oldest-first page.",
+      },
     },
     schemas: {
       // Reusable shapes (trimmed to essentials so it stays readable)
@@ -36,7 +58,36 @@ const swaggerDefinition = {
           owner_id: { type: "string" },
           name: { type: "string" },
           module: { type: "string", nullable: true },
+          description: { type: "string", nullable: true },
+          avatar_url: { type: "string", nullable: true },
+          visibility: { type: "string", enum: ["private", "discoverable", "open"] },
+          archived_at: { type: "string", format: "date-time", nullable: true },
+          created_at: { type: "string", format: "date-time" },
+        },
+      },
+      GroupJoinRequest: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          group_id: { type: "integer" },
+          user_id: { type: "string" },
+          message: { type: "string", nullable: true },
+          status: { type: "string", enum: ["pending", "approved", "rejected", "cancelled"] },
+          decided_by: { type: "string", nullable: true },
+          decided_at: { type: "string", format: "date-time", nullable: true },
           created_at: { type: "string", format: "date-time" },
+          full_name: { type: "string", nullable: true },
+        },
+      },
+      GroupMember: {
+        type: "object",
+        properties: {
+          user_id: { type: "string" },
+          role: { type: "string", enum: ["owner", "admin", "member"] },
+          joined_at: { type: "string", format: "date-time", nullable: true },
+          full_name: { type: "string", nullable: true },
+          degree: { type: "string", nullable: true },
+          modules: { type: "array", items: { type: "string" } },
         },
       },
       Session: {
@@ -50,6 +101,40 @@ const swaggerDefinition = {
           topic: { type: "string", nullable: true },
           time_goal_minutes: { type: "integer", nullable: true },
           content_goal: { type: "string", nullable: true },
+          series_id: { type: "integer", nullable: true, description: "Set for occurrences of a recurring series" },
+          is_exception: { type: "boolean", description: "Occurrence was edited on its own" },
+          sequence: { type: "integer", description: "Bumped on every edit" },
+          updated_at: { type: "string", format: "date-time", nullable: true },
+          status: { type: "string", enum: ["scheduled", "cancelled"] },
+          cancelled_at: { type: "string", format: "date-time", nullable: true },
+          cancellation_reason: { type: "string", nullable: true },
+          closed_at: { type: "string", format: "date-time", nullable: true },
+          content_goal_met: { type: "boolean", nullable: true },
+        },
+      },
+      SessionSeries: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          group_id: { type: "integer" },
+          creator_id: { type: "string" },
+          rrule: { type: "string", example: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=8" },
+          dtstart: { type: "string", format: "date-time" },
+          venue: { type: "string", nullable: true },
+          topic: { type: "string", nullable: true },
+          time_goal_minutes: { type: "integer", nullable: true },
+          content_goal: { type: "string", nullable: true },
+          cancelled_at: { type: "string", format: "date-time", nullable: true },
+        },
+      },
+      ScheduleConflict: {
+        type: "object",
+        properties: {
+          type: { type: "string", enum: ["session", "test"] },
+          id: { type: "integer" },
+          topic: { type: "string", nullable: true },
+          start_at: { type: "string", format: "date-time" },
+          end_at: { type: "string", format: "date-time" },
         },
       },
       GroupMessage: {
@@ -61,8 +146,49 @@ const swaggerDefinition = {
           sender_id: { type: "string" },
           content: { type: "string", nullable: true },
           attachment_url: { type: "string", nullable: true },
+          reply_to: { type: "integer", nullable: true },
+          reply_count: { type: "integer" },
+          edited_at: { type: "string", format: "date-time", nullable: true },
+          deleted: { type: "boolean" },
+          deleted_at: { type: "string", format: "date-time", nullable: true },
           created_at: { type: "string", format: "date-time" },
           sender_name: { type: "string", nullable: true },
+          attachment: {
+            type: "object",
+            nullable: true,
+            description: "Uploaded file (see /api/groups/{groupId}/files/{id} for the download url)",
+            properties: {
+              id: { type: "integer" },
+              filename: { type: "string" },
+              mime_type: { type: "string" },
+              size_bytes: { type: "integer" },
+            },
+          },
+          reactions: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                emoji: { type: "string" },
+                count: { type: "integer" },
+                reacted: { type: "boolean", description: "I reacted with this emoji" },
+              },
+            },
+          },
+        },
+      },
+      GroupFile: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          group_id: { type: "integer" },
+          uploader_id: { type: "string" },
+          filename: { type: "string" },
+          mime_type: { type: "string" },
+          size_bytes: { type: "integer" },
+          created_at: { type: "string", format: "date-time" },
+          url: { type: "string", description: "Signed download link" },
+          expires_at: { type: "string", format: "date-time", description: "When url stops working" },
         },
       },
       Invitation: {
@@ -98,6 +224,36 @@ const swaggerDefinition = {
           notes: { type: "string", nullable: true },
         },
       },
+      Notification: {
+        type: "object",
+        properties: {
+          id: { type: "integer" },
+          type: {
+            type: "string",
+            enum: ["friend_invite", "friend_invite_answered", "group_invite", "group_invite_answered",
+              "session_invite", "session_invite_answered", "session_conflict",
+              "session_cancelled"],
+          },
+          actor_id: { type: "string", nullable: true, description: "User whose action caused it" },
+          actor_name: { type: "string", nullable: true },
+          title: { type: "string" },
+          body: { type: "string", nullable: true },
+          data: { type: "object", description: "Ids to act on, e.g. group_id, session_id, status" },
+          read_at: { type: "string", format: "date-time", nullable: true },
+          created_at: { type: "string", format: "date-time" },
+        },
+      },
+      NotificationPreferences: {
+        type: "object",
+        properties: {
+          email_enabled: { type: "boolean", description: "false turns off every LockedIn email" },
+          session_invites: { type: "boolean", description: "Session invitations, updates and cancellations" },
+          conflicts: { type: "boolean", description: "Scheduling conflict alerts" },
+          reminders: { type: "boolean", description: "Session reminders" },
+          social_invites: { type: "boolean", description: "Friend and group invitations" },
+          digests: { type: "boolean" },
+        },
+      },
     },
   },
 };
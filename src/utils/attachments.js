@@ -0,0 +1,130 @@
+// src/utils/attachments.js
+//
+// Files shared in a group: uploaded with POST /api/groups/:groupId/files, attached
+// to messages by file_id and listed as the group's resources library. The bytes
+// are in storage (utils/storage.js); this table holds what members see.
+//
+//   ATTACHMENT_MAX_MB      largest upload, default 10
+//   ATTACHMENT_MIME_TYPES  comma separated types (image/* allowed), default DEFAULT_MIME_TYPES
+//
+// The declared type is only a claim: contentType() checks it against the file's
+// first bytes, and only recognised formats get in. SVG (which can carry script) is
+// never accepted, whatever ATTACHMENT_MIME_TYPES says.
+//
+// group_files:      id, group_id, uploader_id, path (unique), filename, mime_type,
+//                   size_bytes, created_at
+// group_messages gains:  attachment_file_id (group_files.id, nullable)
+import { isUtf8 } from "buffer";
+import supabase from "./supabaseClient.js";
+import { storage, urlTtlSeconds } from "./storage.js";
+
+export const DEFAULT_MIME_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/csv",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/zip",
+];
+
+export const FILE_COLUMNS = "id, group_id, uploader_id, path, filename, mime_type, size_bytes, created_at";
+
+const list = (value) => String(value || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+export const attachmentSettings = () => ({
+  maxBytes: Math.max(Math.floor((Number(process.env.ATTACHMENT_MAX_MB) || 10) * 1024 * 1024), 1),
+  mimeTypes: list(process.env.ATTACHMENT_MIME_TYPES).length ? list(process.env.ATTACHMENT_MIME_TYPES) : DEFAULT_MIME_TYPES,
+});
+
+const NEVER_ALLOWED = ["image/svg+xml"];
+
+export function mimeAllowed(mimeType, settings = attachmentSettings()) {
+  const type = String(mimeType || "").toLowerCase();
+  if (NEVER_ALLOWED.includes(type)) return false;
+  return settings.mimeTypes.some(allowed => (allowed.endsWith("/*")
+    ? type.startsWith(allowed.slice(0, -1))
+    : type === allowed));
+}
+
+// Leading bytes of the formats we can recognise
+const SIGNATURES = [
+  { type: "image/png", bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8(7|9)a
+  { type: "application/pdf", bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] }, // %PDF-
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x05, 0x06] }, // empty archive
+  { type: "application/x-cfb", bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }, // legacy Office
+];
+
+// Declared types that are containers of a sniffed format
+const CONTAINERS = {
+  "application/zip": [
+    "application/zip",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ],
+  "application/x-cfb": ["application/msword", "application/vnd.ms-powerpoint", "application/vnd.ms-excel"],
+};
+
+const startsWith = (buffer, bytes, offset = 0) => bytes.every((b, i) => buffer[offset + i] === b);
+
+/** The format the bytes are in: a signature above, "text" for UTF-8 without NULs, or null */
+export function sniffMimeType(buffer) {
+  const buf = Buffer.from(buffer || []);
+  const match = SIGNATURES.find(s => startsWith(buf, s.bytes));
+  if (match) return match.type;
+  if (startsWith(buf, [0x52, 0x49, 0x46, 0x46]) && startsWith(buf, [0x57, 0x45, 0x42, 0x50], 8)) return "image/webp";
+  if (buf.length && !buf.includes(0) && isUtf8(buf)) return "text";
+  return null;
+}
+
+/**
+ * The type to store for an upload declared as `declared`, or null when the bytes
+ * are not what it claims to be. Text files keep their declared text/* type.
+ */
+export function contentType(buffer, declared) {
+  const type = String(declared || "").toLowerCase();
+  const sniffed = sniffMimeType(buffer);
+  if (!sniffed || NEVER_ALLOWED.includes(type)) return null;
+  if (sniffed === "text") return type.startsWith("text/") ? type : null;
+  if (CONTAINERS[sniffed]) return CONTAINERS[sniffed].includes(type) ? type : null;
+  return sniffed === type ? type : null;
+}
+
+/** A file of this group, or null */
+export async function loadFile(groupId, fileId) {
+  const { data, error } = await supabase
+    .from("group_files")
+    .select(FILE_COLUMNS)
+    .eq("id", fileId)
+    .eq("group_id", groupId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/** What members see of a file; the storage path stays on the server */
+export const publicFile = ({ path: _path, ...file }) => file;
+
+/** How a file shows up on the message it is attached to */
+export const attachmentOf = ({ id, filename, mime_type, size_bytes }) => ({ id, filename, mime_type, size_bytes });
+
+/** The file with a short-lived download link */
+export async function withDownloadUrl(file, now = Date.now()) {
+  return {
+    ...publicFile(file),
+    url: await storage().signedUrl(file.path, file.filename),
+    expires_at: new Date(now + urlTtlSeconds() * 1000).toISOString(),
+  };
+}
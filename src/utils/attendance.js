@@ -0,0 +1,93 @@
+// src/utils/attendance.js
+//
+// Session attendance and how it feeds user_progress.
+//
+// session_attendance:  session_id, user_id, checked_in_at, checked_out_at, minutes
+//                      (unique session_id + user_id)
+// sessions gains:      closed_at, closed_by, content_goal_met, close_notes
+//
+// Attendance is open from CHECKIN_EARLY_MINUTES before start_at until CHECKIN_GRACE_MINUTES
+// after the session ends (start_at + time_goal_minutes, see utils/conflicts.js). Check-in is
+// refused after that, and a later check-out only credits time up to the end of the window.
+//
+// add_study_time(p_user_id, p_date, p_hours) returns numeric: adds to the user's
+// user_progress row in one statement, so concurrent check-outs can't lose time:
+//
+//   insert into user_progress (user_id, date, hours, updated_at)
+//   values (p_user_id, p_date, p_hours, now())
+//   on conflict (user_id, date) do update
+//     set hours = user_progress.hours + excluded.hours, updated_at = now()
+//   returning hours;
+import supabase from "./supabaseClient.js";
+import { sessionInterval } from "./conflicts.js";
+
+const MINUTE = 60 * 1000;
+
+/** How early before start_at attendees may check in */
+export const checkInEarlyMinutes = () => {
+  const n = Number(process.env.CHECKIN_EARLY_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : 15;
+};
+
+/** How long after a session ends attendees may still check in, and still be credited */
+export const checkInGraceMinutes = () => {
+  const n = Number(process.env.CHECKIN_GRACE_MINUTES);
+  return Number.isFinite(n) && n >= 0 ? n : 30;
+};
+
+/** { opensAt, closesAt } in ms for checking in to and crediting time for `session` */
+export function attendanceWindow(session) {
+  const { start, end } = sessionInterval(session);
+  return {
+    opensAt: start - checkInEarlyMinutes() * MINUTE,
+    closesAt: end + checkInGraceMinutes() * MINUTE,
+  };
+}
+
+export function attendedMinutes(checkedInAt, checkedOutAt) {
+  const ms = new Date(checkedOutAt).getTime() - new Date(checkedInAt).getTime();
+  return ms > 0 ? Math.round(ms / MINUTE) : 0;
+}
+
+/** user_progress is keyed by user + calendar day (UTC, like the rest of the API) */
+export const progressDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+/**
+ * Add `minutes` of study time to the user's user_progress row for `date`,
+ * creating the row if it doesn't exist yet. Returns the new hours total.
+ */
+export async function creditStudyTime(userId, date, minutes) {
+  if (!minutes) return null;
+
+  const { data, error } = await supabase.rpc("add_study_time", {
+    p_user_id: userId,
+    p_date: date,
+    p_hours: minutes / 60,
+  });
+  if (error) throw error;
+  return Math.round(Number(data) * 100) / 100;
+}
+
+/**
+ * Close an open attendance row at `at` and credit the time, counted no further than the end
+ * of `session`'s attendance window. Returns the updated row.
+ */
+export async function checkOut(row, session, at = new Date()) {
+  const checkedOutAt = new Date(at).toISOString();
+  const creditedUntil = Math.min(new Date(at).getTime(), attendanceWindow(session).closesAt);
+  const minutes = attendedMinutes(row.checked_in_at, creditedUntil);
+
+  const { data, error } = await supabase
+    .from("session_attendance")
+    .update({ checked_out_at: checkedOutAt, minutes })
+    .eq("session_id", row.session_id)
+    .eq("user_id", row.user_id)
+    .is("checked_out_at", null)
+    .select("*")
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null; // someone else closed it first
+
+  await creditStudyTime(row.user_id, progressDate(row.checked_in_at), minutes);
+  return data;
+}
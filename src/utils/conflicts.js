@@ -0,0 +1,115 @@
+// src/utils/conflicts.js
+//
+// Schedule conflict detection. A session occupies [start_at, start_at + time_goal_minutes]
+// and a test (assessments feature) occupies [test_date, test_date + TEST_DURATION_MINUTES].
+// Two slots conflict when they overlap once SESSION_BUFFER_MINUTES of padding is added
+// between them.
+import supabase from "./supabaseClient.js";
+
+const MINUTE = 60 * 1000;
+
+function minutesFromEnv(name, fallback) {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+export const conflictSettings = () => ({
+  bufferMinutes: minutesFromEnv("SESSION_BUFFER_MINUTES", 15),
+  defaultSessionMinutes: minutesFromEnv("DEFAULT_SESSION_MINUTES", 60),
+  testMinutes: minutesFromEnv("TEST_DURATION_MINUTES", 120),
+});
+
+export function sessionInterval(session, settings = conflictSettings()) {
+  const start = new Date(session.start_at).getTime();
+  const minutes = Number(session.time_goal_minutes) > 0
+    ? Number(session.time_goal_minutes)
+    : settings.defaultSessionMinutes;
+  return { start, end: start + minutes * MINUTE };
+}
+
+export function testInterval(test, settings = conflictSettings()) {
+  const start = new Date(test.test_date).getTime();
+  return { start, end: start + settings.testMinutes * MINUTE };
+}
+
+/** Half-open overlap check with `bufferMs` of required gap between the two slots. */
+export function overlaps(a, b, bufferMs = 0) {
+  return a.start < b.end + bufferMs && b.start < a.end + bufferMs;
+}
+
+/**
+ * Everything on the user's schedule that clashes with `candidate`
+ * ({ id?, start_at, time_goal_minutes }): sessions they accepted (other
+ * than the candidate itself, ignoring cancelled ones) and their tests.
+ */
+export async function findConflicts(userId, candidate, settings = conflictSettings()) {
+  const slot = sessionInterval(candidate, settings);
+  const bufferMs = settings.bufferMinutes * MINUTE;
+  const conflicts = [];
+
+  const { data: accepted, error: aErr } = await supabase
+    .from("session_invites")
+    .select("session_id")
+    .eq("user_id", userId)
+    .eq("status", "accepted");
+  if (aErr) throw aErr;
+
+  const ids = (accepted || [])
+    .map(a => a.session_id)
+    .filter(id => candidate.id === undefined || String(id) !== String(candidate.id));
+
+  if (ids.length) {
+    const { data: sessions, error: sErr } = await supabase
+      .from("sessions")
+      .select("id, start_at, topic, time_goal_minutes, cancelled_at")
+      .in("id", ids);
+    if (sErr) throw sErr;
+
+    for (const s of sessions || []) {
+      if (s.cancelled_at) continue;
+      const other = sessionInterval(s, settings);
+      if (overlaps(slot, other, bufferMs)) {
+        conflicts.push({
+          type: "session",
+          id: s.id,
+          topic: s.topic || null,
+          start_at: s.start_at,
+          end_at: new Date(other.end).toISOString(),
+        });
+      }
+    }
+  }
+
+  // Only tests that could reach the slot are interesting
+  const windowStart = new Date(slot.start - settings.testMinutes * MINUTE - bufferMs).toISOString();
+  const windowEnd = new Date(slot.end + bufferMs).toISOString();
+  const { data: tests, error: tErr } = await supabase
+    .from("tests")
+    .select("id, name, test_date")
+    .eq("user_id", userId)
+    .gte("test_date", windowStart)
+    .lte("test_date", windowEnd);
+  if (tErr) throw tErr;
+
+  for (const t of tests || []) {
+    const other = testInterval(t, settings);
+    if (overlaps(slot, other, bufferMs)) {
+      conflicts.push({
+        type: "test",
+        id: t.id,
+        topic: t.name || null,
+        start_at: t.test_date,
+        end_at: new Date(other.end).toISOString(),
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+/** "Calculus revision at 2099-12-25T10:00:00Z, Physics test at ..." */
+export function describeConflicts(conflicts) {
+  return conflicts
+    .map(c => `${c.topic || (c.type === "test" ? "a test" : "another session")} at ${c.start_at}`)
+    .join(", ");
+}
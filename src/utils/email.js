@@ -0,0 +1,379 @@
+// src/utils/email.js
+//
+// One place to send email from. Every route and job calls
+// emailService.sendEmail(to, subject, html, text, emailType, templateData);
+// which provider actually delivers it is configuration:
+//
+//   EMAIL_PROVIDER           emailjs | smtp | resend | mailersend | memory | file
+//                            (default: memory under NODE_ENV=test, emailjs otherwise)
+//   EMAIL_FALLBACK_PROVIDER  tried when the primary provider is not configured or fails
+//   EMAIL_FROM               sender for smtp / resend / mailersend
+//   EMAIL_FILE_PATH          where the file provider appends messages (JSON lines)
+//
+// When no HTML is passed and emailType names a built-in template (utils/emailTemplates.js),
+// the backend renders the HTML and text itself. EmailJS keeps its per-type templates
+// unless EMAILJS_HTML_TEMPLATE_ID points at a template that just outputs {{{html}}}.
+//
+// Emails to LockedIn users respect their notification preferences and carry a one-click
+// unsubscribe link. EmailJS's per-type templates only get it as {{unsubscribe_url}}, so
+// unless EMAILJS_HTML_TEMPLATE_ID is set, EmailJS refuses those emails (and the fallback
+// provider sends them) until EMAILJS_TEMPLATES_HAVE_UNSUBSCRIBE=true confirms that every
+// per-type template renders {{unsubscribe_url}}.
+// Addresses on the bounce/complaint suppression list get nothing.
+// Either way the email is skipped: { success: true, skipped: true, reason }.
+//
+// sendEmail never throws: it resolves { success: true, service, ... } or
+// { success: false, error, attempts } so a failed email never fails the request
+// that triggered it.
+import fs from "fs/promises";
+import path from "path";
+import { transporter } from "./mailer.js";
+import { escapeHtml } from "./html.js";
+import { renderBuiltIn } from "./emailTemplates.js";
+import { recipientPreferences, categoryFor, emailAllowed } from "./notificationPreferences.js";
+import { unsubscribeUrl } from "./unsubscribeTokens.js";
+import { findSuppression } from "./emailProtection.js";
+
+export class EmailConfigError extends Error {}
+
+const localPart = (to) => String(to).split("@")[0];
+
+/* ---------- EmailJS ---------- */
+
+// Template id per email type; each falls back to the next one that is set
+const EMAILJS_TEMPLATES = {
+  conflict: ["EMAILJS_CONFLICT_TEMPLATE_ID"],
+  update: ["EMAILJS_UPDATE_TEMPLATE_ID", "EMAILJS_INVITATION_TEMPLATE_ID"],
+  cancellation: ["EMAILJS_CANCELLATION_TEMPLATE_ID", "EMAILJS_UPDATE_TEMPLATE_ID", "EMAILJS_INVITATION_TEMPLATE_ID"],
+  reminder: ["EMAILJS_REMINDER_TEMPLATE_ID", "EMAILJS_UPDATE_TEMPLATE_ID", "EMAILJS_INVITATION_TEMPLATE_ID"],
+  invitation: ["EMAILJS_INVITATION_TEMPLATE_ID"],
+};
+
+export function emailjsTemplateId(emailType) {
+  const keys = EMAILJS_TEMPLATES[emailType] || EMAILJS_TEMPLATES.invitation;
+  return keys.map(k => process.env[k]).find(Boolean);
+}
+
+/** Variables for the EmailJS template of each email type */
+export function emailjsParams({ to, subject, text, emailType, templateData: d = {} }) {
+  const name = d.recipient_name || localPart(to);
+
+  switch (emailType) {
+    case "conflict":
+      return {
+        name,
+        conflict_message: d.conflict_message || "",
+        session_time: d.session_time || "",
+        student_name: d.student_name || "",
+        email: to,
+      };
+    case "cancellation":
+      return {
+        name,
+        topic: d.topic || "Group Study Session",
+        session_time: d.session_time || "",
+        venue: d.venue || "",
+        reason: d.reason || "",
+        changes: d.reason ? `Cancelled: ${d.reason}` : "Cancelled",
+        organizer: d.organizer || "A group member",
+        email: to,
+      };
+    case "reminder":
+      return {
+        name,
+        topic: d.topic || "Group Study Session",
+        session_time: d.session_time || "",
+        venue: d.venue || "",
+        reminder: d.reminder || "",
+        changes: d.reminder || "",
+        email: to,
+      };
+    case "update":
+      return {
+        name,
+        topic: d.topic || "Group Study Session",
+        session_time: d.session_time || "",
+        venue: d.venue || "",
+        changes: d.changes || "",
+        organizer: d.organizer || "A group member",
+        action_url: d.accept_link || "",
+        support_url: d.decline_link || "",
+        email: to,
+      };
+    case "message":
+      // Free-form messages from /api/email reuse the invitation layout
+      return {
+        session_time: "",
+        venue: "",
+        time_goal: "",
+        ...d,
+        name: d.name || name,
+        topic: d.topic || subject || "Message from LockedIn",
+        content_goal: d.content_goal || d.message || text || "",
+        email: to,
+      };
+    default:
+      return {
+        name,
+        topic: d.topic || "Group Study Session",
+        session_time: d.session_time || "",
+        venue: d.venue || "",
+        time_goal: d.time_goal || "",
+        content_goal: d.content_goal || "",
+        organizer: d.organizer || "A group member",
+        action_url: d.accept_link || "",
+        support_url: d.decline_link || "",
+        email: to,
+      };
+  }
+}
+
+const emailjs = {
+  name: "emailjs",
+  configured() {
+    if (!process.env.EMAILJS_SERVICE_ID || !process.env.EMAILJS_USER_ID) {
+      return "EmailJS configuration incomplete - check environment variables";
+    }
+    return null;
+  },
+  async send(message) {
+    const htmlTemplateId = process.env.EMAILJS_HTML_TEMPLATE_ID;
+    const templateId = htmlTemplateId || emailjsTemplateId(message.emailType);
+    if (!templateId) throw new EmailConfigError(`EmailJS configuration incomplete - no template for "${message.emailType}" emails`);
+    if (message.unsubscribeUrl && !htmlTemplateId && process.env.EMAILJS_TEMPLATES_HAVE_UNSUBSCRIBE !== "true") {
+      throw new EmailConfigError(
+        "EmailJS templates are not confirmed to render {{unsubscribe_url}} - set EMAILJS_HTML_TEMPLATE_ID, or EMAILJS_TEMPLATES_HAVE_UNSUBSCRIBE=true once they do"
+      );
+    }
+    const templateParams = htmlTemplateId
+      ? { email: message.to, name: message.templateData?.recipient_name || localPart(message.to), subject: message.subject, html: htmlBody(message), text: message.text || "" }
+      : { ...emailjsParams(message), unsubscribe_url: message.unsubscribeUrl || "" };
+
+    // Server-side calls authenticate with the private key (EmailJS "API access
+    // from non-browser environments") instead of pretending to be a browser
+    const res = await fetch("https://api.emailjs.com/api/v1.0/email/send", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        service_id: process.env.EMAILJS_SERVICE_ID,
+        template_id: templateId,
+        user_id: process.env.EMAILJS_USER_ID,
+        accessToken: process.env.EMAILJS_PRIVATE_KEY || undefined,
+        template_params: templateParams,
+      }),
+    });
+
+    // EmailJS answers a plain "OK" on success and plain text on most errors
+    const body = (await res.text()).trim();
+    if (!res.ok) throw new Error(`EmailJS API error: ${res.status} - ${body}`);
+    try {
+      return JSON.parse(body);
+    } catch {
+      if (body === "OK") return { status: "success", message: "Email sent successfully" };
+      throw new Error(`EmailJS returned: ${body}`);
+    }
+  },
+};
+
+/* ---------- providers that send our own HTML ---------- */
+
+const fromAddress = () => process.env.EMAIL_FROM || "LockedIn <no-reply@lockedin.app>";
+
+/** "Name <a@b>" → { email, name } */
+function parseAddress(value) {
+  const m = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(value);
+  return m ? { name: m[1] || undefined, email: m[2] } : { email: value.trim() };
+}
+
+/** Template-based callers only pass text; wrap it so HTML clients still get something readable */
+export function htmlBody({ html, text }) {
+  if (html) return html;
+  return String(text || "")
+    .split(/\n{2,}/)
+    .map(p => `<p>${escapeHtml(p).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+}
+
+const smtp = {
+  name: "smtp",
+  configured: () => (process.env.SMTP_HOST ? null : "SMTP configuration incomplete - SMTP_HOST is not set"),
+  async send(message) {
+    const info = await transporter.sendMail({
+      from: fromAddress(),
+      to: message.to,
+      subject: message.subject,
+      text: message.text || undefined,
+      html: htmlBody(message),
+      headers: message.headers,
+    });
+    return { id: info.messageId };
+  },
+};
+
+// The SDKs are only loaded when their provider is actually used
+const resend = {
+  name: "resend",
+  configured: () => (process.env.RESEND_API_KEY ? null : "Resend configuration incomplete - RESEND_API_KEY is not set"),
+  async send(message) {
+    const { Resend } = await import("resend");
+    const client = new Resend(process.env.RESEND_API_KEY);
+    const { data, error } = await client.emails.send({
+      from: fromAddress(),
+      to: [message.to],
+      subject: message.subject,
+      html: htmlBody(message),
+      text: message.text || undefined,
+      headers: message.headers,
+    });
+    if (error) throw new Error(`Resend error: ${error.message || error.name}`);
+    return { id: data?.id };
+  },
+};
+
+const mailersend = {
+  name: "mailersend",
+  configured: () => (process.env.MAILERSEND_API_KEY ? null : "MailerSend configuration incomplete - MAILERSEND_API_KEY is not set"),
+  async send(message) {
+    const { MailerSend, EmailParams, Sender, Recipient } = await import("mailersend");
+    const client = new MailerSend({ apiKey: process.env.MAILERSEND_API_KEY });
+    const from = parseAddress(fromAddress());
+    const params = new EmailParams()
+      .setFrom(new Sender(from.email, from.name))
+      .setTo([new Recipient(message.to, message.templateData?.recipient_name)])
+      .setSubject(message.subject)
+      .setHtml(htmlBody(message))
+      .setText(message.text || message.subject);
+    const res = await client.email.send(params);
+    return { id: res?.headers?.["x-message-id"], status: res?.statusCode };
+  },
+};
+
+/**
+ * Unsubscribe link at the bottom of the HTML and text parts, plus RFC 8058 one-click headers.
+ * Opening the link shows a confirmation page; mail clients POST to the same URL.
+ */
+export function withUnsubscribe(message, url) {
+  const link = `<p style="font-size:12px;color:#71717a;text-align:center"><a href="${escapeHtml(url)}" style="color:#71717a">Unsubscribe</a></p>`;
+  const html = htmlBody(message);
+  return {
+    ...message,
+    html: /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${link}\n</body>`) : `${html}\n${link}`,
+    text: `${message.text || ""}\n\nUnsubscribe: ${url}`.trim(),
+    headers: { ...message.headers, "List-Unsubscribe": `<${url}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" },
+    unsubscribeUrl: url,
+  };
+}
+
+/* ---------- providers for tests and local development ---------- */
+
+const sentEmails = [];
+
+/** Messages delivered by the memory provider, oldest first */
+export const getSentEmails = () => [...sentEmails];
+export const clearSentEmails = () => { sentEmails.length = 0; };
+
+const memory = {
+  name: "memory",
+  configured: () => null,
+  async send(message) {
+    sentEmails.push({ ...message, sent_at: new Date().toISOString() });
+    return { id: `memory-${sentEmails.length}` };
+  },
+};
+
+const file = {
+  name: "file",
+  configured: () => null,
+  async send(message) {
+    const target = path.resolve(process.env.EMAIL_FILE_PATH || "tmp/emails.jsonl");
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.appendFile(target, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + "\n");
+    return { file: target };
+  },
+};
+
+export const providers = { emailjs, smtp, resend, mailersend, memory, file };
+
+/** Providers to try, in order, from EMAIL_PROVIDER / EMAIL_FALLBACK_PROVIDER */
+export function providerChain() {
+  const primary = (process.env.EMAIL_PROVIDER || (process.env.NODE_ENV === "test" ? "memory" : "emailjs")).toLowerCase();
+  const fallback = (process.env.EMAIL_FALLBACK_PROVIDER || "").toLowerCase();
+
+  const names = [primary, fallback].filter((n, i, all) => n && all.indexOf(n) === i);
+  for (const n of names) {
+    if (!providers[n]) throw new EmailConfigError(`Unknown email provider "${n}"`);
+  }
+  return names.map(n => providers[n]);
+}
+
+export const emailService = {
+  sendEmail: async (to, subject, html, text, emailType = "invitation", templateData = {}) => {
+    let message = { to, subject, html, text, emailType, templateData };
+    const category = categoryFor(emailType);
+
+    let suppression = null;
+    try {
+      suppression = await findSuppression(to);
+    } catch (e) {
+      console.error(`[email] could not check the suppression list for ${to}:`, e.message);
+    }
+    if (suppression) {
+      return { success: true, skipped: true, reason: "suppressed", to, subject, emailType, category };
+    }
+
+    let recipient = null;
+    try {
+      recipient = await recipientPreferences(to);
+    } catch (e) {
+      console.error(`[email] could not load notification preferences for ${to}:`, e.message);
+    }
+    if (recipient && !emailAllowed(recipient.prefs, category)) {
+      return { success: true, skipped: true, reason: "unsubscribed", to, subject, emailType, category };
+    }
+
+    if (!html) {
+      const rendered = renderBuiltIn(emailType, { ...templateData, recipient_name: templateData?.recipient_name || localPart(to) });
+      if (rendered) Object.assign(message, { subject: subject || rendered.subject, html: rendered.html, text: rendered.text });
+    }
+    if (recipient) {
+      try {
+        message = withUnsubscribe(message, unsubscribeUrl(recipient.userId, category));
+      } catch (e) {
+        console.error("[email] could not create unsubscribe link:", e.message);
+      }
+    }
+    const attempts = [];
+
+    let chain;
+    try {
+      chain = providerChain();
+    } catch (e) {
+      return { success: false, error: `Email service failed: ${e.message}`, emailType, attempts };
+    }
+
+    for (const provider of chain) {
+      const missing = provider.configured();
+      if (missing) {
+        attempts.push({ service: provider.name, error: missing });
+        continue;
+      }
+      try {
+        const response = await provider.send(message);
+        if (attempts.length) {
+          console.warn(`[email] ${emailType} email to ${to} sent via ${provider.name} after ${attempts.map(a => a.service).join(", ")} failed`);
+        }
+        return { success: true, to, subject, service: provider.name, emailType, response, fallback: attempts.length > 0 };
+      } catch (e) {
+        console.error(`[email] ${provider.name} failed to send ${emailType} email to ${to}:`, e.message);
+        attempts.push({ service: provider.name, error: e.message });
+      }
+    }
+
+    return {
+      success: false,
+      error: `Email service failed: ${attempts.map(a => a.error).join("; ")}`,
+      emailType,
+      attempts,
+    };
+  },
+};
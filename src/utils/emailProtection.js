@@ -0,0 +1,179 @@
+// src/utils/emailProtection.js
+//
+// Abuse protection for the public email API. POST /api/email/send needs a partner
+// key with the email:send scope, and each send is checked against:
+//
+//   EMAIL_RECIPIENT_ALLOWLIST          comma separated addresses or domains; when set, only these
+//   EMAIL_RECIPIENT_DENYLIST           comma separated addresses or domains that never get API email
+//   EMAIL_SEND_PER_KEY_PER_MINUTE      default 10
+//   EMAIL_SEND_PER_RECIPIENT_PER_HOUR  default 5, across all keys
+//   EMAIL_DAILY_QUOTA                  default 500 per key and UTC day
+//                                      (partner_api_keys.daily_email_quota overrides it)
+//
+// Addresses that bounced or complained are suppressed for every email the backend
+// sends, not just the API ones. Providers report them to
+// POST /api/email/webhooks/bounces with EMAIL_WEBHOOK_SECRET.
+//
+// email_send_log:      id, key_id, partner_name, to_email, subject, template,
+//                      status (sent | failed | skipped), created_at
+// email_suppressions:  id, email (unique, lowercase), reason (bounce | complaint | manual),
+//                      source, details, created_at
+import supabase from "./supabaseClient.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+export const SUPPRESSION_REASONS = ["bounce", "complaint", "manual"];
+
+const list = (value) => String(value || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+
+export const emailProtectionSettings = () => ({
+  allowlist: list(process.env.EMAIL_RECIPIENT_ALLOWLIST),
+  denylist: list(process.env.EMAIL_RECIPIENT_DENYLIST),
+  perKeyPerMinute: Number(process.env.EMAIL_SEND_PER_KEY_PER_MINUTE) || 10,
+  perRecipientPerHour: Number(process.env.EMAIL_SEND_PER_RECIPIENT_PER_HOUR) || 5,
+  dailyQuota: Number(process.env.EMAIL_DAILY_QUOTA) || 500,
+});
+
+export const emailKeyLimiter = createRateLimiter({ windowMs: 60 * 1000, max: 10 });
+export const emailRecipientLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 });
+
+export const normaliseEmail = (email) => String(email || "").trim().toLowerCase();
+
+/** "a@x.com" matches only that address; "x.com" or "@x.com" matches the domain and its subdomains */
+function listed(email, entries) {
+  const domain = email.split("@").pop();
+  return entries.some((entry) => {
+    if (entry.includes("@") && !entry.startsWith("@")) return entry === email;
+    const d = entry.replace(/^@/, "");
+    return domain === d || domain.endsWith(`.${d}`);
+  });
+}
+
+/** Why the allow/deny lists refuse this recipient, or null */
+export function recipientBlocked(email, settings = emailProtectionSettings()) {
+  const address = normaliseEmail(email);
+  if (listed(address, settings.denylist)) return "Recipient is on the deny list";
+  if (settings.allowlist.length && !listed(address, settings.allowlist)) return "Recipient is not on the allow list";
+  return null;
+}
+
+const startOfUtcDay = (now) => {
+  const d = new Date(now);
+  d.setUTCHours(0, 0, 0, 0);
+  return d;
+};
+
+/** Emails the key has sent since midnight UTC */
+export async function dailyUsage(keyId, now = new Date()) {
+  const { count, error } = await supabase
+    .from("email_send_log")
+    .select("id", { count: "exact", head: true })
+    .eq("key_id", keyId)
+    .eq("status", "sent")
+    .gte("created_at", startOfUtcDay(now).toISOString());
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Everything /send checks before sending for a partner. Resolves null when the
+ * email may go out, otherwise { status, error, rate? } for the response. The
+ * rate limiters are only charged for sends that pass every check.
+ */
+export async function checkPartnerSend(partner, to, { now = new Date(), settings = emailProtectionSettings() } = {}) {
+  const address = normaliseEmail(to);
+
+  const blocked = recipientBlocked(address, settings);
+  if (blocked) return { status: 403, error: blocked };
+
+  const suppression = await findSuppression(address);
+  if (suppression) return { status: 409, error: `Recipient address is suppressed (${suppression.reason})` };
+
+  const quota = partner.daily_email_quota || settings.dailyQuota;
+  if (await dailyUsage(partner.id, now) >= quota) {
+    return { status: 429, error: `Daily email quota of ${quota} reached` };
+  }
+
+  const keyRate = emailKeyLimiter.check(partner.id, settings.perKeyPerMinute);
+  if (!keyRate.allowed) return { status: 429, error: "Email rate limit exceeded for this key", rate: keyRate };
+
+  const recipientRate = emailRecipientLimiter.check(address, settings.perRecipientPerHour);
+  if (!recipientRate.allowed) return { status: 429, error: "Too many emails to this recipient", rate: recipientRate };
+
+  emailKeyLimiter.hit(partner.id, settings.perKeyPerMinute);
+  emailRecipientLimiter.hit(address, settings.perRecipientPerHour);
+  return null;
+}
+
+/** Record an API send for quotas and auditing; failures are logged, never surfaced */
+export async function logSend({ partner, to, subject, template, status }) {
+  const { error } = await supabase.from("email_send_log").insert([{
+    key_id: partner?.id ?? null,
+    partner_name: partner?.name ?? null,
+    to_email: normaliseEmail(to),
+    subject,
+    template,
+    status,
+  }]);
+  if (error) console.error("[email] could not log send:", error.message);
+}
+
+/* ---------- suppression list ---------- */
+
+export async function findSuppression(email) {
+  const { data, error } = await supabase
+    .from("email_suppressions")
+    .select("email, reason, created_at")
+    .eq("email", normaliseEmail(email))
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function suppress(email, { reason = "manual", source = null, details = null } = {}) {
+  const { data, error } = await supabase
+    .from("email_suppressions")
+    .upsert({ email: normaliseEmail(email), reason, source, details }, { onConflict: "email" })
+    .select("email, reason, source, created_at")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function unsuppress(email) {
+  const { data, error } = await supabase
+    .from("email_suppressions")
+    .delete()
+    .eq("email", normaliseEmail(email))
+    .select("email")
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
+}
+
+const first = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+/**
+ * Bounce and complaint events in Resend, MailerSend or plain { email, type } form.
+ * Returns [{ email, reason, source }]; other events give [].
+ */
+export function parseBounceEvent(body = {}) {
+  const type = String(body.type || "");
+
+  // Resend: { type: "email.bounced" | "email.complained", data: { to: [...] } }
+  if (type.startsWith("email.")) {
+    const reason = { "email.bounced": "bounce", "email.complained": "complaint" }[type];
+    return reason ? first(body.data?.to).map(email => ({ email, reason, source: "resend" })) : [];
+  }
+
+  // MailerSend: { type: "activity.hard_bounced" | "activity.spam_complaint", data: { email: { recipient: { email } } } }
+  if (type.startsWith("activity.")) {
+    const reason = { "activity.hard_bounced": "bounce", "activity.spam_complaint": "complaint" }[type];
+    const email = body.data?.email?.recipient?.email;
+    return reason && email ? [{ email, reason, source: "mailersend" }] : [];
+  }
+
+  if (["bounce", "complaint"].includes(type) && body.email) {
+    return first(body.email).map(email => ({ email, reason: type, source: body.source || "webhook" }));
+  }
+  return [];
+}
@@ -0,0 +1,318 @@
+// src/utils/emailTemplates.js
+//
+// Email templates owned by the backend, rendered locally to HTML and plain text.
+// Templates use a small mustache subset:
+//
+//   {{name}}              value (HTML-escaped in the HTML part)
+//   {{#name}}…{{/name}}   block shown when name is truthy; repeated for each item of an array
+//   {{^name}}…{{/name}}   block shown when name is empty
+//
+// Partner teams register their own templates (PUT /api/email/templates/:name):
+//
+// email_templates:  id, key_id (partner_api_keys.id), partner_name, name, subject, html, text,
+//                   sample jsonb, created_at, updated_at (unique key_id + name)
+import { escapeHtml, isHttpUrl } from "./html.js";
+
+export class TemplateError extends Error {}
+
+export const TEMPLATE_NAME = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+const lookup = (ctx, key) => (key === "." ? ctx["."] : ctx[key]);
+
+const isEmpty = (value) => value === undefined || value === null || value === false || value === "" ||
+  (Array.isArray(value) && value.length === 0);
+
+/** Render a template string against `vars`; `escape` is applied to every substituted value */
+export function renderString(template, vars = {}, escape = (v) => v) {
+  // One pass over the template: substituted values are never scanned for tags again
+  const tags = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+  const render = (tpl, ctx) => tpl.replace(tags, (_m, kind, section, inner, key) => {
+    if (key) {
+      const value = lookup(ctx, key);
+      return isEmpty(value) ? "" : escape(String(value));
+    }
+    const value = lookup(ctx, section);
+    if (kind === "^") return isEmpty(value) ? render(inner, ctx) : "";
+    if (isEmpty(value)) return "";
+    if (Array.isArray(value)) {
+      return value
+        .map(item => render(inner, item && typeof item === "object" ? { ...ctx, ...item } : { ...ctx, ".": item }))
+        .join("");
+    }
+    return render(inner, ctx);
+  });
+
+  return render(String(template ?? ""), vars);
+}
+
+/** Full HTML document around a rendered body fragment */
+export function emailLayout({ heading, body, preheader = "" }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(heading)}</title>
+</head>
+<body style="margin:0;padding:24px 12px;background:#f4f4f5;font-family:system-ui,sans-serif;color:#18181b">
+<span style="display:none">${escapeHtml(preheader)}</span>
+<div style="max-width:560px;margin:0 auto;background:#fff;border-radius:12px;padding:28px">
+<h1 style="font-size:20px;margin:0 0 16px">${escapeHtml(heading)}</h1>
+${body}
+<p style="margin-top:28px;font-size:12px;color:#71717a">Sent by LockedIn</p>
+</div>
+</body>
+</html>`;
+}
+
+/** Plain text for templates that only define HTML */
+export function htmlToText(html) {
+  return String(html)
+    .replace(/<(br|\/p|\/div|\/h\d|\/li|\/tr)\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, "&")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+const button = (url, label) =>
+  `{{#${url}}}<p><a href="{{${url}}}" style="display:inline-block;padding:10px 18px;border-radius:8px;background:#2563eb;color:#fff;text-decoration:none">${label}</a></p>{{/${url}}}`;
+
+const SESSION_DETAILS = `<table style="border-collapse:collapse">
+{{#topic}}<tr><th style="text-align:left;padding:2px 12px 2px 0;color:#71717a">Topic</th><td>{{topic}}</td></tr>{{/topic}}
+{{#session_time}}<tr><th style="text-align:left;padding:2px 12px 2px 0;color:#71717a">When</th><td>{{session_time}}</td></tr>{{/session_time}}
+{{#venue}}<tr><th style="text-align:left;padding:2px 12px 2px 0;color:#71717a">Where</th><td>{{venue}}</td></tr>{{/venue}}
+</table>`;
+
+const SESSION_DETAILS_TEXT = "{{#topic}}Topic: {{topic}}\n{{/topic}}{{#session_time}}When: {{session_time}}\n{{/session_time}}{{#venue}}Where: {{venue}}\n{{/venue}}";
+
+/**
+ * Built-in templates. `subject`, `heading`, `html` and `text` are template strings;
+ * `sample` feeds the preview endpoints and documents the variables.
+ */
+export const BUILT_IN_TEMPLATES = {
+  invitation: {
+    description: "Study session invitation with accept/decline links",
+    subject: "📚 Study Session: {{topic}}",
+    heading: "You're invited to a study session",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{organizer}} invited you to a study session.</p>
+${SESSION_DETAILS}
+{{#time_goal}}<p>Time goal: {{time_goal}} minutes</p>{{/time_goal}}
+{{#content_goal}}<p>Content goal: {{content_goal}}</p>{{/content_goal}}
+${button("accept_link", "Accept")}
+{{#decline_link}}<p><a href="{{decline_link}}">Decline</a></p>{{/decline_link}}`,
+    text: `Hi {{recipient_name}},
+
+{{organizer}} invited you to a study session.
+${SESSION_DETAILS_TEXT}{{#time_goal}}Time goal: {{time_goal}} minutes
+{{/time_goal}}{{#content_goal}}Content goal: {{content_goal}}
+{{/content_goal}}
+{{#accept_link}}Accept: {{accept_link}}
+{{/accept_link}}{{#decline_link}}Decline: {{decline_link}}
+{{/decline_link}}`,
+    sample: {
+      recipient_name: "Thandi", organizer: "Sam", topic: "Calculus revision",
+      session_time: "2025-05-02T14:00:00Z", venue: "Library room 3", time_goal: 90,
+      content_goal: "Chapter 5 exercises",
+      accept_link: "https://example.com/accept", decline_link: "https://example.com/decline",
+    },
+  },
+
+  conflict: {
+    description: "Tells a session creator that an invitee is already booked",
+    subject: "⚠️ Scheduling Conflict Alert",
+    heading: "Scheduling conflict",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{conflict_message}}</p>
+{{#session_time}}<p>Session time: {{session_time}}</p>{{/session_time}}`,
+    text: `Hi {{recipient_name}},
+
+{{conflict_message}}
+{{#session_time}}Session time: {{session_time}}
+{{/session_time}}`,
+    sample: {
+      recipient_name: "Sam", student_name: "Thandi", session_time: "2025-05-02T14:00:00Z",
+      conflict_message: "Thandi is already booked at this time: Physics test.",
+    },
+  },
+
+  update: {
+    description: "A session someone was invited to has changed",
+    subject: "✏️ Session updated: {{topic}}",
+    heading: "A study session has changed",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{organizer}} updated a session you were invited to.</p>
+${SESSION_DETAILS}
+{{#changes}}<p style="white-space:pre-line">{{changes}}</p>{{/changes}}
+${button("accept_link", "Accept")}
+{{#decline_link}}<p><a href="{{decline_link}}">Decline</a></p>{{/decline_link}}`,
+    text: `Hi {{recipient_name}},
+
+{{organizer}} updated a session you were invited to.
+${SESSION_DETAILS_TEXT}{{#changes}}
+{{changes}}
+{{/changes}}{{#accept_link}}
+Accept: {{accept_link}}
+{{/accept_link}}{{#decline_link}}Decline: {{decline_link}}
+{{/decline_link}}`,
+    sample: {
+      recipient_name: "Thandi", organizer: "Sam", topic: "Calculus revision",
+      session_time: "2025-05-02T15:00:00Z", venue: "Library room 3",
+      changes: "Start moved from 14:00 to 15:00.",
+    },
+  },
+
+  cancellation: {
+    description: "A session was cancelled",
+    subject: "❌ Session cancelled: {{topic}}",
+    heading: "Session cancelled",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{organizer}} cancelled this study session.</p>
+${SESSION_DETAILS}
+{{#reason}}<p>Reason: {{reason}}</p>{{/reason}}`,
+    text: `Hi {{recipient_name}},
+
+{{organizer}} cancelled this study session.
+${SESSION_DETAILS_TEXT}{{#reason}}Reason: {{reason}}
+{{/reason}}`,
+    sample: {
+      recipient_name: "Thandi", organizer: "Sam", topic: "Calculus revision",
+      session_time: "2025-05-02T14:00:00Z", reason: "Library closed",
+    },
+  },
+
+  reminder: {
+    description: "Reminder before a session the recipient accepted",
+    subject: "⏰ Reminder: {{topic}}",
+    heading: "{{reminder}}",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>Your study session is coming up.</p>
+${SESSION_DETAILS}`,
+    text: `Hi {{recipient_name}},
+
+Your study session is coming up.
+${SESSION_DETAILS_TEXT}`,
+    sample: {
+      recipient_name: "Thandi", topic: "Calculus revision", session_time: "2025-05-02T14:00:00Z",
+      venue: "Library room 3", reminder: "Starts in 1 hour",
+    },
+  },
+
+  friend_invite: {
+    description: "Someone sent the recipient a friend request",
+    subject: "👋 {{sender_name}} wants to study with you",
+    heading: "New friend request",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{sender_name}} sent you a friend request on LockedIn.</p>
+{{#message}}<blockquote>{{message}}</blockquote>{{/message}}
+${button("action_url", "View request")}`,
+    text: `Hi {{recipient_name}},
+
+{{sender_name}} sent you a friend request on LockedIn.
+{{#message}}"{{message}}"
+{{/message}}{{#action_url}}View it: {{action_url}}
+{{/action_url}}`,
+    sample: { recipient_name: "Thandi", sender_name: "Sam", message: "Want to revise together?", action_url: "https://example.com/friends" },
+  },
+
+  group_invite: {
+    description: "Someone invited the recipient to a study group",
+    subject: "👥 You're invited to join {{group_name}}",
+    heading: "Study group invitation",
+    html: `<p>Hi {{recipient_name}},</p>
+<p>{{inviter_name}} invited you to join <strong>{{group_name}}</strong>{{#module_code}} ({{module_code}}){{/module_code}}.</p>
+${button("action_url", "View invitation")}`,
+    text: `Hi {{recipient_name}},
+
+{{inviter_name}} invited you to join {{group_name}}{{#module_code}} ({{module_code}}){{/module_code}}.
+{{#action_url}}View it: {{action_url}}
+{{/action_url}}`,
+    sample: { recipient_name: "Thandi", inviter_name: "Sam", group_name: "COMS3009 crew", module_code: "COMS3009", action_url: "https://example.com/groups" },
+  },
+
+  digest: {
+    description: "Summary of upcoming sessions and activity",
+    subject: "🗓️ Your LockedIn {{period}}",
+    heading: "Your LockedIn {{period}}",
+    html: `<p>Hi {{recipient_name}},</p>
+<p><strong>Upcoming sessions</strong></p>
+{{^sessions}}<p>No sessions coming up.</p>{{/sessions}}
+<ul>{{#sessions}}<li>{{topic}} · {{session_time}}{{#group_name}} · {{group_name}}{{/group_name}}</li>{{/sessions}}</ul>
+<ul>{{#items}}<li>{{.}}</li>{{/items}}</ul>`,
+    text: `Hi {{recipient_name}},
+
+Upcoming sessions:
+{{#sessions}}- {{topic}} · {{session_time}}{{#group_name}} · {{group_name}}{{/group_name}}
+{{/sessions}}{{^sessions}}No sessions coming up.
+{{/sessions}}{{#items}}* {{.}}
+{{/items}}`,
+    sample: {
+      recipient_name: "Thandi", period: "weekly digest",
+      sessions: [{ topic: "Calculus revision", session_time: "2025-05-02T14:00:00Z", group_name: "Maths" }],
+      items: ["3 new messages in Maths", "Sam accepted your friend request"],
+    },
+  },
+
+  message: {
+    description: "Free-form message (POST /api/email/send)",
+    subject: "{{subject}}",
+    heading: "{{subject}}",
+    html: `{{#recipient_name}}<p>Hi {{recipient_name}},</p>{{/recipient_name}}
+<p style="white-space:pre-line">{{message}}</p>
+${button("action_url", "{{action_label}}{{^action_label}}Open{{/action_label}}")}
+{{#from_name}}<p>— {{from_name}}</p>{{/from_name}}`,
+    text: `{{#recipient_name}}Hi {{recipient_name}},
+
+{{/recipient_name}}{{message}}
+{{#action_url}}
+{{action_url}}
+{{/action_url}}{{#from_name}}
+— {{from_name}}
+{{/from_name}}`,
+    sample: { subject: "Hello from LockedIn", recipient_name: "Thandi", message: "This is a test message.", from_name: "LockedIn API" },
+  },
+};
+
+export const isBuiltInTemplate = (name) => Object.prototype.hasOwnProperty.call(BUILT_IN_TEMPLATES, name);
+
+/**
+ * Render a template ({ subject, heading?, html, text? }) with `vars`.
+ * HTML values are escaped; the HTML part is wrapped in the standard layout.
+ */
+export function renderTemplate(template, vars = {}) {
+  const subject = renderString(template.subject, vars).trim();
+  const heading = renderString(template.heading || template.subject, vars).trim();
+  const body = renderString(template.html, vars, escapeHtml).trim();
+  const text = template.text ? renderString(template.text, vars).trim() : htmlToText(body);
+  return { subject, html: emailLayout({ heading, body, preheader: text.split("\n")[0] }), text };
+}
+
+/** Render a built-in template by name; null when there is no such template */
+export function renderBuiltIn(name, vars = {}) {
+  if (!isBuiltInTemplate(name)) return null;
+  return renderTemplate(BUILT_IN_TEMPLATES[name], vars);
+}
+
+// Variables rendered into an href; only http(s) URLs are accepted for them
+export const LINK_VARIABLES = ["action_url"];
+
+/** Throws TemplateError when a link variable in `vars` is set to anything but an http(s) URL */
+export function checkLinks(vars = {}) {
+  for (const key of LINK_VARIABLES) {
+    if (!isEmpty(vars?.[key]) && !isHttpUrl(vars[key])) throw new TemplateError(`${key} must be an http(s) URL`);
+  }
+}
+
+/** Check a partner template before it is stored */
+export function validateTemplate({ name, subject, html, text, sample }) {
+  if (!TEMPLATE_NAME.test(String(name || ""))) {
+    throw new TemplateError("name must be 1-50 lowercase letters, digits, - or _");
+  }
+  if (!subject || typeof subject !== "string") throw new TemplateError("subject is required");
+  if (!html || typeof html !== "string") throw new TemplateError("html is required");
+  if (text !== undefined && text !== null && typeof text !== "string") throw new TemplateError("text must be a string");
+  if (html.length > 100000 || (text || "").length > 100000) throw new TemplateError("Template is too large");
+  checkLinks(sample);
+}
@@ -0,0 +1,161 @@
+// src/utils/groups.js
+//
+// Group records and the activity summary behind GET /api/groups/:id.
+//
+// groups:               id, owner_id, name, module, description, avatar_url,
+//                       visibility (default 'private'), archived_at, created_at
+// group_join_requests:  id, group_id, user_id, message, status (pending | approved |
+//                       rejected | cancelled), decided_by, decided_at, created_at;
+//                       one pending request per (group_id, user_id)
+//
+// Visibility: private groups are invite-only and never listed. Discoverable groups
+// show up in GET /api/groups/discover and take join requests, which the owner or
+// an admin approves or rejects (group invitations in reverse). Open groups are
+// listed too and anyone can join straight away.
+//
+// Deleting a group is archive-first. DELETE /api/groups/:id sets archived_at: the
+// group drops out of GET /api/groups but keeps its members, sessions, messages and
+// files, and the owner can restore it. ?permanent=true removes the row for good;
+// the tables keyed by group_id (group_members, group_invitations, sessions,
+// group_messages, group_files, ...) reference groups.id with on delete cascade,
+// and the route removes the stored file objects, which the database can't.
+import supabase from "./supabaseClient.js";
+
+export const GROUP_COLUMNS =
+  "id, owner_id, name, module, description, avatar_url, visibility, archived_at, created_at";
+
+export const GROUP_VISIBILITIES = ["private", "discoverable", "open"];
+
+export const JOIN_REQUEST_COLUMNS = "id, group_id, user_id, message, status, decided_by, decided_at, created_at";
+
+export const GROUP_FIELD_LIMITS = { name: 100, module: 100, description: 1000, avatar_url: 2048 };
+
+/** Discoverable and open groups can be found and viewed by anyone while not archived */
+export const isListed = (group) => !!group && !group.archived_at && group.visibility !== "private" && !!group.visibility;
+
+/** ilike pattern matching `text` anywhere, with the wildcards in it taken literally */
+export const containsPattern = (text) => `%${String(text).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+
+/** A group, or null */
+export async function loadGroup(id) {
+  const { data, error } = await supabase.from("groups").select(GROUP_COLUMNS).eq("id", id).maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * The editable fields present in `body`, trimmed, or { error }. Empty module,
+ * description and avatar_url clear them; name can't be empty.
+ */
+export function groupChanges(body) {
+  const changes = {};
+  for (const [field, max] of Object.entries(GROUP_FIELD_LIMITS)) {
+    if (body?.[field] === undefined) continue;
+    const value = body[field];
+    if (value !== null && typeof value !== "string") return { error: `${field} must be a string` };
+    const trimmed = (value || "").trim();
+    if (trimmed.length > max) return { error: `${field} must be at most ${max} characters` };
+    changes[field] = trimmed || null;
+  }
+  if (body?.visibility !== undefined) {
+    if (!GROUP_VISIBILITIES.includes(body.visibility)) {
+      return { error: `visibility must be one of ${GROUP_VISIBILITIES.join(", ")}` };
+    }
+    changes.visibility = body.visibility;
+  }
+  if ("name" in changes && !changes.name) return { error: "Group name required" };
+  if (changes.avatar_url && !/^https?:\/\//i.test(changes.avatar_url)) {
+    return { error: "avatar_url must be an http(s) URL" };
+  }
+  return { changes };
+}
+
+const preview = (text, max = 120) => {
+  const s = String(text || "").replace(/\s+/g, " ").trim();
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+};
+
+/**
+ * The latest things that happened in the group, newest first: messages, shared
+ * files, sessions that have taken place and members joining.
+ * Each item is { type, at, user_id, ...details }.
+ */
+export async function recentActivity(groupId, { limit = 10, now = new Date() } = {}) {
+  const [messages, files, sessions, members] = await Promise.all([
+    supabase
+      .from("group_messages")
+      .select("id, sender_id, content, reply_to, created_at")
+      .eq("group_id", groupId)
+      .is("deleted_at", null)
+      .order("created_at", { ascending: false })
+      .limit(limit),
+    supabase
+      .from("group_files")
+      .select("id, uploader_id, filename, created_at")
+      .eq("group_id", groupId)
+      .order("created_at", { ascending: false })
+      .limit(limit),
+    supabase
+      .from("sessions")
+      .select("id, creator_id, topic, start_at")
+      .eq("group_id", groupId)
+      .is("cancelled_at", null)
+      .lte("start_at", now.toISOString())
+      .order("start_at", { ascending: false })
+      .limit(limit),
+    supabase
+      .from("group_members")
+      .select("user_id, joined_at")
+      .eq("group_id", groupId)
+      .order("joined_at", { ascending: false })
+      .limit(limit),
+  ]);
+  for (const r of [messages, files, sessions, members]) if (r.error) throw r.error;
+
+  const items = [
+    ...(messages.data || []).map(m => ({
+      type: "message", at: m.created_at, user_id: m.sender_id, message_id: m.id, reply_to: m.reply_to ?? null, preview: preview(m.content),
+    })),
+    ...(files.data || []).map(f => ({ type: "file", at: f.created_at, user_id: f.uploader_id, file_id: f.id, filename: f.filename })),
+    ...(sessions.data || []).map(s => ({ type: "session", at: s.start_at, user_id: s.creator_id, session_id: s.id, topic: s.topic ?? null })),
+    ...(members.data || []).filter(m => m.joined_at).map(m => ({ type: "member_joined", at: m.joined_at, user_id: m.user_id })),
+  ];
+  return items
+    .filter(i => i.at)
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+}
+
+/** The next scheduled session, or null */
+export async function nextSession(groupId, now = new Date()) {
+  const { data, error } = await supabase
+    .from("sessions")
+    .select("id, topic, start_at, venue, creator_id")
+    .eq("group_id", groupId)
+    .is("cancelled_at", null)
+    .gte("start_at", now.toISOString())
+    .order("start_at", { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function memberCount(groupId) {
+  const { count, error } = await supabase
+    .from("group_members")
+    .select("user_id", { count: "exact", head: true })
+    .eq("group_id", groupId);
+  if (error) throw error;
+  return count || 0;
+}
+
+/** { [groupId]: count } for many groups at once */
+export async function memberCounts(groupIds) {
+  if (!groupIds.length) return {};
+  const { data, error } = await supabase.from("group_members").select("group_id").in("group_id", groupIds);
+  if (error) throw error;
+  const counts = Object.fromEntries(groupIds.map(id => [id, 0]));
+  for (const m of data || []) counts[m.group_id] = (counts[m.group_id] || 0) + 1;
+  return counts;
+}
@@ -0,0 +1,60 @@
+// src/utils/html.js
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, c => ESCAPES[c]);
+}
+
+/** Only http(s) URLs may end up in a link */
+export function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+const TONES = {
+  success: "#16a34a",
+  info: "#2563eb",
+  error: "#dc2626",
+};
+
+/**
+ * Small standalone page for links opened from emails (RSVP etc.). All text is escaped.
+ * `action` ({ url, label }) adds a button that POSTs to `url`, for changes a link must not make on its own.
+ */
+export function renderMessagePage({ title, heading, message, details = [], tone = "info", action = null }) {
+  const color = TONES[tone] || TONES.info;
+  const rows = details
+    .filter(([, value]) => value)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)} · LockedIn</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f4f4f5; margin: 0; padding: 48px 16px; color: #18181b; }
+  main { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 32px; border-top: 6px solid ${color}; }
+  h1 { font-size: 1.4rem; margin: 0 0 12px; color: ${color}; }
+  table { margin-top: 16px; border-collapse: collapse; width: 100%; }
+  th { text-align: left; padding: 4px 12px 4px 0; color: #71717a; font-weight: 500; }
+  td { padding: 4px 0; }
+  button { margin-top: 16px; padding: 10px 20px; border: 0; border-radius: 8px; background: ${color}; color: #fff; font-size: 1rem; cursor: pointer; }
+</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(heading)}</h1>
+  <p>${escapeHtml(message)}</p>
+  ${rows ? `<table>${rows}</table>` : ""}
+  ${action ? `<form method="post" action="${escapeHtml(action.url)}"><button type="submit">${escapeHtml(action.label)}</button></form>` : ""}
+</main>
+</body>
+</html>`;
+}
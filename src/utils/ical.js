@@ -0,0 +1,117 @@
+// src/utils/ical.js
+//
+// Minimal RFC 5545 writer for the calendar feeds. Every session and test keeps
+// the same UID across feed refreshes, so calendar apps update the existing
+// event instead of adding a duplicate.
+import { sessionInterval, testInterval } from "./conflicts.js";
+
+const PRODID = "-//LockedIn//Study Sessions//EN";
+const UID_DOMAIN = "lockedin";
+
+export const sessionUid = (session) => `session-${session.id}@${UID_DOMAIN}`;
+export const testUid = (test) => `test-${test.id}@${UID_DOMAIN}`;
+
+/** 20991225T100000Z */
+export function formatDate(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Lines longer than 75 octets continue on the next line after a space. */
+export function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, "utf8");
+    const max = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (size + len > max) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += len;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function event({ uid, start, end, summary, location, description, sequence, updatedAt, cancelled, now }) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(start)}`,
+    `DTEND:${formatDate(end)}`,
+    `SUMMARY:${escapeText(summary)}`,
+  ];
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (updatedAt) lines.push(`LAST-MODIFIED:${formatDate(updatedAt)}`);
+  lines.push(`SEQUENCE:${Number(sequence) || 0}`, `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+  return lines;
+}
+
+/** VEVENT lines for a study session; `groupName` is optional. */
+export function sessionEvent(session, { groupName, now = new Date() } = {}) {
+  const { start, end } = sessionInterval(session);
+  const description = [
+    groupName && `Group: ${groupName}`,
+    session.content_goal && `Goal: ${session.content_goal}`,
+    session.time_goal_minutes && `Time goal: ${session.time_goal_minutes} minutes`,
+    session.cancellation_reason && `Cancelled: ${session.cancellation_reason}`,
+  ].filter(Boolean).join("\n");
+
+  return event({
+    uid: sessionUid(session),
+    start,
+    end,
+    summary: session.topic || "Study session",
+    location: session.venue,
+    description,
+    sequence: session.sequence,
+    updatedAt: session.updated_at,
+    cancelled: !!session.cancelled_at,
+    now,
+  });
+}
+
+/** VEVENT lines for a test from /api/assessments. */
+export function testEvent(test, { now = new Date() } = {}) {
+  const { start, end } = testInterval(test);
+  return event({
+    uid: testUid(test),
+    start,
+    end,
+    summary: test.name || "Test",
+    description: test.scope ? `Scope: ${test.scope}` : "",
+    updatedAt: test.updated_at,
+    now,
+  });
+}
+
+/** A whole VCALENDAR document from VEVENT line arrays. */
+export function buildCalendar({ name, events = [] }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const e of events) lines.push(...e);
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
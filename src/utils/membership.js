@@ -0,0 +1,95 @@
+// src/utils/membership.js
+//
+// Group membership checks shared by the group-scoped routers.
+//
+// group_members:  group_id, user_id (unique together), role, joined_at (default now())
+//
+// Roles: one "owner" per group (mirrors groups.owner_id), any number of "admin"s
+// who can invite and moderate (delete messages and files, remove members), and
+// "member"s. When the owner leaves, ownership passes to nextOwner().
+//
+// Archived groups are read-only: routes that add to a group (sessions, RSVPs,
+// messages, files, check-ins) check isGroupArchived() after membership and
+// answer 409 until the owner restores the group.
+import supabase from "./supabaseClient.js";
+import { allowsGroup } from "./partnerKeys.js";
+
+export const GROUP_ROLES = ["owner", "admin", "member"];
+
+export async function requireGroupMember(group_id, user_id) {
+  const { data, error } = await supabase
+    .from("group_members")
+    .select("user_id")
+    .eq("group_id", group_id)
+    .eq("user_id", user_id)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data;
+}
+
+// Partner keys are scoped to groups instead of holding a membership
+export async function canAccessGroup(req, group_id) {
+  if (req.partner) return allowsGroup(req.partner, group_id);
+  return requireGroupMember(group_id, req.user.id);
+}
+
+export async function isGroupArchived(group_id) {
+  const { data, error } = await supabase
+    .from("groups")
+    .select("archived_at")
+    .eq("id", group_id)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data?.archived_at;
+}
+
+export async function isGroupOwner(group_id, user_id) {
+  const { data, error } = await supabase
+    .from("groups")
+    .select("owner_id")
+    .eq("id", group_id)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data && data.owner_id === user_id;
+}
+
+/** The user's role in the group, or null when they aren't a member */
+export async function getGroupRole(group_id, user_id) {
+  const { data, error } = await supabase
+    .from("group_members")
+    .select("role")
+    .eq("group_id", group_id)
+    .eq("user_id", user_id)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return GROUP_ROLES.includes(data.role) ? data.role : "member";
+}
+
+export const canModerate = (role) => role === "owner" || role === "admin";
+
+export async function isGroupModerator(group_id, user_id) {
+  return canModerate(await getGroupRole(group_id, user_id));
+}
+
+/** Everyone who can act for the group: the owner and the admins */
+export async function groupModeratorIds(group_id) {
+  const { data, error } = await supabase
+    .from("group_members")
+    .select("user_id")
+    .eq("group_id", group_id)
+    .in("role", ["owner", "admin"]);
+  if (error) throw error;
+  return (data || []).map(m => m.user_id);
+}
+
+/**
+ * Who takes over when the owner leaves: the longest-standing admin, otherwise
+ * the longest-standing member. null when nobody else is left.
+ */
+export function nextOwner(members, leavingId) {
+  const rest = (members || [])
+    .filter(m => m.user_id !== leavingId)
+    .sort((a, b) => String(a.joined_at || "").localeCompare(String(b.joined_at || "")));
+  return rest.find(m => m.role === "admin") || rest[0] || null;
+}
@@ -0,0 +1,96 @@
+// src/utils/messageSearch.js
+//
+// Query parsing and snippets for GET /api/groups/:groupId/messages/search.
+// Postgres matches and ranks every message of the group; the route pages through
+// search_group_messages() best match first, keyed on (rank, id) like the other listings:
+//
+//   create index group_messages_content_fts on group_messages
+//     using gin (to_tsvector('english', coalesce(content, '')));
+//
+//   create function search_group_messages(p_group_id bigint, p_query text)
+//   returns table (id bigint, group_id bigint, session_id bigint, sender_id uuid, content text,
+//                  attachment_url text, attachment_file_id bigint, reply_to bigint,
+//                  edited_at timestamptz, deleted_at timestamptz, created_at timestamptz,
+//                  rank float8)
+//   language sql stable as $$
+//     select m.id, m.group_id, m.session_id, m.sender_id, m.content, m.attachment_url,
+//            m.attachment_file_id, m.reply_to, m.edited_at, m.deleted_at, m.created_at,
+//            -- normalisation 1: long messages rank below focused ones
+//            ts_rank(to_tsvector('english', coalesce(m.content, '')), q, 1)::float8
+//     from group_messages m, websearch_to_tsquery('english', p_query) q
+//     where m.group_id = p_group_id and m.deleted_at is null
+//       and to_tsvector('english', coalesce(m.content, '')) @@ q
+//   $$;
+//
+// Snippets are highlighted here with a rough english stemmer that lines up with
+// the english text search config.
+import { escapeHtml } from "./html.js";
+
+const WORD = /[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu;
+
+// Rough english stemming, enough to line up "studying" with "study" the way the
+// english text search config does
+const SUFFIXES = ["ing", "edly", "ed", "ies", "es", "s", "ly"];
+export function stem(word) {
+  const w = word.toLowerCase();
+  for (const suffix of SUFFIXES) {
+    if (suffix === "es" && !/(?:s|x|z|ch|sh)es$/.test(w)) continue; // notes -> note, boxes -> box
+    if (w.length - suffix.length >= 3 && w.endsWith(suffix)) {
+      return suffix === "ies" ? `${w.slice(0, -3)}y` : w.slice(0, -suffix.length);
+    }
+  }
+  return w;
+}
+
+/**
+ * { terms, phrases } from a websearch style query: "quoted phrases", plain words,
+ * and -words (excluded by Postgres, so never highlighted). OR is an operator.
+ */
+export function parseSearchQuery(q) {
+  const phrases = [];
+  const rest = String(q || "").replace(/"([^"]*)"/g, (_, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim().toLowerCase());
+    return ` ${phrase} `;
+  });
+  const terms = rest
+    .split(/\s+/)
+    .filter(t => t && !t.startsWith("-") && t.toLowerCase() !== "or")
+    .flatMap(t => t.match(WORD) || [])
+    .map(stem);
+  return { terms: [...new Set(terms)], phrases };
+}
+
+const matchesTerm = (word, terms) => {
+  const s = stem(word);
+  return terms.some(t => s === t || s.startsWith(t));
+};
+
+/**
+ * An escaped excerpt around the first match with matched words wrapped in <mark>.
+ * Safe to insert as HTML.
+ */
+export function highlight(content, { terms }, { maxLength = 160 } = {}) {
+  const text = String(content || "");
+  const matches = [...text.matchAll(WORD)].filter(m => matchesTerm(m[0], terms));
+
+  let start = 0;
+  let end = text.length;
+  if (text.length > maxLength) {
+    const first = matches[0]?.index ?? 0;
+    start = Math.max(0, Math.min(first - Math.floor(maxLength / 3), text.length - maxLength));
+    end = start + maxLength;
+    // don't cut words in half
+    while (start > 0 && /\S/.test(text[start - 1])) start -= 1;
+    while (end < text.length && /\S/.test(text[end])) end += 1;
+  }
+
+  let out = "";
+  let pos = start;
+  for (const m of matches) {
+    if (m.index < start || m.index + m[0].length > end) continue;
+    out += escapeHtml(text.slice(pos, m.index)) + `<mark>${escapeHtml(m[0])}</mark>`;
+    pos = m.index + m[0].length;
+  }
+  out += escapeHtml(text.slice(pos, end));
+  return `${start > 0 ? "…" : ""}${out.trim()}${end < text.length ? "…" : ""}`;
+}
@@ -0,0 +1,90 @@
+// src/utils/messages.js
+//
+// Group chat helpers shared by the message routes. Messages can be edited by
+// their sender, soft deleted by the sender or a group owner/admin (the row stays
+// as a tombstone so replies keep their parent), answered in a thread via reply_to
+// and reacted to with emoji.
+//
+// group_messages gains:  reply_to (group_messages.id, nullable), edited_at,
+//                        deleted_at, deleted_by (attachment_file_id: see utils/attachments.js)
+// message_reactions:     id, message_id, user_id, emoji, created_at,
+//                        unique (message_id, user_id, emoji)
+import supabase from "./supabaseClient.js";
+import { attachmentOf } from "./attachments.js";
+
+export const MESSAGE_COLUMNS =
+  "id, group_id, session_id, sender_id, content, attachment_url, attachment_file_id, reply_to, edited_at, deleted_at, created_at";
+
+// One emoji, including skin tones, ZWJ sequences and flags; not free text
+const EMOJI = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\p{Emoji_Component}|\u200d|\ufe0f)+$/u;
+const PICTOGRAPH = /\p{Extended_Pictographic}|\p{Regional_Indicator}/u;
+
+export function isEmoji(value) {
+  return typeof value === "string" && value.length <= 32 && EMOJI.test(value) && PICTOGRAPH.test(value);
+}
+
+/** A message of this group, or null */
+export async function loadMessage(groupId, messageId) {
+  const { data, error } = await supabase
+    .from("group_messages")
+    .select(MESSAGE_COLUMNS)
+    .eq("id", messageId)
+    .eq("group_id", groupId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/** Deleted messages keep their place (and thread) but lose what was said */
+const tombstone = (m) => (m.deleted_at
+  ? { ...m, content: null, attachment_url: null, attachment_file_id: null, deleted: true }
+  : { ...m, deleted: false });
+
+/**
+ * Adds sender_name, reactions ([{ emoji, count, reacted }], reacted meaning by
+ * `userId`), reply_count and the uploaded attachment to each message, and blanks
+ * deleted ones.
+ */
+export async function decorateMessages(messages, userId) {
+  if (!messages.length) return [];
+  const ids = messages.map(m => m.id);
+
+  const senderIds = [...new Set(messages.map(m => m.sender_id))];
+  const [profiles, reactions, replies] = await Promise.all([
+    supabase.from("profiles").select("id, full_name").in("id", senderIds),
+    supabase.from("message_reactions").select("message_id, user_id, emoji, created_at").in("message_id", ids),
+    supabase.from("group_messages").select("reply_to").in("reply_to", ids),
+  ]);
+  for (const r of [profiles, reactions, replies]) if (r.error) throw r.error;
+
+  const fileIds = [...new Set(messages.map(m => m.attachment_file_id).filter(Boolean))];
+  let fileById = {};
+  if (fileIds.length) {
+    const { data: files, error } = await supabase
+      .from("group_files").select("id, filename, mime_type, size_bytes").in("id", fileIds);
+    if (error) throw error;
+    fileById = Object.fromEntries((files || []).map(f => [f.id, attachmentOf(f)]));
+  }
+
+  const nameById = Object.fromEntries((profiles.data || []).map(p => [p.id, p.full_name]));
+
+  const reactionsById = {};
+  for (const r of [...(reactions.data || [])].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))) {
+    const list = (reactionsById[r.message_id] ||= []);
+    let entry = list.find(e => e.emoji === r.emoji);
+    if (!entry) list.push(entry = { emoji: r.emoji, count: 0, reacted: false });
+    entry.count += 1;
+    if (r.user_id === userId) entry.reacted = true;
+  }
+
+  const replyCount = {};
+  for (const r of replies.data || []) replyCount[r.reply_to] = (replyCount[r.reply_to] || 0) + 1;
+
+  return messages.map(m => ({
+    ...tombstone(m),
+    sender_name: nameById[m.sender_id] || null,
+    attachment: (!m.deleted_at && fileById[m.attachment_file_id]) || null,
+    reactions: m.deleted_at ? [] : reactionsById[m.id] || [],
+    reply_count: replyCount[m.id] || 0,
+  }));
+}
@@ -0,0 +1,83 @@
+// src/utils/notificationPreferences.js
+//
+// Which emails a user wants. Every email type belongs to a category; users turn
+// categories off (or all email, with email_enabled) through
+// /api/notifications/preferences or the one-click link at the bottom of each email.
+//
+// notification_preferences:  user_id (unique), email_enabled, session_invites, conflicts,
+//                            reminders, social_invites, digests (all boolean, default true),
+//                            updated_at
+import supabase from "./supabaseClient.js";
+
+export const NOTIFICATION_CATEGORIES = ["session_invites", "conflicts", "reminders", "social_invites", "digests"];
+
+// Email types without a category (public API messages, partner templates) only obey email_enabled
+const CATEGORY_BY_EMAIL_TYPE = {
+  invitation: "session_invites",
+  update: "session_invites",
+  cancellation: "session_invites",
+  conflict: "conflicts",
+  reminder: "reminders",
+  friend_invite: "social_invites",
+  group_invite: "social_invites",
+  digest: "digests",
+};
+
+export const categoryFor = (emailType) => CATEGORY_BY_EMAIL_TYPE[emailType] || null;
+
+export const CATEGORY_LABELS = {
+  all: "all LockedIn emails",
+  session_invites: "study session invitations and updates",
+  conflicts: "scheduling conflict alerts",
+  reminders: "session reminders",
+  social_invites: "friend and group invitations",
+  digests: "digests",
+};
+
+const COLUMNS = ["email_enabled", ...NOTIFICATION_CATEGORIES];
+
+/** Stored row → API shape; missing rows and columns mean "on" */
+export function presentPreferences(row) {
+  return Object.fromEntries(COLUMNS.map(c => [c, row?.[c] ?? true]));
+}
+
+export function emailAllowed(prefs, category) {
+  if (prefs.email_enabled === false) return false;
+  return !category || prefs[category] !== false;
+}
+
+export async function getPreferences(userId) {
+  const { data, error } = await supabase
+    .from("notification_preferences")
+    .select(COLUMNS.join(", "))
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error) throw error;
+  return presentPreferences(data);
+}
+
+/** Upsert only the given columns; returns the full preferences */
+export async function savePreferences(userId, changes) {
+  const { data, error } = await supabase
+    .from("notification_preferences")
+    .upsert({ user_id: userId, ...changes, updated_at: new Date().toISOString() }, { onConflict: "user_id" })
+    .select(COLUMNS.join(", "))
+    .single();
+  if (error) throw error;
+  return presentPreferences(data);
+}
+
+/**
+ * The LockedIn user behind an address and their preferences, or null for addresses
+ * that don't belong to a user (partner API recipients).
+ */
+export async function recipientPreferences(email) {
+  const { data: profile, error } = await supabase
+    .from("profiles")
+    .select("id")
+    .eq("email", email)
+    .maybeSingle();
+  if (error) throw error;
+  if (!profile) return null;
+  return { userId: profile.id, prefs: await getPreferences(profile.id) };
+}
@@ -0,0 +1,59 @@
+// src/utils/notifications.js
+//
+// In-app notifications: one row per thing the backend tells a user. Invitation
+// routes create them as invites are sent and answered; users read them through
+// /api/notifications. Names are joined at read time from actor_id. Each new
+// notification is also pushed to the user's realtime stream.
+//
+// notifications:  id, user_id, type, actor_id, title, body, data jsonb, read_at, created_at
+import supabase from "./supabaseClient.js";
+import { publish, userChannel } from "./realtime.js";
+
+export const NOTIFICATION_TYPES = [
+  "friend_invite",
+  "friend_invite_answered",
+  "group_invite",
+  "group_invite_answered",
+  "group_role_changed",
+  "group_member_removed",
+  "group_join_request",
+  "group_join_answered",
+  "session_invite",
+  "session_invite_answered",
+  "session_conflict",
+  "session_cancelled",
+];
+
+/**
+ * Create one notification per recipient. Never throws: a notification that can't
+ * be written is logged, the action that caused it still succeeds. Users aren't
+ * notified about their own actions. `type` must be one of NOTIFICATION_TYPES.
+ */
+export async function notify(userIds, { type, actorId = null, title, body = null, data = {} }) {
+  if (!NOTIFICATION_TYPES.includes(type)) {
+    console.error(`[notifications] unknown notification type ${type}`);
+    return;
+  }
+  const recipients = [...new Set([].concat(userIds))].filter(id => id && id !== actorId);
+  if (!recipients.length) return;
+
+  try {
+    const rows = recipients.map(user_id => ({
+      user_id,
+      type,
+      actor_id: actorId,
+      title,
+      body,
+      data,
+    }));
+    const { error } = await supabase.from("notifications").insert(rows);
+    if (error) throw error;
+
+    const created_at = new Date().toISOString();
+    for (const { user_id, ...notification } of rows) {
+      publish(userChannel(user_id), "notification.created", { ...notification, created_at });
+    }
+  } catch (e) {
+    console.error(`[notifications] could not create ${type}:`, e?.message || e);
+  }
+}
@@ -0,0 +1,193 @@
+// src/utils/outbox.js
+//
+// Outbound email queue. Request handlers enqueue and return straight away; a
+// worker inside the backend sends queued emails every EMAIL_OUTBOX_INTERVAL_SECONDS,
+// retrying failures with exponential backoff (EMAIL_RETRY_BASE_SECONDS, doubling,
+// capped at an hour) until EMAIL_MAX_ATTEMPTS, after which the row is marked failed.
+// Emails the recipient has unsubscribed from are marked skipped.
+//
+// email_outbox:  id, to_email, subject, html, text, email_type, template_data jsonb,
+//                status (pending | sending | sent | skipped | failed), attempts, max_attempts,
+//                next_attempt_at, locked_at, last_error, provider, sent_at,
+//                created_at, updated_at
+import supabase from "./supabaseClient.js";
+import { emailService } from "./email.js";
+
+export const OUTBOX_STATUSES = ["pending", "sending", "sent", "skipped", "failed"];
+
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// A row stuck in "sending" this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+export const outboxSettings = () => ({
+  maxAttempts: Number(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+  retryBaseMs: (Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 30) * 1000,
+  intervalMs: (Number(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || 10) * 1000,
+  batchSize: Number(process.env.EMAIL_OUTBOX_BATCH_SIZE) || 20,
+});
+
+/** Delay before the next try after `attempts` failed ones: base, 2×base, 4×base … */
+export function backoffMs(attempts, baseMs = outboxSettings().retryBaseMs) {
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), MAX_BACKOFF_MS);
+}
+
+const outboxRow = ({ to, subject, html, text, emailType = "invitation", templateData = {} }) => ({
+  to_email: to,
+  subject,
+  html: html || null,
+  text: text || null,
+  email_type: emailType,
+  template_data: templateData,
+  status: "pending",
+  attempts: 0,
+  max_attempts: outboxSettings().maxAttempts,
+  next_attempt_at: new Date().toISOString(),
+});
+
+export const emailOutbox = {
+  /**
+   * Queue an email. Same arguments as emailService.sendEmail. If the outbox
+   * can't be written the email is sent right away rather than dropped.
+   */
+  enqueue: async (to, subject, html, text, emailType = "invitation", templateData = {}) => {
+    const { data, error } = await supabase
+      .from("email_outbox")
+      .insert([outboxRow({ to, subject, html, text, emailType, templateData })])
+      .select("id")
+      .maybeSingle();
+
+    if (error) {
+      console.error("[outbox] could not queue email, sending directly:", error.message);
+      return emailService.sendEmail(to, subject, html, text, emailType, templateData);
+    }
+    return { success: true, queued: true, id: data?.id ?? null, emailType };
+  },
+
+  /**
+   * Queue many emails ({ to, subject, html, text, emailType, templateData }) in
+   * one insert. Falls back to sending each one directly like enqueue does.
+   * Returns how many were queued or sent.
+   */
+  enqueueMany: async (emails) => {
+    if (!emails.length) return 0;
+    const { error } = await supabase.from("email_outbox").insert(emails.map(outboxRow));
+    if (!error) return emails.length;
+
+    console.error("[outbox] could not queue emails, sending directly:", error.message);
+    let sent = 0;
+    for (const e of emails) {
+      const result = await emailService.sendEmail(e.to, e.subject, e.html, e.text, e.emailType, e.templateData);
+      if (result?.success) sent++;
+    }
+    return sent;
+  },
+};
+
+async function releaseStaleLocks(nowMs) {
+  const { error } = await supabase
+    .from("email_outbox")
+    .update({ status: "pending", locked_at: null })
+    .eq("status", "sending")
+    .lt("locked_at", new Date(nowMs - STALE_LOCK_MS).toISOString());
+  if (error) throw error;
+}
+
+/**
+ * One worker pass: send every pending email that is due. `sendEmail` has the
+ * emailService.sendEmail signature. Returns { sent, skipped, retried, failed }.
+ */
+export async function processOutbox({ sendEmail = emailService.sendEmail, now = new Date(), settings = outboxSettings() } = {}) {
+  const nowMs = new Date(now).getTime();
+  const nowIso = new Date(nowMs).toISOString();
+
+  await releaseStaleLocks(nowMs);
+
+  const { data: due, error } = await supabase
+    .from("email_outbox")
+    .select("*")
+    .eq("status", "pending")
+    .lte("next_attempt_at", nowIso)
+    .order("next_attempt_at", { ascending: true })
+    .limit(settings.batchSize);
+  if (error) throw error;
+
+  let sent = 0;
+  let skipped = 0;
+  let retried = 0;
+  let failed = 0;
+
+  for (const row of due || []) {
+    // Claim first so a second worker skips this row
+    const { data: claimed, error: claimErr } = await supabase
+      .from("email_outbox")
+      .update({ status: "sending", locked_at: nowIso })
+      .eq("id", row.id)
+      .eq("status", "pending")
+      .select("id")
+      .maybeSingle();
+    if (claimErr) throw claimErr;
+    if (!claimed) continue;
+
+    let result;
+    try {
+      result = await sendEmail(row.to_email, row.subject, row.html || "", row.text || "", row.email_type, row.template_data || {});
+    } catch (e) {
+      result = { error: e?.message || String(e) };
+    }
+
+    const attempts = (row.attempts || 0) + 1;
+    const update = { attempts, locked_at: null, updated_at: new Date().toISOString() };
+
+    if (result?.success && result.skipped) {
+      Object.assign(update, { status: "skipped", last_error: result.reason || null });
+      skipped++;
+    } else if (result?.success && !result.error) {
+      Object.assign(update, { status: "sent", sent_at: new Date().toISOString(), provider: result.service || null, last_error: null });
+      sent++;
+    } else if (attempts >= (row.max_attempts || settings.maxAttempts)) {
+      Object.assign(update, { status: "failed", last_error: result?.error || "Unknown error" });
+      console.error(`[outbox] giving up on email ${row.id} to ${row.to_email} after ${attempts} attempts: ${update.last_error}`);
+      failed++;
+    } else {
+      Object.assign(update, {
+        status: "pending",
+        last_error: result?.error || "Unknown error",
+        next_attempt_at: new Date(nowMs + backoffMs(attempts, settings.retryBaseMs)).toISOString(),
+      });
+      retried++;
+    }
+
+    const { error: uErr } = await supabase.from("email_outbox").update(update).eq("id", row.id);
+    if (uErr) console.error(`[outbox] could not record result for email ${row.id}:`, uErr.message);
+  }
+
+  return { sent, skipped, retried, failed };
+}
+
+/**
+ * Run `processOutbox` every settings.intervalMs. `now` is a clock function so tests
+ * can drive it with fake timers. Returns { stop, tick }.
+ */
+export function startOutboxWorker({ sendEmail = emailService.sendEmail, now = () => new Date(), settings = outboxSettings() } = {}) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // a slow pass must not overlap the next one
+    running = true;
+    try {
+      const { sent, skipped, retried, failed } = await processOutbox({ sendEmail, now: now(), settings });
+      if (sent || skipped || retried || failed) {
+        console.log(`[outbox] sent ${sent}, skipped ${skipped}, retrying ${retried}, failed ${failed}`);
+      }
+    } catch (e) {
+      console.error("[outbox] pass failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, settings.intervalMs);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer), tick };
+}
@@ -0,0 +1,93 @@
+// src/utils/pagination.js
+//
+// Keyset (cursor) pagination shared by the list routes. A listing is sorted on a
+// column plus id as the tie-breaker (messages and invitations newest first,
+// sessions oldest first). Every such route takes:
+//
+//   ?limit=   page size, capped at MAX_PAGE_SIZE
+//   ?before=  a cursor; rows that sort before it on the column (older / earlier)
+//   ?after=   a cursor; rows that sort after it (newer / later)
+//
+// and answers with the rows, has_more, next_cursor and prev_cursor. Pass next_cursor
+// back with the same parameter to continue (on the first page that is `before` for
+// newest first listings and `after` for oldest first ones); prev_cursor goes the
+// other way, e.g. `after` on the newest messages fetches ones posted since.
+// Cursors are opaque to clients.
+
+export const MAX_PAGE_SIZE = 100;
+
+export class PaginationError extends Error {}
+
+export function encodeCursor(row, column, tiebreaker = "id") {
+  const key = tiebreaker ? [row[column], row[tiebreaker]] : [row[column]];
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Array.isArray(key) && key.length >= 1 && key.length <= 2 && key.every(v => ["string", "number"].includes(typeof v))) {
+      return key;
+    }
+  } catch { /* fall through */ }
+  throw new PaginationError("Invalid cursor");
+}
+
+/** { limit, before, after } from the query string; throws PaginationError on bad cursors */
+export function parsePageParams(query = {}, { defaultLimit = 50, maxLimit = MAX_PAGE_SIZE } = {}) {
+  const limit = Math.min(Math.max(Math.floor(Number(query.limit)) || defaultLimit, 1), maxLimit);
+  if (query.before && query.after) throw new PaginationError("Use either before or after, not both");
+  return {
+    limit,
+    before: query.before ? decodeCursor(query.before) : null,
+    after: query.after ? decodeCursor(query.after) : null,
+  };
+}
+
+/**
+ * Route middleware for listings: sets req.page from the query string, or answers
+ * 400 for a bad cursor. Takes the same options as parsePageParams.
+ */
+export const paginate = (options) => (req, res, next) => {
+  try {
+    req.page = parsePageParams(req.query, options);
+  } catch (err) {
+    if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+    return next(err);
+  }
+  next();
+};
+
+// PostgREST filter values containing , . : ( ) must be double quoted
+const quote = (value) => `"${String(value).replace(/["\\]/g, "\\$&")}"`;
+
+const fetchesAscending = (page, order) => (page.after ? true : page.before ? false : order === "asc");
+
+/**
+ * Apply the cursor, ordering and limit (one extra row to tell whether there is
+ * more) to a Supabase query. `order` is the listing's order without a cursor.
+ */
+export function applyPage(query, page, { column, tiebreaker = "id", order = "desc" }) {
+  const ascending = fetchesAscending(page, order);
+  const cursor = page.after || page.before;
+  if (cursor) {
+    const op = page.after ? "gt" : "lt";
+    const [value, id] = cursor;
+    query = tiebreaker && id !== undefined
+      ? query.or(`${column}.${op}.${quote(value)},and(${column}.eq.${quote(value)},${tiebreaker}.${op}.${quote(id)})`)
+      : query[op](column, value);
+  }
+  query = query.order(column, { ascending });
+  if (tiebreaker) query = query.order(tiebreaker, { ascending });
+  return query.limit(page.limit + 1);
+}
+
+/** { rows, has_more, next_cursor, prev_cursor } for rows fetched with applyPage, back in the listing's order */
+export function pageResult(rows, page, { column, tiebreaker = "id", order = "desc" }) {
+  const list = (rows || []).slice(0, page.limit);
+  const has_more = (rows || []).length > page.limit;
+  const next_cursor = has_more ? encodeCursor(list[list.length - 1], column, tiebreaker) : null;
+  const prev_cursor = list.length ? encodeCursor(list[0], column, tiebreaker) : null;
+  if (fetchesAscending(page, order) !== (order === "asc")) list.reverse();
+  return { rows: list, has_more, next_cursor, prev_cursor };
+}
@@ -0,0 +1,107 @@
+// src/utils/partnerKeys.js
+//
+// Partner API keys. Only a SHA-256 hash of each key is stored.
+//
+// partner_api_keys:   id, name, key_prefix, key_hash, scopes text[], group_ids int[] (null = any group),
+//                     user_id (account the partner acts as), rate_limit_per_minute,
+//                     daily_email_quota (null = EMAIL_DAILY_QUOTA), created_by, created_at,
+//                     last_used_at, expires_at, revoked_at
+// partner_audit_log:  id, key_id, partner_name, action, path, group_id, status_code, created_at
+import crypto from "crypto";
+import supabase from "./supabaseClient.js";
+import { createRateLimiter } from "./rateLimit.js";
+
+export const PARTNER_SCOPES = [
+  "sessions:read",
+  "sessions:write",
+  "messages:read",
+  "messages:write",
+  "email:send",
+  "email:templates",
+];
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+
+const KEY_PREFIX = "lk";
+
+export const partnerRateLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: DEFAULT_RATE_LIMIT_PER_MINUTE,
+});
+
+export function hashKey(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+/** New key in the form lk_<prefix>_<secret>. Returns the plaintext (shown once) and what to store. */
+export function generateKey() {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+  return { key, key_prefix: prefix, key_hash: hashKey(key) };
+}
+
+function parsePrefix(key) {
+  const parts = String(key || "").split("_");
+  if (parts.length < 3 || parts[0] !== KEY_PREFIX) return null;
+  return parts[1];
+}
+
+function sameHash(a, b) {
+  const ba = Buffer.from(a || "", "hex");
+  const bb = Buffer.from(b || "", "hex");
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+/** Look up a presented key. Returns the key row, or null if unknown/revoked/expired. */
+export async function verifyKey(key) {
+  const prefix = parsePrefix(key);
+  if (!prefix) return null;
+
+  const { data: row, error } = await supabase
+    .from("partner_api_keys")
+    .select("id, name, key_hash, scopes, group_ids, user_id, rate_limit_per_minute, daily_email_quota, expires_at, revoked_at")
+    .eq("key_prefix", prefix)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row || !sameHash(row.key_hash, hashKey(key))) return null;
+  if (row.revoked_at) return null;
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return null;
+
+  const { key_hash, ...partner } = row;
+  return partner;
+}
+
+export function hasScope(partner, scope) {
+  return Array.isArray(partner?.scopes) && partner.scopes.includes(scope);
+}
+
+/** A key with no group_ids may act on any group. */
+export function allowsGroup(partner, groupId) {
+  if (!Array.isArray(partner?.group_ids) || partner.group_ids.length === 0) return true;
+  return partner.group_ids.map(String).includes(String(groupId));
+}
+
+/** Append to the audit trail once the response is out; failures are logged, never surfaced. */
+export function auditOnFinish(req, res) {
+  const partner = req.partner;
+  res.on("finish", async () => {
+    try {
+      const { error } = await supabase.from("partner_audit_log").insert([{
+        key_id: partner.id,
+        partner_name: partner.name,
+        action: `${req.method} ${req.baseUrl}${req.route?.path || ""}`,
+        path: req.originalUrl,
+        group_id: req.params?.groupId || null,
+        status_code: res.statusCode,
+      }]);
+      if (error) throw error;
+      await supabase
+        .from("partner_api_keys")
+        .update({ last_used_at: new Date().toISOString() })
+        .eq("id", partner.id);
+    } catch (e) {
+      console.error("[partner audit] failed to record:", e?.message || e);
+    }
+  });
+}
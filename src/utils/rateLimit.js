@@ -0,0 +1,59 @@
+// src/utils/rateLimit.js
+
+/**
+ * Fixed-window in-memory rate limiter. One instance per concern
+ * (partner keys, recipients, ...); counters live for the process.
+ *
+ *   const limiter = createRateLimiter({ windowMs: 60_000, max: 60 });
+ *   const { allowed, remaining, resetAt } = limiter.hit("key-id");
+ *
+ * check() answers the same without counting, for callers that only charge
+ * once every other check has passed.
+ */
+export function createRateLimiter({ windowMs, max, now = () => Date.now() }) {
+  const windows = new Map();
+
+  function current(key) {
+    const t = now();
+    let w = windows.get(key);
+    if (!w || t >= w.resetAt) {
+      w = { count: 0, resetAt: t + windowMs };
+      windows.set(key, w);
+    }
+    return w;
+  }
+
+  const result = (w, count, limit) => ({
+    allowed: count <= limit,
+    limit,
+    remaining: Math.max(0, limit - count),
+    resetAt: w.resetAt,
+  });
+
+  function hit(key, limit = max) {
+    const w = current(key);
+    w.count += 1;
+    return result(w, w.count, limit);
+  }
+
+  /** What hit() would answer, without counting the hit */
+  function check(key, limit = max) {
+    const w = current(key);
+    return result(w, w.count + 1, limit);
+  }
+
+  function reset() {
+    windows.clear();
+  }
+
+  return { hit, check, reset };
+}
+
+/** Set the usual X-RateLimit-* headers (and Retry-After once exhausted). */
+export function setRateLimitHeaders(res, result, now = Date.now()) {
+  res.set("X-RateLimit-Limit", String(result.limit));
+  res.set("X-RateLimit-Remaining", String(result.remaining));
+  if (!result.allowed) {
+    res.set("Retry-After", String(Math.max(1, Math.ceil((result.resetAt - now) / 1000))));
+  }
+}
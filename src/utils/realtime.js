@@ -0,0 +1,148 @@
+// src/utils/realtime.js
+//
+// In-process event hub behind GET /api/realtime/stream (Server-Sent Events).
+// Routes publish to channels, "group:<id>" for group chat, session and RSVP events
+// and "user:<id>" for a user's notifications; open streams receive what their
+// channels publish.
+//
+// Every event gets an increasing id. The last REALTIME_REPLAY_SIZE events per
+// channel are kept so a client that reconnects with Last-Event-ID gets what it
+// missed. Ids start at the boot time in milliseconds, so ids from before a
+// restart are older than anything buffered and the client is told to resync.
+// Buffers of channels nobody listens on are dropped once the channel has been
+// quiet for REALTIME_REPLAY_MINUTES (default 60); replays that would have
+// needed them also end in a resync.
+//
+// Events only reach clients connected to this process; run one instance or put
+// a shared broker in front before scaling out.
+
+export const REALTIME_EVENTS = [
+  "message.created",
+  "message.updated",
+  "message.deleted",
+  "reaction.added",
+  "reaction.removed",
+  "session.created",
+  "session.updated",
+  "session.cancelled",
+  "session.restored",
+  "rsvp.updated",
+  "member.joined",
+  "member.role_updated",
+  "member.removed",
+  "group.updated",
+  "group.archived",
+  "group.restored",
+  "group.deleted",
+  "notification.created",
+];
+
+const replaySize = () => Number(process.env.REALTIME_REPLAY_SIZE) || 200;
+const replayMinutes = () => Number(process.env.REALTIME_REPLAY_MINUTES) || 60;
+
+const SWEEP_MS = 60 * 1000;
+
+let lastId = Date.now();
+const bootId = lastId;
+const buffers = new Map();      // channel -> [event]
+const trimmed = new Map();      // channel -> id of the newest event dropped from its buffer
+const lastActive = new Map();   // channel -> when it last published (ms)
+const subscribers = new Map();  // channel -> Set<listener>
+let evictedThrough = 0;         // newest event id of any dropped buffer
+let lastSweep = Date.now();
+
+export const groupChannel = (groupId) => `group:${groupId}`;
+export const userChannel = (userId) => `user:${userId}`;
+
+/** Send `data` as `type` to everyone on `channel`. Returns the event. */
+export function publish(channel, type, data) {
+  const event = { id: ++lastId, channel, type, data };
+  const now = Date.now();
+  if (now - lastSweep >= SWEEP_MS) evictIdleChannels(now);
+
+  // A buffer started after an eviction can't vouch for anything older
+  if (!buffers.has(channel) && evictedThrough) trimmed.set(channel, evictedThrough);
+  const buffer = buffers.get(channel) || [];
+  buffer.push(event);
+  if (buffer.length > replaySize()) {
+    const dropped = buffer.splice(0, buffer.length - replaySize());
+    trimmed.set(channel, dropped[dropped.length - 1].id);
+  }
+  buffers.set(channel, buffer);
+  lastActive.set(channel, now);
+
+  for (const listener of subscribers.get(channel) || []) {
+    try {
+      listener(event);
+    } catch (e) {
+      console.error(`[realtime] listener on ${channel} failed:`, e?.message || e);
+    }
+  }
+  return event;
+}
+
+/** Drop the buffers of channels without listeners that haven't published for REALTIME_REPLAY_MINUTES */
+export function evictIdleChannels(now = Date.now()) {
+  const cutoff = now - replayMinutes() * 60 * 1000;
+  for (const [channel, at] of lastActive) {
+    if (at > cutoff || subscribers.has(channel)) continue;
+    const newest = buffers.get(channel)?.at(-1)?.id || 0;
+    evictedThrough = Math.max(evictedThrough, newest);
+    buffers.delete(channel);
+    trimmed.delete(channel);
+    lastActive.delete(channel);
+  }
+  lastSweep = now;
+}
+
+export const publishToGroup = (groupId, type, data) => publish(groupChannel(groupId), type, data);
+
+/** Listen on several channels; returns the unsubscribe function. */
+export function subscribe(channels, listener) {
+  for (const channel of channels) {
+    if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+    subscribers.get(channel).add(listener);
+  }
+  return () => {
+    for (const channel of channels) {
+      const set = subscribers.get(channel);
+      set?.delete(listener);
+      if (set && !set.size) subscribers.delete(channel);
+    }
+  };
+}
+
+/**
+ * Buffered events on `channels` after `lastEventId`, oldest first.
+ * `complete` is false when some of the missed events are no longer buffered.
+ */
+export function eventsSince(channels, lastEventId) {
+  const after = Number(lastEventId);
+  if (!Number.isFinite(after)) return { events: [], complete: false };
+
+  // Ids from before this process started, or events already dropped from a buffer, can't be replayed
+  let complete = after >= bootId;
+  const events = [];
+  for (const channel of channels) {
+    if ((trimmed.get(channel) || 0) > after) complete = false;
+    if (!buffers.has(channel) && evictedThrough > after) complete = false;
+    events.push(...(buffers.get(channel) || []).filter(e => e.id > after));
+  }
+  return { events: events.sort((a, b) => a.id - b.id), complete };
+}
+
+/** Number of open listeners on a channel (for tests and diagnostics) */
+export const subscriberCount = (channel) => subscribers.get(channel)?.size || 0;
+
+/** Number of channels with buffered events (for tests and diagnostics) */
+export const bufferedChannelCount = () => buffers.size;
+
+/** Forget buffers and listeners (tests) */
+export function resetRealtime() {
+  buffers.clear();
+  trimmed.clear();
+  lastActive.clear();
+  subscribers.clear();
+  evictedThrough = 0;
+  lastSweep = Date.now();
+}
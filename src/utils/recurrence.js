@@ -0,0 +1,160 @@
+// src/utils/recurrence.js
+//
+// The iCalendar RRULE subset used for recurring study sessions:
+//   FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL=n, BYDAY=MO,WE (weekly only), COUNT=n, UNTIL=<date>
+// One of COUNT or UNTIL is required so a series always ends. Days and times are
+// evaluated in UTC, like start_at itself.
+//
+// session_series:  id, group_id, creator_id, rrule, dtstart, venue, topic, time_goal_minutes,
+//                  content_goal, cancelled_at, created_at
+// sessions gains:  series_id (null for one-off sessions), is_exception (occurrence edited on its own)
+
+export const MAX_OCCURRENCES = 52;
+
+const FREQS = ["DAILY", "WEEKLY", "MONTHLY"];
+const DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class RecurrenceError extends Error {}
+
+function parseUntil(value) {
+  // RRULE form 20991231T235959Z / 20991231, or anything Date understands
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(String(value));
+  const d = m
+    ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] ?? 23), +(m[5] ?? 59), +(m[6] ?? 59)))
+    : new Date(value);
+  if (Number.isNaN(d.getTime())) throw new RecurrenceError("Invalid UNTIL date");
+  return d;
+}
+
+/**
+ * Accepts an RRULE string ("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10", optional "RRULE:" prefix)
+ * or an object { freq, interval, by_day, count, until }. Returns a normalised rule.
+ */
+export function parseRecurrence(input) {
+  let raw;
+  if (typeof input === "string") {
+    raw = {};
+    for (const part of input.replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+      const [k, v] = part.split("=");
+      if (!k || v === undefined) throw new RecurrenceError(`Invalid RRULE part "${part}"`);
+      raw[k.trim().toUpperCase()] = v.trim();
+    }
+  } else if (input && typeof input === "object") {
+    raw = {
+      FREQ: input.freq,
+      INTERVAL: input.interval,
+      BYDAY: Array.isArray(input.by_day) ? input.by_day.join(",") : input.by_day,
+      COUNT: input.count,
+      UNTIL: input.until,
+    };
+  } else {
+    throw new RecurrenceError("recurrence must be an RRULE string or object");
+  }
+
+  const supported = ["FREQ", "INTERVAL", "BYDAY", "COUNT", "UNTIL"];
+  const unsupported = Object.keys(raw).filter(k => raw[k] !== undefined && !supported.includes(k));
+  if (unsupported.length) throw new RecurrenceError(`Unsupported RRULE parts: ${unsupported.join(", ")}`);
+
+  const freq = String(raw.FREQ || "").toUpperCase();
+  if (!FREQS.includes(freq)) throw new RecurrenceError("FREQ must be DAILY, WEEKLY or MONTHLY");
+
+  const interval = raw.INTERVAL === undefined || raw.INTERVAL === "" ? 1 : Number(raw.INTERVAL);
+  if (!Number.isInteger(interval) || interval < 1) throw new RecurrenceError("INTERVAL must be a positive integer");
+
+  let byDay = [];
+  if (raw.BYDAY) {
+    if (freq !== "WEEKLY") throw new RecurrenceError("BYDAY is only supported with FREQ=WEEKLY");
+    byDay = String(raw.BYDAY).split(",").map(d => d.trim().toUpperCase());
+    const bad = byDay.filter(d => !DAYS.includes(d));
+    if (bad.length) throw new RecurrenceError(`Invalid BYDAY values: ${bad.join(", ")}`);
+  }
+
+  const count = raw.COUNT === undefined || raw.COUNT === "" ? null : Number(raw.COUNT);
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new RecurrenceError("COUNT must be a positive integer");
+  }
+  const until = raw.UNTIL ? parseUntil(raw.UNTIL) : null;
+  if (count === null && !until) throw new RecurrenceError("Recurrence needs COUNT or UNTIL");
+  if (count !== null && until) throw new RecurrenceError("Use either COUNT or UNTIL, not both");
+  if (count !== null && count > MAX_OCCURRENCES) {
+    throw new RecurrenceError(`COUNT cannot exceed ${MAX_OCCURRENCES}`);
+  }
+
+  return { freq, interval, byDay, count, until };
+}
+
+/** Canonical RRULE string for storage. */
+export function formatRecurrence(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay.length) parts.push(`BYDAY=${rule.byDay.join(",")}`);
+  if (rule.count !== null) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`);
+  return parts.join(";");
+}
+
+function addMonths(date, n) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  if (day > lastDay) return null; // e.g. the 31st in a 30-day month is skipped, as in RFC 5545
+  d.setUTCDate(day);
+  return d;
+}
+
+function nonEmpty(occurrences) {
+  if (!occurrences.length) throw new RecurrenceError("Recurrence produces no occurrences on or after start_at");
+  return occurrences;
+}
+
+/**
+ * Occurrence start times (Date[]) for `rule`, none before `start`. With BYDAY the first one is
+ * the first listed weekday on or after `start`, so it is not `start` itself unless that day is listed.
+ * Throws RecurrenceError when the rule produces no occurrences (e.g. UNTIL before `start`).
+ */
+export function expandRecurrence(rule, start) {
+  const dtstart = new Date(start);
+  if (Number.isNaN(dtstart.getTime())) throw new RecurrenceError("Invalid start_at");
+
+  const out = [];
+  const done = () => (rule.count !== null && out.length >= rule.count);
+  const push = (d) => {
+    if (rule.until && d > rule.until) return false;
+    if (out.length >= MAX_OCCURRENCES) {
+      throw new RecurrenceError(`Recurrence produces more than ${MAX_OCCURRENCES} occurrences`);
+    }
+    out.push(d);
+    return true;
+  };
+
+  if (rule.freq === "WEEKLY" && rule.byDay.length) {
+    const days = rule.byDay.map(d => DAYS.indexOf(d));
+    // Weeks start on Monday (RFC 5545 default WKST=MO)
+    const weekStart = new Date(dtstart.getTime() - ((dtstart.getUTCDay() + 6) % 7) * DAY_MS);
+    const order = [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    for (let week = 0; !done(); week += rule.interval) {
+      for (const day of order) {
+        if (done()) break;
+        const d = new Date(weekStart.getTime() + (week * 7 + (day + 6) % 7) * DAY_MS);
+        if (d < dtstart) continue;
+        if (!push(d)) return nonEmpty(out);
+      }
+    }
+    return nonEmpty(out);
+  }
+
+  for (let i = 0; !done(); i += rule.interval) {
+    let d;
+    if (rule.freq === "DAILY") d = new Date(dtstart.getTime() + i * DAY_MS);
+    else if (rule.freq === "WEEKLY") d = new Date(dtstart.getTime() + i * 7 * DAY_MS);
+    else {
+      d = addMonths(dtstart, i);
+      if (!d) continue;
+    }
+    if (!push(d)) return nonEmpty(out);
+  }
+  return nonEmpty(out);
+}
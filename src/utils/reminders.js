@@ -0,0 +1,204 @@
+// src/utils/reminders.js
+//
+// Session reminders. A scheduler inside the backend wakes up every
+// REMINDER_INTERVAL_SECONDS and emails members who accepted a session once it is
+// within one of their reminder offsets (SESSION_REMINDER_OFFSETS, default "24h,1h").
+// Sessions of archived groups get no reminders.
+//
+// session_reminders:     session_id, user_id, offset_minutes, sent_at
+//                        (unique session_id + user_id + offset_minutes, so a restart
+//                        or a second instance never sends the same reminder twice)
+// reminder_preferences:  user_id (unique), enabled, offsets int[] (minutes; null = defaults), updated_at
+import supabase from "./supabaseClient.js";
+
+const MINUTE = 60 * 1000;
+
+// Custom offsets are capped so the scheduler only ever looks a week ahead
+export const MAX_OFFSET_MINUTES = 7 * 24 * 60;
+
+export class ReminderOffsetError extends Error {}
+
+/** "24h" → 1440, "30m" → 30, "90" → 90 */
+export function parseOffset(value) {
+  const m = /^\s*(\d+)\s*([mhd]?)\s*$/i.exec(String(value));
+  if (!m) throw new ReminderOffsetError(`Invalid reminder offset "${value}"`);
+  const unit = { "": 1, m: 1, h: 60, d: 24 * 60 }[m[2].toLowerCase()];
+  const minutes = Number(m[1]) * unit;
+  if (minutes < 1 || minutes > MAX_OFFSET_MINUTES) {
+    throw new ReminderOffsetError(`Reminder offsets must be between 1 minute and ${MAX_OFFSET_MINUTES / 60 / 24} days`);
+  }
+  return minutes;
+}
+
+/** Unique offsets in minutes, largest first. Accepts "24h,1h" or an array. */
+export function parseOffsets(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(",").filter(s => s.trim());
+  return [...new Set(list.map(parseOffset))].sort((a, b) => b - a);
+}
+
+export const reminderSettings = () => ({
+  offsets: parseOffsets(process.env.SESSION_REMINDER_OFFSETS || "24h,1h"),
+  intervalMs: (Number(process.env.REMINDER_INTERVAL_SECONDS) || 60) * 1000,
+});
+
+/**
+ * The reminder that applies right now: the smallest offset the session is already
+ * inside of. A scheduler that was down for a day sends the 1h reminder, not a stale 24h one.
+ */
+export function dueOffset(offsets, startAt, now) {
+  const left = new Date(startAt).getTime() - new Date(now).getTime();
+  if (left <= 0) return null;
+  const due = offsets.filter(o => left <= o * MINUTE);
+  return due.length ? Math.min(...due) : null;
+}
+
+/** "1 hour", "24 hours", "30 minutes" */
+export function describeOffset(minutes) {
+  if (minutes % 60 === 0) {
+    const h = minutes / 60;
+    return `${h} hour${h === 1 ? "" : "s"}`;
+  }
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+/**
+ * One scheduler pass. `sendEmail` has the emailService.sendEmail signature.
+ * Returns { sent, failed }.
+ */
+export async function runReminders({ sendEmail, now = new Date(), settings = reminderSettings() }) {
+  const nowMs = new Date(now).getTime();
+  const windowEnd = new Date(nowMs + MAX_OFFSET_MINUTES * MINUTE);
+
+  const { data: sessions, error: sErr } = await supabase
+    .from("sessions")
+    .select("id, group_id, start_at, topic, venue, cancelled_at, groups!inner(archived_at)")
+    .is("groups.archived_at", null)
+    .gt("start_at", new Date(nowMs).toISOString())
+    .lte("start_at", windowEnd.toISOString());
+  if (sErr) throw sErr;
+
+  const upcoming = (sessions || []).filter(s => !s.cancelled_at && !s.groups?.archived_at);
+  if (!upcoming.length) return { sent: 0, failed: 0 };
+  const sessionIds = upcoming.map(s => s.id);
+
+  const { data: invites, error: iErr } = await supabase
+    .from("session_invites")
+    .select("session_id, user_id")
+    .in("session_id", sessionIds)
+    .eq("status", "accepted");
+  if (iErr) throw iErr;
+  if (!invites?.length) return { sent: 0, failed: 0 };
+
+  const userIds = [...new Set(invites.map(i => i.user_id))];
+
+  const { data: prefs, error: pErr } = await supabase
+    .from("reminder_preferences")
+    .select("user_id, enabled, offsets")
+    .in("user_id", userIds);
+  if (pErr) throw pErr;
+  const prefsByUser = Object.fromEntries((prefs || []).map(p => [p.user_id, p]));
+
+  const { data: already, error: rErr } = await supabase
+    .from("session_reminders")
+    .select("session_id, user_id, offset_minutes")
+    .in("session_id", sessionIds);
+  if (rErr) throw rErr;
+  const sentKeys = new Set((already || []).map(r => `${r.session_id}:${r.user_id}:${r.offset_minutes}`));
+
+  const byId = Object.fromEntries(upcoming.map(s => [s.id, s]));
+  const due = [];
+  for (const invite of invites) {
+    const pref = prefsByUser[invite.user_id];
+    if (pref?.enabled === false) continue;
+    const offsets = pref?.offsets?.length ? pref.offsets : settings.offsets;
+    const session = byId[invite.session_id];
+    const offset = dueOffset(offsets, session.start_at, nowMs);
+    if (offset === null || sentKeys.has(`${session.id}:${invite.user_id}:${offset}`)) continue;
+    due.push({ session, userId: invite.user_id, offset });
+  }
+  if (!due.length) return { sent: 0, failed: 0 };
+
+  const { data: profiles, error: prErr } = await supabase
+    .from("profiles")
+    .select("id, email, full_name")
+    .in("id", [...new Set(due.map(d => d.userId))]);
+  if (prErr) throw prErr;
+  const profileById = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+
+  let sent = 0;
+  let failed = 0;
+  for (const { session, userId, offset } of due) {
+    const profile = profileById[userId];
+    if (!profile?.email) continue;
+
+    // Claim first: the unique key makes a concurrent or repeated run skip this one
+    const { error: claimErr } = await supabase
+      .from("session_reminders")
+      .insert([{ session_id: session.id, user_id: userId, offset_minutes: offset, sent_at: new Date(nowMs).toISOString() }]);
+    if (claimErr) {
+      if (claimErr.code !== "23505") console.error("[reminders] could not record reminder:", claimErr.message);
+      continue;
+    }
+
+    const when = describeOffset(offset);
+    let result;
+    try {
+      result = await sendEmail(
+        profile.email,
+        `⏰ Reminder: ${session.topic || "Study session"} starts in ${when}`,
+        "",
+        `Your study session${session.topic ? ` "${session.topic}"` : ""} starts at ${session.start_at}${session.venue ? ` (${session.venue})` : ""}.`,
+        "reminder",
+        {
+          recipient_name: profile.full_name,
+          topic: session.topic || "Group Study Session",
+          session_time: session.start_at,
+          venue: session.venue || "",
+          reminder: `Starts in ${when}`,
+        }
+      );
+    } catch (e) {
+      result = { error: e?.message || String(e) };
+    }
+
+    if (result?.error) {
+      failed++;
+      // Release the claim so the next pass retries
+      await supabase
+        .from("session_reminders")
+        .delete()
+        .eq("session_id", session.id)
+        .eq("user_id", userId)
+        .eq("offset_minutes", offset);
+    } else {
+      sent++;
+    }
+  }
+
+  return { sent, failed };
+}
+
+/**
+ * Run `runReminders` every settings.intervalMs. `now` is a clock function so tests
+ * can drive it with fake timers. Returns { stop }.
+ */
+export function startReminderScheduler({ sendEmail, now = () => new Date(), settings = reminderSettings() }) {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return; // a slow pass must not overlap the next one
+    running = true;
+    try {
+      const { sent, failed } = await runReminders({ sendEmail, now: now(), settings });
+      if (sent || failed) console.log(`[reminders] sent ${sent}, failed ${failed}`);
+    } catch (e) {
+      console.error("[reminders] pass failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, settings.intervalMs);
+  timer.unref?.();
+  return { stop: () => clearInterval(timer), tick };
+}
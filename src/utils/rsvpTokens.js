@@ -0,0 +1,71 @@
+// src/utils/rsvpTokens.js
+//
+// HMAC-signed RSVP tokens for the accept/decline links in session invite emails.
+// A token is base64url(payload).base64url(hmac) where payload is
+// { sid: sessionId, uid: inviteeId, act: "accept" | "decline", jti, exp }.
+// The accept and decline link of one invite share a jti, so using either one
+// consumes the invite (see rsvp_token_uses: jti, session_id, user_id, used_at).
+import crypto from "crypto";
+
+export const RSVP_ACTIONS = ["accept", "decline"];
+
+// Used when the session has no usable start time
+const DEFAULT_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+export class RsvpTokenError extends Error {
+  constructor(reason) {
+    super(`Invalid RSVP token: ${reason}`);
+    this.reason = reason; // malformed | bad_signature | expired
+  }
+}
+
+function secret() {
+  const s = process.env.RSVP_LINK_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!s) throw new Error("RSVP_LINK_SECRET is not configured");
+  return s;
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", secret()).update(data).digest("base64url");
+}
+
+/** Expires when the session starts; links for past sessions are useless. */
+export function rsvpExpiry(start_at, now = Date.now()) {
+  const starts = new Date(start_at).getTime();
+  return Number.isNaN(starts) || starts <= now ? now + DEFAULT_TTL_MS : starts;
+}
+
+/** Accept + decline tokens for one invitee. */
+export function createRsvpTokens({ sessionId, userId, expiresAt }) {
+  const jti = crypto.randomUUID();
+  const exp = Math.floor(expiresAt / 1000);
+  return Object.fromEntries(RSVP_ACTIONS.map(act => {
+    const payload = Buffer.from(JSON.stringify({ sid: String(sessionId), uid: userId, act, jti, exp })).toString("base64url");
+    return [act, `${payload}.${sign(payload)}`];
+  }));
+}
+
+/** Returns the payload, or throws RsvpTokenError. */
+export function verifyRsvpToken(token, now = Date.now()) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) throw new RsvpTokenError("malformed");
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new RsvpTokenError("bad_signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new RsvpTokenError("malformed");
+  }
+  if (!claims?.sid || !claims?.uid || !claims?.jti || !RSVP_ACTIONS.includes(claims.act)) {
+    throw new RsvpTokenError("malformed");
+  }
+  if (!claims.exp || claims.exp * 1000 <= now) throw new RsvpTokenError("expired");
+
+  return claims;
+}
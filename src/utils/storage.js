@@ -0,0 +1,124 @@
+// src/utils/storage.js
+//
+// Where uploaded group files live. Routes call storage().put / signedUrl / remove;
+// which backend holds the bytes is configuration:
+//
+//   STORAGE_DRIVER              supabase | local
+//                               (default: local under NODE_ENV=test, supabase otherwise)
+//   ATTACHMENTS_BUCKET          Supabase Storage bucket, default "attachments" (keep it private)
+//   STORAGE_LOCAL_DIR           where the local driver writes, default tmp/uploads
+//   ATTACHMENT_URL_TTL_SECONDS  lifetime of download links, default 300
+//
+// Objects are stored under groups/<groupId>/ so a group's files share a prefix.
+// Supabase hands out its own signed URLs. The local driver signs
+// /api/files/local/<token> links itself (base64url(payload).base64url(hmac),
+// payload { p: path, n: filename, exp }) and serves them from routes/files.js.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import supabase from "./supabaseClient.js";
+
+export class StorageError extends Error {}
+
+export const urlTtlSeconds = () => Number(process.env.ATTACHMENT_URL_TTL_SECONDS) || 300;
+
+const bucket = () => process.env.ATTACHMENTS_BUCKET || "attachments";
+const localDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || "tmp/uploads");
+
+/** groups/<groupId>/<uuid>-<safe name>; only the uuid has to be unique */
+export function objectPath(groupId, filename) {
+  const safe = String(filename || "file")
+    .normalize("NFKD")
+    .replace(/[^\w.-]+/g, "_")
+    .replace(/^[._]+/, "")
+    .slice(-100) || "file";
+  return `groups/${groupId}/${crypto.randomUUID()}-${safe}`;
+}
+
+/* ---------- Supabase Storage ---------- */
+
+const supabaseDriver = {
+  name: "supabase",
+  async put(objectPath, buffer, contentType) {
+    const { error } = await supabase.storage.from(bucket()).upload(objectPath, buffer, { contentType, upsert: false });
+    if (error) throw new StorageError(`Upload failed: ${error.message}`);
+  },
+  async signedUrl(objectPath, filename) {
+    const { data, error } = await supabase.storage
+      .from(bucket())
+      .createSignedUrl(objectPath, urlTtlSeconds(), { download: filename || true });
+    if (error) throw new StorageError(`Could not sign URL: ${error.message}`);
+    return data.signedUrl;
+  },
+  async remove(objectPath) {
+    const { error } = await supabase.storage.from(bucket()).remove([objectPath]);
+    if (error) throw new StorageError(`Delete failed: ${error.message}`);
+  },
+};
+
+/* ---------- local disk (tests and local development) ---------- */
+
+function secret() {
+  const s = process.env.ATTACHMENT_URL_SECRET || process.env.RSVP_LINK_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!s) throw new StorageError("ATTACHMENT_URL_SECRET is not configured");
+  return s;
+}
+
+function sign(data) {
+  return crypto.createHmac("sha256", secret()).update(`file:${data}`).digest("base64url");
+}
+
+/** Absolute path on disk, refusing anything that escapes the storage directory */
+function localFile(objectPath) {
+  const file = path.resolve(localDir(), objectPath);
+  if (!file.startsWith(localDir() + path.sep)) throw new StorageError("Invalid object path");
+  return file;
+}
+
+export function createLocalFileToken(objectPath, filename, now = Date.now()) {
+  const exp = Math.floor(now / 1000) + urlTtlSeconds();
+  const payload = Buffer.from(JSON.stringify({ p: objectPath, n: filename, exp })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/** { file, filename } for a valid, unexpired token; null otherwise */
+export function verifyLocalFileToken(token, now = Date.now()) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    if (!claims?.p || !claims.exp || claims.exp * 1000 <= now) return null;
+    return { file: localFile(claims.p), filename: claims.n || path.basename(claims.p) };
+  } catch {
+    return null;
+  }
+}
+
+const localDriver = {
+  name: "local",
+  async put(objectPath, buffer) {
+    const file = localFile(objectPath);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer, { flag: "wx" });
+  },
+  async signedUrl(objectPath, filename) {
+    localFile(objectPath);
+    return `https://${process.env.BACKEND_URL}/api/files/local/${createLocalFileToken(objectPath, filename)}`;
+  },
+  async remove(objectPath) {
+    await fs.rm(localFile(objectPath), { force: true });
+  },
+};
+
+export const drivers = { supabase: supabaseDriver, local: localDriver };
+
+export function storage() {
+  const name = (process.env.STORAGE_DRIVER || (process.env.NODE_ENV === "test" ? "local" : "supabase")).toLowerCase();
+  if (!drivers[name]) throw new StorageError(`Unknown storage driver "${name}"`);
+  return drivers[name];
+}
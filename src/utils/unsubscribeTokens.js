@@ -0,0 +1,54 @@
+// src/utils/unsubscribeTokens.js
+//
+// HMAC-signed one-click unsubscribe tokens for the links in every outgoing email.
+// A token is base64url(payload).base64url(hmac) where payload is
+// { uid: userId, cat: category | "all" }. They don't expire: an unsubscribe link
+// has to keep working for as long as the email sits in someone's inbox.
+import crypto from "crypto";
+
+export class UnsubscribeTokenError extends Error {
+  constructor(reason) {
+    super(`Invalid unsubscribe token: ${reason}`);
+    this.reason = reason; // malformed | bad_signature
+  }
+}
+
+function secret() {
+  const s = process.env.UNSUBSCRIBE_SECRET || process.env.RSVP_LINK_SECRET || process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!s) throw new Error("UNSUBSCRIBE_SECRET is not configured");
+  return s;
+}
+
+function sign(data) {
+  // Separate key space from RSVP tokens even when the secrets are shared
+  return crypto.createHmac("sha256", secret()).update(`unsubscribe:${data}`).digest("base64url");
+}
+
+export function createUnsubscribeToken({ userId, category }) {
+  const payload = Buffer.from(JSON.stringify({ uid: userId, cat: category || "all" })).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+}
+
+/** Returns { uid, cat }, or throws UnsubscribeTokenError. */
+export function verifyUnsubscribeToken(token) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) throw new UnsubscribeTokenError("malformed");
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new UnsubscribeTokenError("bad_signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new UnsubscribeTokenError("malformed");
+  }
+  if (!claims?.uid || !claims?.cat) throw new UnsubscribeTokenError("malformed");
+  return claims;
+}
+
+export const unsubscribeUrl = (userId, category) =>
+  `https://${process.env.BACKEND_URL}/api/notifications/unsubscribe/${createUnsubscribeToken({ userId, category })}`;
@@ -0,0 +1,271 @@
+// tests/unit/attendance.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+
+// Resolves to `result` when awaited at any point of the chain; single/maybeSingle return `single`
+const resultQB = (result = { data: [], error: null }, single = { data: null, error: null }) => {
+  const qb = {
+    then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected),
+    single: jest.fn(async () => single),
+    maybeSingle: jest.fn(async () => single),
+  };
+  for (const m of ["select", "insert", "update", "eq", "is", "order"]) qb[m] = jest.fn(() => qb);
+  return qb;
+};
+
+const member = () => resultQB(undefined, { data: { user_id: "user-123" }, error: null });
+const inPast = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+const inFuture = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+// Each table maps to one builder, or a list used one call at a time
+const setFrom = (mapping) => {
+  const calls = {};
+  supabaseMock.from = jest.fn((table) => {
+    const entry = mapping[table];
+    if (!Array.isArray(entry)) return entry || resultQB();
+    const i = calls[table] = (calls[table] ?? -1) + 1;
+    return entry[Math.min(i, entry.length - 1)];
+  });
+};
+
+beforeAll(async () => {
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => (token === "student.token"
+        ? { data: { user: { id: "user-123" } }, error: null }
+        : { data: { user: null }, error: null })),
+    },
+    from: jest.fn(() => resultQB()),
+    rpc: jest.fn(async () => ({ data: 0, error: null })),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+});
+
+describe("Session attendance", () => {
+  const session = (overrides = {}) => resultQB(undefined, {
+    data: { id: 10, group_id: 1, creator_id: "user-456", start_at: inPast, ...overrides },
+    error: null,
+  });
+
+  test("check-in 403 when the member never accepted", async () => {
+    setFrom({
+      group_members: member(),
+      sessions: session(),
+      session_invites: resultQB(undefined, { data: { status: "declined" }, error: null }),
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-in")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(403);
+  });
+
+  test("check-in 400 before the check-in window opens", async () => {
+    setFrom({ group_members: member(), sessions: session({ creator_id: "user-123", start_at: inFuture }) });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-in")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(400);
+  });
+
+  test("check-in 400 once the session and its grace period are over", async () => {
+    const longAgo = new Date(Date.now() - 3 * 60 * 60 * 1000).toISOString();
+    const attendanceQB = resultQB();
+    setFrom({
+      group_members: member(),
+      sessions: session({ creator_id: "user-123", start_at: longAgo, time_goal_minutes: 60 }),
+      session_attendance: attendanceQB,
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-in")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("Check-in has closed");
+    expect(attendanceQB.insert).not.toHaveBeenCalled();
+  });
+
+  test("accepted attendees can check in once", async () => {
+    const attendanceQB = resultQB(undefined, { data: null, error: null });
+    attendanceQB.single.mockResolvedValue({ data: { session_id: 10, user_id: "user-123" }, error: null });
+    setFrom({
+      group_members: member(),
+      sessions: session(),
+      session_invites: resultQB(undefined, { data: { status: "accepted" }, error: null }),
+      session_attendance: attendanceQB,
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-in")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(attendanceQB.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ session_id: 10, user_id: "user-123", checked_in_at: expect.any(String) }),
+    ]);
+
+    setFrom({
+      group_members: member(),
+      sessions: session(),
+      session_invites: resultQB(undefined, { data: { status: "accepted" }, error: null }),
+      session_attendance: resultQB(undefined, { data: { session_id: 10, user_id: "user-123" }, error: null }),
+    });
+    const again = await request(app)
+      .post("/api/groups/1/sessions/10/check-in")
+      .set("Authorization", "Bearer student.token");
+    expect(again.status).toBe(409);
+  });
+
+  test("check-out records minutes and adds them to today's progress", async () => {
+    const checkedInAt = new Date(Date.now() - 90 * 60 * 1000).toISOString();
+    const openRow = { session_id: 10, user_id: "user-123", checked_in_at: checkedInAt, checked_out_at: null };
+    const lookupQB = resultQB(undefined, { data: openRow, error: null });
+    const updateQB = resultQB(undefined, { data: { ...openRow, checked_out_at: "now", minutes: 90 }, error: null });
+    supabaseMock.rpc = jest.fn(async () => ({ data: 2.5, error: null }));
+    setFrom({
+      group_members: member(),
+      sessions: session(),
+      session_attendance: [lookupQB, updateQB],
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(updateQB.update).toHaveBeenCalledWith({ checked_out_at: expect.any(String), minutes: 90 });
+    expect(updateQB.is).toHaveBeenCalledWith("checked_out_at", null);
+    expect(supabaseMock.rpc).toHaveBeenCalledWith("add_study_time", {
+      p_user_id: "user-123",
+      p_date: checkedInAt.slice(0, 10),
+      p_hours: 1.5,
+    });
+  });
+
+  test("a late check-out only credits time up to the end of the grace period", async () => {
+    const startAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+    const openRow = { session_id: 10, user_id: "user-123", checked_in_at: startAt, checked_out_at: null };
+    const lookupQB = resultQB(undefined, { data: openRow, error: null });
+    const updateQB = resultQB(undefined, { data: { ...openRow, checked_out_at: "now", minutes: 120 }, error: null });
+    supabaseMock.rpc = jest.fn(async () => ({ data: 2, error: null }));
+    setFrom({
+      group_members: member(),
+      sessions: session({ start_at: startAt, time_goal_minutes: 90 }),
+      session_attendance: [lookupQB, updateQB],
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    // 90 minute session + 30 minute default grace
+    expect(updateQB.update).toHaveBeenCalledWith({ checked_out_at: expect.any(String), minutes: 120 });
+    expect(supabaseMock.rpc).toHaveBeenCalledWith("add_study_time", {
+      p_user_id: "user-123",
+      p_date: startAt.slice(0, 10),
+      p_hours: 2,
+    });
+  });
+
+  test("check-out 404 for a session of another group", async () => {
+    const lookupQB = resultQB();
+    setFrom({ group_members: member(), sessions: resultQB(), session_attendance: lookupQB });
+
+    const res = await request(app)
+      .post("/api/groups/2/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(404);
+    expect(lookupQB.select).not.toHaveBeenCalled();
+  });
+
+  test("check-out 409 for a cancelled or closed session", async () => {
+    setFrom({ group_members: member(), sessions: session({ cancelled_at: inPast }) });
+    const cancelled = await request(app)
+      .post("/api/groups/1/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+    expect(cancelled.status).toBe(409);
+
+    setFrom({ group_members: member(), sessions: session({ closed_at: inPast }) });
+    const closed = await request(app)
+      .post("/api/groups/1/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+    expect(closed.status).toBe(409);
+  });
+
+  test("check-out 409 when not checked in", async () => {
+    setFrom({ group_members: member(), sessions: session(), session_attendance: resultQB() });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/check-out")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(409);
+  });
+
+  test("close-out is creator only", async () => {
+    setFrom({ group_members: member(), sessions: session() });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/close")
+      .set("Authorization", "Bearer student.token")
+      .send({ content_goal_met: true });
+
+    expect(res.status).toBe(403);
+  });
+
+  test("close-out records the goal and checks out whoever is still in", async () => {
+    const checkedInAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const loadQB = session({ creator_id: "user-123" });
+    const closeQB = resultQB(undefined, { data: { id: 10, content_goal_met: true, closed_at: "now" }, error: null });
+    const rowsQB = resultQB({ data: [
+      { session_id: 10, user_id: "user-a", checked_in_at: checkedInAt, checked_out_at: checkedInAt, minutes: 0 },
+      { session_id: 10, user_id: "user-b", checked_in_at: checkedInAt, checked_out_at: null },
+    ], error: null });
+    const checkoutQB = resultQB(undefined, { data: { session_id: 10, user_id: "user-b", minutes: 60 }, error: null });
+    supabaseMock.rpc = jest.fn(async () => ({ data: 1, error: null }));
+    setFrom({
+      group_members: member(),
+      sessions: [loadQB, closeQB],
+      session_attendance: [rowsQB, checkoutQB],
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/close")
+      .set("Authorization", "Bearer student.token")
+      .send({ content_goal_met: true, notes: "Finished chapter 3" });
+
+    expect(res.status).toBe(200);
+    expect(closeQB.update).toHaveBeenCalledWith(expect.objectContaining({
+      content_goal_met: true,
+      close_notes: "Finished chapter 3",
+      closed_by: "user-123",
+    }));
+    expect(checkoutQB.eq).toHaveBeenCalledWith("user_id", "user-b");
+    expect(supabaseMock.rpc).toHaveBeenCalledWith("add_study_time", {
+      p_user_id: "user-b",
+      p_date: checkedInAt.slice(0, 10),
+      p_hours: 1,
+    });
+    expect(res.body.attendance).toHaveLength(2);
+  });
+
+  test("close-out 400 without content_goal_met", async () => {
+    const res = await request(app)
+      .post("/api/groups/1/sessions/10/close")
+      .set("Authorization", "Bearer student.token")
+      .send({});
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,164 @@
+// tests/unit/calendar.test.js
+import crypto from "crypto";
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+
+const makeQB = (handlers = {}) => {
+  const resolve = (key, fallback = { data: [], error: null }) =>
+    Promise.resolve(handlers[key] ? handlers[key]() : fallback);
+
+  const qb = {
+    select: jest.fn(() => proxy),
+    upsert: jest.fn(() => proxy),
+    delete: jest.fn(() => proxy),
+    eq: jest.fn(() => proxy),
+    in: jest.fn(() => proxy),
+    gte: jest.fn(() => proxy),
+    order: jest.fn(() => proxy),
+    maybeSingle: jest.fn(() => resolve("maybeSingle", { data: null, error: null })),
+  };
+
+  const proxy = new Proxy(qb, {
+    get(target, prop) {
+      if (prop === "then") {
+        return (onFulfilled, onRejected) => resolve("await").then(onFulfilled, onRejected);
+      }
+      return target[prop];
+    },
+  });
+  return proxy;
+};
+
+const student = { id: "user-123", email: "student@test.com" };
+const feedToken = "feed-token";
+const tokenHash = crypto.createHash("sha256").update(feedToken).digest("hex");
+
+beforeAll(async () => {
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => (token === "student.token"
+        ? { data: { user: student }, error: null }
+        : { data: { user: null }, error: null })),
+    },
+    from: jest.fn(() => makeQB()),
+    _setFrom: (mapping) => {
+      supabaseMock.from = jest.fn((table) => mapping[table] || makeQB());
+    },
+  };
+
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({
+    createClient: () => supabaseMock,
+  }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+});
+
+const feedTokensQB = () => makeQB({
+  maybeSingle: () => ({ data: { user_id: "user-123" }, error: null }),
+});
+
+describe("Calendar feeds", () => {
+  test("POST /calendar/token stores only the hash and returns the feed URLs", async () => {
+    const tokensQB = makeQB({ await: () => ({ data: null, error: null }) });
+    supabaseMock._setFrom({ calendar_feed_tokens: tokensQB });
+
+    const res = await request(app)
+      .post("/api/calendar/token")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body.personal_url).toContain(`/api/calendar/${res.body.token}/personal.ics`);
+
+    const [row, opts] = tokensQB.upsert.mock.calls[0];
+    expect(row.user_id).toBe("user-123");
+    expect(row.token_hash).toBe(crypto.createHash("sha256").update(res.body.token).digest("hex"));
+    expect(opts).toEqual({ onConflict: "user_id" });
+  });
+
+  test("404 for an unknown feed token", async () => {
+    supabaseMock._setFrom({ calendar_feed_tokens: makeQB() });
+    const res = await request(app).get("/api/calendar/nope/personal.ics");
+    expect(res.status).toBe(404);
+  });
+
+  test("personal feed combines accepted sessions, own sessions and upcoming tests", async () => {
+    let sessionsCall = 0;
+    const tokensQB = feedTokensQB();
+    const mapping = {
+      calendar_feed_tokens: tokensQB,
+      session_invites: makeQB({ await: () => ({ data: [{ session_id: 10 }], error: null }) }),
+      tests: makeQB({ await: () => ({ data: [{ id: 3, name: "Physics", test_date: "2099-12-26T09:00:00Z" }], error: null }) }),
+      groups: makeQB({ await: () => ({ data: [{ id: 1, name: "Maths" }], error: null }) }),
+    };
+    supabaseMock.from = jest.fn((table) => {
+      if (table === "sessions") {
+        return sessionsCall++ === 0
+          ? makeQB({ await: () => ({ data: [{ id: 10, group_id: 1, start_at: "2099-12-25T10:00:00Z", topic: "Calculus" }], error: null }) })
+          : makeQB({ await: () => ({ data: [
+            { id: 10, group_id: 1, start_at: "2099-12-25T10:00:00Z", topic: "Calculus" },
+            { id: 11, group_id: 1, start_at: "2099-12-27T10:00:00Z", topic: "Algebra" },
+          ], error: null }) });
+      }
+      return mapping[table] || makeQB();
+    });
+
+    const res = await request(app).get(`/api/calendar/${feedToken}/personal.ics`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/^text\/calendar/);
+    expect(tokensQB.eq).toHaveBeenCalledWith("token_hash", tokenHash);
+    expect(res.text.match(/BEGIN:VEVENT/g)).toHaveLength(3);
+    expect(res.text).toContain("UID:session-10@lockedin");
+    expect(res.text).toContain("UID:session-11@lockedin");
+    expect(res.text).toContain("UID:test-3@lockedin");
+    expect(res.text).toContain("Group: Maths");
+  });
+
+  test("group feed is only served to members", async () => {
+    supabaseMock._setFrom({
+      calendar_feed_tokens: feedTokensQB(),
+      group_members: makeQB(),
+    });
+
+    const res = await request(app).get(`/api/calendar/${feedToken}/groups/1.ics`);
+    expect(res.status).toBe(403);
+  });
+
+  test("group feed lists the group's sessions", async () => {
+    supabaseMock._setFrom({
+      calendar_feed_tokens: feedTokensQB(),
+      group_members: makeQB({ maybeSingle: () => ({ data: { user_id: "user-123" }, error: null }) }),
+      sessions: makeQB({ await: () => ({ data: [{ id: 10, group_id: 1, start_at: "2099-12-25T10:00:00Z" }], error: null }) }),
+      groups: makeQB({ await: () => ({ data: [{ id: 1, name: "Maths" }], error: null }) }),
+    });
+
+    const res = await request(app).get(`/api/calendar/${feedToken}/groups/1.ics`);
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("X-WR-CALNAME:LockedIn - Maths");
+    expect(res.text).toContain("UID:session-10@lockedin");
+  });
+
+  test("single session download is an .ics attachment", async () => {
+    supabaseMock._setFrom({
+      group_members: makeQB({ maybeSingle: () => ({ data: { user_id: "user-123" }, error: null }) }),
+      sessions: makeQB({ maybeSingle: () => ({ data: { id: 10, group_id: 1, start_at: "2099-12-25T10:00:00Z" }, error: null }) }),
+    });
+
+    const res = await request(app)
+      .get("/api/groups/1/sessions/10/event.ics")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-disposition"]).toBe('attachment; filename="session-10.ics"');
+    expect(res.text).toContain("UID:session-10@lockedin");
+  });
+
+  test("single session download requires auth", async () => {
+    const res = await request(app).get("/api/groups/1/sessions/10/event.ics");
+    expect(res.status).toBe(401);
+  });
+});
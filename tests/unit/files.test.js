@@ -0,0 +1,265 @@
+// tests/unit/files.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+let app;
+let supabaseMock;
+let storageDir;
+
+beforeAll(async () => {
+  storageDir = await fs.mkdtemp(path.join(os.tmpdir(), "lockedin-files-"));
+  process.env.STORAGE_LOCAL_DIR = storageDir;
+  process.env.ATTACHMENT_URL_SECRET = "test-file-secret";
+  process.env.BACKEND_URL = "api.test";
+
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => {
+        if (token === "student.token") return { data: { user: { id: "user-123" } }, error: null };
+        if (token === "owner.token") return { data: { user: { id: "owner-1" } }, error: null };
+        return { data: { user: null }, error: null };
+      }),
+    },
+    from: jest.fn(),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+});
+
+afterAll(async () => {
+  await fs.rm(storageDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env.ATTACHMENT_MAX_MB;
+  delete process.env.ATTACHMENT_MIME_TYPES;
+});
+
+const resultQB = (result = { data: [], error: null }, single = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "delete", "eq", "in", "or", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  qb.single = jest.fn(() => Promise.resolve(single));
+  qb.maybeSingle = jest.fn(() => Promise.resolve(single));
+  return qb;
+};
+
+const memberQB = (isMember = true) => resultQB(undefined, { data: isMember ? { user_id: "x" } : null, error: null });
+
+function tables(map) {
+  supabaseMock.from = jest.fn((table) => map[table] || resultQB());
+}
+
+const fileRow = (overrides = {}) => ({
+  id: 3,
+  group_id: 1,
+  uploader_id: "user-123",
+  path: "groups/1/abc-notes.pdf",
+  filename: "notes.pdf",
+  mime_type: "application/pdf",
+  size_bytes: 11,
+  created_at: "2099-01-01T10:00:00Z",
+  ...overrides,
+});
+
+describe("POST /api/groups/:groupId/files", () => {
+  test("stores the file under the group's prefix and returns a download link", async () => {
+    const files = resultQB(undefined, { data: fileRow(), error: null });
+    tables({ group_members: memberQB(), group_files: files });
+
+    const res = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("%PDF-1.7 notes"), { filename: "notes.pdf", contentType: "application/pdf" });
+
+    expect(res.status).toBe(200);
+    const row = files.insert.mock.calls[0][0][0];
+    expect(row).toMatchObject({ group_id: "1", uploader_id: "user-123", filename: "notes.pdf", mime_type: "application/pdf", size_bytes: 14 });
+    expect(row.path).toMatch(/^groups\/1\/[0-9a-f-]{36}-notes\.pdf$/);
+    await expect(fs.readFile(path.join(storageDir, row.path), "utf8")).resolves.toBe("%PDF-1.7 notes");
+
+    expect(res.body.file.path).toBeUndefined();
+    expect(res.body.file.url).toMatch(/^https:\/\/api\.test\/api\/files\/local\//);
+    expect(new Date(res.body.file.expires_at).getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test("415 for a type that isn't allowed", async () => {
+    tables({ group_members: memberQB(), group_files: resultQB() });
+
+    const res = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("MZ..."), { filename: "setup.exe", contentType: "application/x-msdownload" });
+
+    expect(res.status).toBe(415);
+  });
+
+  test("415 for content that isn't the declared type, and for SVG", async () => {
+    const files = resultQB();
+    tables({ group_members: memberQB(), group_files: files });
+
+    const disguised = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("<html><script>alert(1)</script></html>"), { filename: "cat.png", contentType: "image/png" });
+    expect(disguised.status).toBe(415);
+    expect(disguised.body.error).toBe("File content is not image/png");
+
+    const svg = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>'), { filename: "x.svg", contentType: "image/svg+xml" });
+    expect(svg.status).toBe(415);
+
+    expect(files.insert).not.toHaveBeenCalled();
+  });
+
+  test("accepts real images and office documents", async () => {
+    const files = resultQB(undefined, { data: fileRow(), error: null });
+    tables({ group_members: memberQB(), group_files: files });
+
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+    const image = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", png, { filename: "cat.png", contentType: "image/png" });
+    expect(image.status).toBe(200);
+
+    const docx = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(8)]);
+    const doc = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", docx, {
+        filename: "notes.docx",
+        contentType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      });
+    expect(doc.status).toBe(200);
+    expect(files.insert.mock.calls.map(([[row]]) => row.mime_type)).toEqual([
+      "image/png",
+      "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ]);
+  });
+
+  test("413 when the file is too large", async () => {
+    process.env.ATTACHMENT_MAX_MB = "0.00001"; // ~10 bytes
+    tables({ group_members: memberQB(), group_files: resultQB() });
+
+    const res = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("this is more than ten bytes"), { filename: "big.txt", contentType: "text/plain" });
+
+    expect(res.status).toBe(413);
+  });
+
+  test("400 without a file, 403 for non-members", async () => {
+    tables({ group_members: memberQB() });
+    const empty = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .field("note", "no file here");
+    expect(empty.status).toBe(400);
+
+    tables({ group_members: memberQB(false) });
+    const outsider = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("x"), { filename: "a.txt", contentType: "text/plain" });
+    expect(outsider.status).toBe(403);
+  });
+
+  test("409 when the group is archived", async () => {
+    tables({
+      group_members: memberQB(),
+      groups: resultQB(undefined, { data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }),
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("hello world"), { filename: "notes.pdf", contentType: "application/pdf" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe("Group is archived");
+  });
+});
+
+describe("Resources library", () => {
+  test("lists the group's files newest first with uploader names", async () => {
+    const files = resultQB({ data: [fileRow(), fileRow({ id: 2, filename: "old.png", mime_type: "image/png" })], error: null });
+    tables({
+      group_members: memberQB(),
+      group_files: files,
+      profiles: resultQB({ data: [{ id: "user-123", full_name: "Sam" }], error: null }),
+    });
+
+    const res = await request(app)
+      .get("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(files.eq).toHaveBeenCalledWith("group_id", "1");
+    expect(files.order).toHaveBeenCalledWith("created_at", { ascending: false });
+    expect(res.body.files.map(f => f.id)).toEqual([3, 2]);
+    expect(res.body.files[0]).toMatchObject({ filename: "notes.pdf", uploader_name: "Sam" });
+    expect(res.body.files[0].path).toBeUndefined();
+    expect(res.body.has_more).toBe(false);
+  });
+
+  test("signed link downloads the file; tampered links don't", async () => {
+    const files = resultQB(undefined, { data: fileRow(), error: null });
+    tables({ group_members: memberQB(), group_files: files });
+    const upload = await request(app)
+      .post("/api/groups/1/files")
+      .set("Authorization", "Bearer student.token")
+      .attach("file", Buffer.from("lecture notes"), { filename: "notes.txt", contentType: "text/plain" });
+    const stored = files.insert.mock.calls[0][0][0];
+
+    tables({ group_members: memberQB(), group_files: resultQB(undefined, { data: fileRow({ path: stored.path, filename: "notes.txt" }), error: null }) });
+    const res = await request(app)
+      .get("/api/groups/1/files/3")
+      .set("Authorization", "Bearer student.token");
+    expect(upload.status).toBe(200);
+    expect(res.status).toBe(200);
+
+    const token = res.body.file.url.split("/api/files/local/")[1];
+    const download = await request(app).get(`/api/files/local/${token}`);
+    expect(download.status).toBe(200);
+    expect(download.headers["content-disposition"]).toMatch(/attachment; filename="notes.txt"/);
+    expect(download.text).toBe("lecture notes");
+
+    const tampered = await request(app).get(`/api/files/local/${token.slice(0, -2)}xx`);
+    expect(tampered.status).toBe(404);
+  });
+
+  test("only members get links", async () => {
+    tables({ group_members: memberQB(false) });
+    const res = await request(app)
+      .get("/api/groups/1/files/3")
+      .set("Authorization", "Bearer student.token");
+    expect(res.status).toBe(403);
+  });
+
+  test("the uploader or a group owner/admin deletes; other members can't", async () => {
+    const files = resultQB({ data: null, error: null }, { data: fileRow({ uploader_id: "user-9" }), error: null });
+    const role = (r) => resultQB(undefined, { data: { user_id: "x", role: r }, error: null });
+    tables({ group_members: role("member"), group_files: files });
+
+    const denied = await request(app)
+      .delete("/api/groups/1/files/3")
+      .set("Authorization", "Bearer student.token");
+    expect(denied.status).toBe(403);
+    expect(files.delete).not.toHaveBeenCalled();
+
+    tables({ group_members: role("owner"), group_files: files });
+    const res = await request(app)
+      .delete("/api/groups/1/files/3")
+      .set("Authorization", "Bearer owner.token");
+    expect(res.status).toBe(200);
+    expect(files.delete).toHaveBeenCalled();
+  });
+});
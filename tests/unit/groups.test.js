@@ -37,6 +37,26 @@ beforeAll(async () => {
   app = mod.default || mod;
 });
 
+const resultQB = (result = { data: [], error: null }, single = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "update", "upsert", "delete", "eq", "in", "is", "or", "gte", "lte", "ilike", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  qb.single = jest.fn(() => Promise.resolve(single));
+  qb.maybeSingle = jest.fn(() => Promise.resolve(single));
+  return qb;
+};
+
+const roleQB = (role) => resultQB(undefined, { data: role ? { role } : null, error: null });
+
+/** Route each table to a builder; a list of builders is used in order */
+function tables(map) {
+  const queues = Object.fromEntries(Object.entries(map).map(([t, qb]) => [t, [].concat(qb)]));
+  supabaseMock.from = jest.fn((table) => {
+    const queue = queues[table];
+    if (!queue) return resultQB();
+    return queue.length > 1 ? queue.shift() : queue[0];
+  });
+}
+
 describe("Groups endpoints", () => {
   const mockUser = {
     id: "user123",
@@ -259,7 +279,7 @@ describe("Groups endpoints", () => {
       expect(res.body.error).toBe("group_id and recipient_ids[] required");
     });
 
-    it("should return 403 when user is not group owner", async () => {
+    it("should return 403 when user is not a group owner or admin", async () => {
       supabaseMock.auth.getUser.mockResolvedValue({
         data: { user: mockUser },
         error: null
@@ -278,6 +298,7 @@ describe("Groups endpoints", () => {
             }))
           };
         }
+        if (table === "group_members") return roleQB("member");
         return {};
       });
 
@@ -287,7 +308,7 @@ describe("Groups endpoints", () => {
         .send({ group_id: 1, recipient_ids: ["user456"] });
 
       expect(res.status).toBe(403);
-      expect(res.body.error).toBe("Only owner can invite");
+      expect(res.body.error).toBe("Only owners and admins can invite");
     });
 
     it("should send invitations successfully", async () => {
@@ -317,6 +338,7 @@ describe("Groups endpoints", () => {
             })
           };
         }
+        if (table === "group_members") return roleQB("owner");
         return {};
       });
 
@@ -581,6 +603,7 @@ describe("Groups endpoints", () => {
             })
           };
         }
+        if (table === "groups") return resultQB(undefined, { data: { archived_at: null }, error: null });
         return {};
       });
 
@@ -634,4 +657,572 @@ describe("Groups endpoints", () => {
       expect(res.body.message).toBe("Group invite declined");
     });
   });
-});
\ No newline at end of file
+});
+
+describe("Group members", () => {
+  const group = (overrides = {}) => resultQB(undefined, { data: { id: 1, owner_id: "owner-1", name: "Algorithms", ...overrides }, error: null });
+  const asUser = (id) => supabaseMock.auth.getUser.mockResolvedValue({ data: { user: { id } }, error: null });
+
+  test("GET lists members with profiles, owner first then admins", async () => {
+    asUser("user123");
+    const members = resultQB({
+      data: [
+        { user_id: "user123", role: "member", joined_at: "2099-01-02T00:00:00Z" },
+        { user_id: "admin-1", role: "admin", joined_at: "2099-01-03T00:00:00Z" },
+        { user_id: "owner-1", role: "owner", joined_at: "2099-01-01T00:00:00Z" },
+      ],
+      error: null,
+    }, { data: { user_id: "user123" }, error: null });
+    const profiles = resultQB({ data: [{ id: "owner-1", full_name: "Olive", degree: "CS", modules: ["COMP1"] }], error: null });
+    tables({ groups: group(), group_members: members, profiles });
+
+    const res = await request(app).get("/api/groups/1/members").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.members.map(m => [m.user_id, m.role])).toEqual([
+      ["owner-1", "owner"],
+      ["admin-1", "admin"],
+      ["user123", "member"],
+    ]);
+    expect(res.body.members[0]).toMatchObject({ full_name: "Olive", degree: "CS", modules: ["COMP1"] });
+    expect(profiles.in).toHaveBeenCalledWith("id", ["user123", "admin-1", "owner-1"]);
+  });
+
+  test("GET is for members only", async () => {
+    asUser("stranger");
+    tables({ groups: group(), group_members: resultQB() });
+
+    const res = await request(app).get("/api/groups/1/members").set("Authorization", "Bearer t");
+    expect(res.status).toBe(403);
+  });
+
+  test("PATCH lets the owner promote a member to admin", async () => {
+    asUser("owner-1");
+    const members = resultQB({ data: null, error: null }, { data: { role: "member" }, error: null });
+    tables({ groups: group(), group_members: members });
+
+    const res = await request(app)
+      .patch("/api/groups/1/members/user123")
+      .set("Authorization", "Bearer t")
+      .send({ role: "admin" });
+
+    expect(res.status).toBe(200);
+    expect(members.update).toHaveBeenCalledWith({ role: "admin" });
+    expect(members.eq).toHaveBeenCalledWith("user_id", "user123");
+  });
+
+  test("PATCH is owner only and checks the role", async () => {
+    asUser("admin-1");
+    tables({ groups: group(), group_members: roleQB("admin") });
+    const denied = await request(app)
+      .patch("/api/groups/1/members/user123")
+      .set("Authorization", "Bearer t")
+      .send({ role: "admin" });
+    expect(denied.status).toBe(403);
+
+    const invalid = await request(app)
+      .patch("/api/groups/1/members/user123")
+      .set("Authorization", "Bearer t")
+      .send({ role: "superuser" });
+    expect(invalid.status).toBe(400);
+  });
+
+  test("PATCH role owner hands the group over and keeps the old owner as admin", async () => {
+    asUser("owner-1");
+    const groups = group();
+    const members = resultQB({ data: null, error: null }, { data: { role: "admin" }, error: null });
+    tables({ groups, group_members: members });
+
+    const res = await request(app)
+      .patch("/api/groups/1/members/admin-1")
+      .set("Authorization", "Bearer t")
+      .send({ role: "owner" });
+
+    expect(res.status).toBe(200);
+    expect(groups.update).toHaveBeenCalledWith({ owner_id: "admin-1" });
+    expect(members.update).toHaveBeenCalledWith({ role: "owner" });
+    expect(members.update).toHaveBeenCalledWith({ role: "admin" });
+  });
+
+  test("a member leaves by deleting themselves", async () => {
+    asUser("user123");
+    const members = resultQB({ data: null, error: null }, { data: { role: "member" }, error: null });
+    tables({ groups: group(), group_members: members });
+
+    const res = await request(app).delete("/api/groups/1/members/user123").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Left group");
+    expect(members.delete).toHaveBeenCalled();
+  });
+
+  test("when the owner leaves, the longest-standing admin takes over", async () => {
+    asUser("owner-1");
+    const groups = group();
+    const members = resultQB({
+      data: [
+        { user_id: "owner-1", role: "owner", joined_at: "2099-01-01T00:00:00Z" },
+        { user_id: "user123", role: "member", joined_at: "2099-01-02T00:00:00Z" },
+        { user_id: "admin-2", role: "admin", joined_at: "2099-01-04T00:00:00Z" },
+        { user_id: "admin-1", role: "admin", joined_at: "2099-01-03T00:00:00Z" },
+      ],
+      error: null,
+    });
+    tables({ groups, group_members: members });
+
+    const res = await request(app).delete("/api/groups/1/members/owner-1").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.new_owner_id).toBe("admin-1");
+    expect(groups.update).toHaveBeenCalledWith({ owner_id: "admin-1" });
+    expect(members.delete).toHaveBeenCalled();
+  });
+
+  test("the last member can't leave", async () => {
+    asUser("owner-1");
+    const members = resultQB({ data: [{ user_id: "owner-1", role: "owner" }], error: null });
+    tables({ groups: group(), group_members: members });
+
+    const res = await request(app).delete("/api/groups/1/members/owner-1").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(409);
+    expect(members.delete).not.toHaveBeenCalled();
+  });
+
+  test("admins remove plain members but not other admins or the owner", async () => {
+    asUser("admin-1");
+    const admin = roleQB("admin");
+    tables({ groups: group(), group_members: [admin, roleQB("member"), resultQB()] });
+    const removed = await request(app).delete("/api/groups/1/members/user123").set("Authorization", "Bearer t");
+    expect(removed.status).toBe(200);
+    expect(removed.body.message).toBe("Member removed");
+
+    tables({ groups: group(), group_members: [admin, roleQB("admin")] });
+    const otherAdmin = await request(app).delete("/api/groups/1/members/admin-2").set("Authorization", "Bearer t");
+    expect(otherAdmin.status).toBe(403);
+
+    tables({ groups: group(), group_members: admin });
+    const owner = await request(app).delete("/api/groups/1/members/owner-1").set("Authorization", "Bearer t");
+    expect(owner.status).toBe(403);
+  });
+
+  test("plain members can't remove anyone", async () => {
+    asUser("user123");
+    const members = roleQB("member");
+    tables({ groups: group(), group_members: members });
+
+    const res = await request(app).delete("/api/groups/1/members/user456").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(403);
+    expect(members.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe("Group detail, update and archive", () => {
+  const groupRow = (overrides = {}) => ({
+    id: 1,
+    owner_id: "owner-1",
+    name: "Algorithms",
+    module: "COMP2",
+    description: null,
+    avatar_url: null,
+    archived_at: null,
+    created_at: "2099-01-01T00:00:00Z",
+    ...overrides,
+  });
+  const group = (overrides) => resultQB({ data: null, error: null }, { data: groupRow(overrides), error: null });
+  const asUser = (id) => supabaseMock.auth.getUser.mockResolvedValue({ data: { user: { id } }, error: null });
+
+  test("GET returns member count, next session and recent activity newest first", async () => {
+    asUser("user123");
+    const sessions = resultQB(
+      { data: [{ id: 7, creator_id: "owner-1", topic: "Graphs", start_at: "2099-01-03T10:00:00Z" }], error: null },
+      { data: { id: 8, topic: "Trees", start_at: "2099-02-01T10:00:00Z" }, error: null }
+    );
+    tables({
+      groups: group(),
+      group_members: [
+        roleQB("member"),
+        resultQB({ count: 3, data: [{ user_id: "user123", joined_at: "2099-01-02T00:00:00Z" }], error: null }),
+      ],
+      sessions,
+      group_messages: resultQB({ data: [{ id: 5, sender_id: "owner-1", content: "see you  there", created_at: "2099-01-04T00:00:00Z" }], error: null }),
+      group_files: resultQB({ data: [{ id: 3, uploader_id: "user123", filename: "notes.pdf", created_at: "2099-01-01T12:00:00Z" }], error: null }),
+    });
+
+    const res = await request(app).get("/api/groups/1").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.group).toMatchObject({ id: 1, name: "Algorithms", member_count: 3, my_role: "member" });
+    expect(res.body.group.next_session).toMatchObject({ id: 8, topic: "Trees" });
+    expect(res.body.group.recent_activity.map(a => a.type)).toEqual(["message", "session", "member_joined", "file"]);
+    expect(res.body.group.recent_activity[0]).toMatchObject({ user_id: "owner-1", message_id: 5, preview: "see you there" });
+  });
+
+  test("GET is for members only", async () => {
+    asUser("stranger");
+    tables({ groups: group(), group_members: roleQB(null) });
+
+    const res = await request(app).get("/api/groups/1").set("Authorization", "Bearer t");
+    expect(res.status).toBe(403);
+  });
+
+  test("GET 404s for an unknown group", async () => {
+    asUser("user123");
+    tables({ groups: resultQB() });
+
+    const res = await request(app).get("/api/groups/99").set("Authorization", "Bearer t");
+    expect(res.status).toBe(404);
+  });
+
+  test("PUT lets the owner update name, module, description and avatar", async () => {
+    asUser("owner-1");
+    const groups = resultQB(undefined, { data: groupRow(), error: null });
+    tables({ groups });
+
+    const res = await request(app)
+      .put("/api/groups/1")
+      .set("Authorization", "Bearer t")
+      .send({ name: " Algorithms II ", description: "Weekly problem sets", avatar_url: "https://cdn.test/a.png", owner_id: "me" });
+
+    expect(res.status).toBe(200);
+    expect(groups.update).toHaveBeenCalledWith({
+      name: "Algorithms II",
+      description: "Weekly problem sets",
+      avatar_url: "https://cdn.test/a.png",
+    });
+  });
+
+  test("PUT is owner only, validates and refuses archived groups", async () => {
+    asUser("admin-1");
+    tables({ groups: group() });
+    const denied = await request(app).put("/api/groups/1").set("Authorization", "Bearer t").send({ name: "Mine" });
+    expect(denied.status).toBe(403);
+
+    asUser("owner-1");
+    const empty = await request(app).put("/api/groups/1").set("Authorization", "Bearer t").send({ owner_id: "x" });
+    expect(empty.status).toBe(400);
+    const badUrl = await request(app).put("/api/groups/1").set("Authorization", "Bearer t").send({ avatar_url: "ftp://x" });
+    expect(badUrl.status).toBe(400);
+
+    tables({ groups: group({ archived_at: "2099-01-05T00:00:00Z" }) });
+    const archived = await request(app).put("/api/groups/1").set("Authorization", "Bearer t").send({ name: "Mine" });
+    expect(archived.status).toBe(409);
+  });
+
+  test("DELETE archives by default and keeps the group's content", async () => {
+    asUser("owner-1");
+    const groups = group();
+    tables({ groups });
+
+    const res = await request(app).delete("/api/groups/1").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Group archived");
+    expect(groups.update).toHaveBeenCalledWith({ archived_at: expect.any(String) });
+    expect(groups.delete).not.toHaveBeenCalled();
+  });
+
+  test("DELETE ?permanent=true deletes the group and its stored files", async () => {
+    asUser("owner-1");
+    const groups = group({ archived_at: "2099-01-05T00:00:00Z" });
+    const files = resultQB({ data: [{ path: "groups/1/abc-notes.pdf" }], error: null });
+    tables({ groups, group_files: files });
+
+    const res = await request(app).delete("/api/groups/1?permanent=true").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe("Group deleted");
+    expect(groups.delete).toHaveBeenCalled();
+    expect(files.eq).toHaveBeenCalledWith("group_id", "1");
+  });
+
+  test("only the owner can archive or delete", async () => {
+    asUser("admin-1");
+    const groups = group();
+    tables({ groups });
+
+    const res = await request(app).delete("/api/groups/1?permanent=true").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(403);
+    expect(groups.delete).not.toHaveBeenCalled();
+  });
+
+  test("POST restore brings an archived group back", async () => {
+    asUser("owner-1");
+    const groups = group({ archived_at: "2099-01-05T00:00:00Z" });
+    tables({ groups });
+
+    const res = await request(app).post("/api/groups/1/restore").set("Authorization", "Bearer t");
+    expect(res.status).toBe(200);
+    expect(groups.update).toHaveBeenCalledWith({ archived_at: null });
+
+    tables({ groups: group() });
+    const again = await request(app).post("/api/groups/1/restore").set("Authorization", "Bearer t");
+    expect(again.status).toBe(409);
+  });
+
+  test("GET /api/groups hides archived groups unless asked for them", async () => {
+    asUser("owner-1");
+    const rows = [groupRow(), groupRow({ id: 2, archived_at: "2099-01-05T00:00:00Z" })];
+    tables({
+      groups: [resultQB({ data: [{ id: 1 }, { id: 2 }], error: null }), resultQB({ data: rows, error: null })],
+      group_members: resultQB({ data: [], error: null }),
+    });
+    const res = await request(app).get("/api/groups").set("Authorization", "Bearer t");
+    expect(res.body.groups.map(g => g.id)).toEqual([1]);
+
+    tables({
+      groups: [resultQB({ data: [{ id: 1 }, { id: 2 }], error: null }), resultQB({ data: rows, error: null })],
+      group_members: resultQB({ data: [], error: null }),
+    });
+    const archived = await request(app).get("/api/groups?archived=true").set("Authorization", "Bearer t");
+    expect(archived.body.groups.map(g => g.id)).toEqual([2]);
+  });
+});
+
+describe("Group discovery and join requests", () => {
+  const groupRow = (overrides = {}) => ({
+    id: 1,
+    owner_id: "owner-1",
+    name: "Algorithms",
+    module: "COMP2",
+    visibility: "discoverable",
+    archived_at: null,
+    created_at: "2099-01-01T00:00:00Z",
+    ...overrides,
+  });
+  const group = (overrides) => resultQB({ data: null, error: null }, { data: groupRow(overrides), error: null });
+  const asUser = (id) => supabaseMock.auth.getUser.mockResolvedValue({ data: { user: { id } }, error: null });
+  const joinRequest = (overrides = {}) => ({
+    id: 9, group_id: 1, user_id: "user123", message: null, status: "pending", created_at: "2099-01-02T00:00:00Z", ...overrides,
+  });
+
+  test("POST /api/groups accepts a visibility", async () => {
+    asUser("owner-1");
+    const groups = resultQB(undefined, { data: groupRow(), error: null });
+    tables({ groups });
+
+    const ok = await request(app).post("/api/groups").set("Authorization", "Bearer t").send({ name: "Algorithms", visibility: "open" });
+    expect(ok.status).toBe(200);
+    expect(groups.insert.mock.calls[0][0][0]).toMatchObject({ name: "Algorithms", visibility: "open" });
+
+    const bad = await request(app).post("/api/groups").set("Authorization", "Bearer t").send({ name: "X", visibility: "public" });
+    expect(bad.status).toBe(400);
+  });
+
+  test("discover lists only listed, unarchived groups matching name and module", async () => {
+    asUser("user123");
+    const groups = resultQB({ data: [groupRow(), groupRow({ id: 2, visibility: "open", created_at: "2098-12-01T00:00:00Z" })], error: null });
+    tables({
+      groups,
+      group_members: [
+        resultQB({ data: [{ group_id: 1 }, { group_id: 1 }, { group_id: 2 }], error: null }),
+        resultQB({ data: [{ group_id: 2 }], error: null }),
+      ],
+      group_join_requests: resultQB({ data: [{ group_id: 1 }], error: null }),
+    });
+
+    const res = await request(app)
+      .get("/api/groups/discover?q=algo_rithms&module=COMP")
+      .set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(groups.in).toHaveBeenCalledWith("visibility", ["discoverable", "open"]);
+    expect(groups.is).toHaveBeenCalledWith("archived_at", null);
+    expect(groups.ilike).toHaveBeenCalledWith("name", "%algo\\_rithms%");
+    expect(groups.ilike).toHaveBeenCalledWith("module", "%COMP%");
+    expect(res.body.groups.map(g => [g.id, g.member_count, g.my_status])).toEqual([
+      [1, 2, "requested"],
+      [2, 1, "member"],
+    ]);
+    expect(res.body).toMatchObject({ has_more: false, next_cursor: null });
+  });
+
+  test("discover by degree narrows to groups with members studying it", async () => {
+    asUser("user123");
+    const groups = resultQB({ data: [], error: null });
+    const profiles = resultQB({ data: [{ id: "u1" }, { id: "u2" }], error: null });
+    tables({ groups, profiles, group_members: resultQB({ data: [{ group_id: 4 }, { group_id: 4 }], error: null }) });
+
+    const res = await request(app).get("/api/groups/discover?degree=Computer").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(profiles.ilike).toHaveBeenCalledWith("degree", "%Computer%");
+    expect(groups.in).toHaveBeenCalledWith("id", [4]);
+  });
+
+  test("discover by a degree nobody studies is empty", async () => {
+    asUser("user123");
+    const groups = resultQB({ data: [groupRow()], error: null });
+    tables({ groups, profiles: resultQB({ data: [], error: null }) });
+
+    const res = await request(app).get("/api/groups/discover?degree=Astrology").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.groups).toEqual([]);
+  });
+
+  test("joining an open group adds you straight away", async () => {
+    asUser("user123");
+    const members = resultQB({ data: null, error: null }, { data: null, error: null });
+    tables({ groups: group({ visibility: "open" }), group_members: members });
+
+    const res = await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("joined");
+    expect(members.upsert).toHaveBeenCalledWith([{ group_id: "1", user_id: "user123", role: "member" }], { onConflict: "group_id,user_id" });
+  });
+
+  test("joining a discoverable group sends a request to the owner and admins", async () => {
+    asUser("user123");
+    const requests = resultQB(undefined, { data: null, error: null });
+    requests.single = jest.fn(() => Promise.resolve({ data: joinRequest({ message: "Hi!" }), error: null }));
+    const notifications = resultQB();
+    tables({
+      groups: group(),
+      group_members: [resultQB(), resultQB({ data: [{ user_id: "owner-1" }, { user_id: "admin-1" }], error: null })],
+      group_join_requests: requests,
+      notifications,
+    });
+
+    const res = await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t").send({ message: " Hi! " });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("requested");
+    expect(requests.insert).toHaveBeenCalledWith([{ group_id: "1", user_id: "user123", message: "Hi!", status: "pending" }]);
+    expect(notifications.insert.mock.calls[0][0].map(n => [n.user_id, n.type])).toEqual([
+      ["owner-1", "group_join_request"],
+      ["admin-1", "group_join_request"],
+    ]);
+  });
+
+  test("a second pending request, or joining as a member, is a conflict", async () => {
+    asUser("user123");
+    tables({ groups: group(), group_members: resultQB(), group_join_requests: resultQB(undefined, { data: { id: 9 }, error: null }) });
+    const pending = await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t");
+    expect(pending.status).toBe(409);
+
+    tables({ groups: group(), group_members: resultQB(undefined, { data: { user_id: "user123" }, error: null }) });
+    const member = await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t");
+    expect(member.status).toBe(409);
+  });
+
+  test("private and archived groups can't be joined or viewed by outsiders", async () => {
+    asUser("user123");
+    tables({ groups: group({ visibility: "private" }) });
+    expect((await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t")).status).toBe(404);
+
+    tables({ groups: group({ archived_at: "2099-01-05T00:00:00Z" }) });
+    expect((await request(app).post("/api/groups/1/join").set("Authorization", "Bearer t")).status).toBe(404);
+  });
+
+  test("outsiders see a listed group's summary and their pending request", async () => {
+    asUser("user123");
+    tables({
+      groups: group(),
+      group_members: [roleQB(null), resultQB({ count: 4, data: null, error: null })],
+      group_join_requests: resultQB(undefined, { data: joinRequest(), error: null }),
+    });
+
+    const res = await request(app).get("/api/groups/1").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(res.body.group).toMatchObject({ id: 1, member_count: 4, my_role: null, my_request: { id: 9, status: "pending" } });
+    expect(res.body.group.recent_activity).toBeUndefined();
+  });
+
+  test("owners and admins list pending requests with requester profiles", async () => {
+    asUser("admin-1");
+    const requests = resultQB({ data: [joinRequest()], error: null });
+    tables({
+      groups: group(),
+      group_members: roleQB("admin"),
+      group_join_requests: requests,
+      profiles: resultQB({ data: [{ id: "user123", full_name: "Sam", degree: "CS", modules: [] }], error: null }),
+    });
+
+    const res = await request(app).get("/api/groups/1/join-requests").set("Authorization", "Bearer t");
+
+    expect(res.status).toBe(200);
+    expect(requests.eq).toHaveBeenCalledWith("status", "pending");
+    expect(res.body.requests[0]).toMatchObject({ id: 9, user_id: "user123", full_name: "Sam", degree: "CS" });
+
+    tables({ groups: group(), group_members: roleQB("member") });
+    const denied = await request(app).get("/api/groups/1/join-requests").set("Authorization", "Bearer t");
+    expect(denied.status).toBe(403);
+  });
+
+  test("approving a request adds the member and tells the requester", async () => {
+    asUser("owner-1");
+    const requests = resultQB({ data: null, error: null }, { data: joinRequest(), error: null });
+    const members = resultQB();
+    const notifications = resultQB();
+    tables({ groups: group(), group_join_requests: requests, group_members: members, notifications });
+
+    const res = await request(app)
+      .put("/api/group-join-requests/9")
+      .set("Authorization", "Bearer t")
+      .send({ status: "approved" });
+
+    expect(res.status).toBe(200);
+    expect(requests.update).toHaveBeenCalledWith({ status: "approved", decided_by: "owner-1", decided_at: expect.any(String) });
+    expect(members.upsert).toHaveBeenCalledWith([{ group_id: 1, user_id: "user123", role: "member" }], { onConflict: "group_id,user_id" });
+    expect(notifications.insert.mock.calls[0][0][0]).toMatchObject({ user_id: "user123", type: "group_join_answered" });
+  });
+
+  test("rejecting doesn't add the member; handled requests and outsiders are refused", async () => {
+    asUser("owner-1");
+    const members = resultQB();
+    tables({ groups: group(), group_join_requests: resultQB(undefined, { data: joinRequest(), error: null }), group_members: members });
+    const rejected = await request(app).put("/api/group-join-requests/9").set("Authorization", "Bearer t").send({ status: "rejected" });
+    expect(rejected.status).toBe(200);
+    expect(members.upsert).not.toHaveBeenCalled();
+
+    tables({ groups: group(), group_join_requests: resultQB(undefined, { data: joinRequest({ status: "approved" }), error: null }) });
+    const handled = await request(app).put("/api/group-join-requests/9").set("Authorization", "Bearer t").send({ status: "rejected" });
+    expect(handled.status).toBe(400);
+
+    asUser("user456");
+    tables({ groups: group(), group_members: roleQB("member"), group_join_requests: resultQB(undefined, { data: joinRequest(), error: null }) });
+    const outsider = await request(app).put("/api/group-join-requests/9").set("Authorization", "Bearer t").send({ status: "approved" });
+    expect(outsider.status).toBe(403);
+  });
+
+  test("nobody joins an archived group through an invitation or an approved request", async () => {
+    asUser("user123");
+    const invitations = resultQB({ data: null, error: null }, {
+      data: { group_id: 1, sender_id: "owner-1", recipient_id: "user123", status: "pending" }, error: null,
+    });
+    const members = resultQB();
+    tables({ groups: group({ archived_at: "2099-01-03T00:00:00Z" }), group_invitations: invitations, group_members: members });
+    const accepted = await request(app).put("/api/group-invitations/5").set("Authorization", "Bearer t").send({ status: "accepted" });
+    expect(accepted.status).toBe(409);
+    expect(accepted.body.error).toBe("Group is archived");
+    expect(invitations.update).not.toHaveBeenCalled();
+    expect(members.upsert).not.toHaveBeenCalled();
+
+    asUser("owner-1");
+    const requests = resultQB({ data: null, error: null }, { data: joinRequest(), error: null });
+    tables({ groups: group({ archived_at: "2099-01-03T00:00:00Z" }), group_join_requests: requests, group_members: members });
+    const approved = await request(app).put("/api/group-join-requests/9").set("Authorization", "Bearer t").send({ status: "approved" });
+    expect(approved.status).toBe(409);
+    expect(requests.update).not.toHaveBeenCalled();
+    expect(members.upsert).not.toHaveBeenCalled();
+  });
+
+  test("requesters withdraw their own pending request", async () => {
+    asUser("user123");
+    const requests = resultQB({ data: null, error: null }, { data: { user_id: "user123", status: "pending" }, error: null });
+    tables({ group_join_requests: requests });
+
+    const res = await request(app).delete("/api/group-join-requests/9").set("Authorization", "Bearer t");
+    expect(res.status).toBe(200);
+    expect(requests.update).toHaveBeenCalledWith({ status: "cancelled" });
+
+    asUser("user456");
+    const other = await request(app).delete("/api/group-join-requests/9").set("Authorization", "Bearer t");
+    expect(other.status).toBe(403);
+  });
+});
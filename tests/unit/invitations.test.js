@@ -38,6 +38,13 @@ beforeAll(async () => {
   app = mod.default || mod;
 });
 
+// Invitation list query: chainable, resolves to the rows wherever it is awaited
+const listQB = (data) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve({ data, error: null }).then(onFulfilled, onRejected) };
+  for (const m of ["select", "eq", "or", "lt", "gt", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  return qb;
+};
+
 describe("Invitations endpoints", () => {
   const mockUser = {
     id: "user123",
@@ -71,16 +78,7 @@ describe("Invitations endpoints", () => {
 
       supabaseMock.from.mockImplementation((table) => {
         if (table === "invitations") {
-          return {
-            select: jest.fn(() => ({
-              eq: jest.fn(() => ({
-                order: jest.fn().mockResolvedValue({
-                  data: [],
-                  error: null
-                })
-              }))
-            }))
-          };
+          return listQB([]);
         }
         return {};
       });
@@ -118,16 +116,7 @@ describe("Invitations endpoints", () => {
 
       supabaseMock.from.mockImplementation((table) => {
         if (table === "invitations") {
-          return {
-            select: jest.fn(() => ({
-              eq: jest.fn(() => ({
-                order: jest.fn().mockResolvedValue({
-                  data: mockInvitations,
-                  error: null
-                })
-              }))
-            }))
-          };
+          return listQB(mockInvitations);
         }
         if (table === "profiles") {
           return {
@@ -155,6 +144,54 @@ describe("Invitations endpoints", () => {
         sender_name: "John Sender"
       });
     });
+
+    it("should page through invitations with a cursor", async () => {
+      supabaseMock.auth.getUser.mockResolvedValue({
+        data: { user: mockUser },
+        error: null
+      });
+
+      const invitations = listQB([
+        { id: 9, sender_id: "sender123", recipient_id: "user123", status: "pending", sent_at: "2025-01-03T00:00:00Z" },
+        { id: 8, sender_id: "sender123", recipient_id: "user123", status: "pending", sent_at: "2025-01-02T00:00:00Z" },
+      ]);
+      supabaseMock.from.mockImplementation((table) => {
+        if (table === "invitations") return invitations;
+        if (table === "profiles") return { select: jest.fn(() => ({ in: jest.fn().mockResolvedValue({ data: [], error: null }) })) };
+        return {};
+      });
+
+      const res = await request(app)
+        .get("/api/invitations/received?limit=1")
+        .set("Authorization", "Bearer valid_token");
+
+      expect(res.status).toBe(200);
+      expect(res.body.invitations.map(i => i.id)).toEqual([9]);
+      expect(res.body.has_more).toBe(true);
+      expect(invitations.order).toHaveBeenCalledWith("sent_at", { ascending: false });
+      expect(invitations.limit).toHaveBeenCalledWith(2);
+
+      const next = await request(app)
+        .get(`/api/invitations/received?limit=1&before=${res.body.next_cursor}`)
+        .set("Authorization", "Bearer valid_token");
+
+      expect(next.status).toBe(200);
+      expect(invitations.or).toHaveBeenCalledWith(expect.stringMatching(/^sent_at\.lt\."2025-01-03T00:00:00Z"/));
+    });
+
+    it("should return 400 for an invalid cursor", async () => {
+      supabaseMock.auth.getUser.mockResolvedValue({
+        data: { user: mockUser },
+        error: null
+      });
+
+      const res = await request(app)
+        .get("/api/invitations/received?after=not-a-cursor")
+        .set("Authorization", "Bearer valid_token");
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Invalid cursor");
+    });
   });
 
   describe("GET /api/invitations/sent", () => {
@@ -179,16 +216,7 @@ describe("Invitations endpoints", () => {
 
       supabaseMock.from.mockImplementation((table) => {
         if (table === "invitations") {
-          return {
-            select: jest.fn(() => ({
-              eq: jest.fn(() => ({
-                order: jest.fn().mockResolvedValue({
-                  data: [],
-                  error: null
-                })
-              }))
-            }))
-          };
+          return listQB([]);
         }
         return {};
       });
@@ -226,16 +254,7 @@ describe("Invitations endpoints", () => {
 
       supabaseMock.from.mockImplementation((table) => {
         if (table === "invitations") {
-          return {
-            select: jest.fn(() => ({
-              eq: jest.fn(() => ({
-                order: jest.fn().mockResolvedValue({
-                  data: mockInvitations,
-                  error: null
-                })
-              }))
-            }))
-          };
+          return listQB(mockInvitations);
         }
         if (table === "profiles") {
           return {
@@ -433,8 +452,10 @@ describe("Invitations endpoints", () => {
             })
           };
         }
+        if (table === "notifications") return notifications;
         return {};
       });
+      const notifications = { insert: jest.fn().mockResolvedValue({ data: null, error: null }) };
 
       const res = await request(app)
         .put("/api/invitations/1")
@@ -443,6 +464,12 @@ describe("Invitations endpoints", () => {
 
       expect(res.status).toBe(200);
       expect(res.body.message).toBe("Invitation accepted");
+      expect(notifications.insert).toHaveBeenCalledWith([expect.objectContaining({
+        user_id: "sender123",
+        actor_id: "user123",
+        type: "friend_invite_answered",
+        data: { invitation_id: "1", status: "accepted" },
+      })]);
     });
 
     it("should decline invitation without creating friendships", async () => {
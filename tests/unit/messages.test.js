@@ -0,0 +1,397 @@
+// tests/unit/messages.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+let realtime;
+
+beforeAll(async () => {
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => {
+        if (token === "student.token") return { data: { user: { id: "user-123" } }, error: null };
+        if (token === "owner.token") return { data: { user: { id: "owner-1" } }, error: null };
+        return { data: { user: null }, error: null };
+      }),
+    },
+    from: jest.fn(),
+    rpc: jest.fn(),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+  realtime = await import("../../src/utils/realtime.js");
+});
+
+// Thenable builder; single/maybeSingle resolve `single`
+const resultQB = (result = { data: [], error: null }, single = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "update", "delete", "upsert", "eq", "in", "is", "or", "gte", "lte", "textSearch", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  qb.single = jest.fn(() => Promise.resolve(single));
+  qb.maybeSingle = jest.fn(() => Promise.resolve(single));
+  return qb;
+};
+
+const member = () => resultQB({ data: [], error: null }, { data: { user_id: "x" }, error: null });
+
+const message = (overrides = {}) => ({
+  id: 5,
+  group_id: 1,
+  session_id: null,
+  sender_id: "user-123",
+  content: "hello",
+  attachment_url: null,
+  reply_to: null,
+  edited_at: null,
+  deleted_at: null,
+  created_at: "2099-01-01T10:00:00Z",
+  ...overrides,
+});
+
+/** Route each table to a builder; group_messages builders are used in order */
+function tables(map) {
+  const queues = Object.fromEntries(Object.entries(map).map(([t, qb]) => [t, [].concat(qb)]));
+  supabaseMock.from = jest.fn((table) => {
+    const queue = queues[table];
+    if (!queue) return resultQB();
+    return queue.length > 1 ? queue.shift() : queue[0];
+  });
+}
+
+beforeEach(() => realtime.resetRealtime());
+
+describe("Editing messages", () => {
+  test("the sender edits and edited_at is set", async () => {
+    const load = resultQB(undefined, { data: message(), error: null });
+    const save = resultQB(undefined, { data: message({ content: "fixed", edited_at: "2099-01-01T10:05:00Z" }), error: null });
+    tables({ group_members: member(), group_messages: [load, save] });
+
+    const res = await request(app)
+      .patch("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "fixed" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message.content).toBe("fixed");
+    expect(save.update).toHaveBeenCalledWith({ content: "fixed", edited_at: expect.any(String) });
+  });
+
+  test("403 for someone else's message", async () => {
+    tables({ group_members: member(), group_messages: resultQB(undefined, { data: message({ sender_id: "user-9" }), error: null }) });
+
+    const res = await request(app)
+      .patch("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "mine now" });
+
+    expect(res.status).toBe(403);
+  });
+
+  test("409 for a deleted message and 400 without content", async () => {
+    tables({ group_members: member(), group_messages: resultQB(undefined, { data: message({ deleted_at: "2099-01-01T11:00:00Z" }), error: null }) });
+
+    const deleted = await request(app)
+      .patch("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "x" });
+    expect(deleted.status).toBe(409);
+
+    const empty = await request(app)
+      .patch("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "  " });
+    expect(empty.status).toBe(400);
+  });
+});
+
+describe("Deleting messages", () => {
+  test("the sender soft deletes and gets a tombstone back", async () => {
+    const load = resultQB(undefined, { data: message(), error: null });
+    const save = resultQB(undefined, { data: message({ deleted_at: "2099-01-01T11:00:00Z" }), error: null });
+    tables({ group_members: member(), group_messages: [load, save] });
+    const received = [];
+    realtime.subscribe([realtime.groupChannel("1")], (e) => received.push(e));
+
+    const res = await request(app)
+      .delete("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(save.update).toHaveBeenCalledWith({ deleted_at: expect.any(String), deleted_by: "user-123" });
+    expect(res.body.message).toMatchObject({ id: 5, content: null, deleted: true });
+    expect(received.map(e => e.type)).toEqual(["message.deleted"]);
+  });
+
+  test("a group owner/admin can delete anyone's message, other members can't", async () => {
+    const role = (r) => resultQB(undefined, { data: { user_id: "x", role: r }, error: null });
+    tables({
+      group_members: role("admin"),
+      group_messages: [
+        resultQB(undefined, { data: message({ sender_id: "user-9" }), error: null }),
+        resultQB(undefined, { data: message({ sender_id: "user-9", deleted_at: "2099-01-01T11:00:00Z" }), error: null }),
+      ],
+    });
+
+    const res = await request(app)
+      .delete("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer owner.token");
+    expect(res.status).toBe(200);
+
+    tables({ group_members: role("member"), group_messages: resultQB(undefined, { data: message({ sender_id: "user-9" }), error: null }) });
+    const denied = await request(app)
+      .delete("/api/groups/1/messages/5")
+      .set("Authorization", "Bearer student.token");
+    expect(denied.status).toBe(403);
+  });
+});
+
+describe("Reactions", () => {
+  test("PUT adds my reaction once and returns the summary", async () => {
+    const reactions = resultQB({
+      data: [
+        { message_id: 5, user_id: "user-123", emoji: "👍", created_at: "2099-01-01T10:01:00Z" },
+        { message_id: 5, user_id: "user-9", emoji: "👍", created_at: "2099-01-01T10:02:00Z" },
+        { message_id: 5, user_id: "user-9", emoji: "🎉", created_at: "2099-01-01T10:03:00Z" },
+      ],
+      error: null,
+    });
+    tables({
+      group_members: member(),
+      group_messages: [resultQB(undefined, { data: message(), error: null }), resultQB({ data: [], error: null })],
+      message_reactions: reactions,
+    });
+
+    const res = await request(app)
+      .put(`/api/groups/1/messages/5/reactions/${encodeURIComponent("👍")}`)
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(reactions.upsert).toHaveBeenCalledWith(
+      { message_id: 5, user_id: "user-123", emoji: "👍" },
+      { onConflict: "message_id,user_id,emoji", ignoreDuplicates: true }
+    );
+    expect(res.body.reactions).toEqual([
+      { emoji: "👍", count: 2, reacted: true },
+      { emoji: "🎉", count: 1, reacted: false },
+    ]);
+  });
+
+  test("400 for text that isn't an emoji", async () => {
+    tables({ group_members: member() });
+    const res = await request(app)
+      .put("/api/groups/1/messages/5/reactions/lol")
+      .set("Authorization", "Bearer student.token");
+    expect(res.status).toBe(400);
+  });
+
+  test("DELETE removes only my reaction", async () => {
+    const reactions = resultQB({ data: [{ id: 1 }], error: null });
+    tables({
+      group_members: member(),
+      group_messages: [resultQB(undefined, { data: message(), error: null }), resultQB({ data: [], error: null })],
+      message_reactions: reactions,
+    });
+
+    const res = await request(app)
+      .delete(`/api/groups/1/messages/5/reactions/${encodeURIComponent("🎉")}`)
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(reactions.delete).toHaveBeenCalled();
+    expect(reactions.eq).toHaveBeenCalledWith("user_id", "user-123");
+    expect(reactions.eq).toHaveBeenCalledWith("emoji", "🎉");
+  });
+});
+
+describe("Replies and the listing", () => {
+  test("POST rejects reply_to outside the group", async () => {
+    tables({ group_members: member(), group_messages: resultQB(undefined, { data: null, error: null }) });
+
+    const res = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "re", reply_to: 999 });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("409 when the group is archived", async () => {
+    const insert = resultQB();
+    tables({
+      group_members: member(),
+      groups: resultQB(undefined, { data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }),
+      group_messages: insert,
+    });
+
+    const res = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "anyone here?" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe("Group is archived");
+    expect(insert.insert).not.toHaveBeenCalled();
+  });
+
+  test("POST stores reply_to", async () => {
+    const insert = resultQB(undefined, { data: message({ id: 6, reply_to: 5 }), error: null });
+    tables({ group_members: member(), group_messages: [resultQB(undefined, { data: message(), error: null }), insert] });
+
+    const res = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ content: "re", reply_to: 5 });
+
+    expect(res.status).toBe(200);
+    expect(insert.insert).toHaveBeenCalledWith([expect.objectContaining({ reply_to: 5 })]);
+  });
+
+  test("POST attaches an uploaded file of the group", async () => {
+    const file = { id: 3, group_id: 1, uploader_id: "user-123", path: "groups/1/x-notes.pdf", filename: "notes.pdf", mime_type: "application/pdf", size_bytes: 11 };
+    const insert = resultQB(undefined, { data: message({ id: 6, content: null, attachment_file_id: 3 }), error: null });
+    tables({ group_members: member(), group_files: resultQB(undefined, { data: file, error: null }), group_messages: insert });
+
+    const res = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ file_id: 3 });
+
+    expect(res.status).toBe(200);
+    expect(insert.insert).toHaveBeenCalledWith([expect.objectContaining({ attachment_file_id: 3 })]);
+    expect(res.body.message.attachment).toEqual({ id: 3, filename: "notes.pdf", mime_type: "application/pdf", size_bytes: 11 });
+  });
+
+  test("POST rejects files from elsewhere and links that aren't http(s)", async () => {
+    tables({ group_members: member(), group_files: resultQB(undefined, { data: null, error: null }) });
+
+    const foreign = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ file_id: 99 });
+    expect(foreign.status).toBe(400);
+
+    const link = await request(app)
+      .post("/api/groups/1/messages")
+      .set("Authorization", "Bearer student.token")
+      .send({ attachment_url: "javascript:alert(1)" });
+    expect(link.status).toBe(400);
+  });
+
+  test("GET shows tombstones, edits, reactions and reply counts", async () => {
+    const list = resultQB({
+      data: [
+        message({ id: 7, reply_to: 5, content: "agreed", edited_at: "2099-01-01T10:10:00Z", created_at: "2099-01-01T10:09:00Z" }),
+        message({ id: 5, content: "secret", deleted_at: "2099-01-01T10:20:00Z" }),
+      ],
+      error: null,
+    });
+    const replies = resultQB({ data: [{ reply_to: 5 }], error: null });
+    tables({
+      group_members: member(),
+      group_messages: [list, replies],
+      profiles: resultQB({ data: [{ id: "user-123", full_name: "Sam" }], error: null }),
+      message_reactions: resultQB({ data: [{ message_id: 7, user_id: "user-9", emoji: "👍", created_at: "x" }], error: null }),
+    });
+
+    const res = await request(app)
+      .get("/api/groups/1/messages?reply_to=5")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(list.eq).toHaveBeenCalledWith("reply_to", "5");
+    const [deleted, reply] = res.body.messages;
+    expect(deleted).toMatchObject({ id: 5, content: null, deleted: true, reply_count: 1, reactions: [] });
+    expect(reply).toMatchObject({
+      id: 7,
+      content: "agreed",
+      edited_at: "2099-01-01T10:10:00Z",
+      deleted: false,
+      sender_name: "Sam",
+      reactions: [{ emoji: "👍", count: 1, reacted: false }],
+    });
+  });
+});
+
+describe("GET /api/groups/:groupId/messages/search", () => {
+  // as search_group_messages returns them: best match first
+  const hits = [
+    { ...message({ id: 10, content: "Uploaded the past paper with <b>integrals</b> and the integral memo", sender_id: "user-9", created_at: "2099-01-02T10:00:00Z" }), rank: 0.0759 },
+    { ...message({ id: 11, content: "Integrals tonight?", created_at: "2099-01-03T10:00:00Z" }), rank: 0.0607 },
+  ];
+  const searchRpc = (result) => {
+    const search = resultQB(result);
+    supabaseMock.rpc = jest.fn(() => search);
+    return search;
+  };
+
+  test("pages through the ranked matches from Postgres with highlighted snippets", async () => {
+    const search = searchRpc({ data: hits, error: null });
+    tables({
+      group_members: member(),
+      group_messages: resultQB({ data: [], error: null }),
+      profiles: resultQB({ data: [{ id: "user-9", full_name: "Lee" }], error: null }),
+    });
+
+    const res = await request(app)
+      .get("/api/groups/1/messages/search?q=integral%20paper&limit=1")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(supabaseMock.rpc).toHaveBeenCalledWith("search_group_messages", { p_group_id: "1", p_query: "integral paper" });
+    expect(search.order).toHaveBeenCalledWith("rank", { ascending: false });
+    expect(search.order).toHaveBeenCalledWith("id", { ascending: false });
+    expect(search.limit).toHaveBeenCalledWith(2);
+    expect(res.body.results.map(r => r.id)).toEqual([10]);
+    expect(res.body.results[0]).toMatchObject({ sender_name: "Lee", rank: 0.0759 });
+    expect(res.body.results[0].snippet).toBe(
+      "Uploaded the past <mark>paper</mark> with &lt;b&gt;<mark>integrals</mark>&lt;/b&gt; and the <mark>integral</mark> memo"
+    );
+    expect(res.body.has_more).toBe(true);
+
+    const next = searchRpc({ data: [hits[1]], error: null });
+    const more = await request(app)
+      .get(`/api/groups/1/messages/search?q=integral%20paper&limit=1&before=${res.body.next_cursor}`)
+      .set("Authorization", "Bearer student.token");
+
+    expect(more.status).toBe(200);
+    expect(next.or).toHaveBeenCalledWith('rank.lt."0.0759",and(rank.eq."0.0759",id.lt."10")');
+    expect(more.body.results.map(r => r.id)).toEqual([11]);
+    expect(more.body.has_more).toBe(false);
+  });
+
+  test("filters by sender and date range", async () => {
+    const search = searchRpc({ data: [], error: null });
+    tables({ group_members: member() });
+
+    const res = await request(app)
+      .get("/api/groups/1/messages/search?q=integrals&sender=user-9&from=2099-01-01&to=2099-01-31")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(search.eq).toHaveBeenCalledWith("sender_id", "user-9");
+    expect(search.gte).toHaveBeenCalledWith("created_at", "2099-01-01T00:00:00.000Z");
+    expect(search.lte).toHaveBeenCalledWith("created_at", "2099-01-31T23:59:59.999Z");
+  });
+
+  test("400 for a missing query or bad dates, 403 for non-members", async () => {
+    searchRpc({ data: [], error: null });
+    tables({ group_members: member() });
+    const short = await request(app)
+      .get("/api/groups/1/messages/search?q=a")
+      .set("Authorization", "Bearer student.token");
+    expect(short.status).toBe(400);
+
+    const badDate = await request(app)
+      .get("/api/groups/1/messages/search?q=integrals&from=yesterday")
+      .set("Authorization", "Bearer student.token");
+    expect(badDate.status).toBe(400);
+
+    tables({ group_members: resultQB(undefined, { data: null, error: null }) });
+    const outsider = await request(app)
+      .get("/api/groups/1/messages/search?q=integrals")
+      .set("Authorization", "Bearer student.token");
+    expect(outsider.status).toBe(403);
+  });
+});
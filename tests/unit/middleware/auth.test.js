@@ -0,0 +1,131 @@
+// tests/unit/middleware/auth.test.js
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+let profileQB;
+
+const mockUser = { id: "user-123", email: "user@test.com" };
+
+beforeAll(async () => {
+  profileQB = {
+    select: jest.fn(() => profileQB),
+    eq: jest.fn(() => profileQB),
+    maybeSingle: jest.fn(() =>
+      Promise.resolve({ data: { id: "user-123", full_name: "Test User", email: "user@test.com" }, error: null })
+    ),
+  };
+
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => {
+        if (token === "valid.token") return { data: { user: mockUser }, error: null };
+        if (token === "expired.token") {
+          return { data: { user: null }, error: { code: "bad_jwt", message: "invalid JWT: token is expired" } };
+        }
+        if (token === "broken.token") {
+          return { data: { user: null }, error: { code: "bad_jwt", message: "invalid JWT: signature invalid" } };
+        }
+        return { data: { user: null }, error: null };
+      }),
+    },
+    from: jest.fn(() => profileQB),
+  };
+
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({
+    createClient: () => supabaseMock,
+  }));
+
+  const { authenticate, requireAuth, optionalAuth } = await import("../../../src/middleware/auth.js");
+
+  app = express();
+  app.use(authenticate);
+  app.get("/required", requireAuth(), (req, res) => res.json({ user: req.user.id }));
+  app.get("/with-profile", requireAuth({ profile: true }), (req, res) => res.json({ profile: req.profile }));
+  app.get("/optional", optionalAuth(), (req, res) => res.json({ user: req.user?.id || null }));
+
+  // router mounted without the app-level authenticate still works
+  const standalone = express();
+  standalone.get("/required", requireAuth(), (req, res) => res.json({ user: req.user.id }));
+  app.use("/standalone", standalone);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe("requireAuth", () => {
+  test("401 missing_token when no Authorization header", async () => {
+    const res = await request(app).get("/required");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Unauthorized", code: "missing_token" });
+    expect(supabaseMock.auth.getUser).not.toHaveBeenCalled();
+  });
+
+  test("401 invalid_token when Supabase returns no user", async () => {
+    const res = await request(app).get("/required").set("Authorization", "Bearer nobody.token");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
+  });
+
+  test("401 invalid_token when Supabase rejects the token", async () => {
+    const res = await request(app).get("/required").set("Authorization", "Bearer broken.token");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
+  });
+
+  test("401 token_expired when the token has expired", async () => {
+    const res = await request(app).get("/required").set("Authorization", "Bearer expired.token");
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Unauthorized", code: "token_expired" });
+  });
+
+  test("attaches req.user and verifies the token only once", async () => {
+    const res = await request(app).get("/required").set("Authorization", "Bearer valid.token");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: "user-123" });
+    expect(supabaseMock.auth.getUser).toHaveBeenCalledTimes(1);
+    expect(supabaseMock.auth.getUser).toHaveBeenCalledWith("valid.token");
+  });
+
+  test("loads req.profile when asked to", async () => {
+    const res = await request(app).get("/with-profile").set("Authorization", "Bearer valid.token");
+    expect(res.status).toBe(200);
+    expect(res.body.profile).toEqual({ id: "user-123", full_name: "Test User", email: "user@test.com" });
+    expect(supabaseMock.from).toHaveBeenCalledWith("profiles");
+    expect(profileQB.eq).toHaveBeenCalledWith("id", "user-123");
+  });
+
+  test("does not load the profile by default", async () => {
+    await request(app).get("/required").set("Authorization", "Bearer valid.token");
+    expect(supabaseMock.from).not.toHaveBeenCalled();
+  });
+
+  test("resolves the token itself when authenticate was not mounted", async () => {
+    const res = await request(app).get("/standalone/required").set("Authorization", "Bearer valid.token");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: "user-123" });
+  });
+});
+
+describe("optionalAuth", () => {
+  test("lets anonymous requests through with req.user = null", async () => {
+    const res = await request(app).get("/optional");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: null });
+  });
+
+  test("attaches the user when a valid token is sent", async () => {
+    const res = await request(app).get("/optional").set("Authorization", "Bearer valid.token");
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user: "user-123" });
+  });
+
+  test("still rejects an expired token", async () => {
+    const res = await request(app).get("/optional").set("Authorization", "Bearer expired.token");
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("token_expired");
+  });
+});
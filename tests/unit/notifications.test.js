@@ -0,0 +1,281 @@
+// tests/unit/notifications.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+let createUnsubscribeToken;
+
+const prefsQB = (row) => {
+  const qb = {
+    select: jest.fn(() => qb),
+    eq: jest.fn(() => qb),
+    upsert: jest.fn(() => qb),
+    maybeSingle: jest.fn(async () => ({ data: row, error: null })),
+    single: jest.fn(async () => ({ data: row, error: null })),
+  };
+  return qb;
+};
+
+beforeAll(async () => {
+  process.env.UNSUBSCRIBE_SECRET = "test-unsubscribe-secret";
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => (token === "student.token"
+        ? { data: { user: { id: "user-123" } }, error: null }
+        : { data: { user: null }, error: null })),
+    },
+    from: jest.fn(),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+  ({ createUnsubscribeToken } = await import("../../src/utils/unsubscribeTokens.js"));
+});
+
+// Thenable builder for notifications / profiles; maybeSingle resolves the same result
+const resultQB = (result = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "update", "delete", "eq", "is", "in", "or", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  qb.maybeSingle = jest.fn(() => Promise.resolve(result));
+  return qb;
+};
+
+describe("Notification center", () => {
+  const rows = [
+    { id: 12, type: "group_invite", actor_id: "user-9", title: "You're invited to join Maths", body: null, data: { group_id: 4 }, read_at: null, created_at: "2099-01-02T00:00:00Z" },
+    { id: 11, type: "friend_invite", actor_id: "user-8", title: "New friend request", body: null, data: {}, read_at: "2099-01-01T10:00:00Z", created_at: "2099-01-01T00:00:00Z" },
+  ];
+
+  test("GET lists my notifications with actor names and unread count", async () => {
+    const list = resultQB({ data: [...rows, { ...rows[1], id: 10 }], error: null });
+    const unread = resultQB({ count: 3, error: null });
+    const notificationBuilders = [list, unread];
+    supabaseMock.from = jest.fn((table) => (table === "profiles"
+      ? resultQB({ data: [{ id: "user-9", full_name: "Sam" }, { id: "user-8", full_name: "Lee" }], error: null })
+      : notificationBuilders.shift()));
+
+    const res = await request(app)
+      .get("/api/notifications")
+      .query({ limit: 2 })
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body.notifications.map(n => n.actor_name)).toEqual(["Sam", "Lee"]);
+    expect(res.body).toMatchObject({ unread_count: 3, has_more: true });
+    expect(res.body.next_cursor).toEqual(expect.any(String));
+    expect(res.body.prev_cursor).toEqual(expect.any(String));
+    expect(list.eq).toHaveBeenCalledWith("user_id", "user-123");
+    expect(list.order).toHaveBeenCalledWith("created_at", { ascending: false });
+    expect(list.limit).toHaveBeenCalledWith(3); // one extra row tells whether there is another page
+    expect(unread.is).toHaveBeenCalledWith("read_at", null);
+  });
+
+  test("GET ?unread=true filters, caps the page size and continues from next_cursor", async () => {
+    const first = resultQB({ data: rows, error: null });
+    const builders = [first, resultQB({ count: 1, error: null })];
+    supabaseMock.from = jest.fn(() => builders.shift() || resultQB({ data: [], error: null }));
+
+    const page1 = await request(app)
+      .get("/api/notifications")
+      .query({ unread: "true", limit: 1 })
+      .set("Authorization", "Bearer student.token");
+    expect(page1.status).toBe(200);
+    expect(first.is).toHaveBeenCalledWith("read_at", null);
+    expect(page1.body.notifications.map(n => n.id)).toEqual([12]);
+
+    const next = resultQB({ data: [rows[1]], error: null });
+    builders.push(next, resultQB({ count: 1, error: null }));
+    const page2 = await request(app)
+      .get("/api/notifications")
+      .query({ unread: "true", limit: 1000, before: page1.body.next_cursor })
+      .set("Authorization", "Bearer student.token");
+
+    expect(page2.status).toBe(200);
+    expect(next.limit).toHaveBeenCalledWith(101);
+    expect(next.or).toHaveBeenCalledWith(expect.stringContaining(`created_at.lt."2099-01-02T00:00:00Z"`));
+    expect(page2.body).toMatchObject({ has_more: false, next_cursor: null });
+  });
+
+  test("GET rejects a malformed cursor", async () => {
+    supabaseMock.from = jest.fn(() => resultQB({ data: [], error: null }));
+
+    const res = await request(app)
+      .get("/api/notifications")
+      .query({ before: "not-a-cursor" })
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(400);
+    expect(supabaseMock.from).not.toHaveBeenCalled();
+  });
+
+  test("PUT :id/read marks only my notification", async () => {
+    const qb = resultQB({ data: { ...rows[0], read_at: "2099-01-03T00:00:00Z" }, error: null });
+    supabaseMock.from = jest.fn(() => qb);
+
+    const res = await request(app)
+      .put("/api/notifications/12/read")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(qb.update).toHaveBeenCalledWith({ read_at: expect.any(String) });
+    expect(qb.eq).toHaveBeenCalledWith("user_id", "user-123");
+  });
+
+  test("PUT :id/read is a 404 for someone else's notification", async () => {
+    supabaseMock.from = jest.fn(() => resultQB({ data: null, error: null }));
+
+    const res = await request(app)
+      .put("/api/notifications/99/read")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(404);
+  });
+
+  test("PUT read-all marks every unread notification", async () => {
+    const qb = resultQB({ data: [{ id: 1 }, { id: 2 }], error: null });
+    supabaseMock.from = jest.fn(() => qb);
+
+    const res = await request(app)
+      .put("/api/notifications/read-all")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ updated: 2 });
+    expect(qb.is).toHaveBeenCalledWith("read_at", null);
+  });
+
+  test("DELETE removes my notification", async () => {
+    const qb = resultQB({ data: { id: 12 }, error: null });
+    supabaseMock.from = jest.fn(() => qb);
+
+    const res = await request(app)
+      .delete("/api/notifications/12")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(qb.delete).toHaveBeenCalled();
+    expect(qb.eq).toHaveBeenCalledWith("user_id", "user-123");
+  });
+
+  test("GET unread-count", async () => {
+    supabaseMock.from = jest.fn(() => resultQB({ count: 4, error: null }));
+
+    const res = await request(app)
+      .get("/api/notifications/unread-count")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.body).toEqual({ unread_count: 4 });
+  });
+});
+
+describe("Notification preferences", () => {
+  test("GET returns everything on when nothing is saved", async () => {
+    supabaseMock.from = jest.fn(() => prefsQB(null));
+
+    const res = await request(app)
+      .get("/api/notifications/preferences")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      email_enabled: true, session_invites: true, conflicts: true, reminders: true, social_invites: true, digests: true,
+    });
+  });
+
+  test("PUT upserts only the given categories", async () => {
+    const qb = prefsQB({ reminders: false });
+    supabaseMock.from = jest.fn(() => qb);
+
+    const res = await request(app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", "Bearer student.token")
+      .send({ reminders: false });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ reminders: false, conflicts: true });
+    const [row, opts] = qb.upsert.mock.calls[0];
+    expect(row).toMatchObject({ user_id: "user-123", reminders: false });
+    expect(row).not.toHaveProperty("conflicts");
+    expect(opts).toEqual({ onConflict: "user_id" });
+  });
+
+  test("PUT rejects unknown categories and non-booleans", async () => {
+    let res = await request(app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", "Bearer student.token")
+      .send({ spam: false });
+    expect(res.status).toBe(400);
+
+    res = await request(app)
+      .put("/api/notifications/preferences")
+      .set("Authorization", "Bearer student.token")
+      .send({ digests: "no" });
+    expect(res.status).toBe(400);
+  });
+
+  test("requires login", async () => {
+    const res = await request(app).get("/api/notifications/preferences");
+    expect(res.status).toBe(401);
+  });
+});
+
+describe("Unsubscribe links", () => {
+  test("GET only shows a confirmation page that posts back to the link", async () => {
+    const qb = prefsQB({ reminders: false });
+    supabaseMock.from = jest.fn(() => qb);
+    const token = createUnsubscribeToken({ userId: "user-456", category: "reminders" });
+
+    const res = await request(app).get(`/api/notifications/unsubscribe/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/html/);
+    expect(res.text).toContain("session reminders");
+    expect(res.text).toContain(`<form method="post" action="/api/notifications/unsubscribe/${token}">`);
+    expect(supabaseMock.from).not.toHaveBeenCalled();
+  });
+
+  test("POST from the confirmation page turns the token's category off without logging in", async () => {
+    const qb = prefsQB({ reminders: false });
+    supabaseMock.from = jest.fn(() => qb);
+    const token = createUnsubscribeToken({ userId: "user-456", category: "reminders" });
+
+    const res = await request(app).post(`/api/notifications/unsubscribe/${token}`).type("form").send("");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/html/);
+    expect(res.text).toContain("You&#39;re unsubscribed");
+    expect(qb.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: "user-456", reminders: false }),
+      { onConflict: "user_id" }
+    );
+  });
+
+  test("POST one-click with an \"all\" token turns off every email", async () => {
+    const qb = prefsQB({ email_enabled: false });
+    supabaseMock.from = jest.fn(() => qb);
+    const token = createUnsubscribeToken({ userId: "user-456" });
+
+    const res = await request(app)
+      .post(`/api/notifications/unsubscribe/${token}`)
+      .type("form")
+      .send("List-Unsubscribe=One-Click");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true });
+    expect(qb.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: "user-456", email_enabled: false }),
+      { onConflict: "user_id" }
+    );
+  });
+
+  test("rejects forged tokens", async () => {
+    supabaseMock.from = jest.fn(() => prefsQB(null));
+    const res = await request(app).get("/api/notifications/unsubscribe/abc.def");
+
+    expect(res.status).toBe(400);
+    expect(res.text).toContain("not valid");
+    expect(supabaseMock.from).not.toHaveBeenCalled();
+  });
+});
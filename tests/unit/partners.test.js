@@ -0,0 +1,312 @@
+// tests/unit/partners.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+let partnerKeys;
+
+const makeQB = (handlers = {}) => {
+  const resolve = (key, fallback = { data: [], error: null }) =>
+    Promise.resolve(handlers[key] ? handlers[key]() : fallback);
+
+  const qb = {
+    select: jest.fn(() => proxy),
+    insert: jest.fn(() => proxy),
+    update: jest.fn(() => proxy),
+    delete: jest.fn(() => proxy),
+    eq: jest.fn(() => proxy),
+    in: jest.fn(() => proxy),
+    order: jest.fn(() => proxy),
+    limit: jest.fn(() => proxy),
+    single: jest.fn(() => resolve("single", { data: null, error: null })),
+    maybeSingle: jest.fn(() => resolve("maybeSingle", { data: null, error: null })),
+  };
+
+  const proxy = new Proxy(qb, {
+    get(target, prop) {
+      if (prop === "then") {
+        return (onFulfilled, onRejected) => resolve("await").then(onFulfilled, onRejected);
+      }
+      return target[prop];
+    },
+  });
+  return proxy;
+};
+
+const admin = { id: "admin-1", email: "admin@test.com" };
+const student = { id: "user-123", email: "student@test.com" };
+
+beforeAll(async () => {
+  process.env.ADMIN_USER_IDS = "admin-1";
+
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => {
+        if (token === "admin.token") return { data: { user: admin }, error: null };
+        if (token === "student.token") return { data: { user: student }, error: null };
+        return { data: { user: null }, error: null };
+      }),
+    },
+    from: jest.fn(() => makeQB()),
+    _setFrom: (mapping) => {
+      supabaseMock.from = jest.fn((table) => mapping[table] || makeQB());
+    },
+  };
+
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({
+    createClient: () => supabaseMock,
+  }));
+
+  partnerKeys = await import("../../src/utils/partnerKeys.js");
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+});
+
+beforeEach(() => {
+  supabaseMock.from = jest.fn(() => makeQB());
+  partnerKeys.partnerRateLimiter.reset();
+});
+
+describe("Partner key helpers", () => {
+  test("generateKey returns a prefixed key whose hash matches", () => {
+    const { key, key_prefix, key_hash } = partnerKeys.generateKey();
+    expect(key.startsWith(`lk_${key_prefix}_`)).toBe(true);
+    expect(key_hash).toBe(partnerKeys.hashKey(key));
+    expect(key_hash).not.toContain(key);
+  });
+
+  test("allowsGroup treats an empty group list as any group", () => {
+    expect(partnerKeys.allowsGroup({ group_ids: null }, 5)).toBe(true);
+    expect(partnerKeys.allowsGroup({ group_ids: [1, 2] }, "2")).toBe(true);
+    expect(partnerKeys.allowsGroup({ group_ids: [1, 2] }, 3)).toBe(false);
+  });
+});
+
+describe("Admin partner key endpoints", () => {
+  test("403 for non-admins", async () => {
+    const res = await request(app)
+      .get("/api/admin/partner-keys")
+      .set("Authorization", "Bearer student.token");
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: "Admin only" });
+  });
+
+  test("401 without a token", async () => {
+    const res = await request(app).get("/api/admin/partner-keys");
+    expect(res.status).toBe(401);
+  });
+
+  test("400 for unknown scopes", async () => {
+    const res = await request(app)
+      .post("/api/admin/partner-keys")
+      .set("Authorization", "Bearer admin.token")
+      .send({ name: "Race IQ", scopes: ["sessions:read", "everything"] });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain("everything");
+  });
+
+  test("creates a key, stores only the hash and returns the plaintext once", async () => {
+    const insertQB = makeQB({
+      single: () => ({ data: { id: 1, name: "Race IQ", scopes: ["sessions:read"] }, error: null }),
+    });
+    const profilesQB = makeQB({ maybeSingle: () => ({ data: { id: "service-user" }, error: null }) });
+    supabaseMock._setFrom({ partner_api_keys: insertQB, profiles: profilesQB });
+
+    const res = await request(app)
+      .post("/api/admin/partner-keys")
+      .set("Authorization", "Bearer admin.token")
+      .send({ name: "Race IQ", scopes: ["sessions:read"], group_ids: [7], user_id: "service-user" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.key).toMatch(/^lk_[0-9a-f]+_/);
+    expect(res.body.partner_key.id).toBe(1);
+
+    const [[row]] = insertQB.insert.mock.calls[0];
+    expect(row.key_hash).toBe(partnerKeys.hashKey(res.body.key));
+    expect(row).not.toHaveProperty("key");
+    expect(row.group_ids).toEqual([7]);
+    expect(row.user_id).toBe("service-user");
+    expect(row.created_by).toBe("admin-1");
+    expect(profilesQB.eq).toHaveBeenCalledWith("id", "service-user");
+  });
+
+  test("400 without user_id or for an unknown profile", async () => {
+    const insertQB = makeQB();
+    supabaseMock._setFrom({ partner_api_keys: insertQB, profiles: makeQB() });
+
+    const missing = await request(app)
+      .post("/api/admin/partner-keys")
+      .set("Authorization", "Bearer admin.token")
+      .send({ name: "Race IQ", scopes: ["sessions:read"] });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error).toBe("user_id is required");
+
+    const unknown = await request(app)
+      .post("/api/admin/partner-keys")
+      .set("Authorization", "Bearer admin.token")
+      .send({ name: "Race IQ", scopes: ["sessions:read"], user_id: "nobody" });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.error).toBe("user_id is not an existing profile");
+    expect(insertQB.insert).not.toHaveBeenCalled();
+  });
+
+  test("lists keys", async () => {
+    const listQB = makeQB({ await: () => ({ data: [{ id: 1, name: "Race IQ" }], error: null }) });
+    supabaseMock._setFrom({ partner_api_keys: listQB });
+
+    const res = await request(app)
+      .get("/api/admin/partner-keys")
+      .set("Authorization", "Bearer admin.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body.partner_keys).toHaveLength(1);
+    expect(listQB.select.mock.calls[0][0]).not.toContain("key_hash");
+  });
+
+  test("revokes a key", async () => {
+    const revokeQB = makeQB({
+      maybeSingle: () => ({ data: { id: 1, revoked_at: "2099-01-01T00:00:00Z" }, error: null }),
+    });
+    supabaseMock._setFrom({ partner_api_keys: revokeQB });
+
+    const res = await request(app)
+      .delete("/api/admin/partner-keys/1")
+      .set("Authorization", "Bearer admin.token");
+
+    expect(res.status).toBe(200);
+    expect(revokeQB.update).toHaveBeenCalledWith({ revoked_at: expect.any(String) });
+    expect(revokeQB.eq).toHaveBeenCalledWith("id", "1");
+  });
+
+  test("404 when revoking an unknown key", async () => {
+    supabaseMock._setFrom({ partner_api_keys: makeQB() });
+    const res = await request(app)
+      .delete("/api/admin/partner-keys/99")
+      .set("Authorization", "Bearer admin.token");
+    expect(res.status).toBe(404);
+  });
+
+  test("returns the audit trail for a key", async () => {
+    const auditQB = makeQB({
+      await: () => ({ data: [{ id: 1, key_id: 1, action: "GET /api/groups/:groupId/sessions" }], error: null }),
+    });
+    supabaseMock._setFrom({ partner_audit_log: auditQB });
+
+    const res = await request(app)
+      .get("/api/admin/partner-keys/1/audit")
+      .set("Authorization", "Bearer admin.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries).toHaveLength(1);
+    expect(auditQB.eq).toHaveBeenCalledWith("key_id", "1");
+  });
+});
+
+describe("x-partner-key on session routes", () => {
+  let partner;
+  let keyRow;
+  let auditQB;
+
+  const mapping = (overrides = {}) => {
+    auditQB = makeQB();
+    return {
+      partner_api_keys: makeQB({ maybeSingle: () => ({ data: keyRow, error: null }) }),
+      partner_audit_log: auditQB,
+      sessions: makeQB({ await: () => ({ data: [{ id: 10, group_id: 7 }], error: null }) }),
+      ...overrides,
+    };
+  };
+
+  beforeEach(() => {
+    partner = partnerKeys.generateKey();
+    keyRow = {
+      id: 5,
+      name: "Race IQ",
+      key_hash: partner.key_hash,
+      scopes: ["sessions:read"],
+      group_ids: [7],
+      user_id: "service-user",
+      rate_limit_per_minute: 2,
+      expires_at: null,
+      revoked_at: null,
+    };
+  });
+
+  test("lists sessions with a valid key and no Bearer token", async () => {
+    supabaseMock._setFrom(mapping());
+
+    const res = await request(app)
+      .get("/api/groups/7/sessions")
+      .set("x-partner-key", partner.key);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(1);
+    expect(res.headers["x-ratelimit-limit"]).toBe("2");
+    expect(supabaseMock.from).not.toHaveBeenCalledWith("group_members");
+  });
+
+  test("records an audit entry", async () => {
+    supabaseMock._setFrom(mapping());
+
+    await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+    await new Promise(r => setImmediate(r));
+
+    expect(auditQB.insert).toHaveBeenCalledWith([
+      expect.objectContaining({
+        key_id: 5,
+        partner_name: "Race IQ",
+        action: "GET /api/groups/:groupId/sessions",
+        group_id: "7",
+        status_code: 200,
+      }),
+    ]);
+  });
+
+  test("401 for a key whose hash does not match", async () => {
+    keyRow.key_hash = partnerKeys.hashKey("lk_other_secret");
+    supabaseMock._setFrom(mapping());
+
+    const res = await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_partner_key" });
+  });
+
+  test("401 for a revoked key", async () => {
+    keyRow.revoked_at = "2020-01-01T00:00:00Z";
+    supabaseMock._setFrom(mapping());
+
+    const res = await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+    expect(res.status).toBe(401);
+  });
+
+  test("403 when the key lacks the route's scope", async () => {
+    supabaseMock._setFrom(mapping());
+
+    const res = await request(app)
+      .post("/api/groups/7/sessions")
+      .set("x-partner-key", partner.key)
+      .send({ start_at: "2099-12-25T10:00:00Z" });
+    expect(res.status).toBe(403);
+    expect(res.body.error).toContain("sessions:write");
+  });
+
+  test("403 for a group outside the key's scope", async () => {
+    supabaseMock._setFrom(mapping());
+
+    const res = await request(app).get("/api/groups/8/sessions").set("x-partner-key", partner.key);
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ error: "Partner key not allowed for this group" });
+  });
+
+  test("429 once the per-key rate limit is used up", async () => {
+    supabaseMock._setFrom(mapping());
+
+    await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+    await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+    const res = await request(app).get("/api/groups/7/sessions").set("x-partner-key", partner.key);
+
+    expect(res.status).toBe(429);
+    expect(res.headers["retry-after"]).toBeDefined();
+  });
+});
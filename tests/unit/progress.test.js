@@ -141,7 +141,7 @@ describe("GET /api/progress", () => {
       .set("Authorization", "Bearer invalid.token");
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Unauthorized" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
   });
 
   test("returns 401 when no token provided", async () => {
@@ -149,7 +149,7 @@ describe("GET /api/progress", () => {
       .get("/api/progress");
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Unauthorized" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "missing_token" });
   });
 
   test("returns recent progress entries with valid token", async () => {
@@ -173,7 +173,7 @@ describe("GET /api/progress", () => {
     expect(qb.select).toHaveBeenCalledWith("date, hours, productivity, notes");
     expect(qb.eq).toHaveBeenCalledWith("user_id", "user-123");
     expect(qb.order).toHaveBeenCalledWith("date", { ascending: false });
-    expect(qb.limit).toHaveBeenCalledWith(14);
+    expect(qb.limit).toHaveBeenCalledWith(15); // one extra row tells whether there is another page
   });
 
   test("returns empty array when no progress entries found", async () => {
@@ -188,7 +188,7 @@ describe("GET /api/progress", () => {
       .set("Authorization", `Bearer ${token}`);
 
     expect(res.status).toBe(200);
-    expect(res.body).toEqual({ entries: [] });
+    expect(res.body).toEqual({ entries: [], has_more: false, next_cursor: null, prev_cursor: null });
   });
 
   test("handles database errors gracefully", async () => {
@@ -217,7 +217,7 @@ describe("POST /api/progress", () => {
       .send({ date: "2023-01-03", hours: 5 });
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Unauthorized" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
   });
 
   test("returns 400 when date is missing", async () => {
@@ -351,7 +351,7 @@ describe("GET /api/study-time", () => {
       .set("Authorization", "Bearer invalid.token");
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Unauthorized" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
   });
 
   test("returns formatted study time with valid token", async () => {
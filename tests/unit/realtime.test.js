@@ -0,0 +1,188 @@
+// tests/unit/realtime.test.js
+import { jest } from "@jest/globals";
+import http from "http";
+
+let app;
+let server;
+let baseUrl;
+let supabaseMock;
+let realtime;
+
+beforeAll(async () => {
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => (token === "student.token"
+        ? { data: { user: { id: "user-123" } }, error: null }
+        : { data: { user: null }, error: null })),
+    },
+    from: jest.fn(),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+  realtime = await import("../../src/utils/realtime.js");
+
+  await new Promise((resolve) => { server = app.listen(0, resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  realtime.resetRealtime();
+});
+
+// group_members: the membership check (maybeSingle) and "my groups" (thenable) share one builder
+const membersQB = (groupIds) => {
+  const result = { data: groupIds.map(group_id => ({ group_id, user_id: "user-123" })), error: null };
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  qb.select = jest.fn(() => qb);
+  qb.is = jest.fn(() => qb);
+  qb.eq = jest.fn((column, value) => {
+    if (column === "group_id") qb.group = Number(value);
+    return qb;
+  });
+  qb.maybeSingle = jest.fn(async () => ({ data: groupIds.includes(qb.group) ? { user_id: "user-123" } : null, error: null }));
+  return qb;
+};
+
+/**
+ * Open the stream and collect parsed events until `until(events)` is true.
+ * Resolves { status, headers, events, body } and closes the connection.
+ */
+function openStream(path, { headers = {}, until = () => true, onOpen } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let body = "";
+      const events = [];
+      const done = () => {
+        req.destroy();
+        resolve({ status: res.statusCode, headers: res.headers, events, body });
+      };
+      if (res.statusCode !== 200) {
+        res.on("data", (chunk) => { body += chunk; });
+        res.on("end", done);
+        return;
+      }
+      let opened = false;
+      res.on("data", (chunk) => {
+        body += chunk;
+        const frames = body.split("\n\n");
+        body = frames.pop();
+        for (const f of frames) {
+          const event = {};
+          for (const line of f.split("\n")) {
+            const [field, ...rest] = line.split(": ");
+            if (["id", "event", "data"].includes(field)) event[field] = rest.join(": ");
+          }
+          if (event.event) events.push({ ...event, data: JSON.parse(event.data) });
+        }
+        if (!opened && events.length) {
+          opened = true;
+          onOpen?.();
+        }
+        if (until(events)) done();
+      });
+    });
+    req.on("error", (e) => { if (e.code !== "ECONNRESET") reject(e); });
+  });
+}
+
+describe("GET /api/realtime/stream", () => {
+  test("401 without a token", async () => {
+    const res = await openStream("/api/realtime/stream");
+    expect(res.status).toBe(401);
+  });
+
+  test("403 when asking for a group I'm not in", async () => {
+    supabaseMock.from = jest.fn(() => membersQB([1]));
+    const res = await openStream("/api/realtime/stream?groups=1,2&access_token=student.token");
+    expect(res.status).toBe(403);
+  });
+
+  test("400 for malformed group ids", async () => {
+    const res = await openStream("/api/realtime/stream?groups=abc&access_token=student.token");
+    expect(res.status).toBe(400);
+  });
+
+  test("streams my groups' events and my notifications", async () => {
+    const members = membersQB([1]);
+    supabaseMock.from = jest.fn(() => members);
+
+    const res = await openStream("/api/realtime/stream", {
+      headers: { Authorization: "Bearer student.token" },
+      onOpen: () => {
+        realtime.publishToGroup(2, "message.created", { group_id: 2 });
+        realtime.publishToGroup(1, "message.created", { group_id: 1, message: { id: 9 } });
+        realtime.publish(realtime.userChannel("user-123"), "notification.created", { type: "group_invite" });
+      },
+      until: (events) => events.length >= 3,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+    expect(res.events.map(e => e.event)).toEqual(["ready", "message.created", "notification.created"]);
+    expect(res.events[0].data).toEqual({ groups: [1] });
+    expect(res.events[1].data.message).toEqual({ id: 9 });
+    expect(members.is).toHaveBeenCalledWith("groups.archived_at", null);
+  });
+
+  test("stops sending a group's events once I'm removed from it", async () => {
+    supabaseMock.from = jest.fn(() => membersQB([1, 2]));
+
+    const res = await openStream("/api/realtime/stream", {
+      headers: { Authorization: "Bearer student.token" },
+      onOpen: () => {
+        realtime.publishToGroup(1, "member.removed", { group_id: 1, user_id: "someone-else" });
+        realtime.publishToGroup(1, "member.removed", { group_id: 1, user_id: "user-123", reason: "removed" });
+        realtime.publishToGroup(1, "message.created", { group_id: 1 });
+        realtime.publishToGroup(2, "group.archived", { group_id: 2 });
+        realtime.publishToGroup(2, "message.created", { group_id: 2 });
+        realtime.publish(realtime.userChannel("user-123"), "notification.created", { type: "group_member_removed" });
+      },
+      until: (events) => events.some(e => e.event === "notification.created"),
+    });
+
+    expect(res.events.map(e => e.event)).toEqual([
+      "ready", "member.removed", "member.removed", "group.archived", "notification.created",
+    ]);
+    expect(realtime.subscriberCount(realtime.groupChannel(1))).toBe(0);
+    expect(realtime.subscriberCount(realtime.groupChannel(2))).toBe(0);
+  });
+
+  test("409 when asking for an archived group", async () => {
+    const groupsQB = { select: jest.fn(() => groupsQB), eq: jest.fn(() => groupsQB) };
+    groupsQB.maybeSingle = jest.fn(async () => ({ data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }));
+    supabaseMock.from = jest.fn((table) => (table === "groups" ? groupsQB : membersQB([1])));
+
+    const res = await openStream("/api/realtime/stream?groups=1&access_token=student.token");
+    expect(res.status).toBe(409);
+  });
+
+  test("replays what I missed since Last-Event-ID", async () => {
+    supabaseMock.from = jest.fn(() => membersQB([1]));
+    const seen = realtime.publishToGroup(1, "session.created", { group_id: 1 });
+    realtime.publishToGroup(1, "rsvp.updated", { group_id: 1, status: "accepted" });
+
+    const res = await openStream("/api/realtime/stream?groups=1&access_token=student.token", {
+      headers: { "Last-Event-ID": String(seen.id) },
+      until: (events) => events.length >= 2,
+    });
+
+    expect(res.events.map(e => e.event)).toEqual(["ready", "rsvp.updated"]);
+    expect(Number(res.events[1].id)).toBe(seen.id + 1);
+  });
+
+  test("tells the client to resync when the last id can't be replayed", async () => {
+    supabaseMock.from = jest.fn(() => membersQB([1]));
+
+    const res = await openStream("/api/realtime/stream?groups=1&access_token=student.token&last_event_id=1", {
+      until: (events) => events.length >= 2,
+    });
+
+    expect(res.events.map(e => e.event)).toEqual(["ready", "resync"]);
+  });
+});
@@ -0,0 +1,78 @@
+// tests/unit/reminders.test.js
+import { jest } from "@jest/globals";
+import request from "supertest";
+
+let app;
+let supabaseMock;
+
+const prefsQB = (row) => {
+  const qb = {
+    select: jest.fn(() => qb),
+    eq: jest.fn(() => qb),
+    upsert: jest.fn(() => qb),
+    maybeSingle: jest.fn(async () => ({ data: row, error: null })),
+    single: jest.fn(async () => ({ data: row, error: null })),
+  };
+  return qb;
+};
+
+beforeAll(async () => {
+  supabaseMock = {
+    auth: {
+      getUser: jest.fn(async (token) => (token === "student.token"
+        ? { data: { user: { id: "user-123" } }, error: null }
+        : { data: { user: null }, error: null })),
+    },
+    from: jest.fn(),
+  };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+
+  const mod = await import("../../src/server.js");
+  app = mod.default || mod;
+});
+
+describe("Reminder preferences", () => {
+  test("GET returns the defaults when nothing is saved", async () => {
+    supabaseMock.from = jest.fn(() => prefsQB(null));
+
+    const res = await request(app)
+      .get("/api/reminders/preferences")
+      .set("Authorization", "Bearer student.token");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ enabled: true, offsets: [1440, 60], default_offsets: [1440, 60] });
+  });
+
+  test("PUT normalises offsets and upserts by user", async () => {
+    const qb = prefsQB({ enabled: true, offsets: [120, 15] });
+    supabaseMock.from = jest.fn(() => qb);
+
+    const res = await request(app)
+      .put("/api/reminders/preferences")
+      .set("Authorization", "Bearer student.token")
+      .send({ offsets: ["15m", "2h"] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.offsets).toEqual([120, 15]);
+    expect(qb.upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ user_id: "user-123", offsets: [120, 15] }),
+      { onConflict: "user_id" }
+    );
+  });
+
+  test("PUT 400 for an invalid offset", async () => {
+    supabaseMock.from = jest.fn(() => prefsQB(null));
+
+    const res = await request(app)
+      .put("/api/reminders/preferences")
+      .set("Authorization", "Bearer student.token")
+      .send({ offsets: ["whenever"] });
+
+    expect(res.status).toBe(400);
+  });
+
+  test("401 without a token", async () => {
+    const res = await request(app).get("/api/reminders/preferences");
+    expect(res.status).toBe(401);
+  });
+});
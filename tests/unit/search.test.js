@@ -260,7 +260,7 @@ describe("POST /api/invite", () => {
       .send({ recipient_id: "user-456" });
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Invalid token" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "missing_token" });
   });
 
   test("returns 401 when invalid token provided", async () => {
@@ -270,7 +270,7 @@ describe("POST /api/invite", () => {
       .send({ recipient_id: "user-456" });
 
     expect(res.status).toBe(401);
-    expect(res.body).toEqual({ error: "Invalid token" });
+    expect(res.body).toEqual({ error: "Unauthorized", code: "invalid_token" });
   });
 
   test("successfully sends invitation with valid token and recipient", async () => {
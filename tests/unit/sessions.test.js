@@ -5,6 +5,8 @@ import request from "supertest";
 
 let app;
 let supabaseMock;
+let createRsvpTokens;
+let emailOutbox;
 
 const debugTableCalls = () => {
   console.log('Table calls in order:');
@@ -31,6 +33,9 @@ const makeQB = (handlers = {}) => {
     eq: jest.fn(() => qb),
     neq: jest.fn(() => qb), // ADDED: neq method
     in: jest.fn(() => qb),
+    gte: jest.fn(() => qb),
+    lte: jest.fn(() => qb),
+    or: jest.fn(() => qb),
     order: jest.fn(() => qb),
     limit: jest.fn(() => qb),
 
@@ -60,6 +65,24 @@ const makeQB = (handlers = {}) => {
   });
 };
 
+// ---- QB that resolves to `result` when awaited at any point of the chain ----
+const resultQB = (result, single = { data: null, error: null }) => {
+  const qb = {
+    then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected),
+    single: jest.fn(() => Promise.resolve(single)),
+    maybeSingle: jest.fn(() => Promise.resolve(single)),
+  };
+  for (const m of ["select", "insert", "update", "delete", "upsert", "eq", "neq", "in", "is", "gte", "lte", "or", "order", "limit"]) {
+    qb[m] = jest.fn(() => qb);
+  }
+  return qb;
+};
+
+// Invites go out after the create response; wait for that work to land
+const waitFor = async (condition, tries = 50) => {
+  for (let i = 0; i < tries && !condition(); i++) await new Promise(r => setTimeout(r, 5));
+};
+
 beforeAll(async () => {
   const user = { id: "user-123", email: "creator@test.com" };
 
@@ -129,19 +152,17 @@ beforeAll(async () => {
   });
 
   // fetch session (DELETE) – not mine
+  const otherSession = { id: 11, group_id: 1, creator_id: "someone-else", start_at: "2099-12-26T10:00:00Z" };
   const fetchOtherCreatorQB = makeQB({
-    single: () => ({
-      data: { id: 11, group_id: 1, creator_id: "someone-else", start_at: "2099-12-26T10:00:00Z" },
-      error: null,
-    }),
+    single: () => ({ data: otherSession, error: null }),
+    maybeSingle: () => ({ data: otherSession, error: null }),
   });
 
   // fetch session (DELETE) – mine
+  const ownSession = { id: 10, group_id: 1, creator_id: "user-123", start_at: "2099-12-25T10:00:00Z" };
   const fetchOwnQB = makeQB({
-    single: () => ({
-      data: { id: 10, group_id: 1, creator_id: "user-123", start_at: "2099-12-25T10:00:00Z" },
-      error: null,
-    }),
+    single: () => ({ data: ownSession, error: null }),
+    maybeSingle: () => ({ data: ownSession, error: null }),
   });
 
   // fetch session (DELETE) – not found (404 branch)
@@ -284,9 +305,12 @@ beforeAll(async () => {
 
   // Set test environment
   process.env.NODE_ENV = 'test';
+  process.env.RSVP_LINK_SECRET = 'test-rsvp-secret';
+  ({ createRsvpTokens } = await import("../../src/utils/rsvpTokens.js"));
   
   const mod = await import("../../src/server.js");
   app = mod.default || mod;
+  ({ emailOutbox } = await import("../../src/utils/outbox.js"));
 });
 
 beforeEach(() => {
@@ -322,6 +346,25 @@ describe("Sessions routes", () => {
       expect(r2.status).toBe(400);
     });
 
+    test("409 when the group is archived", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const sessionsQB = resultQB({ data: null, error: null });
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        groups: resultQB(null, { data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }),
+        sessions: sessionsQB,
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-25T10:00:00Z" });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe("Group is archived");
+      expect(sessionsQB.insert).not.toHaveBeenCalled();
+    });
+
     test("401 when no/invalid token", async () => {
       supabaseMock.auth.getUser.mockImplementationOnce(async (token) => {
         return { data: { user: null }, error: null };
@@ -398,65 +441,26 @@ describe("Sessions routes", () => {
     });
 
     test("200; invites are sent to members without conflicts", async () => {
-      const { groupMembersQB_allow, insertSessionQB, invitesQB_upsertOK } = supabaseMock.__builders;
-
-      const memberLookupQB = {
-        select: jest.fn().mockReturnThis(),
-        eq: jest.fn().mockReturnThis(),
-        neq: jest.fn().mockReturnThis(), // ADDED: neq method
-        await: jest.fn(() => Promise.resolve({
-          data: [
-            { 
-              profiles: { 
-                id: "user-123", 
-                email: "creator@test.com", 
-                full_name: "Creator" 
-              } 
-            },
-            { 
-              profiles: { 
-                id: "user-456", 
-                email: "mate@test.com", 
-                full_name: "Mate One" 
-              } 
-            },
-          ],
-          error: null
-        }))
-      };
-
-      const sessionInvitesSelectQB = {
-        select: jest.fn().mockReturnThis(),
-        eq: jest.fn().mockReturnThis(),
-        in: jest.fn().mockReturnThis(),
-        await: jest.fn(() => Promise.resolve({
-          data: [], // No conflicts
-          error: null
-        }))
-      };
-
-      const sessionsSelectQB = {
-        select: jest.fn().mockReturnThis(),
-        in: jest.fn().mockReturnThis(),
-        await: jest.fn(() => Promise.resolve({
-          data: [], // No conflicting sessions
-          error: null
-        }))
-      };
+      const { groupMembersQB_allow, insertSessionQB } = supabaseMock.__builders;
+      const membersQB = resultQB({
+        data: [{ profiles: { id: "user-456", email: "mate@test.com", full_name: "Mate One" } }],
+        error: null,
+      });
+      const invitesQB = resultQB({ data: [], error: null });
+      const enqueueSpy = jest.spyOn(emailOutbox, "enqueueMany");
 
-      let callCount = 0;
+      let memberCalls = 0;
+      let sessionCalls = 0;
       supabaseMock.from = jest.fn((table) => {
-        callCount++;
-        
         switch (table) {
           case "group_members":
-            return callCount === 1 ? groupMembersQB_allow : memberLookupQB;
+            return memberCalls++ === 0 ? groupMembersQB_allow : membersQB;
           case "sessions":
-            return callCount === 2 ? insertSessionQB : sessionsSelectQB;
+            return sessionCalls++ === 0 ? insertSessionQB : resultQB({ data: [], error: null });
           case "session_invites":
-            return callCount === 5 ? sessionInvitesSelectQB : invitesQB_upsertOK;
-          case "profiles":
-            return supabaseMock.__builders.profilesQB_creator;
+            return invitesQB;
+          case "tests":
+            return resultQB({ data: [], error: null });
           default:
             return makeQB();
         }
@@ -472,10 +476,17 @@ describe("Sessions routes", () => {
           time_goal_minutes: 90,
           content_goal: "Chapter 1-3"
         });
-    
-      debugTableCalls();
+
       expect(res.status).toBe(200);
       expect(res.body.session).toBeDefined();
+
+      await waitFor(() => enqueueSpy.mock.calls.length > 0);
+      expect(membersQB.neq).toHaveBeenCalledWith("user_id", "user-123");
+      expect(invitesQB.insert).toHaveBeenCalledWith([expect.objectContaining({ user_id: "user-456", status: "pending" })]);
+      const [emails] = enqueueSpy.mock.calls[0];
+      expect(emails).toEqual([expect.objectContaining({ to: "mate@test.com", emailType: "invitation" })]);
+      expect(emails[0].templateData.accept_link).toContain("/accept/");
+      enqueueSpy.mockRestore();
     });
   });
 
@@ -542,44 +553,405 @@ describe("Sessions routes", () => {
       expect(res.status).toBe(404);
     });
 
-    test("200 when requester is the creator (performs delete with filters)", async () => {
-      const { groupMembersQB_allow, fetchOwnQB, deleteQB } = supabaseMock.__builders;
+    test("200 when requester is the creator (soft-deletes with filters)", async () => {
+      const { groupMembersQB_allow, fetchOwnQB } = supabaseMock.__builders;
+      const cancelQB = resultQB({ data: null, error: null });
+
+      let call = 0;
+      supabaseMock.from = jest.fn((table) => {
+        if (table === "group_members") return groupMembersQB_allow;
+        if (table === "sessions") return call++ === 0 ? fetchOwnQB : cancelQB;
+        return makeQB();
+      });
+
+      const res = await request(app)
+        .delete("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.message).toBe("Session cancelled");
+      expect(res.body.restore_until).toEqual(expect.any(String));
+      expect(cancelQB.delete).not.toHaveBeenCalled();
+      expect(cancelQB.update).toHaveBeenCalledWith(expect.objectContaining({
+        cancelled_at: expect.any(String),
+        cancelled_by: "user-123",
+        cancellation_reason: null,
+      }));
+      expect(cancelQB.eq).toHaveBeenCalledWith("id", 10);
+      expect(fetchOwnQB.eq).toHaveBeenCalledWith("group_id", "1");
+      expect(fetchOwnQB.maybeSingle).toHaveBeenCalled();
+    });
+
+    test("emails accepted and pending invitees with the reason", async () => {
+      const { groupMembersQB_allow, fetchOwnQB } = supabaseMock.__builders;
+      const cancelQB = resultQB({ data: null, error: null });
+      const invitesQB = resultQB({ data: [{ user_id: "user-a", status: "accepted" }, { user_id: "user-b", status: "pending" }], error: null });
+      const sendSpy = jest.spyOn(emailOutbox, "enqueue");
 
       let call = 0;
       supabaseMock.from = jest.fn((table) => {
         if (table === "group_members") return groupMembersQB_allow;
-        if (table === "sessions") return call++ === 0 ? fetchOwnQB : deleteQB;
+        if (table === "sessions") return call++ === 0 ? fetchOwnQB : cancelQB;
+        if (table === "session_invites") return invitesQB;
+        if (table === "profiles") {
+          return resultQB({ data: [{ id: "user-a", email: "a@test.com" }, { id: "user-b", email: "b@test.com" }], error: null });
+        }
         return makeQB();
       });
 
+      const res = await request(app)
+        .delete("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ reason: "Library closed" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.notified).toBe(2);
+      expect(invitesQB.in).toHaveBeenCalledWith("status", ["accepted", "pending"]);
+      expect(cancelQB.update).toHaveBeenCalledWith(expect.objectContaining({ cancellation_reason: "Library closed" }));
+      expect(sendSpy.mock.calls.map(([to]) => to)).toEqual(["a@test.com", "b@test.com"]);
+      expect(sendSpy.mock.calls[0][4]).toBe("cancellation");
+      expect(sendSpy.mock.calls[0][5].reason).toBe("Library closed");
+      sendSpy.mockRestore();
+    });
+
+    test("409 when the session is already cancelled", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: resultQB(null, { data: { id: 10, creator_id: "user-123", cancelled_at: "2099-01-01T00:00:00Z" }, error: null }),
+      });
+
       const res = await request(app)
         .delete("/api/groups/1/sessions/10")
         .set("Authorization", `Bearer ${token}`);
 
+      expect(res.status).toBe(409);
+    });
+
+    test("409 without cancelling anything when the group is archived", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const sessionsQB = resultQB({ data: null, error: null }, { data: { id: 10, creator_id: "user-123", cancelled_at: null }, error: null });
+      const seriesQB = resultQB({ data: null, error: null }, { data: { id: 5, group_id: 1, creator_id: "user-123" }, error: null });
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        groups: resultQB(null, { data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }),
+        sessions: sessionsQB,
+        session_series: seriesQB,
+      });
+
+      const session = await request(app)
+        .delete("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`);
+      expect(session.status).toBe(409);
+      expect(session.body.error).toBe("Group is archived");
+
+      const series = await request(app)
+        .delete("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`);
+      expect(series.status).toBe(409);
+      expect(series.body.error).toBe("Group is archived");
+
+      expect(sessionsQB.update).not.toHaveBeenCalled();
+      expect(seriesQB.update).not.toHaveBeenCalled();
+    });
+
+    test("listings keep cancelled sessions and mark their status", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: resultQB({ data: [{ id: 10, cancelled_at: "2099-01-01T00:00:00Z" }, { id: 11, cancelled_at: null }], error: null }),
+      });
+
+      const res = await request(app)
+        .get("/api/groups/1/sessions")
+        .set("Authorization", `Bearer ${token}`);
+
       expect(res.status).toBe(200);
-      expect(deleteQB.delete).toHaveBeenCalled();
-      expect(deleteQB.eq).toHaveBeenCalledWith("id", "10");
+      expect(res.body.sessions.map(s => s.status)).toEqual(["cancelled", "scheduled"]);
+    });
+  });
+
+  //
+  // ROSTER  GET /api/groups/:groupId/sessions/:sessionId/attendees
+  //
+  describe("RSVP roster", () => {
+    test("lists every member with their RSVP and counts", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      let membersCall = 0;
+      const membersListQB = resultQB({ data: [{ user_id: "user-123" }, { user_id: "user-a" }, { user_id: "user-b" }], error: null });
+      supabaseMock.from = jest.fn((table) => {
+        if (table === "group_members") return membersCall++ === 0 ? groupMembersQB_allow : membersListQB;
+        if (table === "sessions") return resultQB(null, { data: { id: 10, creator_id: "user-123" }, error: null });
+        if (table === "session_invites") {
+          return resultQB({ data: [
+            { user_id: "user-a", status: "accepted", responded_at: "2099-12-01T10:00:00Z" },
+            { user_id: "user-b", status: "pending", responded_at: null },
+            { user_id: "user-gone", status: "declined", responded_at: "2099-12-02T10:00:00Z" },
+          ], error: null });
+        }
+        if (table === "profiles") {
+          return resultQB({ data: [{ id: "user-123", full_name: "Creator" }, { id: "user-a", full_name: "A" }], error: null });
+        }
+        return makeQB();
+      });
+
+      const res = await request(app)
+        .get("/api/groups/1/sessions/10/attendees")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.counts).toEqual({ accepted: 1, declined: 1, pending: 1, not_invited: 1, total: 4 });
+      expect(res.body.attendees).toEqual(expect.arrayContaining([
+        { user_id: "user-123", full_name: "Creator", status: "not_invited", responded_at: null, is_creator: true },
+        { user_id: "user-a", full_name: "A", status: "accepted", responded_at: "2099-12-01T10:00:00Z", is_creator: false },
+        expect.objectContaining({ user_id: "user-gone", status: "declined" }),
+      ]));
+    });
+
+    test("404 for a session in another group", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, sessions: resultQB(null, { data: null, error: null }) });
+
+      const res = await request(app)
+        .get("/api/groups/1/sessions/10/attendees")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(404);
+    });
+
+    test("GET sessions?include=rsvps embeds counts and my RSVP", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: resultQB({ data: [{ id: 10 }, { id: 11 }], error: null }),
+        session_invites: resultQB({ data: [
+          { session_id: 10, user_id: "user-123", status: "accepted" },
+          { session_id: 10, user_id: "user-a", status: "declined" },
+          { session_id: 11, user_id: "user-a", status: "pending" },
+        ], error: null }),
+      });
+
+      const res = await request(app)
+        .get("/api/groups/1/sessions?include=rsvps")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.sessions[0]).toMatchObject({ rsvp_counts: { accepted: 1, declined: 1, pending: 0 }, my_rsvp: "accepted" });
+      expect(res.body.sessions[1]).toMatchObject({ rsvp_counts: { accepted: 0, declined: 0, pending: 1 }, my_rsvp: null });
+    });
+  });
+
+  //
+  // RESTORE  POST /api/groups/:groupId/sessions/:sessionId/restore
+  //
+  describe("POST /api/groups/:groupId/sessions/:sessionId/restore", () => {
+    const cancelled = (cancelledAt) => ({
+      id: 10,
+      group_id: 1,
+      creator_id: "user-123",
+      start_at: "2099-12-25T10:00:00Z",
+      cancelled_at: cancelledAt,
+      sequence: 3,
+    });
+
+    test("restores within the window", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const restoredRow = { ...cancelled(null), sequence: 4 };
+      const sessionsQB = resultQB(null, { data: cancelled(new Date().toISOString()), error: null });
+      sessionsQB.single.mockResolvedValue({ data: restoredRow, error: null });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, sessions: sessionsQB });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions/10/restore")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.session.status).toBe("scheduled");
+      expect(sessionsQB.update).toHaveBeenCalledWith(expect.objectContaining({
+        cancelled_at: null,
+        cancellation_reason: null,
+        sequence: 4,
+      }));
+    });
+
+    test("410 once the restore window has passed", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const longAgo = new Date(Date.now() - 48 * 3600 * 1000).toISOString();
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: resultQB(null, { data: cancelled(longAgo), error: null }),
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions/10/restore")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(410);
+    });
+
+    test("409 when the session is not cancelled", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: resultQB(null, { data: cancelled(null), error: null }),
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions/10/restore")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(409);
     });
   });
 
   //
   // RSVP EMAIL LINKS (GET)
   //
-  describe("GET /api/sessions/:sessionId/(accept|decline)/:userId", () => {
-    test("accept returns 200", async () => {
-      const { invitesQB_upsertOK } = supabaseMock.__builders;
-      supabaseMock._setFrom({ session_invites: invitesQB_upsertOK });
+  describe("GET /api/sessions/:sessionId/(accept|decline)/:token", () => {
+    const sessionRowQB = () => makeQB({
+      maybeSingle: () => ({
+        data: { id: 10, topic: "Future Study", start_at: "2099-12-25T10:00:00Z", venue: "Library" },
+        error: null,
+      }),
+    });
+    const tokensFor = (overrides = {}) => createRsvpTokens({
+      sessionId: 10,
+      userId: "user-456",
+      expiresAt: Date.now() + 60 * 60 * 1000,
+      ...overrides,
+    });
+
+    test("accept with a valid token upserts the invite and renders a page", async () => {
+      const invitesQB_upsertOK = makeQB({ await: () => ({ data: [{ ok: true }], error: null }) });
+      const usesQB = makeQB();
+      supabaseMock._setFrom({ sessions: sessionRowQB(), session_invites: invitesQB_upsertOK, rsvp_token_uses: usesQB });
+
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().accept}`);
 
-      const res = await request(app).get("/api/sessions/10/accept/user-456");
       expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toContain("text/html");
+      expect(res.text).toContain("You&#39;re in!");
+      expect(res.text).toContain("Future Study");
+      expect(invitesQB_upsertOK.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ session_id: 10, user_id: "user-456", status: "accepted" })
+      );
+      expect(usesQB.insert).toHaveBeenCalledWith([expect.objectContaining({ session_id: 10, user_id: "user-456" })]);
     });
 
-    test("decline returns 200", async () => {
-      const { invitesQB_upsertOK } = supabaseMock.__builders;
-      supabaseMock._setFrom({ session_invites: invitesQB_upsertOK });
+    test("decline with a valid token returns 200", async () => {
+      const invitesQB_upsertOK = makeQB({ await: () => ({ data: [{ ok: true }], error: null }) });
+      supabaseMock._setFrom({ sessions: sessionRowQB(), session_invites: invitesQB_upsertOK });
 
-      const res = await request(app).get("/api/sessions/10/decline/user-456");
+      const res = await request(app).get(`/api/sessions/10/decline/${tokensFor().decline}`);
       expect(res.status).toBe(200);
+      expect(res.text).toContain("Invite declined");
+      expect(invitesQB_upsertOK.upsert).toHaveBeenCalledWith(expect.objectContaining({ status: "declined" }));
+    });
+
+    test("400 for a raw user id (old style link)", async () => {
+      const res = await request(app).get("/api/sessions/10/accept/user-456");
+      expect(res.status).toBe(400);
+      expect(res.text).toContain("Link not valid");
+    });
+
+    test("400 for a tampered token", async () => {
+      const { accept } = tokensFor();
+      const [payload, sig] = accept.split(".");
+      const forged = Buffer.from(
+        JSON.stringify({ ...JSON.parse(Buffer.from(payload, "base64url").toString()), uid: "user-999" })
+      ).toString("base64url");
+
+      const res = await request(app).get(`/api/sessions/10/accept/${forged}.${sig}`);
+      expect(res.status).toBe(400);
+    });
+
+    test("400 when a decline token is used on the accept link", async () => {
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().decline}`);
+      expect(res.status).toBe(400);
+    });
+
+    test("400 when the token belongs to another session", async () => {
+      const res = await request(app).get(`/api/sessions/11/accept/${tokensFor().accept}`);
+      expect(res.status).toBe(400);
+    });
+
+    test("410 for an expired token", async () => {
+      const { accept } = tokensFor({ expiresAt: Date.now() - 1000 });
+      const res = await request(app).get(`/api/sessions/10/accept/${accept}`);
+      expect(res.status).toBe(410);
+      expect(res.text).toContain("expired");
+    });
+
+    test("409 when the link was already used", async () => {
+      const invitesQB_upsertOK = makeQB({ await: () => ({ data: [{ ok: true }], error: null }) });
+      const usedQB = makeQB({ maybeSingle: () => ({ data: { jti: "used" }, error: null }) });
+      supabaseMock._setFrom({
+        sessions: sessionRowQB(),
+        session_invites: invitesQB_upsertOK,
+        rsvp_token_uses: usedQB,
+      });
+
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().accept}`);
+      expect(res.status).toBe(409);
+      expect(invitesQB_upsertOK.upsert).not.toHaveBeenCalled();
+      expect(usedQB.insert).not.toHaveBeenCalled();
+    });
+
+    test("409 when the group has been archived", async () => {
+      const invitesQB_upsertOK = makeQB({ await: () => ({ data: [{ ok: true }], error: null }) });
+      supabaseMock._setFrom({
+        sessions: sessionRowQB(),
+        groups: resultQB(null, { data: { archived_at: "2099-01-01T00:00:00Z" }, error: null }),
+        session_invites: invitesQB_upsertOK,
+      });
+
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().accept}`);
+      expect(res.status).toBe(409);
+      expect(res.text).toContain("Group archived");
+      expect(invitesQB_upsertOK.upsert).not.toHaveBeenCalled();
+    });
+
+    test("409 when another click used the link first", async () => {
+      const invitesQB_upsertOK = makeQB({ await: () => ({ data: [{ ok: true }], error: null }) });
+      const usedQB = makeQB();
+      usedQB.insert.mockResolvedValue({ data: null, error: { code: "23505", message: "duplicate key" } });
+      supabaseMock._setFrom({
+        sessions: sessionRowQB(),
+        session_invites: invitesQB_upsertOK,
+        rsvp_token_uses: usedQB,
+      });
+
+      const res = await request(app).get(`/api/sessions/10/decline/${tokensFor().decline}`);
+      expect(res.status).toBe(409);
+    });
+
+    test("accepting into a conflict renders a conflict page and keeps the link usable", async () => {
+      const sessionsQB = resultQB(
+        { data: [{ id: 44, topic: "Other", start_at: "2099-12-25T10:30:00Z", time_goal_minutes: 60 }], error: null },
+        { data: { id: 10, creator_id: "user-123", topic: "Future Study", start_at: "2099-12-25T10:00:00Z", time_goal_minutes: 60 }, error: null }
+      );
+      const invitesQB = resultQB({ data: [{ session_id: 44 }], error: null });
+      const usesQB = makeQB();
+      supabaseMock._setFrom({ sessions: sessionsQB, session_invites: invitesQB, rsvp_token_uses: usesQB });
+
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().accept}`);
+
+      expect(res.status).toBe(409);
+      expect(res.text).toContain("Scheduling conflict");
+      expect(invitesQB.upsert).not.toHaveBeenCalled();
+      expect(usesQB.insert).not.toHaveBeenCalled();
+    });
+
+    test("500 page when the RSVP cannot be saved, and the link is not used up", async () => {
+      const failingInvitesQB = makeQB();
+      failingInvitesQB.upsert.mockResolvedValue({ data: null, error: { message: "db down" } });
+      const usesQB = makeQB();
+      supabaseMock._setFrom({ sessions: sessionRowQB(), session_invites: failingInvitesQB, rsvp_token_uses: usesQB });
+
+      const res = await request(app).get(`/api/sessions/10/accept/${tokensFor().accept}`);
+      expect(res.status).toBe(500);
+      expect(res.text).toContain("Error updating RSVP");
+      expect(usesQB.insert).not.toHaveBeenCalled();
     });
   });
 
@@ -640,6 +1012,38 @@ describe("Sessions routes", () => {
       expect(res.status).toBe(403);
     });
 
+    test("409 with the conflicting sessions and tests when accepting", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+
+      const invitesQB = resultQB({ data: [{ session_id: 999 }], error: null });
+      const sessionsQB = resultQB(
+        { data: [{ id: 999, start_at: "2099-12-25T10:30:00Z", topic: "Clash", time_goal_minutes: 60 }], error: null },
+        { data: { id: 10, start_at: "2099-12-25T10:00:00Z", creator_id: "user-456", time_goal_minutes: 90 }, error: null }
+      );
+      const testsQB = resultQB({ data: [{ id: 3, name: "Calculus test", test_date: "2099-12-25T11:00:00Z" }], error: null });
+      const profilesQB = resultQB(null, { data: { full_name: "Creator", email: "creator@test.com" }, error: null });
+
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_invites: invitesQB,
+        sessions: sessionsQB,
+        tests: testsQB,
+        profiles: profilesQB,
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions/10/respond")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ status: "accepted" });
+
+      expect(res.status).toBe(409);
+      expect(res.body.conflicts).toEqual([
+        expect.objectContaining({ type: "session", id: 999, topic: "Clash" }),
+        expect.objectContaining({ type: "test", id: 3, topic: "Calculus test" }),
+      ]);
+      expect(invitesQB.upsert).not.toHaveBeenCalled();
+    });
+
     test("200 on declined (upsert invite)", async () => {
       const {
         groupMembersQB_allow,
@@ -661,6 +1065,465 @@ describe("Sessions routes", () => {
 
       expect(res.status).toBe(200);
     });
+
+    test("404 for a session in another group, without touching its invites", async () => {
+      const { subscribe, groupChannel } = await import("../../src/utils/realtime.js");
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const sessionsQB = resultQB(null, { data: null, error: null });
+      const invitesQB = resultQB({ data: null, error: null });
+      const received = [];
+      const unsubscribe = subscribe([groupChannel("1"), groupChannel("2")], (e) => received.push(e));
+
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        sessions: sessionsQB,
+        session_invites: invitesQB,
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions/20/respond")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ status: "accepted" });
+
+      expect(res.status).toBe(404);
+      expect(sessionsQB.eq).toHaveBeenCalledWith("id", "20");
+      expect(sessionsQB.eq).toHaveBeenCalledWith("group_id", "1");
+      expect(invitesQB.upsert).not.toHaveBeenCalled();
+      expect(received).toEqual([]);
+      unsubscribe();
+    });
+  });
+
+  //
+  // EDIT  PUT/PATCH /api/groups/:groupId/sessions/:sessionId
+  //
+  describe("Session editing", () => {
+    const existing = {
+      id: 10,
+      group_id: 1,
+      creator_id: "user-123",
+      start_at: "2099-12-25T10:00:00.000Z",
+      venue: "Library",
+      topic: "Calculus",
+      time_goal_minutes: 60,
+      sequence: 1,
+    };
+    const invites = [
+      { user_id: "user-a", status: "accepted" },
+      { user_id: "user-b", status: "pending" },
+      { user_id: "user-c", status: "declined" },
+    ];
+    const profiles = [
+      { id: "user-a", email: "a@test.com", full_name: "A" },
+      { id: "user-b", email: "b@test.com", full_name: "B" },
+      { id: "user-c", email: "c@test.com", full_name: "C" },
+    ];
+
+    let sendSpy;
+    beforeEach(() => {
+      sendSpy = jest.spyOn(emailOutbox, "enqueue");
+    });
+    afterEach(() => {
+      sendSpy.mockRestore();
+    });
+
+    // sessions: 1st call loads the session, 2nd updates it, later ones are conflict lookups
+    const setup = ({ session = existing, updated, owner = "user-999", clash = null } = {}) => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const loadQB = resultQB(null, { data: session, error: null });
+      const updateQB = resultQB(null, { data: updated || session, error: null });
+      const conflictQB = resultQB({ data: clash ? [clash] : [], error: null });
+      const invitesQB = resultQB({ data: clash ? [{ session_id: clash.id }] : invites, error: null });
+      const profilesQB = resultQB({
+        data: profiles.filter(p => (updated?.start_at !== session.start_at) || p.id !== "user-c"),
+        error: null,
+      });
+      let sessionsCall = 0;
+      const mapping = {
+        group_members: groupMembersQB_allow,
+        groups: resultQB(null, { data: { owner_id: owner }, error: null }),
+        session_invites: invitesQB,
+        profiles: profilesQB,
+        tests: resultQB({ data: [], error: null }),
+      };
+      supabaseMock.from = jest.fn((table) => {
+        if (table === "sessions") return [loadQB, updateQB][sessionsCall++] || conflictQB;
+        return mapping[table] || makeQB();
+      });
+      return { updateQB, invitesQB };
+    };
+
+    test("403 for a member who is neither creator nor owner", async () => {
+      setup({ session: { ...existing, creator_id: "user-456" } });
+
+      const res = await request(app)
+        .patch("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Room 4" });
+
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ error: "Only the creator or group owner can edit" });
+    });
+
+    test("the group owner may edit someone else's session", async () => {
+      setup({ session: { ...existing, creator_id: "user-456" }, owner: "user-123" });
+
+      const res = await request(app)
+        .put("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Room 4" });
+
+      expect(res.status).toBe(200);
+    });
+
+    test("400 when nothing editable is sent", async () => {
+      setup();
+      const res = await request(app)
+        .patch("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ creator_id: "someone-else" });
+      expect(res.status).toBe(400);
+    });
+
+    test("venue change keeps RSVPs and emails invitees who have not declined", async () => {
+      const { updateQB, invitesQB } = setup({ updated: { ...existing, venue: "Room 4", sequence: 2 } });
+
+      const res = await request(app)
+        .patch("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Room 4", topic: "Calculus" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.changes).toEqual(["Venue: Library → Room 4"]);
+      expect(res.body.rsvps_reset).toBe(false);
+      expect(updateQB.update).toHaveBeenCalledWith(expect.objectContaining({ venue: "Room 4", sequence: 2 }));
+      expect(updateQB.update.mock.calls[0][0]).not.toHaveProperty("topic");
+      expect(invitesQB.update).not.toHaveBeenCalled();
+
+      const recipients = sendSpy.mock.calls.map(([to]) => to);
+      expect(recipients).toEqual(["a@test.com", "b@test.com"]);
+      expect(sendSpy.mock.calls[0][4]).toBe("update");
+      expect(sendSpy.mock.calls[0][5].changes).toContain("Venue: Library → Room 4");
+    });
+
+    test("moving the session by hours resets RSVPs and sends fresh links to everyone", async () => {
+      const moved = { ...existing, start_at: "2099-12-25T14:00:00.000Z", sequence: 2 };
+      const { invitesQB } = setup({ updated: moved });
+
+      const res = await request(app)
+        .patch("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-25T14:00:00Z" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rsvps_reset).toBe(true);
+      expect(invitesQB.update).toHaveBeenCalledWith({ status: "pending", responded_at: null });
+      expect(sendSpy).toHaveBeenCalledTimes(3);
+      expect(sendSpy.mock.calls[0][5].accept_link).toContain("/api/sessions/10/accept/");
+    });
+
+    test("a small time change re-checks conflicts without resetting RSVPs", async () => {
+      const moved = { ...existing, start_at: "2099-12-25T10:15:00.000Z", sequence: 2 };
+      const clash = { id: 77, start_at: "2099-12-25T11:00:00Z", topic: "Physics", time_goal_minutes: 60 };
+      const { invitesQB } = setup({ updated: moved, clash });
+
+      const res = await request(app)
+        .patch("/api/groups/1/sessions/10")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-25T10:15:00Z" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.rsvps_reset).toBe(false);
+      expect(invitesQB.update).not.toHaveBeenCalled();
+      expect(res.body.conflicts[0].conflicts).toEqual([
+        expect.objectContaining({ type: "session", id: 77, topic: "Physics" }),
+      ]);
+    });
+  });
+
+  //
+  // RECURRING SESSIONS
+  //
+  describe("Recurring sessions", () => {
+    const occurrences = [
+      { id: 21, series_id: 5, start_at: "2099-12-07T10:00:00.000Z" },
+      { id: 22, series_id: 5, start_at: "2099-12-09T10:00:00.000Z" },
+      { id: 23, series_id: 5, start_at: "2099-12-14T10:00:00.000Z" },
+    ];
+
+    test("400 for an invalid recurrence rule", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-07T10:00:00Z", recurrence: "FREQ=WEEKLY;BYDAY=MO" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Recurrence needs COUNT or UNTIL");
+    });
+
+    test("400 without storing a series when the rule ends before start_at", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const seriesQB = resultQB(null, { data: { id: 5 }, error: null });
+      const sessionsQB = resultQB({ data: [], error: null });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, session_series: seriesQB, sessions: sessionsQB });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-07T10:00:00Z", recurrence: "FREQ=WEEKLY;UNTIL=20200101" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Recurrence produces no occurrences on or after start_at");
+      expect(seriesQB.insert).not.toHaveBeenCalled();
+      expect(sessionsQB.insert).not.toHaveBeenCalled();
+    });
+
+    test("expands the rule, stores the series and invites members to every occurrence", async () => {
+      const membersQB = resultQB(
+        { data: [{ profiles: { id: "user-999", email: "member@test.com", full_name: "Member" } }], error: null },
+        { data: { user_id: "user-123" }, error: null }
+      );
+      const seriesQB = resultQB(null, { data: { id: 5, rrule: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3" }, error: null });
+      const sessionsQB = resultQB({ data: occurrences, error: null });
+      const invitesQB = resultQB({ data: [], error: null });
+      const outboxQB = resultQB({ data: null, error: null });
+
+      supabaseMock._setFrom({
+        group_members: membersQB,
+        session_series: seriesQB,
+        sessions: sessionsQB,
+        session_invites: invitesQB,
+        tests: resultQB({ data: [], error: null }),
+        email_outbox: outboxQB,
+      });
+
+      const res = await request(app)
+        .post("/api/groups/1/sessions")
+        .set("Authorization", `Bearer ${token}`)
+        .send({
+          start_at: "2099-12-07T10:00:00Z",
+          topic: "Weekly revision",
+          recurrence: { freq: "WEEKLY", by_day: ["MO", "WE"], count: 3 },
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.series.id).toBe(5);
+      expect(res.body.occurrences).toHaveLength(3);
+      expect(res.body.session.id).toBe(21);
+
+      const [[seriesRow]] = seriesQB.insert.mock.calls[0];
+      expect(seriesRow).toMatchObject({ rrule: "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=3", topic: "Weekly revision" });
+
+      const [rows] = sessionsQB.insert.mock.calls[0];
+      expect(rows.map(r => r.start_at)).toEqual(occurrences.map(o => o.start_at));
+      expect(rows.every(r => r.series_id === 5 && r.is_exception === false)).toBe(true);
+
+      await waitFor(() => invitesQB.insert.mock.calls.length > 0);
+      expect(invitesQB.insert).toHaveBeenCalledTimes(1);
+      const invited = invitesQB.insert.mock.calls[0][0].map(row => row.session_id);
+      expect(invited).toEqual([21, 22, 23]);
+      await waitFor(() => outboxQB.insert.mock.calls.length > 0);
+      expect(outboxQB.insert).toHaveBeenCalledTimes(1);
+      expect(outboxQB.insert.mock.calls[0][0]).toHaveLength(3);
+    });
+
+    test("GET series returns the series with its occurrences", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: resultQB(null, { data: { id: 5, group_id: 1 }, error: null }),
+        sessions: resultQB({ data: occurrences, error: null }),
+      });
+
+      const res = await request(app)
+        .get("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.series.id).toBe(5);
+      expect(res.body.occurrences).toHaveLength(3);
+    });
+
+    test("PATCH series updates upcoming occurrences that are not exceptions", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const seriesQB = resultQB(null, { data: { id: 5, group_id: 1, creator_id: "user-123" }, error: null });
+      const sessionsQB = resultQB({ data: occurrences, error: null });
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: seriesQB,
+        sessions: sessionsQB,
+      });
+
+      const res = await request(app)
+        .patch("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Library", start_at: "ignored" });
+
+      expect(res.status).toBe(200);
+      expect(seriesQB.update).toHaveBeenCalledWith({ venue: "Library" });
+      expect(sessionsQB.update).toHaveBeenCalledWith({ venue: "Library", sequence: 1, updated_at: expect.any(String) });
+      expect(sessionsQB.in).toHaveBeenCalledWith("id", [21, 22, 23]);
+      expect(sessionsQB.eq).toHaveBeenCalledWith("is_exception", false);
+      expect(sessionsQB.gte).toHaveBeenCalledWith("start_at", expect.any(String));
+    });
+
+    test("PATCH series emails each invitee who hasn't declined once", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const seriesQB = resultQB(null, { data: { id: 5, group_id: 1, creator_id: "user-123", topic: "Weekly" }, error: null });
+      const sessionsQB = resultQB({ data: occurrences.map(o => ({ ...o, sequence: 2 })), error: null });
+      const invitesQB = resultQB({
+        data: [
+          { user_id: "user-456", status: "accepted" },
+          { user_id: "user-456", status: "pending" },
+          { user_id: "user-789", status: "declined" },
+        ],
+        error: null,
+      });
+      const profilesQB = resultQB({ data: [{ id: "user-456", email: "mate@test.com", full_name: "Mate One" }], error: null });
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: seriesQB,
+        sessions: sessionsQB,
+        session_invites: invitesQB,
+        profiles: profilesQB,
+      });
+      const sendSpy = jest.spyOn(emailOutbox, "enqueue");
+
+      const res = await request(app)
+        .patch("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Room 4" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.notified).toBe(1);
+      expect(sendSpy.mock.calls.map(([to]) => to)).toEqual(["mate@test.com"]);
+      expect(sendSpy.mock.calls[0][4]).toBe("update");
+      sendSpy.mockRestore();
+      expect(profilesQB.in).toHaveBeenCalledWith("id", ["user-456"]);
+      expect(sessionsQB.update).toHaveBeenCalledWith(expect.objectContaining({ sequence: 3 }));
+    });
+
+    test("PATCH series 403 for someone other than the creator", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: resultQB(null, { data: { id: 5, group_id: 1, creator_id: "user-456" }, error: null }),
+      });
+
+      const res = await request(app)
+        .patch("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Library" });
+
+      expect(res.status).toBe(403);
+    });
+
+    test("PATCH occurrence goes through the session edit: exception, sequence bump, group check", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const sessionsQB = resultQB(null, {
+        data: { id: 22, group_id: 1, creator_id: "user-123", series_id: 5, start_at: "2099-12-09T10:00:00.000Z", sequence: 1 },
+        error: null,
+      });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, sessions: sessionsQB });
+
+      const res = await request(app)
+        .patch("/api/groups/1/series/5/occurrences/22")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ start_at: "2099-12-10T12:00:00Z" });
+
+      expect(res.status).toBe(200);
+      expect(sessionsQB.eq).toHaveBeenCalledWith("group_id", "1");
+      expect(sessionsQB.update).toHaveBeenCalledWith({
+        start_at: "2099-12-10T12:00:00Z",
+        sequence: 2,
+        updated_at: expect.any(String),
+        is_exception: true,
+      });
+      expect(res.body.rsvps_reset).toBe(true);
+    });
+
+    test("PATCH occurrence 404 when the session is not in that series", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const sessionsQB = resultQB(null, { data: { id: 22, group_id: 1, creator_id: "user-123", series_id: 6 }, error: null });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, sessions: sessionsQB });
+
+      const res = await request(app)
+        .patch("/api/groups/1/series/5/occurrences/22")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ venue: "Library" });
+
+      expect(res.status).toBe(404);
+      expect(sessionsQB.update).not.toHaveBeenCalled();
+    });
+
+    test("DELETE series cancels upcoming occurrences and marks the series cancelled", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const seriesQB = resultQB({ data: null, error: null }, { data: { id: 5, group_id: 1, creator_id: "user-123" }, error: null });
+      const upcomingQB = resultQB({ data: [{ id: 21, sequence: 0, start_at: "2099-01-01T10:00:00Z" }, { id: 22, sequence: 2, start_at: "2099-01-08T10:00:00Z" }], error: null });
+      const cancelQB = resultQB({ data: null, error: null });
+      let call = 0;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: seriesQB,
+      });
+      const from = supabaseMock.from;
+      supabaseMock.from = jest.fn((table) => {
+        if (table === "sessions") return call++ === 0 ? upcomingQB : cancelQB;
+        return from(table);
+      });
+
+      const res = await request(app)
+        .delete("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.cancelled).toBe(2);
+      expect(upcomingQB.eq).toHaveBeenCalledWith("series_id", "5");
+      expect(upcomingQB.is).toHaveBeenCalledWith("cancelled_at", null);
+      expect(cancelQB.delete).not.toHaveBeenCalled();
+      expect(cancelQB.update).toHaveBeenCalledWith(expect.objectContaining({ cancelled_at: expect.any(String), sequence: 1 }));
+      expect(cancelQB.update).toHaveBeenCalledWith(expect.objectContaining({ cancelled_at: expect.any(String), sequence: 3 }));
+      expect(seriesQB.update).toHaveBeenCalledWith({ cancelled_at: expect.any(String) });
+    });
+
+    test("DELETE series emails and notifies invitees of every cancelled occurrence", async () => {
+      const { groupMembersQB_allow } = supabaseMock.__builders;
+      const seriesQB = resultQB({ data: null, error: null }, { data: { id: 5, group_id: 1, creator_id: "user-123" }, error: null });
+      const upcomingQB = resultQB({ data: [{ id: 21, start_at: "2099-01-01T10:00:00Z" }, { id: 22, start_at: "2099-01-08T10:00:00Z" }], error: null });
+      const invitesQB = resultQB({ data: [{ user_id: "user-a", status: "accepted" }], error: null });
+      const notificationsQB = resultQB({ data: null, error: null });
+      const sendSpy = jest.spyOn(emailOutbox, "enqueue");
+      let call = 0;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        session_series: seriesQB,
+        session_invites: invitesQB,
+        profiles: resultQB({ data: [{ id: "user-a", email: "a@test.com" }], error: null }),
+        notifications: notificationsQB,
+      });
+      const from = supabaseMock.from;
+      supabaseMock.from = jest.fn((table) => {
+        if (table === "sessions") return call++ === 0 ? upcomingQB : resultQB({ data: null, error: null });
+        return from(table);
+      });
+
+      const res = await request(app)
+        .delete("/api/groups/1/series/5")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ reason: "Term is over" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.notified).toBe(2);
+      expect(invitesQB.in).toHaveBeenCalledWith("status", ["accepted", "pending"]);
+      expect(sendSpy).toHaveBeenCalledTimes(2);
+      expect(sendSpy.mock.calls[0][4]).toBe("cancellation");
+      expect(sendSpy.mock.calls[0][5].reason).toBe("Term is over");
+      expect(notificationsQB.insert).toHaveBeenCalledWith([expect.objectContaining({ user_id: "user-a", type: "session_cancelled" })]);
+      sendSpy.mockRestore();
+    });
   });
 
   //
@@ -702,6 +1565,28 @@ describe("Sessions routes", () => {
       expect(qb.insert).toHaveBeenCalled();
     });
 
+    test("POST /groups/:groupId/messages pushes the message to the group's live stream", async () => {
+      const { subscribe, groupChannel } = await import("../../src/utils/realtime.js");
+      const { groupMembersQB_allow, groupMessagesQB_insertSingle } = supabaseMock.__builders;
+      supabaseMock._setFrom({
+        group_members: groupMembersQB_allow,
+        group_messages: groupMessagesQB_insertSingle,
+      });
+      const received = [];
+      const unsubscribe = subscribe([groupChannel("1")], (e) => received.push(e));
+
+      const res = await request(app)
+        .post("/api/groups/1/messages")
+        .set("Authorization", `Bearer ${token}`)
+        .send({ content: "posted" });
+      unsubscribe();
+
+      expect(res.status).toBe(200);
+      expect(received).toHaveLength(1);
+      expect(received[0].type).toBe("message.created");
+      expect(received[0].data).toEqual({ group_id: "1", message: expect.objectContaining(res.body.message) });
+    });
+
     test("GET /groups/:groupId/messages (no query) returns enriched messages", async () => {
       const { groupMembersQB_allow, groupMessagesQB_list, profilesQB_enrich } = supabaseMock.__builders;
 
@@ -743,6 +1628,55 @@ describe("Sessions routes", () => {
       expect(qb.eq).toHaveBeenCalledWith("group_id", "1");
       expect(qb.eq).toHaveBeenCalledWith("session_id", "11");
     });
+
+    test("GET /groups/:groupId/messages pages back with before and next_cursor", async () => {
+      const { groupMembersQB_allow, profilesQB_enrich } = supabaseMock.__builders;
+      // newest first, one more than the page size
+      const newestFirst = [
+        { id: 3, sender_id: "user-123", content: "c", created_at: "2025-01-01T00:03:00Z" },
+        { id: 2, sender_id: "user-123", content: "b", created_at: "2025-01-01T00:02:00Z" },
+        { id: 1, sender_id: "user-123", content: "a", created_at: "2025-01-01T00:01:00Z" },
+      ];
+      const messagesQB = resultQB({ data: newestFirst, error: null });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, group_messages: messagesQB, profiles: profilesQB_enrich });
+
+      const first = await request(app)
+        .get("/api/groups/1/messages?limit=2")
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(first.status).toBe(200);
+      expect(first.body.messages.map(m => m.id)).toEqual([2, 3]);
+      expect(first.body.has_more).toBe(true);
+      expect(messagesQB.limit).toHaveBeenCalledWith(3);
+
+      const older = await request(app)
+        .get(`/api/groups/1/messages?limit=2&before=${first.body.next_cursor}`)
+        .set("Authorization", `Bearer ${token}`);
+
+      expect(older.status).toBe(200);
+      expect(messagesQB.or).toHaveBeenCalledWith(
+        'created_at.lt."2025-01-01T00:02:00Z",and(created_at.eq."2025-01-01T00:02:00Z",id.lt."2")'
+      );
+    });
+
+    test("GET /groups/:groupId/messages caps the page size and rejects bad cursors", async () => {
+      const { groupMembersQB_allow, profilesQB_enrich } = supabaseMock.__builders;
+      const messagesQB = resultQB({ data: [], error: null });
+      supabaseMock._setFrom({ group_members: groupMembersQB_allow, group_messages: messagesQB, profiles: profilesQB_enrich });
+
+      const capped = await request(app)
+        .get("/api/groups/1/messages?limit=100000")
+        .set("Authorization", `Bearer ${token}`);
+      expect(capped.status).toBe(200);
+      expect(messagesQB.limit).toHaveBeenCalledWith(101);
+      expect(capped.body).toEqual({ messages: [], has_more: false, next_cursor: null, prev_cursor: null });
+
+      const bad = await request(app)
+        .get("/api/groups/1/messages?before=garbage")
+        .set("Authorization", `Bearer ${token}`);
+      expect(bad.status).toBe(400);
+      expect(bad.body.error).toBe("Invalid cursor");
+    });
   });
 });
 
@@ -0,0 +1,52 @@
+// tests/unit/utils/conflicts.test.js
+import { jest } from "@jest/globals";
+
+let overlaps, sessionInterval, testInterval, describeConflicts;
+
+beforeAll(async () => {
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({
+    createClient: () => ({ from: jest.fn() }),
+  }));
+  ({ overlaps, sessionInterval, testInterval, describeConflicts } = await import("../../../src/utils/conflicts.js"));
+});
+
+const settings = { bufferMinutes: 15, defaultSessionMinutes: 60, testMinutes: 120 };
+const MIN = 60 * 1000;
+
+describe("Schedule conflicts", () => {
+  const tenAm = { start_at: "2099-12-25T10:00:00Z", time_goal_minutes: 90 };
+
+  test("session length comes from time_goal_minutes, else the default", () => {
+    const a = sessionInterval(tenAm, settings);
+    expect(a.end - a.start).toBe(90 * MIN);
+
+    const b = sessionInterval({ start_at: "2099-12-25T10:00:00Z" }, settings);
+    expect(b.end - b.start).toBe(60 * MIN);
+  });
+
+  test("overlapping sessions conflict even when start times differ", () => {
+    const a = sessionInterval(tenAm, settings);
+    const b = sessionInterval({ start_at: "2099-12-25T11:00:00Z", time_goal_minutes: 30 }, settings);
+    expect(overlaps(a, b)).toBe(true);
+  });
+
+  test("back-to-back sessions only conflict inside the buffer", () => {
+    const a = sessionInterval(tenAm, settings); // ends 11:30
+    const b = sessionInterval({ start_at: "2099-12-25T11:40:00Z", time_goal_minutes: 30 }, settings);
+    expect(overlaps(a, b, 0)).toBe(false);
+    expect(overlaps(a, b, 15 * MIN)).toBe(true);
+    expect(overlaps(b, a, 15 * MIN)).toBe(true);
+  });
+
+  test("tests block testMinutes from test_date", () => {
+    const t = testInterval({ test_date: "2099-12-25T08:30:00Z" }, settings); // until 10:30
+    expect(overlaps(sessionInterval(tenAm, settings), t)).toBe(true);
+  });
+
+  test("describeConflicts names each clash", () => {
+    expect(describeConflicts([
+      { type: "session", topic: "Physics", start_at: "2099-12-25T10:30:00Z" },
+      { type: "test", topic: null, start_at: "2099-12-25T11:00:00Z" },
+    ])).toBe("Physics at 2099-12-25T10:30:00Z, a test at 2099-12-25T11:00:00Z");
+  });
+});
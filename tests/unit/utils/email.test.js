@@ -0,0 +1,238 @@
+// tests/unit/utils/email.test.js
+import { jest } from "@jest/globals";
+
+let email;
+let supabaseMock;
+const ENV_KEYS = [
+  "EMAIL_PROVIDER", "EMAIL_FALLBACK_PROVIDER",
+  "EMAILJS_SERVICE_ID", "EMAILJS_USER_ID", "EMAILJS_INVITATION_TEMPLATE_ID",
+  "EMAILJS_CONFLICT_TEMPLATE_ID", "EMAILJS_UPDATE_TEMPLATE_ID", "EMAILJS_REMINDER_TEMPLATE_ID",
+  "EMAILJS_HTML_TEMPLATE_ID", "EMAILJS_TEMPLATES_HAVE_UNSUBSCRIBE",
+];
+const saved = {};
+
+beforeAll(async () => {
+  supabaseMock = { from: jest.fn(() => rowQB(null)) };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+  email = await import("../../../src/utils/email.js");
+});
+
+// profiles / notification_preferences lookups; by default the recipient isn't a user
+const rowQB = (row) => {
+  const qb = { select: jest.fn(() => qb), eq: jest.fn(() => qb) };
+  qb.maybeSingle = jest.fn(async () => ({ data: row, error: null }));
+  return qb;
+};
+
+const asUser = (prefs) => {
+  const rows = { profiles: { id: "user-123" }, notification_preferences: prefs };
+  supabaseMock.from = jest.fn((table) => rowQB(rows[table] ?? null));
+};
+
+beforeEach(() => {
+  supabaseMock.from = jest.fn(() => rowQB(null));
+  for (const k of ENV_KEYS) { saved[k] = process.env[k]; delete process.env[k]; }
+  email.clearSentEmails();
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  for (const k of ENV_KEYS) {
+    if (saved[k] === undefined) delete process.env[k];
+    else process.env[k] = saved[k];
+  }
+});
+
+const useEmailJs = () => {
+  process.env.EMAILJS_SERVICE_ID = "svc";
+  process.env.EMAILJS_USER_ID = "user";
+  process.env.EMAILJS_INVITATION_TEMPLATE_ID = "tpl_invite";
+};
+
+describe("email service", () => {
+  test("uses the memory provider under NODE_ENV=test", async () => {
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello", "reminder", { topic: "Calc" });
+
+    expect(result).toMatchObject({ success: true, service: "memory", emailType: "reminder", fallback: false });
+    expect(email.getSentEmails()).toEqual([
+      expect.objectContaining({ to: "a@b.com", subject: "Hi", emailType: "reminder" }),
+    ]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test("renders built-in templates when no HTML is passed", async () => {
+    await email.emailService.sendEmail("a@b.com", "", "", "ignored", "cancellation", { topic: "<Calc>", reason: "Ill" });
+
+    const [sent] = email.getSentEmails();
+    expect(sent.subject).toBe("❌ Session cancelled: <Calc>");
+    expect(sent.html).toContain("&lt;Calc&gt;");
+    expect(sent.text).toContain("Hi a,");
+    expect(sent.text).toContain("Reason: Ill");
+  });
+
+  test("sends caller HTML as is", async () => {
+    await email.emailService.sendEmail("a@b.com", "Hi", "<p>Mine</p>", "Mine", "invitation", {});
+    expect(email.getSentEmails()[0]).toMatchObject({ html: "<p>Mine</p>", text: "Mine" });
+  });
+
+  test("sends through EmailJS without browser headers", async () => {
+    process.env.EMAIL_PROVIDER = "emailjs";
+    useEmailJs();
+    process.env.EMAILJS_CONFLICT_TEMPLATE_ID = "tpl_conflict";
+    global.fetch.mockResolvedValue({ ok: true, status: 200, text: async () => "OK" });
+
+    const result = await email.emailService.sendEmail("a@b.com", "Conflict", "", "", "conflict", { student_name: "Sam" });
+
+    expect(result).toMatchObject({ success: true, service: "emailjs" });
+    const [, init] = global.fetch.mock.calls[0];
+    expect(init.headers).toEqual({ "Content-Type": "application/json" });
+    const body = JSON.parse(init.body);
+    expect(body.template_id).toBe("tpl_conflict");
+    expect(body.template_params).toMatchObject({ name: "a", student_name: "Sam", email: "a@b.com" });
+  });
+
+  test("fails over to the secondary provider when the primary errors", async () => {
+    process.env.EMAIL_PROVIDER = "emailjs";
+    process.env.EMAIL_FALLBACK_PROVIDER = "memory";
+    useEmailJs();
+    global.fetch.mockResolvedValue({ ok: false, status: 500, text: async () => "boom" });
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello", "invitation", {});
+
+    expect(result).toMatchObject({ success: true, service: "memory", fallback: true });
+    expect(email.getSentEmails()).toHaveLength(1);
+  });
+
+  test("skips an unconfigured primary", async () => {
+    process.env.EMAIL_PROVIDER = "resend";
+    process.env.EMAIL_FALLBACK_PROVIDER = "memory";
+    delete process.env.RESEND_API_KEY;
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello");
+    expect(result).toMatchObject({ success: true, service: "memory", fallback: true });
+  });
+
+  test("reports every failed attempt without throwing", async () => {
+    process.env.EMAIL_PROVIDER = "emailjs";
+    global.fetch.mockRejectedValue(new Error("network down"));
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello");
+    expect(result.success).toBe(false);
+    expect(result.error).toContain("EmailJS configuration incomplete");
+    expect(result.attempts).toEqual([{ service: "emailjs", error: expect.any(String) }]);
+  });
+
+  test("rejects unknown providers", async () => {
+    process.env.EMAIL_PROVIDER = "carrier-pigeon";
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello");
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown email provider "carrier-pigeon"');
+  });
+});
+
+describe("notification preferences", () => {
+  beforeAll(() => {
+    process.env.UNSUBSCRIBE_SECRET = "test-unsubscribe-secret";
+  });
+
+  test("skips emails in a category the recipient turned off", async () => {
+    asUser({ reminders: false });
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello", "reminder", {});
+
+    expect(result).toMatchObject({ success: true, skipped: true, reason: "unsubscribed", category: "reminders" });
+    expect(email.getSentEmails()).toHaveLength(0);
+  });
+
+  test("email_enabled false skips every type, including uncategorised ones", async () => {
+    asUser({ email_enabled: false });
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "<p>Hi</p>", "Hi", "message", {});
+
+    expect(result.skipped).toBe(true);
+  });
+
+  test("adds an unsubscribe link and one-click headers for users", async () => {
+    asUser(null);
+
+    await email.emailService.sendEmail("a@b.com", "Hi", "<html><body><p>Hi</p></body></html>", "Hi", "conflict", {});
+
+    const [sent] = email.getSentEmails();
+    const url = sent.headers["List-Unsubscribe"].slice(1, -1);
+    expect(url).toMatch(/\/api\/notifications\/unsubscribe\/[\w-]+\.[\w-]+$/);
+    expect(sent.headers["List-Unsubscribe-Post"]).toBe("List-Unsubscribe=One-Click");
+    expect(sent.html).toMatch(/Unsubscribe<\/a><\/p>\n<\/body>/);
+    expect(sent.text).toBe(`Hi\n\nUnsubscribe: ${url}`);
+  });
+
+  test("EmailJS per-type templates only get user emails once they are confirmed to render the link", async () => {
+    asUser(null);
+    process.env.EMAIL_PROVIDER = "emailjs";
+    process.env.EMAIL_FALLBACK_PROVIDER = "memory";
+    useEmailJs();
+    global.fetch.mockResolvedValue({ ok: true, status: 200, text: async () => "OK" });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const unconfirmed = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello", "invitation", {});
+    expect(unconfirmed).toMatchObject({ success: true, service: "memory", fallback: true });
+    expect(unconfirmed.response).toBeDefined();
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    process.env.EMAILJS_TEMPLATES_HAVE_UNSUBSCRIBE = "true";
+    const confirmed = await email.emailService.sendEmail("a@b.com", "Hi", "", "Hello", "invitation", {});
+    expect(confirmed).toMatchObject({ success: true, service: "emailjs" });
+    const params = JSON.parse(global.fetch.mock.calls[0][1].body).template_params;
+    expect(params.unsubscribe_url).toMatch(/\/api\/notifications\/unsubscribe\//);
+    console.error.mockRestore();
+  });
+
+  test("the EmailJS HTML template gets the link in the body", async () => {
+    asUser(null);
+    process.env.EMAIL_PROVIDER = "emailjs";
+    useEmailJs();
+    process.env.EMAILJS_HTML_TEMPLATE_ID = "tpl_html";
+    global.fetch.mockResolvedValue({ ok: true, status: 200, text: async () => "OK" });
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "<p>Hi</p>", "Hi", "invitation", {});
+
+    expect(result).toMatchObject({ success: true, service: "emailjs" });
+    const params = JSON.parse(global.fetch.mock.calls[0][1].body).template_params;
+    expect(params.html).toContain("Unsubscribe</a>");
+    expect(params.text).toMatch(/Unsubscribe: https?:\/\//);
+  });
+
+  test("sends without a link when preferences can't be loaded", async () => {
+    supabaseMock.from = jest.fn(() => { throw new Error("db down"); });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await email.emailService.sendEmail("a@b.com", "Hi", "<p>Hi</p>", "Hi", "invitation", {});
+
+    expect(result.success).toBe(true);
+    expect(email.getSentEmails()[0].headers).toBeUndefined();
+    console.error.mockRestore();
+  });
+});
+
+describe("EmailJS templates", () => {
+  test("falls back along the template chain", () => {
+    useEmailJs();
+    expect(email.emailjsTemplateId("reminder")).toBe("tpl_invite");
+    process.env.EMAILJS_UPDATE_TEMPLATE_ID = "tpl_update";
+    expect(email.emailjsTemplateId("reminder")).toBe("tpl_update");
+    process.env.EMAILJS_REMINDER_TEMPLATE_ID = "tpl_reminder";
+    expect(email.emailjsTemplateId("reminder")).toBe("tpl_reminder");
+  });
+
+  test("message emails pass extra fields through to the template", () => {
+    const params = email.emailjsParams({
+      to: "a@b.com", subject: "Hello", text: "Body", emailType: "message",
+      templateData: { custom_param: "x" },
+    });
+    expect(params).toMatchObject({ name: "a", topic: "Hello", content_goal: "Body", custom_param: "x", email: "a@b.com" });
+  });
+});
+
+test("text-only messages are wrapped in escaped HTML", () => {
+  expect(email.htmlBody({ text: "<b>hi</b>\nthere\n\nbye" })).toBe("<p>&lt;b&gt;hi&lt;/b&gt;<br>there</p>\n<p>bye</p>");
+  expect(email.htmlBody({ html: "<p>as is</p>", text: "ignored" })).toBe("<p>as is</p>");
+});
@@ -0,0 +1,127 @@
+// tests/unit/utils/emailProtection.test.js
+import { jest } from "@jest/globals";
+
+let protection;
+let supabaseMock;
+
+// Resolves to `result` when awaited at any point of the chain, or via maybeSingle()
+const resultQB = (result = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "upsert", "delete", "eq", "gte"]) qb[m] = jest.fn(() => qb);
+  qb.maybeSingle = jest.fn(() => Promise.resolve(result));
+  qb.single = jest.fn(() => Promise.resolve(result));
+  return qb;
+};
+
+// email_suppressions / email_send_log results per table
+const tables = (results = {}) => {
+  supabaseMock.from = jest.fn((table) => resultQB(results[table]));
+};
+
+const partner = { id: 3, name: "Race IQ", daily_email_quota: null };
+const settings = (extra = {}) => ({
+  allowlist: [], denylist: [], perKeyPerMinute: 2, perRecipientPerHour: 2, dailyQuota: 100, ...extra,
+});
+
+beforeAll(async () => {
+  supabaseMock = { from: jest.fn(() => resultQB()) };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+  protection = await import("../../../src/utils/emailProtection.js");
+});
+
+beforeEach(() => {
+  protection.emailKeyLimiter.reset();
+  protection.emailRecipientLimiter.reset();
+  tables();
+});
+
+describe("recipient lists", () => {
+  test("deny entries match addresses, domains and subdomains", () => {
+    const s = settings({ denylist: ["spam@x.com", "@blocked.org", "evil.net"] });
+    expect(protection.recipientBlocked("Spam@X.com", s)).toMatch(/deny/);
+    expect(protection.recipientBlocked("a@mail.blocked.org", s)).toMatch(/deny/);
+    expect(protection.recipientBlocked("a@evil.net", s)).toMatch(/deny/);
+    expect(protection.recipientBlocked("ok@x.com", s)).toBeNull();
+    expect(protection.recipientBlocked("a@notevil.net", s)).toBeNull();
+  });
+
+  test("an allow list restricts recipients to it", () => {
+    const s = settings({ allowlist: ["students.wits.ac.za"] });
+    expect(protection.recipientBlocked("a@students.wits.ac.za", s)).toBeNull();
+    expect(protection.recipientBlocked("a@gmail.com", s)).toMatch(/allow/);
+  });
+});
+
+describe("checkPartnerSend", () => {
+  test("passes a normal send", async () => {
+    tables({ email_send_log: { count: 3, error: null } });
+    expect(await protection.checkPartnerSend(partner, "a@test.com", { settings: settings() })).toBeNull();
+  });
+
+  test("refuses suppressed addresses", async () => {
+    tables({ email_suppressions: { data: { email: "a@test.com", reason: "bounce" }, error: null } });
+    const refused = await protection.checkPartnerSend(partner, "A@test.com", { settings: settings() });
+    expect(refused).toMatchObject({ status: 409, error: expect.stringContaining("bounce") });
+  });
+
+  test("limits each key per minute", async () => {
+    const s = settings({ perRecipientPerHour: 100 });
+    await protection.checkPartnerSend(partner, "a@test.com", { settings: s });
+    await protection.checkPartnerSend(partner, "b@test.com", { settings: s });
+    const refused = await protection.checkPartnerSend(partner, "c@test.com", { settings: s });
+    expect(refused).toMatchObject({ status: 429, error: expect.stringContaining("key") });
+    expect(refused.rate.remaining).toBe(0);
+  });
+
+  test("limits each recipient across keys", async () => {
+    const s = settings();
+    await protection.checkPartnerSend({ id: 1 }, "a@test.com", { settings: s });
+    await protection.checkPartnerSend({ id: 2 }, "a@test.com", { settings: s });
+    const refused = await protection.checkPartnerSend({ id: 4 }, "A@TEST.com", { settings: s });
+    expect(refused).toMatchObject({ status: 429, error: "Too many emails to this recipient" });
+  });
+
+  test("enforces the daily quota, preferring the key's own", async () => {
+    tables({ email_send_log: { count: 20, error: null } });
+    expect(await protection.checkPartnerSend(partner, "a@test.com", { settings: settings() })).toBeNull();
+
+    const refused = await protection.checkPartnerSend({ ...partner, daily_email_quota: 20 }, "b@test.com", { settings: settings() });
+    expect(refused).toMatchObject({ status: 429, error: "Daily email quota of 20 reached" });
+  });
+
+  test("refused sends don't use up the rate limits", async () => {
+    const s = settings({ perKeyPerMinute: 1, perRecipientPerHour: 1 });
+    tables({ email_send_log: { count: 100, error: null } });
+    await protection.checkPartnerSend(partner, "a@test.com", { settings: s });
+    await protection.checkPartnerSend(partner, "a@test.com", { settings: s });
+
+    tables({ email_send_log: { count: 0, error: null } });
+    expect(await protection.checkPartnerSend(partner, "a@test.com", { settings: s })).toBeNull();
+
+    // Refused for the recipient, so the key keeps its allowance
+    const s2 = settings({ perKeyPerMinute: 2, perRecipientPerHour: 1 });
+    protection.emailKeyLimiter.reset();
+    const refused = await protection.checkPartnerSend(partner, "a@test.com", { settings: s2 });
+    expect(refused).toMatchObject({ error: "Too many emails to this recipient" });
+    expect(await protection.checkPartnerSend(partner, "b@test.com", { settings: s2 })).toBeNull();
+    expect(await protection.checkPartnerSend(partner, "c@test.com", { settings: s2 })).toBeNull();
+  });
+});
+
+describe("parseBounceEvent", () => {
+  test("reads Resend bounces and complaints", () => {
+    expect(protection.parseBounceEvent({ type: "email.bounced", data: { to: ["a@x.com"] } }))
+      .toEqual([{ email: "a@x.com", reason: "bounce", source: "resend" }]);
+    expect(protection.parseBounceEvent({ type: "email.complained", data: { to: "b@x.com" } }))
+      .toEqual([{ email: "b@x.com", reason: "complaint", source: "resend" }]);
+    expect(protection.parseBounceEvent({ type: "email.delivered", data: { to: ["a@x.com"] } })).toEqual([]);
+  });
+
+  test("reads MailerSend and generic events", () => {
+    expect(protection.parseBounceEvent({ type: "activity.hard_bounced", data: { email: { recipient: { email: "a@x.com" } } } }))
+      .toEqual([{ email: "a@x.com", reason: "bounce", source: "mailersend" }]);
+    expect(protection.parseBounceEvent({ type: "complaint", email: "c@x.com" }))
+      .toEqual([{ email: "c@x.com", reason: "complaint", source: "webhook" }]);
+    expect(protection.parseBounceEvent({})).toEqual([]);
+  });
+});
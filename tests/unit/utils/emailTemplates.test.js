@@ -0,0 +1,70 @@
+// tests/unit/utils/emailTemplates.test.js
+import { jest } from "@jest/globals";
+
+let templates;
+
+beforeAll(async () => {
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => ({}) }));
+  templates = await import("../../../src/utils/emailTemplates.js");
+});
+
+describe("renderString", () => {
+  test("substitutes variables and escapes them with the given function", () => {
+    expect(templates.renderString("Hi {{ name }}!", { name: "<b>Jo</b>" }, s => s.toUpperCase())).toBe("Hi <B>JO</B>!");
+  });
+
+  test("sections show when truthy, repeat over lists, and invert when empty", () => {
+    const tpl = "{{#venue}}at {{venue}}{{/venue}}{{^venue}}online{{/venue}}: {{#items}}[{{.}}]{{/items}}{{#people}}<{{name}}>{{/people}}";
+    expect(templates.renderString(tpl, { venue: "Library", items: [1, 2], people: [{ name: "A" }] })).toBe("at Library: [1][2]<A>");
+    expect(templates.renderString(tpl, { items: [] })).toBe("online: ");
+  });
+
+  test("values are never treated as template tags", () => {
+    expect(templates.renderString("{{a}}", { a: "{{b}}", b: "secret" })).toBe("{{b}}");
+  });
+});
+
+describe("built-in templates", () => {
+  test("every built-in renders its sample to subject, HTML and text", () => {
+    for (const [name, t] of Object.entries(templates.BUILT_IN_TEMPLATES)) {
+      const rendered = templates.renderBuiltIn(name, t.sample);
+      expect(rendered.subject).not.toBe("");
+      expect(rendered.html.startsWith("<!doctype html>")).toBe(true);
+      expect(rendered.text).not.toMatch(/\{\{|<[a-z]/);
+    }
+  });
+
+  test("escapes variables in the HTML part only", () => {
+    const rendered = templates.renderBuiltIn("conflict", { recipient_name: "Sam", conflict_message: "A & B <clash>" });
+    expect(rendered.html).toContain("A &amp; B &lt;clash&gt;");
+    expect(rendered.text).toContain("A & B <clash>");
+  });
+
+  test("unknown names render nothing", () => {
+    expect(templates.renderBuiltIn("nope", {})).toBeNull();
+  });
+});
+
+describe("partner templates", () => {
+  test("text is derived from the HTML when not given", () => {
+    const rendered = templates.renderTemplate({ subject: "Hi {{name}}", html: "<p>Welcome {{name}}</p><p>Bye</p>" }, { name: "Jo" });
+    expect(rendered.subject).toBe("Hi Jo");
+    expect(rendered.text).toBe("Welcome Jo\nBye");
+  });
+
+  test("validation rejects bad names and missing parts", () => {
+    expect(() => templates.validateTemplate({ name: "Bad Name", subject: "x", html: "x" })).toThrow(templates.TemplateError);
+    expect(() => templates.validateTemplate({ name: "ok", html: "x" })).toThrow("subject is required");
+    expect(() => templates.validateTemplate({ name: "ok", subject: "x" })).toThrow("html is required");
+    expect(() => templates.validateTemplate({ name: "ok", subject: "x", html: "x" })).not.toThrow();
+  });
+
+  test("action links must be http(s) URLs", () => {
+    const template = { name: "ok", subject: "x", html: '<a href="{{action_url}}">Go</a>' };
+    expect(() => templates.validateTemplate({ ...template, sample: { action_url: "javascript:alert(1)" } }))
+      .toThrow("action_url must be an http(s) URL");
+    expect(() => templates.validateTemplate({ ...template, sample: { action_url: "data:text/html,hi" } })).toThrow(templates.TemplateError);
+    expect(() => templates.validateTemplate({ ...template, sample: { action_url: "https://example.com/go" } })).not.toThrow();
+    expect(() => templates.validateTemplate({ ...template, sample: {} })).not.toThrow();
+  });
+});
@@ -0,0 +1,44 @@
+// tests/unit/utils/groups.test.js
+import { jest } from "@jest/globals";
+
+let groupChanges;
+let isListed;
+let containsPattern;
+
+beforeAll(async () => {
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => ({ from: jest.fn() }) }));
+  ({ groupChanges, isListed, containsPattern } = await import("../../../src/utils/groups.js"));
+});
+
+describe("groupChanges", () => {
+  test("keeps only editable fields, trimmed", () => {
+    expect(groupChanges({ name: "  Algorithms ", module: "COMP2", owner_id: "x", archived_at: "now" }))
+      .toEqual({ changes: { name: "Algorithms", module: "COMP2" } });
+  });
+
+  test("empty optional fields clear them", () => {
+    expect(groupChanges({ description: "", avatar_url: null })).toEqual({ changes: { description: null, avatar_url: null } });
+  });
+
+  test.each([
+    [{ name: "   " }, "Group name required"],
+    [{ name: 5 }, "name must be a string"],
+    [{ description: "x".repeat(1001) }, "description must be at most 1000 characters"],
+    [{ avatar_url: "javascript:alert(1)" }, "avatar_url must be an http(s) URL"],
+    [{ visibility: "public" }, "visibility must be one of private, discoverable, open"],
+  ])("%j is rejected", (body, error) => {
+    expect(groupChanges(body)).toEqual({ error });
+  });
+});
+
+test("only unarchived discoverable and open groups are listed", () => {
+  expect(isListed({ visibility: "discoverable", archived_at: null })).toBe(true);
+  expect(isListed({ visibility: "open", archived_at: null })).toBe(true);
+  expect(isListed({ visibility: "private", archived_at: null })).toBe(false);
+  expect(isListed({ visibility: "open", archived_at: "2099-01-01T00:00:00Z" })).toBe(false);
+  expect(isListed({ archived_at: null })).toBe(false);
+});
+
+test("containsPattern takes wildcards literally", () => {
+  expect(containsPattern("100%_done\\")).toBe("%100\\%\\_done\\\\%");
+});
@@ -0,0 +1,67 @@
+// tests/unit/utils/ical.test.js
+import { jest } from "@jest/globals";
+
+let ical;
+
+beforeAll(async () => {
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => ({}) }));
+  ical = await import("../../../src/utils/ical.js");
+});
+
+describe("iCalendar writer", () => {
+  const now = new Date("2099-01-01T00:00:00Z");
+
+  test("session events use a stable UID and the session's time goal as duration", () => {
+    const lines = ical.sessionEvent(
+      { id: 10, start_at: "2099-12-25T10:00:00Z", time_goal_minutes: 90, topic: "Calculus", venue: "Library", sequence: 2 },
+      { groupName: "Maths", now }
+    );
+
+    expect(lines).toEqual(expect.arrayContaining([
+      "UID:session-10@lockedin",
+      "DTSTAMP:20990101T000000Z",
+      "DTSTART:20991225T100000Z",
+      "DTEND:20991225T113000Z",
+      "SUMMARY:Calculus",
+      "LOCATION:Library",
+      "SEQUENCE:2",
+    ]));
+    expect(lines[0]).toBe("BEGIN:VEVENT");
+    expect(lines[lines.length - 1]).toBe("END:VEVENT");
+  });
+
+  test("cancelled sessions stay in the feed with STATUS:CANCELLED", () => {
+    const lines = ical.sessionEvent(
+      { id: 10, start_at: "2099-12-25T10:00:00Z", cancelled_at: "2099-12-20T10:00:00Z", cancellation_reason: "Ill" },
+      { now }
+    );
+    expect(lines).toContain("STATUS:CANCELLED");
+    expect(lines).toContain("DESCRIPTION:Cancelled: Ill");
+  });
+
+  test("test events get their own UID namespace", () => {
+    const lines = ical.testEvent({ id: 10, name: "Physics", test_date: "2099-12-25T10:00:00Z" }, { now });
+    expect(lines).toContain("UID:test-10@lockedin");
+    expect(lines).toContain("DTEND:20991225T120000Z");
+  });
+
+  test("escapes text values", () => {
+    expect(ical.escapeText("a, b; c\\d\nnext")).toBe("a\\, b\\; c\\\\d\\nnext");
+  });
+
+  test("folds long lines at 75 octets", () => {
+    const folded = ical.foldLine(`DESCRIPTION:${"x".repeat(200)}`);
+    const parts = folded.split("\r\n");
+    expect(parts.length).toBeGreaterThan(1);
+    expect(parts.every(p => Buffer.byteLength(p) <= 75)).toBe(true);
+    expect(parts.slice(1).every(p => p.startsWith(" "))).toBe(true);
+    expect(folded.replace(/\r\n /g, "")).toBe(`DESCRIPTION:${"x".repeat(200)}`);
+  });
+
+  test("builds a CRLF calendar document", () => {
+    const body = ical.buildCalendar({ name: "LockedIn", events: [ical.testEvent({ id: 1, test_date: "2099-12-25T10:00:00Z" }, { now })] });
+    expect(body.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n")).toBe(true);
+    expect(body).toContain("X-WR-CALNAME:LockedIn\r\n");
+    expect(body.endsWith("END:VCALENDAR\r\n")).toBe(true);
+  });
+});
@@ -0,0 +1,29 @@
+// tests/unit/utils/messageSearch.test.js
+import { stem, parseSearchQuery, highlight } from "../../../src/utils/messageSearch.js";
+
+test("stems common english endings", () => {
+  expect(stem("studying")).toBe("study");
+  expect(stem("Notes")).toBe("note");
+  expect(stem("quizzes")).toBe("quizz");
+  expect(stem("theories")).toBe("theory");
+  expect(stem("is")).toBe("is");
+});
+
+test("parses words, phrases and exclusions", () => {
+  expect(parseSearchQuery('"past paper" integrals -physics OR limits')).toEqual({
+    terms: ["past", "paper", "integral", "limit"],
+    phrases: ["past paper"],
+  });
+});
+
+test("highlights matches in an escaped snippet", () => {
+  const query = parseSearchQuery("integral");
+  expect(highlight("Studying <b>integrals</b> tonight", query)).toBe("Studying &lt;b&gt;<mark>integrals</mark>&lt;/b&gt; tonight");
+
+  const long = `${"intro words ".repeat(30)}the integral question ${"outro words ".repeat(30)}`;
+  const snippet = highlight(long, query, { maxLength: 60 });
+  expect(snippet.startsWith("…")).toBe(true);
+  expect(snippet.endsWith("…")).toBe(true);
+  expect(snippet).toContain("<mark>integral</mark>");
+  expect(snippet.replace(/<\/?mark>/g, "").length).toBeLessThan(90);
+});
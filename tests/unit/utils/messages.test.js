@@ -0,0 +1,17 @@
+// tests/unit/utils/messages.test.js
+import { jest } from "@jest/globals";
+
+let isEmoji;
+
+beforeAll(async () => {
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => ({ from: jest.fn() }) }));
+  ({ isEmoji } = await import("../../../src/utils/messages.js"));
+});
+
+test.each(["👍", "🎉", "👍🏽", "👩‍💻", "🇿🇦", "❤️"])("%s is an emoji", (value) => {
+  expect(isEmoji(value)).toBe(true);
+});
+
+test.each(["", "lol", "1", "#", "👍 nice", "<b>", null])("%s is not", (value) => {
+  expect(isEmoji(value)).toBe(false);
+});
@@ -0,0 +1,64 @@
+// tests/unit/utils/notifications.test.js
+import { jest } from "@jest/globals";
+
+let notify;
+let supabaseMock;
+
+beforeAll(async () => {
+  supabaseMock = { from: jest.fn() };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+  ({ notify } = await import("../../../src/utils/notifications.js"));
+});
+
+test("creates one row per recipient, skipping duplicates and the actor", async () => {
+  const insert = jest.fn(async () => ({ error: null }));
+  supabaseMock.from = jest.fn(() => ({ insert }));
+
+  await notify(["a", "b", "a", "me"], { type: "group_invite", actorId: "me", title: "Join", data: { group_id: 1 } });
+
+  expect(supabaseMock.from).toHaveBeenCalledWith("notifications");
+  expect(insert).toHaveBeenCalledWith([
+    { user_id: "a", type: "group_invite", actor_id: "me", title: "Join", body: null, data: { group_id: 1 } },
+    { user_id: "b", type: "group_invite", actor_id: "me", title: "Join", body: null, data: { group_id: 1 } },
+  ]);
+});
+
+test("does nothing when only the actor would be notified", async () => {
+  supabaseMock.from = jest.fn();
+  await notify("me", { type: "friend_invite", actorId: "me", title: "Hi" });
+  expect(supabaseMock.from).not.toHaveBeenCalled();
+});
+
+test("unknown types are logged, not written", async () => {
+  const insert = jest.fn(async () => ({ error: null }));
+  supabaseMock.from = jest.fn(() => ({ insert }));
+  const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  await notify("a", { type: "made_up", title: "Hi" });
+  expect(insert).not.toHaveBeenCalled();
+  expect(spy).toHaveBeenCalledWith(expect.stringContaining("made_up"));
+  spy.mockRestore();
+});
+
+test("never throws", async () => {
+  supabaseMock.from = jest.fn(() => ({ insert: async () => ({ error: { message: "relation does not exist" } }) }));
+  const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+
+  await expect(notify("a", { type: "friend_invite", title: "Hi" })).resolves.toBeUndefined();
+  expect(spy).toHaveBeenCalled();
+  spy.mockRestore();
+});
+
+test("pushes each new notification to the recipient's realtime stream", async () => {
+  const { subscribe, userChannel, resetRealtime } = await import("../../../src/utils/realtime.js");
+  resetRealtime();
+  const received = [];
+  subscribe([userChannel("a")], (e) => received.push(e));
+  supabaseMock.from = jest.fn(() => ({ insert: async () => ({ error: null }) }));
+
+  await notify(["a", "b"], { type: "friend_invite", actorId: "me", title: "Hi" });
+
+  expect(received).toHaveLength(1);
+  expect(received[0].type).toBe("notification.created");
+  expect(received[0].data).toEqual(expect.objectContaining({ type: "friend_invite", actor_id: "me", title: "Hi" }));
+});
@@ -0,0 +1,174 @@
+// tests/unit/utils/outbox.test.js
+import { jest } from "@jest/globals";
+
+let outbox;
+let email;
+let supabaseMock;
+
+// Resolves to `result` when awaited at any point of the chain, or via maybeSingle()
+const resultQB = (result = { data: null, error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "update", "eq", "lt", "lte", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  qb.maybeSingle = jest.fn(() => Promise.resolve(result));
+  return qb;
+};
+
+// Each supabase.from("email_outbox") call takes the next builder, in order
+let builders;
+const queue = (...results) => {
+  builders = results.map(resultQB);
+  let i = 0;
+  supabaseMock.from = jest.fn(() => builders[i++] || resultQB());
+};
+
+const now = new Date("2099-12-25T09:00:00Z");
+const settings = { maxAttempts: 3, retryBaseMs: 30 * 1000, intervalMs: 1000, batchSize: 10 };
+const row = (extra = {}) => ({
+  id: 7, to_email: "a@test.com", subject: "Hi", html: null, text: "Hello",
+  email_type: "invitation", template_data: { topic: "Calc" }, attempts: 0, max_attempts: 3, ...extra,
+});
+
+beforeAll(async () => {
+  supabaseMock = { from: jest.fn(() => resultQB()) };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+  outbox = await import("../../../src/utils/outbox.js");
+  email = await import("../../../src/utils/email.js");
+});
+
+test("backoff doubles from the base delay and is capped at an hour", () => {
+  expect(outbox.backoffMs(1, 30000)).toBe(30000);
+  expect(outbox.backoffMs(2, 30000)).toBe(60000);
+  expect(outbox.backoffMs(3, 30000)).toBe(120000);
+  expect(outbox.backoffMs(20, 30000)).toBe(60 * 60 * 1000);
+});
+
+describe("enqueue", () => {
+  test("stores a pending row and returns without sending", async () => {
+    queue({ data: { id: 42 }, error: null });
+    const send = jest.spyOn(email.emailService, "sendEmail");
+
+    const result = await outbox.emailOutbox.enqueue("a@test.com", "Hi", "", "Hello", "invitation", { topic: "Calc" });
+
+    expect(result).toEqual({ success: true, queued: true, id: 42, emailType: "invitation" });
+    expect(builders[0].insert).toHaveBeenCalledWith([expect.objectContaining({
+      to_email: "a@test.com", email_type: "invitation", status: "pending", attempts: 0, template_data: { topic: "Calc" },
+    })]);
+    expect(send).not.toHaveBeenCalled();
+    send.mockRestore();
+  });
+
+  test("sends directly when the outbox can't be written", async () => {
+    queue({ data: null, error: { message: "relation does not exist" } });
+    const send = jest.spyOn(email.emailService, "sendEmail");
+
+    const result = await outbox.emailOutbox.enqueue("a@test.com", "Hi", "", "Hello", "reminder", {});
+
+    expect(send).toHaveBeenCalledWith("a@test.com", "Hi", "", "Hello", "reminder", {});
+    expect(result.success).toBe(true);
+    send.mockRestore();
+  });
+});
+
+describe("enqueueMany", () => {
+  test("stores every email in one insert", async () => {
+    queue({ data: null, error: null });
+
+    const count = await outbox.emailOutbox.enqueueMany([
+      { to: "a@test.com", subject: "Hi", text: "Hello", emailType: "invitation", templateData: { topic: "Calc" } },
+      { to: "b@test.com", subject: "Hi", text: "Hello", emailType: "invitation", templateData: { topic: "Calc" } },
+    ]);
+
+    expect(count).toBe(2);
+    expect(supabaseMock.from).toHaveBeenCalledTimes(1);
+    expect(builders[0].insert).toHaveBeenCalledWith([
+      expect.objectContaining({ to_email: "a@test.com", status: "pending", template_data: { topic: "Calc" } }),
+      expect.objectContaining({ to_email: "b@test.com", status: "pending" }),
+    ]);
+  });
+
+  test("sends each email directly when the outbox can't be written", async () => {
+    queue({ data: null, error: { message: "relation does not exist" } });
+    const send = jest.spyOn(email.emailService, "sendEmail").mockResolvedValue({ success: true });
+
+    const count = await outbox.emailOutbox.enqueueMany([{ to: "a@test.com", subject: "Hi", text: "Hello", emailType: "reminder", templateData: {} }]);
+
+    expect(count).toBe(1);
+    expect(send).toHaveBeenCalledWith("a@test.com", "Hi", undefined, "Hello", "reminder", {});
+    send.mockRestore();
+  });
+});
+
+describe("processOutbox", () => {
+  test("sends due emails and marks them sent", async () => {
+    queue({ error: null }, { data: [row()], error: null }, { data: { id: 7 }, error: null }, { error: null });
+    const sendEmail = jest.fn(async () => ({ success: true, service: "memory" }));
+
+    const result = await outbox.processOutbox({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 1, skipped: 0, retried: 0, failed: 0 });
+    expect(sendEmail).toHaveBeenCalledWith("a@test.com", "Hi", "", "Hello", "invitation", { topic: "Calc" });
+    expect(builders[2].update).toHaveBeenCalledWith(expect.objectContaining({ status: "sending" }));
+    expect(builders[2].eq).toHaveBeenCalledWith("status", "pending");
+    expect(builders[3].update).toHaveBeenCalledWith(expect.objectContaining({ status: "sent", attempts: 1, provider: "memory" }));
+  });
+
+  test("reschedules failures with exponential backoff", async () => {
+    queue({ error: null }, { data: [row({ attempts: 1 })], error: null }, { data: { id: 7 }, error: null }, { error: null });
+    const sendEmail = jest.fn(async () => ({ success: false, error: "Email service failed: 503" }));
+
+    const result = await outbox.processOutbox({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, skipped: 0, retried: 1, failed: 0 });
+    expect(builders[3].update).toHaveBeenCalledWith(expect.objectContaining({
+      status: "pending",
+      attempts: 2,
+      last_error: "Email service failed: 503",
+      next_attempt_at: new Date(now.getTime() + 60 * 1000).toISOString(),
+    }));
+  });
+
+  test("marks the email failed once it runs out of attempts", async () => {
+    queue({ error: null }, { data: [row({ attempts: 2 })], error: null }, { data: { id: 7 }, error: null }, { error: null });
+    const sendEmail = jest.fn(async () => { throw new Error("boom"); });
+
+    const result = await outbox.processOutbox({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, skipped: 0, retried: 0, failed: 1 });
+    expect(builders[3].update).toHaveBeenCalledWith(expect.objectContaining({ status: "failed", attempts: 3, last_error: "boom" }));
+  });
+
+  test("marks emails the recipient unsubscribed from as skipped", async () => {
+    queue({ error: null }, { data: [row()], error: null }, { data: { id: 7 }, error: null }, { error: null });
+    const sendEmail = jest.fn(async () => ({ success: true, skipped: true, reason: "unsubscribed" }));
+
+    const result = await outbox.processOutbox({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, skipped: 1, retried: 0, failed: 0 });
+    expect(builders[3].update).toHaveBeenCalledWith(expect.objectContaining({ status: "skipped", attempts: 1, last_error: "unsubscribed" }));
+  });
+
+  test("skips rows another worker already claimed", async () => {
+    queue({ error: null }, { data: [row()], error: null }, { data: null, error: null });
+    const sendEmail = jest.fn();
+
+    const result = await outbox.processOutbox({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, skipped: 0, retried: 0, failed: 0 });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+});
+
+test("the worker runs a pass every interval", async () => {
+  jest.useFakeTimers();
+  try {
+    supabaseMock.from = jest.fn(() => resultQB({ data: [], error: null }));
+    const worker = outbox.startOutboxWorker({ sendEmail: jest.fn(), now: () => now, settings });
+
+    await jest.advanceTimersByTimeAsync(settings.intervalMs);
+    expect(supabaseMock.from).toHaveBeenCalledWith("email_outbox");
+
+    worker.stop();
+  } finally {
+    jest.useRealTimers();
+  }
+});
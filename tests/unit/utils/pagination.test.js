@@ -0,0 +1,129 @@
+// tests/unit/utils/pagination.test.js
+import { jest } from "@jest/globals";
+import {
+  parsePageParams,
+  paginate,
+  applyPage,
+  pageResult,
+  encodeCursor,
+  decodeCursor,
+  PaginationError,
+  MAX_PAGE_SIZE,
+} from "../../../src/utils/pagination.js";
+
+const MESSAGES = { column: "created_at", order: "desc" };
+
+const recordingQB = () => {
+  const qb = {};
+  for (const m of ["or", "lt", "gt", "order", "limit"]) qb[m] = jest.fn(() => qb);
+  return qb;
+};
+
+describe("parsePageParams", () => {
+  test("defaults and caps the page size", () => {
+    expect(parsePageParams({})).toEqual({ limit: 50, before: null, after: null });
+    expect(parsePageParams({ limit: "500" }).limit).toBe(MAX_PAGE_SIZE);
+    expect(parsePageParams({ limit: "0" }, { defaultLimit: 14 }).limit).toBe(14);
+    expect(parsePageParams({ limit: "abc" }, { defaultLimit: 14 }).limit).toBe(14);
+    expect(parsePageParams({ limit: "-3" }).limit).toBe(1);
+  });
+
+  test("decodes cursors and rejects bad ones", () => {
+    const cursor = encodeCursor({ created_at: "2099-01-01T10:00:00Z", id: 7 }, "created_at");
+    expect(parsePageParams({ before: cursor }).before).toEqual(["2099-01-01T10:00:00Z", 7]);
+
+    expect(() => parsePageParams({ before: "nonsense" })).toThrow(PaginationError);
+    expect(() => decodeCursor(Buffer.from('{"a":1}').toString("base64url"))).toThrow("Invalid cursor");
+    expect(() => parsePageParams({ before: cursor, after: cursor })).toThrow(PaginationError);
+  });
+});
+
+describe("paginate", () => {
+  const run = (query, options) => {
+    const req = { query };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    paginate(options)(req, res, next);
+    return { req, res, next };
+  };
+
+  test("puts the page on the request", () => {
+    const { req, next } = run({ limit: "5" }, { defaultLimit: 14 });
+    expect(req.page).toEqual({ limit: 5, before: null, after: null });
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  test("answers 400 for a bad cursor", () => {
+    const { res, next } = run({ before: "nope" });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: "Invalid cursor" });
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe("applyPage", () => {
+  test("first page: listing order, one extra row", () => {
+    const qb = recordingQB();
+    applyPage(qb, parsePageParams({ limit: "2" }), MESSAGES);
+    expect(qb.or).not.toHaveBeenCalled();
+    expect(qb.order.mock.calls).toEqual([["created_at", { ascending: false }], ["id", { ascending: false }]]);
+    expect(qb.limit).toHaveBeenCalledWith(3);
+  });
+
+  test("before: rows older than the cursor, ties broken by id", () => {
+    const qb = recordingQB();
+    const before = encodeCursor({ created_at: "2099-01-01T10:00:00.000Z", id: 7 }, "created_at");
+    applyPage(qb, parsePageParams({ before }), MESSAGES);
+    expect(qb.or).toHaveBeenCalledWith(
+      'created_at.lt."2099-01-01T10:00:00.000Z",and(created_at.eq."2099-01-01T10:00:00.000Z",id.lt."7")'
+    );
+    expect(qb.order).toHaveBeenCalledWith("created_at", { ascending: false });
+  });
+
+  test("after: rows newer than the cursor, fetched oldest first", () => {
+    const qb = recordingQB();
+    const after = encodeCursor({ created_at: "2099-01-01", id: 7 }, "created_at");
+    applyPage(qb, parsePageParams({ after }), MESSAGES);
+    expect(qb.or.mock.calls[0][0]).toMatch(/^created_at\.gt\./);
+    expect(qb.order).toHaveBeenCalledWith("created_at", { ascending: true });
+  });
+
+  test("without a tie-breaker the column alone is compared", () => {
+    const qb = recordingQB();
+    const before = encodeCursor({ date: "2099-01-05" }, "date", null);
+    applyPage(qb, parsePageParams({ before }), { column: "date", tiebreaker: null });
+    expect(qb.lt).toHaveBeenCalledWith("date", "2099-01-05");
+    expect(qb.order.mock.calls).toEqual([["date", { ascending: false }]]);
+  });
+});
+
+describe("pageResult", () => {
+  const rows = [
+    { id: 3, created_at: "2099-01-03" },
+    { id: 2, created_at: "2099-01-02" },
+    { id: 1, created_at: "2099-01-01" },
+  ];
+
+  test("trims the extra row and points next_cursor at the last row shown", () => {
+    const page = parsePageParams({ limit: "2" });
+    const result = pageResult(rows, page, MESSAGES);
+    expect(result.rows.map(r => r.id)).toEqual([3, 2]);
+    expect(result.has_more).toBe(true);
+    expect(decodeCursor(result.next_cursor)).toEqual(["2099-01-02", 2]);
+    expect(decodeCursor(result.prev_cursor)).toEqual(["2099-01-03", 3]);
+  });
+
+  test("last page has no next_cursor", () => {
+    const result = pageResult(rows, parsePageParams({ limit: "5" }), MESSAGES);
+    expect(result.has_more).toBe(false);
+    expect(result.next_cursor).toBeNull();
+  });
+
+  test("after-pages are put back in the listing's order", () => {
+    const after = encodeCursor({ id: 0, created_at: "2098-12-31" }, "created_at");
+    const page = parsePageParams({ after, limit: "2" });
+    const result = pageResult([...rows].reverse(), page, MESSAGES);
+    expect(result.rows.map(r => r.id)).toEqual([2, 1]);
+    expect(decodeCursor(result.next_cursor)).toEqual(["2099-01-02", 2]);
+  });
+});
@@ -0,0 +1,43 @@
+// tests/unit/utils/rateLimit.test.js
+import { createRateLimiter } from "../../../src/utils/rateLimit.js";
+
+describe("createRateLimiter", () => {
+  test("allows up to max hits per window, then blocks", () => {
+    let t = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, max: 2, now: () => t });
+
+    expect(limiter.hit("a").allowed).toBe(true);
+    expect(limiter.hit("a").remaining).toBe(0);
+    expect(limiter.hit("a").allowed).toBe(false);
+
+    // other keys have their own window
+    expect(limiter.hit("b").allowed).toBe(true);
+  });
+
+  test("resets once the window has passed", () => {
+    let t = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: () => t });
+
+    limiter.hit("a");
+    expect(limiter.hit("a").allowed).toBe(false);
+
+    t = 1000;
+    expect(limiter.hit("a").allowed).toBe(true);
+  });
+
+  test("check answers like hit without counting", () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: () => 0 });
+
+    expect(limiter.check("a")).toMatchObject({ allowed: true, remaining: 0 });
+    expect(limiter.check("a").allowed).toBe(true);
+    limiter.hit("a");
+    expect(limiter.check("a").allowed).toBe(false);
+  });
+
+  test("accepts a per-call limit override", () => {
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1 });
+    expect(limiter.hit("a", 3).allowed).toBe(true);
+    expect(limiter.hit("a", 3).allowed).toBe(true);
+    expect(limiter.hit("a", 3).limit).toBe(3);
+  });
+});
@@ -0,0 +1,105 @@
+// tests/unit/utils/realtime.test.js
+import { jest } from "@jest/globals";
+import {
+  publish,
+  publishToGroup,
+  subscribe,
+  eventsSince,
+  groupChannel,
+  userChannel,
+  subscriberCount,
+  bufferedChannelCount,
+  evictIdleChannels,
+  resetRealtime,
+} from "../../../src/utils/realtime.js";
+
+beforeEach(() => {
+  resetRealtime();
+  delete process.env.REALTIME_REPLAY_SIZE;
+  delete process.env.REALTIME_REPLAY_MINUTES;
+});
+
+test("subscribers get events on their channels only", () => {
+  const received = [];
+  const unsubscribe = subscribe([groupChannel(1), userChannel("u1")], (e) => received.push(e));
+
+  publishToGroup(1, "message.created", { group_id: 1 });
+  publishToGroup(2, "message.created", { group_id: 2 });
+  publish(userChannel("u1"), "notification.created", { type: "friend_invite" });
+
+  expect(received.map(e => [e.channel, e.type])).toEqual([
+    ["group:1", "message.created"],
+    ["user:u1", "notification.created"],
+  ]);
+  expect(received[1].id).toBeGreaterThan(received[0].id);
+
+  unsubscribe();
+  expect(subscriberCount(groupChannel(1))).toBe(0);
+  publishToGroup(1, "message.created", { group_id: 1 });
+  expect(received).toHaveLength(2);
+});
+
+test("a failing listener doesn't stop the others", () => {
+  const spy = jest.spyOn(console, "error").mockImplementation(() => {});
+  const received = [];
+  subscribe([groupChannel(1)], () => { throw new Error("socket closed"); });
+  subscribe([groupChannel(1)], (e) => received.push(e));
+
+  publishToGroup(1, "session.created", {});
+  expect(received).toHaveLength(1);
+  spy.mockRestore();
+});
+
+test("replays events after the last id, oldest first, across channels", () => {
+  const first = publishToGroup(1, "message.created", { n: 1 });
+  publishToGroup(1, "message.created", { n: 2 });
+  publish(userChannel("u1"), "notification.created", { n: 3 });
+  publishToGroup(2, "message.created", { n: 4 });
+
+  const { events, complete } = eventsSince([groupChannel(1), userChannel("u1")], first.id);
+  expect(complete).toBe(true);
+  expect(events.map(e => e.data.n)).toEqual([2, 3]);
+});
+
+test("reports an incomplete replay when events were trimmed or the id is from before a restart", () => {
+  process.env.REALTIME_REPLAY_SIZE = "2";
+  const first = publishToGroup(1, "message.created", { n: 1 });
+  publishToGroup(1, "message.created", { n: 2 });
+  publishToGroup(1, "message.created", { n: 3 });
+  publishToGroup(1, "message.created", { n: 4 });
+
+  const trimmed = eventsSince([groupChannel(1)], first.id);
+  expect(trimmed.complete).toBe(false);
+  expect(trimmed.events.map(e => e.data.n)).toEqual([3, 4]);
+
+  expect(eventsSince([groupChannel(1)], 1).complete).toBe(false);
+  expect(eventsSince([groupChannel(1)], "not-a-number")).toEqual({ events: [], complete: false });
+});
+
+test("drops idle buffers nobody listens on and asks for a resync instead of replaying them", () => {
+  const first = publishToGroup(1, "message.created", { n: 1 });
+  publishToGroup(2, "message.created", { n: 2 });
+  subscribe([groupChannel(2)], () => {});
+
+  evictIdleChannels(Date.now() + 61 * 60 * 1000);
+
+  expect(bufferedChannelCount()).toBe(1);
+  expect(eventsSince([groupChannel(1)], first.id - 1)).toEqual({ events: [], complete: false });
+  expect(eventsSince([groupChannel(2)], first.id).events.map(e => e.data.n)).toEqual([2]);
+
+  // A buffer started again after eviction still can't replay what was dropped
+  publishToGroup(1, "message.created", { n: 3 });
+  expect(eventsSince([groupChannel(1)], first.id - 1).complete).toBe(false);
+  expect(bufferedChannelCount()).toBe(2);
+});
+
+test("keeps buffers that published within REALTIME_REPLAY_MINUTES", () => {
+  process.env.REALTIME_REPLAY_MINUTES = "5";
+  publishToGroup(1, "message.created", {});
+
+  evictIdleChannels(Date.now() + 4 * 60 * 1000);
+  expect(bufferedChannelCount()).toBe(1);
+
+  evictIdleChannels(Date.now() + 6 * 60 * 1000);
+  expect(bufferedChannelCount()).toBe(0);
+});
@@ -0,0 +1,87 @@
+// tests/unit/utils/recurrence.test.js
+import {
+  parseRecurrence,
+  formatRecurrence,
+  expandRecurrence,
+  RecurrenceError,
+  MAX_OCCURRENCES,
+} from "../../../src/utils/recurrence.js";
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+describe("Recurrence rules", () => {
+  test("parses an RRULE string and an equivalent object the same way", () => {
+    const fromString = parseRecurrence("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4");
+    const fromObject = parseRecurrence({ freq: "weekly", interval: 2, by_day: ["MO", "WE"], count: 4 });
+
+    expect(fromString).toEqual({ freq: "WEEKLY", interval: 2, byDay: ["MO", "WE"], count: 4, until: null });
+    expect(fromObject).toEqual(fromString);
+    expect(formatRecurrence(fromString)).toBe("FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=4");
+  });
+
+  test.each([
+    ["FREQ=YEARLY;COUNT=2", "FREQ must be DAILY, WEEKLY or MONTHLY"],
+    ["FREQ=DAILY", "Recurrence needs COUNT or UNTIL"],
+    ["FREQ=DAILY;COUNT=2;UNTIL=20991231", "Use either COUNT or UNTIL, not both"],
+    ["FREQ=DAILY;BYDAY=MO;COUNT=2", "BYDAY is only supported with FREQ=WEEKLY"],
+    ["FREQ=WEEKLY;BYDAY=XX;COUNT=2", "Invalid BYDAY values: XX"],
+    ["FREQ=DAILY;BYMONTH=1;COUNT=2", "Unsupported RRULE parts: BYMONTH"],
+    [`FREQ=DAILY;COUNT=${MAX_OCCURRENCES + 1}`, `COUNT cannot exceed ${MAX_OCCURRENCES}`],
+  ])("rejects %s", (rule, message) => {
+    expect(() => parseRecurrence(rule)).toThrow(RecurrenceError);
+    expect(() => parseRecurrence(rule)).toThrow(message);
+  });
+
+  test("daily with an interval and a count", () => {
+    const dates = expandRecurrence(parseRecurrence("FREQ=DAILY;INTERVAL=2;COUNT=3"), "2099-12-01T10:00:00Z");
+    expect(iso(dates)).toEqual([
+      "2099-12-01T10:00:00.000Z",
+      "2099-12-03T10:00:00.000Z",
+      "2099-12-05T10:00:00.000Z",
+    ]);
+  });
+
+  test("weekly on several days starts from the first day on or after start_at", () => {
+    // 2099-12-02 is a Wednesday
+    const dates = expandRecurrence(parseRecurrence("FREQ=WEEKLY;BYDAY=MO,WE;COUNT=4"), "2099-12-02T18:00:00Z");
+    expect(iso(dates)).toEqual([
+      "2099-12-02T18:00:00.000Z",
+      "2099-12-07T18:00:00.000Z",
+      "2099-12-09T18:00:00.000Z",
+      "2099-12-14T18:00:00.000Z",
+    ]);
+  });
+
+  test("BYDAY without the start day begins on the next listed day", () => {
+    // 2099-12-03 is a Thursday
+    const dates = expandRecurrence(parseRecurrence("FREQ=WEEKLY;BYDAY=TU;COUNT=2"), "2099-12-03T18:00:00Z");
+    expect(iso(dates)).toEqual([
+      "2099-12-08T18:00:00.000Z",
+      "2099-12-15T18:00:00.000Z",
+    ]);
+  });
+
+  test("refuses a rule that ends before start_at", () => {
+    const rule = parseRecurrence("FREQ=WEEKLY;UNTIL=20200101");
+    expect(() => expandRecurrence(rule, "2099-12-03T18:00:00Z")).toThrow("Recurrence produces no occurrences on or after start_at");
+  });
+
+  test("UNTIL is inclusive of that day", () => {
+    const dates = expandRecurrence(parseRecurrence("FREQ=WEEKLY;UNTIL=20991216"), "2099-12-02T18:00:00Z");
+    expect(dates).toHaveLength(3);
+  });
+
+  test("monthly skips months without that day", () => {
+    const dates = expandRecurrence(parseRecurrence("FREQ=MONTHLY;COUNT=3"), "2099-01-31T09:00:00Z");
+    expect(iso(dates)).toEqual([
+      "2099-01-31T09:00:00.000Z",
+      "2099-03-31T09:00:00.000Z",
+      "2099-05-31T09:00:00.000Z",
+    ]);
+  });
+
+  test("refuses an UNTIL rule that would produce too many occurrences", () => {
+    const rule = parseRecurrence("FREQ=DAILY;UNTIL=21001231");
+    expect(() => expandRecurrence(rule, "2099-01-01T09:00:00Z")).toThrow(RecurrenceError);
+  });
+});
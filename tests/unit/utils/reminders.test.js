@@ -0,0 +1,172 @@
+// tests/unit/utils/reminders.test.js
+import { jest } from "@jest/globals";
+
+let reminders;
+let supabaseMock;
+
+// Resolves to `result` when awaited at any point of the chain
+const resultQB = (result = { data: [], error: null }) => {
+  const qb = { then: (onFulfilled, onRejected) => Promise.resolve(result).then(onFulfilled, onRejected) };
+  for (const m of ["select", "insert", "delete", "eq", "in", "is", "gt", "lte"]) qb[m] = jest.fn(() => qb);
+  return qb;
+};
+
+const HOUR = 60 * 60 * 1000;
+const now = new Date("2099-12-25T09:00:00Z");
+const settings = { offsets: [1440, 60], intervalMs: 1000 };
+
+// One session at 10:00, accepted by user-a
+let tables;
+const setTables = (overrides = {}) => {
+  tables = {
+    sessions: resultQB({ data: [{ id: 10, start_at: "2099-12-25T10:00:00Z", topic: "Calculus", venue: "Library" }], error: null }),
+    session_invites: resultQB({ data: [{ session_id: 10, user_id: "user-a" }], error: null }),
+    reminder_preferences: resultQB(),
+    session_reminders: resultQB(),
+    profiles: resultQB({ data: [{ id: "user-a", email: "a@test.com", full_name: "A" }], error: null }),
+    ...overrides,
+  };
+};
+
+beforeAll(async () => {
+  supabaseMock = { from: jest.fn((table) => tables[table] || resultQB()) };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => supabaseMock }));
+  reminders = await import("../../../src/utils/reminders.js");
+});
+
+beforeEach(() => setTables());
+
+describe("Reminder offsets", () => {
+  test("parses units and sorts largest first", () => {
+    expect(reminders.parseOffsets("1h, 24h,30m,1h")).toEqual([1440, 60, 30]);
+    expect(reminders.parseOffsets([90, "2d"])).toEqual([2880, 90]);
+  });
+
+  test("rejects garbage and offsets over a week", () => {
+    expect(() => reminders.parseOffsets("soon")).toThrow(reminders.ReminderOffsetError);
+    expect(() => reminders.parseOffsets("8d")).toThrow(reminders.ReminderOffsetError);
+  });
+
+  test("dueOffset picks the closest reminder the session is inside of", () => {
+    const start = "2099-12-25T10:00:00Z";
+    const at = (hoursBefore) => new Date(Date.parse(start) - hoursBefore * HOUR);
+    expect(reminders.dueOffset([1440, 60], start, at(30))).toBeNull();
+    expect(reminders.dueOffset([1440, 60], start, at(20))).toBe(1440);
+    expect(reminders.dueOffset([1440, 60], start, at(0.5))).toBe(60);
+    expect(reminders.dueOffset([1440, 60], start, at(-1))).toBeNull();
+  });
+});
+
+describe("runReminders", () => {
+  test("emails accepted members once the 1h reminder is due and records it", async () => {
+    const sendEmail = jest.fn(async () => ({ success: true }));
+
+    const result = await reminders.runReminders({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 1, failed: 0 });
+    expect(sendEmail).toHaveBeenCalledWith(
+      "a@test.com",
+      expect.stringContaining("starts in 1 hour"),
+      "",
+      expect.any(String),
+      "reminder",
+      expect.objectContaining({ topic: "Calculus", reminder: "Starts in 1 hour" })
+    );
+    expect(tables.session_reminders.insert).toHaveBeenCalledWith([
+      expect.objectContaining({ session_id: 10, user_id: "user-a", offset_minutes: 60 }),
+    ]);
+    expect(tables.session_invites.eq).toHaveBeenCalledWith("status", "accepted");
+  });
+
+  test("skips sessions of archived groups", async () => {
+    setTables({
+      sessions: resultQB({ data: [{ id: 10, start_at: "2099-12-25T10:00:00Z", groups: { archived_at: "2099-12-20T00:00:00Z" } }], error: null }),
+    });
+    const sendEmail = jest.fn();
+
+    const result = await reminders.runReminders({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, failed: 0 });
+    expect(tables.sessions.is).toHaveBeenCalledWith("groups.archived_at", null);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("does not resend a reminder that is already recorded", async () => {
+    setTables({
+      session_reminders: resultQB({ data: [{ session_id: 10, user_id: "user-a", offset_minutes: 60 }], error: null }),
+    });
+    const sendEmail = jest.fn();
+
+    const result = await reminders.runReminders({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, failed: 0 });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("skips a reminder another instance claimed first", async () => {
+    const claimed = resultQB({ data: [], error: null });
+    claimed.insert = jest.fn(() => resultQB({ data: null, error: { code: "23505", message: "duplicate" } }));
+    setTables({ session_reminders: claimed });
+    const sendEmail = jest.fn();
+
+    await reminders.runReminders({ sendEmail, now, settings });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("honours disabled and custom per-user preferences", async () => {
+    setTables({
+      reminder_preferences: resultQB({ data: [{ user_id: "user-a", enabled: false, offsets: null }], error: null }),
+    });
+    const sendEmail = jest.fn();
+    await reminders.runReminders({ sendEmail, now, settings });
+    expect(sendEmail).not.toHaveBeenCalled();
+
+    // 2h reminder only: at 1h before it is due as the 2h one
+    setTables({
+      reminder_preferences: resultQB({ data: [{ user_id: "user-a", enabled: true, offsets: [120] }], error: null }),
+    });
+    await reminders.runReminders({ sendEmail, now, settings });
+    expect(tables.session_reminders.insert).toHaveBeenCalledWith([expect.objectContaining({ offset_minutes: 120 })]);
+  });
+
+  test("ignores cancelled sessions", async () => {
+    setTables({
+      sessions: resultQB({ data: [{ id: 10, start_at: "2099-12-25T10:00:00Z", cancelled_at: "2099-12-24T00:00:00Z" }], error: null }),
+    });
+    const sendEmail = jest.fn();
+    await reminders.runReminders({ sendEmail, now, settings });
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  test("releases the claim when sending fails so the next pass retries", async () => {
+    const sendEmail = jest.fn(async () => ({ error: "EmailJS failed" }));
+
+    const result = await reminders.runReminders({ sendEmail, now, settings });
+
+    expect(result).toEqual({ sent: 0, failed: 1 });
+    expect(tables.session_reminders.delete).toHaveBeenCalled();
+    expect(tables.session_reminders.eq).toHaveBeenCalledWith("offset_minutes", 60);
+  });
+});
+
+describe("startReminderScheduler", () => {
+  afterEach(() => jest.useRealTimers());
+
+  test("runs a pass every interval using the injected clock", async () => {
+    jest.useFakeTimers();
+    const sendEmail = jest.fn(async () => ({ success: true }));
+    const clock = jest.fn(() => now);
+
+    const scheduler = reminders.startReminderScheduler({ sendEmail, now: clock, settings });
+    await jest.advanceTimersByTimeAsync(999);
+    expect(clock).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1);
+    expect(clock).toHaveBeenCalledTimes(1);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+
+    scheduler.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(clock).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,54 @@
+// tests/unit/utils/rsvpTokens.test.js
+import { createRsvpTokens, verifyRsvpToken, rsvpExpiry, RsvpTokenError } from "../../../src/utils/rsvpTokens.js";
+
+describe("RSVP tokens", () => {
+  const now = Date.parse("2099-01-01T00:00:00Z");
+
+  beforeAll(() => {
+    process.env.RSVP_LINK_SECRET = "test-rsvp-secret";
+  });
+
+  const reason = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      expect(e).toBeInstanceOf(RsvpTokenError);
+      return e.reason;
+    }
+    throw new Error("expected RsvpTokenError");
+  };
+
+  test("round-trips session, invitee and action", () => {
+    const tokens = createRsvpTokens({ sessionId: 10, userId: "user-456", expiresAt: now + 60000 });
+
+    const accept = verifyRsvpToken(tokens.accept, now);
+    const decline = verifyRsvpToken(tokens.decline, now);
+
+    expect(accept).toMatchObject({ sid: "10", uid: "user-456", act: "accept" });
+    expect(decline.act).toBe("decline");
+    expect(accept.jti).toBe(decline.jti);
+  });
+
+  test("rejects a token signed with another secret", () => {
+    const { accept } = createRsvpTokens({ sessionId: 10, userId: "user-456", expiresAt: now + 60000 });
+    process.env.RSVP_LINK_SECRET = "rotated";
+    try {
+      expect(reason(() => verifyRsvpToken(accept, now))).toBe("bad_signature");
+    } finally {
+      process.env.RSVP_LINK_SECRET = "test-rsvp-secret";
+    }
+  });
+
+  test("rejects expired and malformed tokens", () => {
+    const { accept } = createRsvpTokens({ sessionId: 10, userId: "user-456", expiresAt: now + 60000 });
+    expect(reason(() => verifyRsvpToken(accept, now + 120000))).toBe("expired");
+    expect(reason(() => verifyRsvpToken("user-456", now))).toBe("malformed");
+    expect(reason(() => verifyRsvpToken("", now))).toBe("malformed");
+  });
+
+  test("expiry is the session start, or a week out for past/invalid dates", () => {
+    expect(rsvpExpiry("2099-01-02T00:00:00Z", now)).toBe(Date.parse("2099-01-02T00:00:00Z"));
+    expect(rsvpExpiry("2000-01-01T00:00:00Z", now)).toBe(now + 7 * 24 * 60 * 60 * 1000);
+    expect(rsvpExpiry("nope", now)).toBe(now + 7 * 24 * 60 * 60 * 1000);
+  });
+});
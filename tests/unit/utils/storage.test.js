@@ -0,0 +1,58 @@
+// tests/unit/utils/storage.test.js
+import { jest } from "@jest/globals";
+
+let storageModule;
+let bucket;
+
+beforeAll(async () => {
+  process.env.ATTACHMENT_URL_SECRET = "test-file-secret";
+  bucket = {
+    upload: jest.fn(async () => ({ error: null })),
+    createSignedUrl: jest.fn(async () => ({ data: { signedUrl: "https://x.supabase.co/storage/v1/object/sign/attachments/a?token=t" }, error: null })),
+    remove: jest.fn(async () => ({ error: null })),
+  };
+  const client = { from: jest.fn(), storage: { from: jest.fn(() => bucket) } };
+  jest.unstable_mockModule("@supabase/supabase-js", () => ({ createClient: () => client }));
+  storageModule = await import("../../../src/utils/storage.js");
+});
+
+afterEach(() => {
+  delete process.env.STORAGE_DRIVER;
+});
+
+test("object paths sit under the group prefix with a safe name", () => {
+  const { objectPath } = storageModule;
+  expect(objectPath(7, "Week 3 notes (final).pdf")).toMatch(/^groups\/7\/[0-9a-f-]{36}-Week_3_notes_final_.pdf$/);
+  expect(objectPath(7, "../../etc/passwd")).toMatch(/^groups\/7\/[0-9a-f-]{36}-etc_passwd$/);
+  expect(objectPath(7, "")).toMatch(/-file$/);
+});
+
+test("picks the driver from STORAGE_DRIVER, local under tests", () => {
+  const { storage, StorageError } = storageModule;
+  expect(storage().name).toBe("local");
+  process.env.STORAGE_DRIVER = "supabase";
+  expect(storage().name).toBe("supabase");
+  process.env.STORAGE_DRIVER = "s3";
+  expect(() => storage()).toThrow(StorageError);
+});
+
+test("supabase driver uploads privately and signs download links", async () => {
+  const { drivers } = storageModule;
+  await drivers.supabase.put("groups/1/a", Buffer.from("x"), "text/plain");
+  expect(bucket.upload).toHaveBeenCalledWith("groups/1/a", expect.any(Buffer), { contentType: "text/plain", upsert: false });
+
+  const url = await drivers.supabase.signedUrl("groups/1/a", "a.txt");
+  expect(url).toMatch(/token=t$/);
+  expect(bucket.createSignedUrl).toHaveBeenCalledWith("groups/1/a", 300, { download: "a.txt" });
+});
+
+test("local tokens expire and can't point outside the storage directory", () => {
+  const { createLocalFileToken, verifyLocalFileToken } = storageModule;
+  const now = Date.now();
+  const token = createLocalFileToken("groups/1/a.txt", "a.txt", now);
+
+  expect(verifyLocalFileToken(token, now)).toMatchObject({ filename: "a.txt" });
+  expect(verifyLocalFileToken(token, now + 301 * 1000)).toBeNull();
+  expect(verifyLocalFileToken("garbage", now)).toBeNull();
+  expect(verifyLocalFileToken(createLocalFileToken("../../secret", "s", now), now)).toBeNull();
+});
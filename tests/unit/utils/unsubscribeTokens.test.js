@@ -0,0 +1,48 @@
+// tests/unit/utils/unsubscribeTokens.test.js
+import {
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  UnsubscribeTokenError,
+} from "../../../src/utils/unsubscribeTokens.js";
+
+describe("Unsubscribe tokens", () => {
+  beforeAll(() => {
+    process.env.UNSUBSCRIBE_SECRET = "test-unsubscribe-secret";
+  });
+
+  const reason = (fn) => {
+    try {
+      fn();
+    } catch (e) {
+      expect(e).toBeInstanceOf(UnsubscribeTokenError);
+      return e.reason;
+    }
+    throw new Error("expected UnsubscribeTokenError");
+  };
+
+  test("round-trips user and category", () => {
+    const token = createUnsubscribeToken({ userId: "user-123", category: "reminders" });
+    expect(verifyUnsubscribeToken(token)).toEqual({ uid: "user-123", cat: "reminders" });
+  });
+
+  test("defaults to all emails", () => {
+    expect(verifyUnsubscribeToken(createUnsubscribeToken({ userId: "user-123" })).cat).toBe("all");
+  });
+
+  test("rejects tampered payloads", () => {
+    const [, signature] = createUnsubscribeToken({ userId: "user-123", category: "reminders" }).split(".");
+    const forged = Buffer.from(JSON.stringify({ uid: "someone-else", cat: "all" })).toString("base64url");
+    expect(reason(() => verifyUnsubscribeToken(`${forged}.${signature}`))).toBe("bad_signature");
+  });
+
+  test("rejects malformed tokens", () => {
+    expect(reason(() => verifyUnsubscribeToken("nope"))).toBe("malformed");
+    expect(reason(() => verifyUnsubscribeToken("a.b.c"))).toBe("malformed");
+  });
+
+  test("builds backend links", () => {
+    process.env.BACKEND_URL = "api.lockedin.test";
+    expect(unsubscribeUrl("user-123", "digests")).toMatch(/^https:\/\/api\.lockedin\.test\/api\/notifications\/unsubscribe\//);
+  });
+});